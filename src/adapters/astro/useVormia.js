@@ -1,4 +1,5 @@
-import { getGlobalVormiaClient, VormiaError } from "../../core/VormiaClient";
+import { getGlobalVormiaClient } from "../../client/createVormiaClient";
+import { VormiaError } from "../../client/utils/VormiaError";
 import { useState, useEffect, useCallback } from "react";
 
 export function useVormiaQuery(options) {
@@ -21,7 +22,8 @@ export function useVormiaQuery(options) {
         transform,
         onSuccess,
         onError,
-
+        unwrap,
+        schema,
       } = mergedOptions;
       setIsLoading(true);
       setIsError(false);
@@ -33,6 +35,8 @@ export function useVormiaQuery(options) {
           params: method === "GET" ? params : undefined,
           data: method !== "GET" ? bodyData || params : undefined,
           headers,
+          unwrap,
+          schema,
         };
 
         const response = await client.request(config);
@@ -1,15 +1,75 @@
-import { useSignal, useTask$ } from "@builder.io/qwik";
-import { getGlobalVormiaClient, VormiaError } from "../../core/VormiaClient";
+import { useSignal, useTask$, useVisibleTask$ } from "@builder.io/qwik";
+import { getGlobalVormiaClient } from "../../client/createVormiaClient";
+import { VormiaError } from "../../client/utils/VormiaError";
+import {
+  queryCache,
+  createQueryKey,
+  toQueryData,
+  invalidateQueries,
+  refetchQueries,
+} from "../../core/QueryCache";
+import { vrmKeys, resolveQueryKeys } from "../../core/queryKeys";
+import { subscribeRefetchTriggers } from "../../core/focusManager";
+
+const toVormiaError = (err) =>
+  err instanceof VormiaError
+    ? err
+    : new VormiaError(
+        err?.message || "An unknown error occurred",
+        err?.response?.status
+      );
 
 export function useVormiaQuery(options) {
   const client = getGlobalVormiaClient();
   const data = useSignal(null);
+  const meta = useSignal(null);
+  const links = useSignal(null);
   const error = useSignal(null);
   const isLoading = useSignal(false);
   const isError = useSignal(false);
   const isSuccess = useSignal(false);
+  const isFetching = useSignal(false);
+
+  const getQueryKey = (mergedOptions) =>
+    mergedOptions.queryKey ||
+    createQueryKey(mergedOptions.endpoint, {
+      method: mergedOptions.method,
+      params: mergedOptions.params,
+      data: mergedOptions.data,
+      unwrap: mergedOptions.unwrap,
+      schema: mergedOptions.schema,
+    });
+
+  // Signals mirror the shared cache entry
+  const syncState = (state) => {
+    // isLoading is only true until there is data, background refetches set isFetching
+    isLoading.value = state.status === "loading";
+    isFetching.value = state.isFetching;
+    if (state.status === "success") {
+      const value = state.data?.data?.response;
+      data.value =
+        options.transform && value ? options.transform(value) : value;
+      meta.value = state.data?.meta || null;
+      links.value = state.data?.links || null;
+      error.value = null;
+      isError.value = false;
+      isSuccess.value = true;
+    } else if (state.status === "error") {
+      error.value = state.error;
+      isError.value = true;
+      isSuccess.value = false;
+    } else if (state.status === "idle") {
+      // Reset, e.g. after logout: nothing of the previous user stays on screen
+      data.value = null;
+      meta.value = null;
+      links.value = null;
+      error.value = null;
+      isError.value = false;
+      isSuccess.value = false;
+    }
+  };
 
-  const fetchData = async (opts = {}) => {
+  const fetchData = async (opts = {}, force = false) => {
     const mergedOptions = { ...options, ...opts };
     const {
       endpoint,
@@ -18,43 +78,60 @@ export function useVormiaQuery(options) {
       data: bodyData,
       headers,
       transform,
+      unwrap,
+      schema,
       onSuccess,
       onError,
+      staleTime,
+      cacheTime,
     } = mergedOptions;
 
-    isLoading.value = true;
+    // Keep showing existing data while revalidating
+    isLoading.value = !isSuccess.value;
+    isFetching.value = true;
     isError.value = false;
-    isSuccess.value = false;
 
-    try {
-      let config = {
-        method,
-        url: endpoint,
-        params: method === "GET" ? params : undefined,
-        data: method !== "GET" ? bodyData || params : undefined,
-        headers,
-      };
+    const fetcher = async () => {
+      try {
+        let config = {
+          method,
+          url: endpoint,
+          params: method === "GET" ? params : undefined,
+          data: method !== "GET" ? bodyData || params : undefined,
+          headers,
+          unwrap,
+          schema,
+        };
+
+        const response = await client.request(config);
+        return toQueryData(response);
+      } catch (err) {
+        throw toVormiaError(err);
+      }
+    };
 
-      const response = await client.request(config);
-      let result = response.data;
+    try {
+      const cached = await queryCache.fetch(
+        getQueryKey(mergedOptions),
+        fetcher,
+        { staleTime, cacheTime, force }
+      );
+      // Copy so the transform never touches the cached object
+      const result = cached.data ? { ...cached.data } : cached.data;
 
       if (transform && result?.response) {
         result.response = transform(result.response);
       }
-      data.value = result.response;
+      data.value = result?.response;
+      meta.value = cached.meta || null;
+      links.value = cached.links || null;
       isSuccess.value = true;
       if (onSuccess) {
         onSuccess(result);
       }
       return result;
     } catch (err) {
-      const vormiaError =
-        err instanceof VormiaError
-          ? err
-          : new VormiaError(
-              err?.message || "An unknown error occurred",
-              err?.response?.status
-            );
+      const vormiaError = toVormiaError(err);
       error.value = vormiaError;
       isError.value = true;
       if (onError) {
@@ -63,24 +140,41 @@ export function useVormiaQuery(options) {
       throw vormiaError;
     } finally {
       isLoading.value = false;
+      isFetching.value = false;
     }
   };
 
-  // Auto-fetch if enabled
-  useTask$(async () => {
+  // Auto-fetch if enabled, and follow the shared cache until unmount
+  useTask$(async ({ cleanup }) => {
+    cleanup(queryCache.subscribe(getQueryKey(options), syncState));
     if (options.enabled !== false) {
       await fetchData();
     }
   });
 
+  // Focus, reconnect and interval refetches only make sense in the browser
+  useVisibleTask$(({ cleanup }) => {
+    if (options.enabled === false) return;
+    cleanup(
+      subscribeRefetchTriggers(options, {
+        revalidate: () => fetchData().catch(() => {}),
+        refetch: () => fetchData({}, true).catch(() => {}),
+      })
+    );
+  });
+
   return {
     data,
+    meta,
+    links,
     error,
     isLoading,
     isError,
     isSuccess,
+    isFetching,
     fetch: fetchData,
-    refetch: fetchData,
+    refetch: (opts = {}) => fetchData(opts, true),
+    invalidate: () => queryCache.invalidate(getQueryKey(options)),
   };
 }
 
@@ -102,25 +196,31 @@ export function useVormiaMutation(options = {}) {
         method,
         url: endpoint,
         data: values,
+        unwrap: options.unwrap,
+        schema: options.schema,
+        requestSchema: options.requestSchema,
         ...config,
       });
 
       data.value = response.data;
       isSuccess.value = true;
 
+      // Refresh queries that show what this mutation changed, in any component;
+      // like useVrmMutation, the endpoint's own queries unless told otherwise
+      invalidateQueries(
+        options.invalidates === undefined && options.refetches === undefined
+          ? [vrmKeys.all(endpoint)]
+          : resolveQueryKeys(options.invalidates, response, values)
+      );
+      refetchQueries(resolveQueryKeys(options.refetches, response, values));
+
       if (options.onSuccess) {
         options.onSuccess(response.data);
       }
 
       return response.data;
     } catch (err) {
-      const vormiaError =
-        err instanceof VormiaError
-          ? err
-          : new VormiaError(
-              err?.message || "An unknown error occurred",
-              err?.response?.status
-            );
+      const vormiaError = toVormiaError(err);
 
       error.value = vormiaError;
       isError.value = true;
@@ -5,14 +5,36 @@ export { useVormiaQuery } from "./useVormiaQuery.js";
 export { useVormiaConfig } from "../../hooks/useVormiaConfig.js";
 export { useVrmAuthEnhanced } from "../../hooks/useVrmAuthEnhanced.js";
 export { useVormiaCache } from "../../hooks/useVormiaCache.js";
-export { useVrmQuery } from "../../hooks/useVrmQuery.js";
+export {
+  useVrmQuery,
+  useInvalidateVrmQuery,
+  usePrefetchVrmQuery,
+} from "../../hooks/useVrmQuery.js";
+export {
+  useVrmInfiniteQuery,
+  useVrmPaginatedQuery,
+} from "../../hooks/useVrmPagination.js";
+export { vrmKeys } from "../../core/queryKeys.js";
 export { useVormiaQuerySimple } from "../../hooks/useVormiaQuerySimple.js";
 export {
   useVormiaQueryAuth,
   useVormiaQueryAuthMutation,
   useVormiaAuth,
 } from "../../hooks/useVrmAuth.js";
-export { useVrmMutation } from "../../hooks/useVrmMutation.js";
+export {
+  useVrmMutation,
+  useVrmCreate,
+  useVrmUpdate,
+  useVrmPatch,
+  useVrmDelete,
+} from "../../hooks/useVrmMutation.js";
+export { useVrmOfflineQueue } from "../../hooks/useVrmOfflineQueue.js";
+export { useFieldErrors } from "../../hooks/useFieldErrors.js";
+export {
+  offlineQueue,
+  configureOfflineQueue,
+  requestOrQueue,
+} from "../../core/offlineQueue.js";
 
 // React components
 export { VormiaProvider } from "../../providers/VormiaProvider.jsx";
@@ -25,4 +47,5 @@ export { default as VormiaRouteGuard } from "../../components/VormiaRouteGuard.j
 
 // Utilities
 export * from "../../utils/formDataTransformer.js";
+export * from "../../utils/optimisticUpdates.js";
 export * from "../../utils/enhancedErrorHandler.js";
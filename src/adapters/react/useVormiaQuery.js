@@ -1,6 +1,7 @@
 import { useQuery } from "@tanstack/react-query";
 import { getGlobalVormiaClient } from "../../client/createVormiaClient";
 import { VormiaError } from "../../client/utils/VormiaError";
+import { createQueryKey } from "../../core/QueryCache";
 
 // Export VormiaProvider from the React adapter
 export { VormiaProvider } from "../../providers/VormiaProvider";
@@ -14,12 +15,15 @@ export function useVormiaQuery(options) {
     data: bodyData,
     headers,
     transform,
+    unwrap,
+    schema,
     enabled = true,
-
+    queryKey: customKey,
     ...queryOptions
   } = options;
 
-  const queryKey = [endpoint, method, params, bodyData, headers];
+  const queryKey =
+    customKey || createQueryKey(endpoint, { method, params, data: bodyData });
 
   const queryFn = async () => {
     try {
@@ -28,19 +32,19 @@ export function useVormiaQuery(options) {
         params: method === "GET" ? params : undefined,
         data: method !== "GET" ? bodyData || params : undefined,
         headers,
+        unwrap,
+        schema,
       };
 
-      const response = await client.request({
+      // The full response is cached so other hooks on the same key can read it
+      return await client.request({
         url: endpoint,
         ...config,
       });
-      let responseData = response.data;
-
-      if (transform) {
-        responseData = transform(responseData);
-      }
-      return responseData;
     } catch (error) {
+      // Keep code, issues and field errors of the client's errors
+      if (error instanceof VormiaError) throw error;
+
       const errorMessage =
         error instanceof Error ? error.message : "An unknown error occurred";
       const status = error?.response?.status;
@@ -54,6 +58,8 @@ export function useVormiaQuery(options) {
     queryKey,
     queryFn,
     enabled,
+    select: (response) =>
+      transform ? transform(response.data) : response.data,
     ...queryOptions,
   });
 }
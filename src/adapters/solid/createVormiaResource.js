@@ -1,6 +1,8 @@
-import { createResource } from "solid-js";
+import { createResource, getOwner, onCleanup } from "solid-js";
 import { getGlobalVormiaClient } from "../../client/createVormiaClient";
 import { VormiaError } from "../../client/utils/VormiaError";
+import { queryCache, createQueryKey, toQueryData } from "../../core/QueryCache";
+import { subscribeRefetchTriggers } from "../../core/focusManager";
 
 export function createVormiaResource(options) {
   const client = getGlobalVormiaClient();
@@ -11,16 +13,37 @@ export function createVormiaResource(options) {
     data: bodyData,
     headers,
     transform,
+    unwrap,
+    schema,
+    queryKey,
+    staleTime,
+    cacheTime,
+    refetchOnWindowFocus,
+    refetchOnReconnect,
+    refetchInterval,
+    refetchIntervalInBackground,
     ...resourceOptions
   } = options;
 
-  const fetchData = async () => {
+  const key =
+    queryKey ||
+    createQueryKey(endpoint, {
+      method,
+      params,
+      data: bodyData,
+      unwrap,
+      schema,
+    });
+
+  const fetcher = async () => {
     try {
       const config = {
         method,
         params: method === "GET" ? params : undefined,
         data: method !== "GET" ? bodyData || params : undefined,
         headers,
+        unwrap,
+        schema,
       };
 
       const response = await client.request({
@@ -28,14 +51,11 @@ export function createVormiaResource(options) {
         ...config,
       });
 
-      let result = response.data;
-
-      if (transform) {
-        result = transform(result);
-      }
-
-      return result;
+      return toQueryData(response);
     } catch (error) {
+      if (error instanceof VormiaError) {
+        throw error;
+      }
       const errorMessage =
         error instanceof Error ? error.message : "An unknown error occurred";
       const status = error?.response?.status;
@@ -45,16 +65,66 @@ export function createVormiaResource(options) {
     }
   };
 
-  const [resource] = createResource(
-    resourceOptions.autoFetch !== false ? fetchData : undefined,
+  // The cache keeps meta and links too; the resource holds the data
+  const select = (cached) => (transform ? transform(cached.data) : cached.data);
+
+  const fetchData = async (force = false) => {
+    const result = await queryCache.fetch(key, fetcher, {
+      staleTime,
+      cacheTime,
+      force,
+    });
+    return select(result);
+  };
+
+  const [resource, { mutate }] = createResource(
+    resourceOptions.autoFetch !== false ? () => fetchData() : undefined,
     resourceOptions
   );
 
-  const enhancedRefetch = async (opts = {}) => {
-    const mergedOptions = { ...options, ...opts };
-    const response = await fetchData(mergedOptions);
-    return response;
+  // Follow updates made to the shared cache by other components and mutations
+  const unsubscribe = queryCache.subscribe(key, (state) => {
+    if (state.status === "success" && !state.isFetching) {
+      mutate(() => select(state.data));
+    } else if (state.status === "idle") {
+      // Reset, e.g. after logout
+      mutate(() => undefined);
+    }
+  });
+  if (getOwner()) {
+    onCleanup(unsubscribe);
+  }
+
+  // Stale-while-revalidate: the resource keeps its value while these refetch
+  if (getOwner() && resourceOptions.autoFetch !== false) {
+    onCleanup(
+      subscribeRefetchTriggers(
+        {
+          refetchOnWindowFocus,
+          refetchOnReconnect,
+          refetchInterval,
+          refetchIntervalInBackground,
+        },
+        {
+          revalidate: () => fetchData().catch(() => {}),
+          refetch: () => fetchData(true).catch(() => {}),
+        }
+      )
+    );
+  }
+
+  const enhancedRefetch = async () => {
+    const result = await fetchData(true);
+    mutate(() => result);
+    return result;
   };
 
-  return [resource, { ...resource.actions, refetch: enhancedRefetch }];
+  return [
+    resource,
+    {
+      mutate,
+      refetch: enhancedRefetch,
+      invalidate: () => queryCache.invalidate(key),
+    },
+  ];
 }
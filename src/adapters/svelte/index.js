@@ -1,5 +1,10 @@
 // Svelte adapter for VormiaQueryJS
-export { createVormiaStore } from "./vormiaStore.js";
+export { createVormiaStore, createVormiaMutationStore } from "./vormiaStore.js";
+export {
+  createVormiaPaginatedStore,
+  createVormiaInfiniteStore,
+} from "./vormiaPaginationStore.js";
+export { createVormiaFieldErrorsStore } from "./vormiaFieldErrorsStore.js";
 
 // Svelte-specific enhanced hooks
 export { useVrmAuthEnhancedSvelte } from "../../hooks/useVrmAuthEnhancedSvelte.js";
@@ -0,0 +1,61 @@
+import { writable } from 'svelte/store';
+import { FieldErrorManager } from '../../utils/fieldErrors';
+
+/**
+ * Field errors store for Svelte forms
+ * A readable store of `{ field: message }`, filled from a mutation store's
+ * 422 error and cleared once the mutation succeeds
+ * @param {Object} [options] - Field error options
+ * @param {Object} [options.mutation] - Store whose state has `error` and `isSuccess`
+ * @param {Object} [options.fieldMapping] - Mapping of API field names to form field names
+ * @param {FieldErrorManager} [options.manager] - Manager to share between components, a new one by default
+ * @returns {Object} Store plus the manager's setters, `clearOnInput`, `handleError` and `validateRules`
+ */
+export function createVormiaFieldErrorsStore(options = {}) {
+  const { mutation, fieldMapping, manager = new FieldErrorManager() } = options;
+
+  // Manager and mutation are only followed while the store has subscribers
+  const { subscribe, set } = writable(manager.getAllFieldErrors(), () => {
+    set(manager.getAllFieldErrors());
+    const stopListening = manager.addListener(() =>
+      set(manager.getAllFieldErrors())
+    );
+
+    // Mutation stores emit on every state change; act on new errors only,
+    // so errors cleared on input do not come back
+    let lastError = null;
+    let lastSuccess = false;
+    const stopMutation = mutation
+      ? mutation.subscribe((state) => {
+          if (state?.error && state.error !== lastError) {
+            manager.processValidationError(state.error, fieldMapping);
+          }
+          if (state?.isSuccess && !lastSuccess) {
+            manager.clearAllFieldErrors();
+          }
+          lastError = state?.error || null;
+          lastSuccess = !!state?.isSuccess;
+        })
+      : null;
+
+    return () => {
+      stopListening();
+      if (stopMutation) stopMutation();
+    };
+  });
+
+  return {
+    subscribe,
+    setFieldErrors: (fieldErrors) => manager.setFieldErrors(fieldErrors),
+    setFieldError: (fieldName, message) =>
+      manager.setFieldError(fieldName, message),
+    clearFieldError: (fieldName) => manager.clearFieldError(fieldName),
+    clearAllFieldErrors: () => manager.clearAllFieldErrors(),
+    // `on:input={fieldErrors.clearOnInput('email')}`
+    clearOnInput: (fieldName) => () => manager.clearFieldError(fieldName),
+    handleError: (error) => manager.processValidationError(error, fieldMapping),
+    validateRules: (values, rules, ruleOptions) =>
+      manager.validateRules(values, rules, ruleOptions),
+    manager
+  };
+}
@@ -0,0 +1,70 @@
+import { writable } from 'svelte/store';
+import { PaginationObserver } from '../../core/pagination';
+import { subscribeRefetchTriggers } from '../../core/focusManager';
+
+// Failures are in `error`; like the first load, page calls do not reject
+const settle = (promise) => promise.catch(() => {});
+
+// A store of the observer state; refetch triggers run while it has subscribers
+function createPaginationStore(options, config) {
+  const observer = new PaginationObserver(options, config);
+
+  const { subscribe, set } = writable(observer.getState(), () => {
+    set(observer.getState());
+    return subscribeRefetchTriggers(options, {
+      revalidate: () => settle(observer.revalidate()),
+      refetch: () => settle(observer.refetch())
+    });
+  });
+  observer.subscribe(set);
+
+  if (options.immediate !== false) {
+    settle(observer.setPage(options.initialPage ?? null));
+  }
+
+  return {
+    observer,
+    store: {
+      subscribe,
+      setParams: (params) => settle(observer.setParams(params)),
+      refetch: () => settle(observer.refetch()),
+      destroy: () => observer.destroy()
+    }
+  };
+}
+
+/**
+ * Paginated query store over Laravel paginators
+ * The previous page stays in `data` with `isPlaceholderData` while the next one loads
+ * @param {Object} options - Query options, see PaginationObserver
+ * @param {number|string} [options.initialPage] - First page or cursor to show
+ * @returns {Object} Store plus `setPage`, `nextPage`, `previousPage`, `setParams`, `refetch` and `destroy`
+ */
+export function createVormiaPaginatedStore(options) {
+  const { observer, store } = createPaginationStore(options);
+
+  return {
+    ...store,
+    setPage: (pageParam) => settle(observer.setPage(pageParam)),
+    nextPage: () => settle(observer.fetchNextPage()),
+    previousPage: () => settle(observer.fetchPreviousPage())
+  };
+}
+
+/**
+ * Infinite ("load more") query store over Laravel paginators
+ * `data` holds the items of every loaded page, in order
+ * @param {Object} options - Query options, see PaginationObserver
+ * @returns {Object} Store plus `fetchNextPage`, `fetchPreviousPage`, `setParams`, `refetch` and `destroy`
+ */
+export function createVormiaInfiniteStore(options) {
+  const { observer, store } = createPaginationStore(options, {
+    infinite: true
+  });
+
+  return {
+    ...store,
+    fetchNextPage: () => settle(observer.fetchNextPage()),
+    fetchPreviousPage: () => settle(observer.fetchPreviousPage())
+  };
+}
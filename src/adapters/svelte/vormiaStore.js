@@ -1,18 +1,85 @@
 import { writable } from 'svelte/store';
 import { getGlobalVormiaClient } from '../../client/createVormiaClient';
 import { VormiaError } from '../../client/utils/VormiaError';
+import {
+  queryCache,
+  createQueryKey,
+  hashQueryKey,
+  toQueryData,
+  invalidateQueries,
+  refetchQueries
+} from '../../core/QueryCache';
+import { vrmKeys, resolveQueryKeys } from '../../core/queryKeys';
+import { subscribeRefetchTriggers } from '../../core/focusManager';
 
 export function createVormiaStore(initialOptions = {}) {
   const client = getGlobalVormiaClient();
+
+  // The store mirrors the shared cache entry while it has subscribers
+  let active = false;
+  let unsubscribeCache = null;
+  let watchedHash = null;
+  let watchedKey = null;
+  let watchedTransform = initialOptions.transform;
+
+  const syncState = (cacheState) => {
+    update(state => {
+      if (cacheState.status === 'success') {
+        const cached = cacheState.data || {};
+        return {
+          ...state,
+          data: watchedTransform ? watchedTransform(cached.data) : cached.data,
+          meta: cached.meta || null,
+          links: cached.links || null,
+          error: null,
+          isLoading: false,
+          isFetching: cacheState.isFetching,
+          isError: false,
+          isSuccess: true
+        };
+      }
+      if (cacheState.status === 'error') {
+        return { ...state, error: cacheState.error, isLoading: false, isFetching: false, isError: true, isSuccess: false };
+      }
+      if (cacheState.status === 'idle') {
+        // Reset, e.g. after logout: nothing of the previous user stays on screen
+        return { ...state, data: null, meta: null, links: null, error: null, isLoading: false, isFetching: false, isError: false, isSuccess: false };
+      }
+      return { ...state, isLoading: cacheState.status === 'loading', isFetching: cacheState.isFetching };
+    });
+  };
+
+  const subscribeCache = () => {
+    if (unsubscribeCache) unsubscribeCache();
+    unsubscribeCache = active && watchedKey ? queryCache.subscribe(watchedKey, syncState) : null;
+  };
+
   const { subscribe, set, update } = writable({
     data: null,
+    meta: null,
+    links: null,
     error: null,
     isLoading: false,
+    isFetching: false,
     isError: false,
     isSuccess: false,
+    progress: { upload: null, download: null },
+  }, () => {
+    active = true;
+    subscribeCache();
+    // Background refetches only run while someone is subscribed to the store
+    const stopTriggers = subscribeRefetchTriggers(initialOptions, {
+      revalidate: () => fetchData().catch(() => {}),
+      refetch: () => fetchData({}, true).catch(() => {})
+    });
+    return () => {
+      active = false;
+      subscribeCache();
+      stopTriggers();
+    };
   });
 
-  async function fetchData(options = {}) {
+  async function fetchData(options = {}, force = false) {
     const mergedOptions = { ...initialOptions, ...options };
     const { 
       endpoint, 
@@ -21,26 +88,64 @@ export function createVormiaStore(initialOptions = {}) {
       data: bodyData, 
       headers, 
       transform, 
+      unwrap,
+      schema,
       onSuccess, 
-      onError 
+      onError,
+      trackProgress = false,
+      onUploadProgress,
+      onDownloadProgress,
+      queryKey,
+      staleTime,
+      cacheTime
     } = mergedOptions;
 
-    update(state => ({ ...state, isLoading: true, isError: false, isSuccess: false }));
+    const key = queryKey || createQueryKey(endpoint, { method, params, data: bodyData, unwrap, schema });
+    watchedTransform = transform;
+    if (hashQueryKey(key) !== watchedHash) {
+      watchedHash = hashQueryKey(key);
+      watchedKey = key;
+      subscribeCache();
+    }
 
-    try {
+    const emptyProgress = { upload: null, download: null };
+
+    // Keep showing existing data while revalidating
+    update(state => ({ ...state, isLoading: !state.isSuccess, isFetching: true, isError: false, progress: emptyProgress }));
+
+    const fetcher = async () => {
       const config = {
         method,
         params: method === 'GET' ? params : undefined,
         data: method !== 'GET' ? (bodyData || params) : undefined,
-        headers
+        headers,
+        unwrap,
+        schema
       };
 
+      if (trackProgress || onUploadProgress || onDownloadProgress) {
+        // Upload progress switches the request to the XHR transport
+        config.onUploadProgress = (event) => {
+          update(state => ({ ...state, progress: { ...state.progress, upload: event } }));
+          if (onUploadProgress) onUploadProgress(event);
+        };
+        config.onDownloadProgress = (event) => {
+          update(state => ({ ...state, progress: { ...state.progress, download: event } }));
+          if (onDownloadProgress) onDownloadProgress(event);
+        };
+      }
+
       const response = await client.request({
         url: endpoint,
         ...config
       });
 
-      let result = response.data;
+      return toQueryData(response);
+    };
+
+    try {
+      const cached = await queryCache.fetch(key, fetcher, { staleTime, cacheTime, force });
+      let result = cached.data;
 
       if (transform) {
         result = transform(result);
@@ -48,13 +153,16 @@ export function createVormiaStore(initialOptions = {}) {
 
       const newState = {
         data: result,
+        meta: cached.meta || null,
+        links: cached.links || null,
         error: null,
         isLoading: false,
+        isFetching: false,
         isError: false,
         isSuccess: true
       };
 
-      set(newState);
+      update(state => ({ ...newState, progress: state.progress }));
       
       if (onSuccess) {
         onSuccess(newState);
@@ -71,14 +179,15 @@ export function createVormiaStore(initialOptions = {}) {
         : new VormiaError(errorMessage, status, errorData);
 
       const errorState = {
-        data: null,
         error: errorObj,
         isLoading: false,
+        isFetching: false,
         isError: true,
         isSuccess: false
       };
 
-      set(errorState);
+      // Data from an earlier successful fetch stays visible next to the error
+      update(state => ({ ...state, ...errorState }));
       
       if (onError) {
         onError(errorObj);
@@ -89,14 +198,85 @@ export function createVormiaStore(initialOptions = {}) {
   }
 
   if (initialOptions.immediate !== false) {
-    fetchData();
+    fetchData().catch(() => {});
   }
 
   return {
     subscribe,
     fetch: fetchData,
-    refetch: fetchData,
+    refetch: (options = {}) => fetchData(options, true),
+    invalidate: () => (watchedKey ? queryCache.invalidate(watchedKey) : Promise.resolve()),
     set,
     update
   };
 }
+
+/**
+ * Mutation store for Svelte
+ * State has `data`, `error`, `isLoading`, `isError` and `isSuccess`, so it can
+ * drive createVormiaFieldErrorsStore
+ * @param {Object} [options] - Mutation options
+ * @param {string|Function} [options.unwrap] - Envelope preset or strategy, the client's by default
+ * @param {Object} [options.schema] - Validator for the response data
+ * @param {Object} [options.requestSchema] - Validator for the values, checked before sending
+ * @param {Array|string|Function} [options.invalidates] - Keys or prefixes to mark stale after success, or `(response, values) => keys`; defaults to `vrmKeys.all(endpoint)`
+ * @param {Array|string|Function} [options.refetches] - Keys or prefixes to refetch right away after success
+ * @param {Function} [options.onSuccess] - Called with the response
+ * @param {Function} [options.onError] - Called with the VormiaError
+ * @returns {Object} Store with `mutate(endpoint, values, method = 'POST', config)` and `reset()`
+ */
+export function createVormiaMutationStore(options = {}) {
+  const client = getGlobalVormiaClient();
+  const initialState = { data: null, error: null, isLoading: false, isError: false, isSuccess: false };
+  const { subscribe, set, update } = writable(initialState);
+
+  async function mutate(endpoint, values, method = 'POST', config = {}) {
+    update(state => ({ ...state, isLoading: true, isError: false, isSuccess: false }));
+
+    try {
+      const response = await client.request({
+        url: endpoint,
+        method,
+        data: values,
+        unwrap: options.unwrap,
+        schema: options.schema,
+        requestSchema: options.requestSchema,
+        ...config
+      });
+
+      set({ data: response, error: null, isLoading: false, isError: false, isSuccess: true });
+
+      // Like useVrmMutation, the endpoint's own queries unless told otherwise
+      invalidateQueries(
+        options.invalidates === undefined && options.refetches === undefined
+          ? [vrmKeys.all(endpoint)]
+          : resolveQueryKeys(options.invalidates, response, values)
+      );
+      refetchQueries(resolveQueryKeys(options.refetches, response, values));
+
+      if (options.onSuccess) {
+        options.onSuccess(response);
+      }
+
+      return response;
+    } catch (err) {
+      const errorObj = err instanceof VormiaError
+        ? err
+        : new VormiaError(err instanceof Error ? err.message : 'An unknown error occurred', err?.response?.status);
+
+      update(state => ({ ...state, error: errorObj, isLoading: false, isError: true, isSuccess: false }));
+
+      if (options.onError) {
+        options.onError(errorObj);
+      }
+
+      throw errorObj;
+    }
+  }
+
+  return {
+    subscribe,
+    mutate,
+    reset: () => set(initialState)
+  };
+}
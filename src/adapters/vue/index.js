@@ -1,5 +1,10 @@
 // Vue adapter for VormiaQueryJS
 export { useVormiaQuery, useVormiaMutation } from "./useVormia.js";
+export {
+  useVormiaPaginatedQuery,
+  useVormiaInfiniteQuery,
+} from "./useVormiaPagination.js";
+export { useVormiaFieldErrors } from "./useVormiaFieldErrors.js";
 
 // Vue-specific enhanced hooks
 export { useVrmAuthEnhancedVue } from "../../hooks/useVrmAuthEnhancedVue.js";
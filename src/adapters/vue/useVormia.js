@@ -1,16 +1,81 @@
-import { ref } from 'vue';
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
 import { getGlobalVormiaClient } from '../../client/createVormiaClient';
 import { VormiaError } from '../../client/utils/VormiaError';
+import {
+  queryCache,
+  createQueryKey,
+  hashQueryKey,
+  toQueryData,
+  invalidateQueries,
+  refetchQueries
+} from '../../core/QueryCache';
+import { vrmKeys, resolveQueryKeys } from '../../core/queryKeys';
+import { subscribeRefetchTriggers } from '../../core/focusManager';
+
+const toVormiaError = (err) => {
+  if (err instanceof VormiaError) return err;
+  const errorMessage = err instanceof Error ? err.message : 'An unknown error occurred';
+  return new VormiaError(errorMessage, err?.response?.status, err?.response?.data);
+};
 
 export function useVormiaQuery(options) {
   const client = getGlobalVormiaClient();
   const data = ref(null);
+  const meta = ref(null);
+  const links = ref(null);
   const error = ref(null);
   const isLoading = ref(false);
   const isError = ref(false);
   const isSuccess = ref(false);
+  const isFetching = ref(false);
+
+  // Refs mirror the shared cache entry, so other components' fetches and
+  // mutations' invalidations show up here too
+  let unsubscribe = null;
+  let watchedHash = null;
+  let watchedKey = null;
+  let watchedTransform = options.transform;
 
-  const fetchData = async (opts = {}) => {
+  const syncState = (state) => {
+    // isLoading is only true until there is data, background refetches set isFetching
+    isLoading.value = state.status === 'loading';
+    isFetching.value = state.isFetching;
+    if (state.status === 'success') {
+      const cached = state.data || {};
+      data.value = watchedTransform && cached.data ? watchedTransform(cached.data) : cached.data;
+      meta.value = cached.meta || null;
+      links.value = cached.links || null;
+      error.value = null;
+      isError.value = false;
+      isSuccess.value = true;
+    } else if (state.status === 'error') {
+      error.value = state.error;
+      isError.value = true;
+      isSuccess.value = false;
+    } else if (state.status === 'idle') {
+      // Reset, e.g. after logout: nothing of the previous user stays on screen
+      data.value = null;
+      meta.value = null;
+      links.value = null;
+      error.value = null;
+      isError.value = false;
+      isSuccess.value = false;
+    }
+  };
+
+  const watchKey = (queryKey, transform) => {
+    watchedTransform = transform;
+    const hash = hashQueryKey(queryKey);
+    if (hash !== watchedHash) {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = queryCache.subscribe(queryKey, syncState);
+      watchedHash = hash;
+      watchedKey = queryKey;
+    }
+    syncState(queryCache.getState(queryKey));
+  };
+
+  const fetchData = async (opts = {}, force = false) => {
     const mergedOptions = { ...options, ...opts };
     const { 
       endpoint, 
@@ -19,77 +84,92 @@ export function useVormiaQuery(options) {
       data: bodyData, 
       headers, 
       transform, 
+      unwrap,
+      schema,
       onSuccess, 
-      onError 
+      onError,
+      queryKey,
+      staleTime,
+      cacheTime
     } = mergedOptions;
 
-    isLoading.value = true;
-    isError.value = false;
-    isSuccess.value = false;
+    const key = queryKey || createQueryKey(endpoint, { method, params, data: bodyData, unwrap, schema });
+    watchKey(key, transform);
 
-    try {
-      const config = {
-        method,
-        params: method === 'GET' ? params : undefined,
-        headers
-      };
+    let response = null;
+    const fetcher = async () => {
+      try {
+        response = await client.request({
+          url: endpoint,
+          method,
+          data: method !== 'GET' ? (bodyData || params) : undefined,
+          params: method === 'GET' ? params : undefined,
+          headers,
+          unwrap,
+          schema
+        });
+        return toQueryData(response);
+      } catch (err) {
+        throw toVormiaError(err);
+      }
+    };
 
-      const response = await client.request({
-        url: endpoint,
-        method,
-        data: method !== 'GET' ? (bodyData || params) : undefined,
-        ...config,
-      });
-      
-      let result = response.data;
+    try {
+      const cached = await queryCache.fetch(key, fetcher, { staleTime, cacheTime, force });
+      let result = cached.data;
 
       if (transform && result) {
         result = transform(result);
-        response.data = result;
       }
 
-      data.value = result;
-      isSuccess.value = true;
-      
+      // Cache hits and fetches shared with another component have no response of their own
+      const finalResponse = { ...(response || cached), data: result };
+
       if (onSuccess) {
-        onSuccess(response);
+        onSuccess(finalResponse);
       }
 
-      return response;
+      return finalResponse;
     } catch (err) {
-      const errorMessage = err instanceof Error ? err.message : 'An unknown error occurred';
-      const status = err?.response?.status;
-      const errorData = err?.response?.data;
-      
-      const errorObj = err instanceof VormiaError 
-        ? err 
-        : new VormiaError(errorMessage, status, errorData);
-        
-      error.value = errorObj;
-      isError.value = true;
-      
+      const errorObj = toVormiaError(err);
+
       if (onError) {
         onError(errorObj);
       }
       
       throw errorObj;
-    } finally {
-      isLoading.value = false;
     }
   };
 
   if (options.immediate !== false) {
-    fetchData();
+    fetchData().catch(() => {});
+  }
+
+  // Stale-while-revalidate: cached data stays visible while focus, reconnect
+  // and interval refetches run in the background
+  if (getCurrentScope()) {
+    const stopTriggers = subscribeRefetchTriggers(options, {
+      revalidate: () => fetchData().catch(() => {}),
+      refetch: () => fetchData({}, true).catch(() => {})
+    });
+    onScopeDispose(() => {
+      stopTriggers();
+      if (unsubscribe) unsubscribe();
+    });
   }
 
   return {
     data,
+    meta,
+    links,
     error,
     isLoading,
     isError,
     isSuccess,
+    isFetching,
     fetch: fetchData,
-    refetch: fetchData
+    refetch: (opts = {}) => fetchData(opts, true),
+    invalidate: () => (watchedKey ? queryCache.invalidate(watchedKey) : Promise.resolve())
   };
 }
 
@@ -100,22 +180,53 @@ export function useVormiaMutation(options = {}) {
   const isLoading = ref(false);
   const isError = ref(false);
   const isSuccess = ref(false);
+  const progress = ref({ upload: null, download: null });
+
+  const { trackProgress = false, onUploadProgress, onDownloadProgress } = options;
+  const shouldTrackProgress = trackProgress || !!onUploadProgress || !!onDownloadProgress;
 
   const mutate = async (endpoint, values, method = 'POST', config = {}) => {
     isLoading.value = true;
     isError.value = false;
     isSuccess.value = false;
 
+    const progressConfig = {};
+    if (shouldTrackProgress) {
+      progress.value = { upload: null, download: null };
+      // Upload progress switches the request to the XHR transport
+      progressConfig.onUploadProgress = (event) => {
+        progress.value = { ...progress.value, upload: event };
+        if (onUploadProgress) onUploadProgress(event);
+      };
+      progressConfig.onDownloadProgress = (event) => {
+        progress.value = { ...progress.value, download: event };
+        if (onDownloadProgress) onDownloadProgress(event);
+      };
+    }
+
     try {
       const response = await client.request({
         url: endpoint,
         method,
         data: values,
+        unwrap: options.unwrap,
+        schema: options.schema,
+        requestSchema: options.requestSchema,
+        ...progressConfig,
         ...config
       });
 
       data.value = response;
       isSuccess.value = true;
+
+      // Refresh queries that show what this mutation changed, in any component;
+      // like useVrmMutation, the endpoint's own queries unless told otherwise
+      invalidateQueries(
+        options.invalidates === undefined && options.refetches === undefined
+          ? [vrmKeys.all(endpoint)]
+          : resolveQueryKeys(options.invalidates, response, values)
+      );
+      refetchQueries(resolveQueryKeys(options.refetches, response, values));
       
       if (options.onSuccess) {
         options.onSuccess(response);
@@ -123,13 +234,7 @@ export function useVormiaMutation(options = {}) {
 
       return response;
     } catch (err) {
-      const errorMessage = err instanceof Error ? err.message : 'An unknown error occurred';
-      const status = err?.response?.status;
-      const errorData = err?.response?.data;
-      
-      const errorObj = err instanceof VormiaError 
-        ? err 
-        : new VormiaError(errorMessage, status, errorData);
+      const errorObj = toVormiaError(err);
         
       error.value = errorObj;
       isError.value = true;
@@ -150,6 +255,7 @@ export function useVormiaMutation(options = {}) {
     isLoading,
     isError,
     isSuccess,
+    progress,
     mutate
   };
 }
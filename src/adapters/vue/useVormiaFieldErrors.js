@@ -0,0 +1,64 @@
+import {
+  ref,
+  computed,
+  watch,
+  unref,
+  getCurrentScope,
+  onScopeDispose
+} from 'vue';
+import { FieldErrorManager, getFieldClasses } from '../../utils/fieldErrors';
+
+/**
+ * Field errors for Vue forms
+ * `errors` is a ref kept in sync with a FieldErrorManager, filled from a
+ * mutation's 422 error and cleared once the mutation succeeds
+ * @param {Object} [options] - Field error options
+ * @param {Object} [options.mutation] - Mutation with `error` and `isSuccess` refs (`useVormiaMutation`)
+ * @param {Object} [options.fieldMapping] - Mapping of API field names to form field names
+ * @param {FieldErrorManager} [options.manager] - Manager to share between components, a new one by default
+ * @returns {Object} `errors` and `hasAnyErrors` refs plus the manager's setters, `handleError` and `validateRules`
+ */
+export function useVormiaFieldErrors(options = {}) {
+  const { mutation, fieldMapping, manager = new FieldErrorManager() } = options;
+  const errors = ref(manager.getAllFieldErrors());
+  const stopListening = manager.addListener(() => {
+    errors.value = manager.getAllFieldErrors();
+  });
+
+  if (mutation) {
+    watch(
+      () => unref(mutation.error),
+      (error) => manager.processValidationError(error, fieldMapping),
+      { immediate: true }
+    );
+    watch(
+      () => unref(mutation.isSuccess),
+      (isSuccess) => {
+        if (isSuccess) manager.clearAllFieldErrors();
+      }
+    );
+  }
+
+  if (getCurrentScope()) {
+    onScopeDispose(stopListening);
+  }
+
+  return {
+    errors,
+    hasAnyErrors: computed(() => Object.keys(errors.value).length > 0),
+    getFieldError: (fieldName) => errors.value[fieldName],
+    hasFieldError: (fieldName) => !!errors.value[fieldName],
+    getFieldClasses: (fieldName, baseClasses, errorClasses) =>
+      getFieldClasses(!!errors.value[fieldName], baseClasses, errorClasses),
+    setFieldErrors: (fieldErrors) => manager.setFieldErrors(fieldErrors),
+    setFieldError: (fieldName, message) =>
+      manager.setFieldError(fieldName, message),
+    // `@input="clearFieldError('email')"`
+    clearFieldError: (fieldName) => manager.clearFieldError(fieldName),
+    clearAllFieldErrors: () => manager.clearAllFieldErrors(),
+    handleError: (error) => manager.processValidationError(error, fieldMapping),
+    validateRules: (values, rules, ruleOptions) =>
+      manager.validateRules(values, rules, ruleOptions),
+    manager
+  };
+}
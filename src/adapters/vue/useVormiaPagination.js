@@ -0,0 +1,74 @@
+import { ref, getCurrentScope, onScopeDispose } from 'vue';
+import { PaginationObserver } from '../../core/pagination';
+import { subscribeRefetchTriggers } from '../../core/focusManager';
+
+// Failures are in `error`; like the first load, page calls do not reject
+const settle = (promise) => promise.catch(() => {});
+
+// Refs for every field of the observer state, kept in sync with it
+function usePaginationObserver(options, config) {
+  const observer = new PaginationObserver(options, config);
+  const refs = Object.fromEntries(
+    Object.entries(observer.getState()).map(([key, value]) => [key, ref(value)])
+  );
+  observer.subscribe((state) => {
+    Object.keys(refs).forEach((key) => {
+      refs[key].value = state[key];
+    });
+  });
+
+  if (options.immediate !== false) {
+    settle(observer.setPage(options.initialPage ?? null));
+  }
+
+  if (getCurrentScope()) {
+    const stopTriggers = subscribeRefetchTriggers(options, {
+      revalidate: () => settle(observer.revalidate()),
+      refetch: () => settle(observer.refetch())
+    });
+    onScopeDispose(() => {
+      stopTriggers();
+      observer.destroy();
+    });
+  }
+
+  return { observer, refs };
+}
+
+/**
+ * Paginated query over Laravel paginators for Vue
+ * The previous page stays in `data` with `isPlaceholderData` while the next one loads
+ * @param {Object} options - Query options, see PaginationObserver
+ * @param {number|string} [options.initialPage] - First page or cursor to show
+ * @returns {Object} Refs plus `setPage`, `nextPage`, `previousPage`, `setParams` and `refetch`
+ */
+export function useVormiaPaginatedQuery(options) {
+  const { observer, refs } = usePaginationObserver(options);
+
+  return {
+    ...refs,
+    setPage: (pageParam) => settle(observer.setPage(pageParam)),
+    nextPage: () => settle(observer.fetchNextPage()),
+    previousPage: () => settle(observer.fetchPreviousPage()),
+    setParams: (params) => settle(observer.setParams(params)),
+    refetch: () => settle(observer.refetch())
+  };
+}
+
+/**
+ * Infinite ("load more") query over Laravel paginators for Vue
+ * `data` holds the items of every loaded page, in order
+ * @param {Object} options - Query options, see PaginationObserver
+ * @returns {Object} Refs plus `fetchNextPage`, `fetchPreviousPage`, `setParams` and `refetch`
+ */
+export function useVormiaInfiniteQuery(options) {
+  const { observer, refs } = usePaginationObserver(options, { infinite: true });
+
+  return {
+    ...refs,
+    fetchNextPage: () => settle(observer.fetchNextPage()),
+    fetchPreviousPage: () => settle(observer.fetchPreviousPage()),
+    setParams: (params) => settle(observer.setParams(params)),
+    refetch: () => settle(observer.refetch())
+  };
+}
@@ -1,4 +1,30 @@
 import { VormiaError } from "./utils/VormiaError";
+import { InterceptorManager } from "./utils/InterceptorManager";
+import { buildUrlWithParams } from "./utils/queryString";
+import { prepareRequestBody } from "./utils/requestBody";
+import { sendRequest } from "./utils/transport";
+import { resolveUnwrap, unwrapResponse } from "./utils/unwrap";
+import { validateSchema } from "./utils/schema";
+import { queryCache } from "../core/QueryCache";
+import { useAuthStore } from "../stores/useAuthStore.js";
+import { useSettingsStore } from "../stores/useSettingsStore.js";
+import {
+  JSON_API_MEDIA_TYPE,
+  jsonApiErrorsToFieldErrors,
+} from "./utils/jsonApi";
+import {
+  getTokenStorage,
+  readCookie,
+  resolveEncryptedTokenStorage,
+  setTokenStorage,
+  sharedTokenStorage,
+} from "./utils/tokenStorage";
+import {
+  resolveRetryPolicy,
+  shouldRetryRequest,
+  getRetryDelay,
+  waitForRetry,
+} from "./utils/retry";
 
 // Helper function to convert headers to HeadersInit
 const toHeadersInit = (headers) => {
@@ -16,6 +42,63 @@ const toHeadersInit = (headers) => {
   return result;
 };
 
+// Combine the caller's AbortSignal with the configured timeout
+const createAbortSignal = (externalSignal, timeout) => {
+  const controller = new AbortController();
+  const state = { timedOut: false };
+  let timer = null;
+
+  const abortFromExternal = () => controller.abort();
+
+  if (externalSignal) {
+    if (externalSignal.aborted) {
+      controller.abort();
+    } else {
+      externalSignal.addEventListener("abort", abortFromExternal);
+    }
+  }
+
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      state.timedOut = true;
+      controller.abort();
+    }, timeout);
+  }
+
+  return {
+    signal: controller.signal,
+    state,
+    cleanup: () => {
+      if (timer) clearTimeout(timer);
+      if (externalSignal) {
+        externalSignal.removeEventListener("abort", abortFromExternal);
+      }
+    },
+  };
+};
+
+// JSON:API servers answer 406/415 to plain application/json
+const JSON_API_HEADERS = {
+  "Content-Type": JSON_API_MEDIA_TYPE,
+  Accept: JSON_API_MEDIA_TYPE,
+};
+
+const isMutatingMethod = (method = "GET") =>
+  !["GET", "HEAD", "OPTIONS"].includes(method.toUpperCase());
+
+// Sanctum serves /sanctum/csrf-cookie from the app root, not under an /api baseURL
+const resolveCsrfCookieUrl = (endpoint, baseURL) => {
+  if (/^https?:\/\//.test(endpoint) || !endpoint.startsWith("/")) {
+    return endpoint;
+  }
+  try {
+    return new URL(endpoint, baseURL).href;
+  } catch {
+    // Relative baseURL, let the browser resolve against the page origin
+    return endpoint;
+  }
+};
+
 // Create a simple HTTP client that matches our VormiaInstance interface
 const createHttpClient = (baseConfig) => {
   const client = {
@@ -44,23 +127,61 @@ const createHttpClient = (baseConfig) => {
         fullUrl = "";
       }
 
-      const headers = toHeadersInit({
-        "Content-Type": "application/json",
-        Accept: "application/json",
-        ...baseConfig.headers,
-        ...config.headers,
+      fullUrl = buildUrlWithParams(
+        fullUrl,
+        config.params,
+        config.paramsSerializer || baseConfig.paramsSerializer
+      );
+
+      const unwrap =
+        config.unwrap !== undefined ? config.unwrap : baseConfig.unwrap;
+
+      // FormData, Blob, URLSearchParams and ArrayBuffer bodies are sent as-is
+      const prepared = prepareRequestBody({
+        data: config.data,
+        method: config.method || "GET",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+          ...baseConfig.headers,
+          ...(unwrap === "jsonapi" && JSON_API_HEADERS),
+          ...config.headers,
+        },
+        multipart:
+          config.multipart !== undefined
+            ? config.multipart
+            : baseConfig.multipart,
+        methodSpoofing:
+          config.methodSpoofing !== undefined
+            ? config.methodSpoofing
+            : baseConfig.methodSpoofing,
       });
+      const headers = toHeadersInit(prepared.headers);
+
+      // A timeout of 0 disables the timer, as in axios
+      const timeout =
+        config.timeout !== undefined ? config.timeout : baseConfig.timeout;
+      const abort = createAbortSignal(config.signal, timeout);
 
+      // TypeErrors after the response arrived are bugs, not network failures
+      let received = false;
       try {
-        const response = await fetch(fullUrl, {
-          method: config.method || "GET",
-          headers,
-          body: config.data ? JSON.stringify(config.data) : undefined,
-          credentials:
-            config.withCredentials || baseConfig.withCredentials
-              ? "include"
-              : "same-origin",
-        });
+        // Falls back to XMLHttpRequest when upload progress is requested
+        const response = await sendRequest(
+          fullUrl,
+          {
+            method: prepared.method,
+            headers,
+            body: prepared.body,
+            credentials:
+              config.withCredentials || baseConfig.withCredentials
+                ? "include"
+                : "same-origin",
+            signal: abort.signal,
+          },
+          { ...config, transport: config.transport || baseConfig.transport }
+        );
+        received = true;
 
         // Handle different response types based on status code
         let responseData = {};
@@ -73,6 +194,10 @@ const createHttpClient = (baseConfig) => {
           try {
             responseData = await response.json();
           } catch (parseError) {
+            // A timeout while reading the body is not a parse failure
+            if (abort.signal.aborted) {
+              throw parseError;
+            }
             // If JSON parsing fails, create a basic response object
             responseData = {
               message: `Response received but could not parse content (Status: ${response.status})`,
@@ -92,42 +217,31 @@ const createHttpClient = (baseConfig) => {
               data: responseData,
               status: response.status,
               statusText: response.statusText,
-              headers: {},
+              headers: response.headers,
             },
             debug: responseData.debug,
           };
 
+          // JSON:API error objects become `{ field: [messages] }`, as in a 422
+          if (unwrap === "jsonapi" && Array.isArray(responseData.errors)) {
+            const [first] = responseData.errors;
+            errorData.message =
+              first?.detail || first?.title || errorData.message;
+            errorData.errors = jsonApiErrorsToFieldErrors(responseData.errors);
+          }
+
           throw new VormiaError(errorData);
         }
 
-        // Handle API responses
-        // If the API response has a standard structure with success, message, data/errors, debug
-        // extract the appropriate field for easier access
-        let finalData = responseData;
-        let responseMessage = responseData.message;
-        let responseDebug = responseData.debug;
-
-        if (responseData.success !== undefined) {
-          // Standard API response structure: { success, message, data/errors, debug }
-          if (
-            responseData.success === true &&
-            responseData.data !== undefined
-          ) {
-            // Success response with data
-            finalData = responseData.data;
-          } else if (responseData.success === false) {
-            // Error response - keep the full response structure for error handling
-            finalData = responseData;
-            // Don't extract data, keep errors accessible
-          }
-          responseMessage = responseData.message;
-          responseDebug = responseData.debug;
-        }
+        // Unwrap the envelope with the request's or the client's strategy
+        const { data, meta, links } = unwrapResponse(responseData, unwrap);
 
         return {
-          data: finalData,
-          message: responseMessage,
-          debug: responseDebug,
+          data,
+          meta,
+          links,
+          message: responseData?.message,
+          debug: responseData?.debug,
           status: response.status,
           statusText: response.statusText,
           headers: response.headers,
@@ -139,8 +253,26 @@ const createHttpClient = (baseConfig) => {
           throw error;
         }
 
-        // Handle network errors
-        if (error.name === "TypeError" && error.message === "Failed to fetch") {
+        // Handle timeouts and caller cancellation
+        if (error.name === "AbortError" || abort.signal.aborted) {
+          if (abort.state.timedOut) {
+            throw new VormiaError({
+              message: `Request timed out after ${timeout}ms`,
+              code: "TIMEOUT",
+              status: 0,
+            });
+          }
+          throw new VormiaError({
+            message: "Request was aborted",
+            code: "ABORTED",
+            status: 0,
+          });
+        }
+
+        // fetch rejects with a TypeError when the server can't be reached,
+        // worded per browser: "Failed to fetch", "NetworkError when attempting
+        // to fetch resource.", "Load failed"
+        if (error.name === "TypeError" && !received) {
           throw new VormiaError({
             message: "Network error: Unable to connect to the server",
             code: "NETWORK_ERROR",
@@ -165,6 +297,8 @@ const createHttpClient = (baseConfig) => {
           response: error.response,
           stack: error.stack,
         });
+      } finally {
+        abort.cleanup();
       }
     },
   };
@@ -194,12 +328,48 @@ class VormiaClient {
   constructor(config) {
     this.config = {
       authTokenKey: "auth_token",
+      refreshTokenKey: "refresh_token",
+      tokenExpiryKey: "auth_token_expiry",
       withCredentials: false,
       timeout: 30000,
+      // Share identical in-flight GETs, opt out per request with `dedupe: false`
+      dedupe: true,
+      // Refresh this long before the stored expiry, when it is known
+      refreshThreshold: 300000,
+      proactiveRefresh: true,
+      // Laravel Sanctum SPA authentication (authMode: "sanctum")
+      authMode: "bearer",
+      csrfCookieEndpoint: "/sanctum/csrf-cookie",
+      xsrfCookieName: "XSRF-TOKEN",
+      xsrfHeaderName: "X-XSRF-TOKEN",
 
       ...config,
     };
 
+    // Sanctum's session and XSRF cookies must travel with every request
+    if (this.config.authMode === "sanctum") {
+      this.config.withCredentials = true;
+    }
+    this.csrfPromise = null;
+
+    // Fail fast on an unknown envelope preset
+    resolveUnwrap(this.config.unwrap);
+
+    // Without an explicit tokenStorage the client shares the global one
+    this.tokenStorage = this.config.tokenStorage
+      ? resolveEncryptedTokenStorage(this.config.tokenStorage, [
+          this.config.authTokenKey,
+          this.config.refreshTokenKey,
+          this.config.tokenExpiryKey,
+        ])
+      : sharedTokenStorage;
+
+    // Single in-flight token refresh shared by every waiting request
+    this.refreshPromise = null;
+
+    // In-flight GETs by dedupe key, see getDedupeKey()
+    this.inflightRequests = new Map();
+
     this.http = createHttpClient({
       baseURL: this.config.baseURL,
       headers: {
@@ -209,11 +379,25 @@ class VormiaClient {
       },
       withCredentials: this.config.withCredentials,
       timeout: this.config.timeout,
+      paramsSerializer: this.config.paramsSerializer,
+      multipart: this.config.multipart,
+      methodSpoofing: this.config.methodSpoofing,
+      transport: this.config.transport,
+      unwrap: this.config.unwrap,
     });
+
+    this.interceptors = {
+      request: new InterceptorManager(),
+      response: new InterceptorManager(),
+    };
   }
 
   // Enhanced interceptor-like functionality with Zustand integration
   async handleRequest(config) {
+    if (!config.skipAuthRefresh) {
+      await this.ensureFreshToken();
+    }
+
     // Add auth token if available (now from Zustand store)
     const token = this.getAuthToken();
     if (token) {
@@ -222,10 +406,55 @@ class VormiaClient {
         Authorization: `Bearer ${token}`,
       };
     }
+    // Remember which token was sent, to spot 401s from before a refresh
+    config._authToken = token;
+
+    if (this.isSanctum() && isMutatingMethod(config.method)) {
+      let xsrfToken = readCookie(this.config.xsrfCookieName);
+      if (!xsrfToken) {
+        await this.fetchCsrfCookie();
+        xsrfToken = readCookie(this.config.xsrfCookieName);
+      }
+      if (xsrfToken) {
+        config.headers = {
+          ...config.headers,
+          [this.config.xsrfHeaderName]: xsrfToken,
+        };
+      }
+    }
 
     return config;
   }
 
+  isSanctum() {
+    return this.config.authMode === "sanctum";
+  }
+
+  /**
+   * Fetch Sanctum's CSRF cookie, sharing one request between concurrent callers
+   * Called automatically before the first mutating request and after a 419
+   * @returns {Promise<void>}
+   */
+  fetchCsrfCookie() {
+    if (!this.csrfPromise) {
+      this.csrfPromise = this.request({
+        method: "GET",
+        url: resolveCsrfCookieUrl(
+          this.config.csrfCookieEndpoint,
+          this.config.baseURL
+        ),
+        skipAuthRefresh: true,
+        retry: false,
+        _isCsrfRequest: true,
+      })
+        .then(() => undefined)
+        .finally(() => {
+          this.csrfPromise = null;
+        });
+    }
+    return this.csrfPromise;
+  }
+
   handleUnauthorized() {
     this.removeAuthToken();
     if (this.config.onUnauthenticated) {
@@ -233,48 +462,385 @@ class VormiaClient {
     }
   }
 
-  getAuthToken() {
-    // Get token from localStorage
-    if (typeof window !== "undefined") {
-      return localStorage.getItem(this.config.authTokenKey);
+  canRefreshToken() {
+    return (
+      typeof this.config.refreshToken === "function" ||
+      !!this.config.refreshEndpoint
+    );
+  }
+
+  // Wait for a running refresh, or start one if the token is about to expire
+  async ensureFreshToken() {
+    if (this.refreshPromise) {
+      await this.refreshPromise.catch(() => {});
+      return;
+    }
+
+    if (!this.config.proactiveRefresh || !this.canRefreshToken()) {
+      return;
+    }
+
+    const expiry = this.getTokenExpiry();
+    if (
+      expiry &&
+      this.getAuthToken() &&
+      Date.now() >= expiry - this.config.refreshThreshold
+    ) {
+      // A failed proactive refresh falls through to the 401 handling
+      await this.refreshAccessToken().catch(() => {});
+    }
+  }
+
+  /**
+   * Refresh the access token, sharing one request between all callers
+   * @returns {Promise<string>} The new access token
+   */
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  // A failed refresh signs out once, however many requests were waiting on it
+  async performTokenRefresh() {
+    try {
+      return await this.requestTokenRefresh();
+    } catch (error) {
+      this.handleUnauthorized();
+      throw error;
     }
-    return null;
+  }
+
+  async requestTokenRefresh() {
+    const refreshToken = this.getRefreshToken();
+    let result;
+
+    if (typeof this.config.refreshToken === "function") {
+      // Its requests skip token refresh, waiting on this one would deadlock
+      const refreshClient = Object.create(this);
+      refreshClient.request = (config) =>
+        this.request({ ...config, skipAuthRefresh: true });
+      result = await this.config.refreshToken({
+        refreshToken,
+        client: refreshClient,
+      });
+    } else if (this.config.refreshEndpoint) {
+      if (!refreshToken) {
+        throw new VormiaError({
+          message: "No refresh token available",
+          code: "TOKEN_REFRESH_FAILED",
+          status: 401,
+        });
+      }
+
+      const response = await this.request({
+        method: "POST",
+        url: this.config.refreshEndpoint,
+        data: { refresh_token: refreshToken },
+        skipAuthRefresh: true,
+        retry: false,
+        _isTokenRefresh: true,
+      });
+      result = response.data;
+    }
+
+    const tokens = this.storeAuthTokens(result);
+    if (!tokens) {
+      throw new VormiaError({
+        message: "Token refresh did not return an access token",
+        code: "TOKEN_REFRESH_FAILED",
+        status: 401,
+      });
+    }
+
+    if (this.config.onTokenRefreshed) {
+      this.config.onTokenRefreshed(tokens);
+    }
+
+    return tokens.token;
+  }
+
+  /**
+   * Store the tokens from a login or refresh payload
+   * Accepts a token string or an object with access_token/token,
+   * refresh_token/refreshToken and expires_in/expiresIn (seconds)
+   * @param {string|Object} payload - Token payload
+   * @returns {Object|null} Normalized tokens, or null if there was no access token
+   */
+  storeAuthTokens(payload) {
+    const tokens =
+      typeof payload === "string"
+        ? { token: payload }
+        : {
+            token: payload?.access_token || payload?.token,
+            refreshToken: payload?.refresh_token || payload?.refreshToken,
+            expiresIn: payload?.expires_in || payload?.expiresIn,
+          };
+
+    if (!tokens.token) {
+      return null;
+    }
+
+    this.setAuthToken(tokens.token);
+    if (tokens.refreshToken) {
+      this.setRefreshToken(tokens.refreshToken);
+    }
+    if (tokens.expiresIn) {
+      this.setTokenExpiry(Date.now() + tokens.expiresIn * 1000);
+    }
+
+    return tokens;
+  }
+
+  getAuthToken() {
+    return this.tokenStorage.getItem(this.config.authTokenKey);
   }
 
   setAuthToken(token) {
-    // Set token in localStorage
-    if (typeof window !== "undefined") {
-      localStorage.setItem(this.config.authTokenKey, token);
+    const previous = this.getAuthToken();
+    this.tokenStorage.setItem(this.config.authTokenKey, token);
+    // A new login may be another user; a refresh keeps the same one
+    if (token !== previous && !this.refreshPromise) {
+      queryCache.reset();
     }
+    this.syncAuthStore();
   }
 
   removeAuthToken() {
-    // Remove token from localStorage
-    if (typeof window !== "undefined") {
-      localStorage.removeItem(this.config.authTokenKey);
+    if (this.getAuthToken()) {
+      queryCache.reset();
+    }
+    // Remove token, refresh token and expiry together
+    this.tokenStorage.removeItem(this.config.authTokenKey);
+    this.tokenStorage.removeItem(this.config.refreshTokenKey);
+    this.tokenStorage.removeItem(this.config.tokenExpiryKey);
+    this.syncAuthStore();
+  }
+
+  getRefreshToken() {
+    return this.tokenStorage.getItem(this.config.refreshTokenKey);
+  }
+
+  setRefreshToken(token) {
+    this.tokenStorage.setItem(this.config.refreshTokenKey, token);
+    this.syncAuthStore();
+  }
+
+  getTokenExpiry() {
+    const expiry = parseInt(
+      this.tokenStorage.getItem(this.config.tokenExpiryKey),
+      10
+    );
+    return Number.isNaN(expiry) ? null : expiry;
+  }
+
+  setTokenExpiry(expiry) {
+    this.tokenStorage.setItem(this.config.tokenExpiryKey, String(expiry));
+    this.syncAuthStore();
+  }
+
+  // useAuthStore mirrors the tokens of the shared storage
+  syncAuthStore() {
+    if (
+      this.tokenStorage === sharedTokenStorage ||
+      this.tokenStorage === getTokenStorage()
+    ) {
+      useAuthStore.getState().syncTokens();
     }
   }
 
+  /**
+   * Send a request
+   * `requestSchema` validates the body before sending and `schema` the
+   * unwrapped response data, see validateSchema()
+   * @param {Object} config - Request config
+   * @param {boolean} [config.skipAuthRefresh] - Neither wait for nor start a token refresh, and leave a 401 to the caller; requests made through the `client` given to `refreshToken()` set it
+   * @returns {Promise<Object>} Response
+   */
   async request(config) {
-    try {
-      const processedConfig = await this.handleRequest({
-        ...config,
-        headers: {
-          ...this.config.headers,
-          ...config.headers,
-        },
+    const { schema, requestSchema, ...requestConfig } = config;
+    if (requestSchema) {
+      requestConfig.data = validateSchema(requestSchema, requestConfig.data, {
+        target: "request",
       });
+    }
+
+    const response = await this.dedupeRequest(requestConfig);
+    if (!schema) return response;
+
+    // Shared (deduplicated) responses are validated per caller
+    return {
+      ...response,
+      data: validateSchema(schema, response.data, { status: response.status }),
+    };
+  }
+
+  dedupeRequest(config) {
+    const dedupeKey = this.getDedupeKey(config);
+    if (!dedupeKey) {
+      return this.performRequest(config);
+    }
+
+    // Identical GETs already in flight share one fetch
+    const pending = this.inflightRequests.get(dedupeKey);
+    if (pending) {
+      return pending;
+    }
+
+    const promise = this.performRequest(config).finally(() => {
+      this.inflightRequests.delete(dedupeKey);
+    });
+    this.inflightRequests.set(dedupeKey, promise);
+    return promise;
+  }
+
+  /**
+   * Key for in-flight deduplication: method, full URL with params and auth identity
+   * Requests with their own signal or progress callbacks are never shared,
+   * since aborting or tracking one caller must not affect the others
+   * @param {Object} config - Request config
+   * @returns {string|null} Key, or null when the request must not be shared
+   */
+  getDedupeKey(config) {
+    const method = (config.method || "GET").toUpperCase();
+    const dedupe =
+      config.dedupe !== undefined ? config.dedupe : this.config.dedupe;
+
+    if (
+      method !== "GET" ||
+      dedupe === false ||
+      config.signal ||
+      config.onUploadProgress ||
+      config.onDownloadProgress ||
+      typeof config.unwrap === "function"
+    ) {
+      return null;
+    }
+
+    const url = buildUrlWithParams(
+      `${config.baseURL || this.config.baseURL || ""}|${config.url || ""}`,
+      config.params,
+      config.paramsSerializer || this.config.paramsSerializer
+    );
+    const identity = this.getAuthToken() || "anonymous";
+
+    // Requests unwrapped differently must not share a response
+    const unwrap = config.unwrap ? ` ${config.unwrap}` : "";
+
+    return `${method} ${url} ${identity}${unwrap}`;
+  }
+
+  async performRequest(config) {
+    const requestConfig = {
+      ...config,
+      headers: {
+        ...this.config.headers,
+        ...config.headers,
+      },
+    };
 
-      const response = await this.http.request(processedConfig);
+    try {
+      // Built-in auth header first, so user interceptors can see or override it
+      const processedConfig = this.interceptors.request.run(
+        this.handleRequest(requestConfig),
+        requestConfig
+      );
+
+      const response = await this.interceptors.response.run(
+        processedConfig.then((finalConfig) => this.sendWithRetry(finalConfig)),
+        requestConfig
+      );
       return response;
     } catch (error) {
-      if (error.status === 401) {
-        this.handleUnauthorized();
+      // 419 means the session's CSRF token expired, get a new one and replay once
+      if (
+        error.status === 419 &&
+        this.isSanctum() &&
+        !config._isCsrfRequest &&
+        !config._isRetryAfterCsrf
+      ) {
+        try {
+          await this.fetchCsrfCookie();
+        } catch {
+          throw error;
+        }
+        return this.performRequest({ ...config, _isRetryAfterCsrf: true });
+      }
+
+      // The refresh request reports its own failure to refreshAccessToken(),
+      // and skipAuthRefresh leaves a 401 to the caller
+      if (
+        error.status !== 401 ||
+        config._isTokenRefresh ||
+        config.skipAuthRefresh
+      ) {
+        throw error;
+      }
+
+      if (this.canRefreshToken() && !config._isRetryAfterRefresh) {
+        try {
+          // Another request may already have refreshed since this one was sent
+          const currentToken = this.getAuthToken();
+          if (!currentToken || currentToken === requestConfig._authToken) {
+            await this.refreshAccessToken();
+          }
+        } catch {
+          // performTokenRefresh() already signed out
+          throw error;
+        }
+
+        // The replay handles its own 401 without refreshing again
+        return this.performRequest({
+          ...config,
+          _isRetryAfterRefresh: true,
+        });
       }
+
+      this.handleUnauthorized();
       throw error;
     }
   }
 
+  // Retry transport failures according to the client and request retry policy;
+  // `retry: "settings"` reads useSettingsStore's network settings on each request
+  async sendWithRetry(config) {
+    const clientRetry =
+      this.config.retry === "settings"
+        ? useSettingsStore.getState().getRetryPolicy()
+        : this.config.retry;
+    const policy = resolveRetryPolicy(clientRetry, config.retry);
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        return await this.http.request(config);
+      } catch (error) {
+        attempt += 1;
+        if (!shouldRetryRequest(error, config, attempt, policy)) {
+          throw error;
+        }
+
+        const delay = getRetryDelay(error, attempt, policy);
+        if (policy.onRetry) {
+          policy.onRetry(error, attempt, delay);
+        }
+
+        try {
+          await waitForRetry(delay, config.signal);
+        } catch {
+          throw new VormiaError({
+            message: "Request was aborted",
+            code: "ABORTED",
+            status: 0,
+          });
+        }
+      }
+    }
+  }
+
   get(url, config) {
     return this.request({ ...config, method: "GET", url });
   }
@@ -306,6 +872,11 @@ let globalClient = null;
 
 export function setGlobalVormiaClient(client) {
   globalClient = client;
+  // Auth hooks and useAuthStore follow the global client's storage
+  if (client && client.config.tokenStorage) {
+    setTokenStorage(client.tokenStorage);
+    useAuthStore.getState().syncTokens();
+  }
 }
 
 export function getGlobalVormiaClient() {
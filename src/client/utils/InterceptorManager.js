@@ -0,0 +1,72 @@
+/**
+ * Interceptor registry for the fetch-based VormiaClient
+ * Mirrors the axios `interceptors.request.use()` / `interceptors.response.use()` API
+ */
+export class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * Register an interceptor
+   * @param {Function} [fulfilled] - Called with the config/response, may be async
+   * @param {Function} [rejected] - Called with the error of the previous phase, may recover
+   * @param {Object} [options] - Interceptor options
+   * @param {number} [options.order=0] - Lower values run first, ties run in registration order
+   * @param {Function} [options.runWhen] - Predicate on the request config, skips the interceptor when false
+   * @returns {number} Interceptor id to pass to `eject()`
+   */
+  use(fulfilled, rejected, options = {}) {
+    const id = this.nextId++;
+    this.handlers.push({
+      id,
+      fulfilled,
+      rejected,
+      order: options.order || 0,
+      runWhen: options.runWhen || null,
+    });
+    return id;
+  }
+
+  /**
+   * Remove an interceptor
+   * @param {number} id - Id returned by `use()`
+   */
+  eject(id) {
+    this.handlers = this.handlers.filter((handler) => handler.id !== id);
+  }
+
+  /**
+   * Remove all interceptors
+   */
+  clear() {
+    this.handlers = [];
+  }
+
+  /**
+   * Get the registered handlers in execution order
+   * @returns {Array} Sorted handlers
+   */
+  getHandlers() {
+    // Array.prototype.sort is stable, so equal orders keep registration order
+    return [...this.handlers].sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Run a value through the interceptor chain
+   * A throwing fulfilled handler hands its error to the next rejected handler,
+   * and a rejected handler that returns a value puts the chain back on the success path
+   * @param {Promise} promise - Promise resolving to the initial value
+   * @param {Object} [requestConfig] - Request config passed to `runWhen`
+   * @returns {Promise} Promise resolving to the final value
+   */
+  run(promise, requestConfig) {
+    return this.getHandlers().reduce((chain, handler) => {
+      if (handler.runWhen && !handler.runWhen(requestConfig)) {
+        return chain;
+      }
+      return chain.then(handler.fulfilled, handler.rejected);
+    }, promise);
+  }
+}
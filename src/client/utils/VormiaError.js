@@ -28,13 +28,15 @@ export class VormiaError extends Error {
       errorCode = message.code || code;
       errorData = message.data;
       errorDebug = message.debug;
+      errorErrors = message.errors || null;
 
       // Handle the actual API response structure
       if (message.response && message.response.data) {
         const apiData = message.response.data;
         errorMessage = apiData.message || errorMessage;
         errorDebug = apiData.debug || errorDebug;
-        errorErrors = apiData.errors;
+        // Errors already mapped to fields win over the raw ones
+        errorErrors = errorErrors || apiData.errors;
 
         // If this is an API response with errors, use that as the main data
         if (apiData.errors) {
@@ -117,9 +119,27 @@ export class VormiaError extends Error {
    * @returns {boolean}
    */
   isNetworkError() {
+    // Request bodies failing their schema were never sent
+    if (this.code === "SCHEMA_MISMATCH") return false;
     return this.code === "NETWORK_ERROR" || !this.status;
   }
 
+  /**
+   * Check if the request exceeded its timeout
+   * @returns {boolean}
+   */
+  isTimeout() {
+    return this.code === "TIMEOUT";
+  }
+
+  /**
+   * Check if the request was cancelled through its AbortSignal
+   * @returns {boolean}
+   */
+  isAborted() {
+    return this.code === "ABORTED";
+  }
+
   /**
    * Check if the error is a server error (5xx)
    * @returns {boolean}
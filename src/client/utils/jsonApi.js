@@ -0,0 +1,177 @@
+/**
+ * JSON:API documents
+ * Reads `data` and `included` into plain nested objects, turns `errors`
+ * into the `{ field: [messages] }` shape of Laravel validation errors, and
+ * writes mutation bodies back as JSON:API documents.
+ */
+
+export const JSON_API_MEDIA_TYPE = "application/vnd.api+json";
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isResourceObject = (value) =>
+  isPlainObject(value) &&
+  typeof value.type === "string" &&
+  value.id !== undefined &&
+  value.id !== null;
+
+const resourceId = (resource) => `${resource.type}:${resource.id}`;
+
+/**
+ * Turn a JSON:API document's primary data into plain objects
+ * Attributes are spread onto `{ id, type }` and relationships are replaced
+ * by the included resources they point to. A resource already being resolved
+ * higher up (author -> articles -> author) stays a `{ id, type }` identifier,
+ * so the result has no cycles and can be cached and persisted.
+ * @param {Object} document - JSON:API document
+ * @returns {Object|Array|null} Resolved primary data
+ */
+export function normalizeJsonApi(document) {
+  if (!isPlainObject(document)) return document;
+
+  const index = new Map();
+  []
+    .concat(document.data || [], document.included || [])
+    .forEach((resource) => {
+      if (isResourceObject(resource)) index.set(resourceId(resource), resource);
+    });
+
+  const resolve = (identifier, path) => {
+    const id = resourceId(identifier);
+    const resource = index.get(id);
+    if (!resource || path.has(id)) {
+      return { id: identifier.id, type: identifier.type };
+    }
+
+    const nextPath = new Set(path).add(id);
+    const result = {
+      id: resource.id,
+      type: resource.type,
+      ...resource.attributes,
+    };
+
+    Object.entries(resource.relationships || {}).forEach(([name, value]) => {
+      // Relationships with only links or meta were not sent by the server
+      if (!value || !("data" in value)) return;
+      if (Array.isArray(value.data)) {
+        result[name] = value.data.map((item) => resolve(item, nextPath));
+      } else {
+        result[name] = value.data ? resolve(value.data, nextPath) : null;
+      }
+    });
+
+    return result;
+  };
+
+  const { data } = document;
+  if (Array.isArray(data)) return data.map((item) => resolve(item, new Set()));
+  return isResourceObject(data) ? resolve(data, new Set()) : data;
+}
+
+/**
+ * Get the form field a JSON:API error points at
+ * `/data/attributes/address/city` becomes `address.city` and
+ * `/data/relationships/author/data/id` becomes `author`
+ * @param {Object} source - The error's `source` member
+ * @returns {string|null} Field name, or null when the error is not about a field
+ */
+export function pointerToField(source) {
+  if (!source) return null;
+  if (source.parameter) return source.parameter;
+  if (!source.pointer) return null;
+
+  const parts = source.pointer
+    .split("/")
+    .filter(Boolean)
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (parts[0] === "data") parts.shift();
+  if (/^\d+$/.test(parts[0])) parts.shift();
+
+  if (parts[0] === "relationships") return parts[1] || null;
+  if (parts[0] === "attributes") parts.shift();
+  return parts.length ? parts.join(".") : null;
+}
+
+/**
+ * Turn JSON:API `errors` into `{ field: [messages] }`
+ * Errors without a pointer or parameter are left out
+ * @param {Array} errors - JSON:API error objects
+ * @returns {Object} Field errors, as FieldErrorManager.processApiErrors expects
+ */
+export function jsonApiErrorsToFieldErrors(errors) {
+  const fieldErrors = {};
+  (Array.isArray(errors) ? errors : []).forEach((error) => {
+    const field = pointerToField(error && error.source);
+    const message = error && (error.detail || error.title);
+    if (!field || !message) return;
+    (fieldErrors[field] = fieldErrors[field] || []).push(message);
+  });
+  return fieldErrors;
+}
+
+/**
+ * Check whether a body is already a JSON:API document
+ * @param {*} body - Request body
+ * @returns {boolean}
+ */
+export function isJsonApiDocument(body) {
+  return (
+    isPlainObject(body) &&
+    (isPlainObject(body.data) || Array.isArray(body.data)) &&
+    Object.keys(body).every((key) => ["data", "meta", "included"].includes(key))
+  );
+}
+
+const toIdentifier = (value) => ({ type: value.type, id: String(value.id) });
+
+/**
+ * Write a plain object as a JSON:API document
+ * `{ id, type }` objects (and arrays of them) become relationships, everything
+ * else becomes attributes, so normalized resources round-trip
+ * @param {Object} values - Mutation variables
+ * @param {Object} options - Resource options
+ * @param {string} options.type - Resource type, e.g. "articles"
+ * @param {string|number} [options.id] - Resource id, `values.id` by default
+ * @param {string[]} [options.relationships] - Fields that are always relationships, so `[]` and null can clear them
+ * @returns {Object} JSON:API document
+ */
+export function serializeJsonApi(
+  values,
+  { type, id, relationships: relationshipNames = [] } = {}
+) {
+  if (!isPlainObject(values) || isJsonApiDocument(values)) return values;
+
+  const { id: valuesId, type: valuesType, ...fields } = values;
+  const resource = { type: type || valuesType };
+  const resourceIdValue = id !== undefined ? id : valuesId;
+  if (resourceIdValue !== undefined && resourceIdValue !== null) {
+    resource.id = String(resourceIdValue);
+  }
+
+  const attributes = {};
+  const relationships = {};
+  Object.entries(fields).forEach(([name, value]) => {
+    if (relationshipNames.includes(name) && !value) {
+      relationships[name] = { data: null };
+    } else if (isResourceObject(value)) {
+      relationships[name] = { data: toIdentifier(value) };
+    } else if (
+      Array.isArray(value) &&
+      (value.length > 0 || relationshipNames.includes(name)) &&
+      value.every(isResourceObject)
+    ) {
+      relationships[name] = { data: value.map(toIdentifier) };
+    } else {
+      attributes[name] = value;
+    }
+  });
+
+  if (Object.keys(attributes).length) resource.attributes = attributes;
+  if (Object.keys(relationships).length) {
+    resource.relationships = relationships;
+  }
+  return { data: resource };
+}
@@ -0,0 +1,143 @@
+/**
+ * Query string serializer for request params
+ * Defaults follow what Laravel's request parser expects, e.g. `filter[status][]=a`
+ */
+
+const DEFAULT_OPTIONS = {
+  arrayFormat: "brackets", // brackets, indices, repeat, comma
+  nulls: "skip", // skip, empty
+  booleans: "numeric", // numeric (1/0, accepted by Laravel's boolean rule), string
+  encode: true,
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const formatValue = (value, options) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === "boolean" && options.booleans === "numeric") {
+    return value ? "1" : "0";
+  }
+  return String(value);
+};
+
+const appendPair = (pairs, key, value, options) => {
+  // Keep brackets readable in keys, PHP decodes both forms
+  const encodedKey = options.encode
+    ? encodeURIComponent(key).replace(/%5B/g, "[").replace(/%5D/g, "]")
+    : key;
+  const encodedValue = options.encode ? encodeURIComponent(value) : value;
+  pairs.push(`${encodedKey}=${encodedValue}`);
+};
+
+const serializeValue = (pairs, key, value, options) => {
+  if (value === undefined) {
+    return;
+  }
+
+  if (value === null) {
+    if (options.nulls === "empty") {
+      appendPair(pairs, key, "", options);
+    }
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    if (options.arrayFormat === "comma") {
+      const items = value
+        .filter((item) => item !== null && item !== undefined)
+        .map((item) => formatValue(item, options));
+      appendPair(pairs, key, items.join(","), options);
+      return;
+    }
+
+    value.forEach((item, index) => {
+      let itemKey = `${key}[]`;
+      if (options.arrayFormat === "indices" || isPlainObject(item)) {
+        // Objects inside arrays need an index to keep their fields together
+        itemKey = `${key}[${index}]`;
+      } else if (options.arrayFormat === "repeat") {
+        itemKey = key;
+      }
+      serializeValue(pairs, itemKey, item, options);
+    });
+    return;
+  }
+
+  if (isPlainObject(value)) {
+    Object.keys(value).forEach((childKey) => {
+      serializeValue(pairs, `${key}[${childKey}]`, value[childKey], options);
+    });
+    return;
+  }
+
+  appendPair(pairs, key, formatValue(value, options), options);
+};
+
+/**
+ * Serialize a params object into a query string (without the leading `?`)
+ * @param {Object|URLSearchParams} params - Params to serialize
+ * @param {Object} [options] - Serializer options
+ * @param {string} [options.arrayFormat='brackets'] - `brackets` (a[]=1), `indices` (a[0]=1), `repeat` (a=1&a=2) or `comma` (a=1,2)
+ * @param {string} [options.nulls='skip'] - `skip` drops null values, `empty` sends them as `key=`
+ * @param {string} [options.booleans='numeric'] - `numeric` sends 1/0, `string` sends true/false
+ * @param {boolean} [options.encode=true] - Whether to URI-encode keys and values
+ * @returns {string} Query string
+ */
+export function serializeParams(params, options = {}) {
+  if (!params) {
+    return "";
+  }
+
+  if (
+    typeof URLSearchParams !== "undefined" &&
+    params instanceof URLSearchParams
+  ) {
+    return params.toString();
+  }
+
+  const mergedOptions = { ...DEFAULT_OPTIONS, ...options };
+  const pairs = [];
+
+  Object.keys(params).forEach((key) => {
+    serializeValue(pairs, key, params[key], mergedOptions);
+  });
+
+  return pairs.join("&");
+}
+
+/**
+ * Append serialized params to a URL, keeping any query string it already has
+ * @param {string} url - Request URL
+ * @param {Object} params - Params to serialize
+ * @param {Function|Object} [paramsSerializer] - Custom serializer function or options for `serializeParams`
+ * @returns {string} URL with the query string applied
+ */
+export function buildUrlWithParams(url, params, paramsSerializer) {
+  if (!params) {
+    return url;
+  }
+
+  const queryString =
+    typeof paramsSerializer === "function"
+      ? paramsSerializer(params)
+      : serializeParams(params, paramsSerializer);
+
+  if (!queryString) {
+    return url;
+  }
+
+  const hashIndex = url.indexOf("#");
+  const hash = hashIndex > -1 ? url.slice(hashIndex) : "";
+  const base = hashIndex > -1 ? url.slice(0, hashIndex) : url;
+  let separator = base.includes("?") ? "&" : "?";
+  if (base.endsWith("?") || base.endsWith("&")) {
+    separator = "";
+  }
+
+  return `${base}${separator}${queryString}${hash}`;
+}
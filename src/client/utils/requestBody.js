@@ -0,0 +1,182 @@
+/**
+ * Request body preparation for the fetch-based client
+ * Leaves FormData and binary bodies untouched and builds multipart bodies for Laravel uploads
+ */
+
+const hasGlobal = (name) => typeof globalThis[name] !== "undefined";
+
+export const isFormData = (value) =>
+  hasGlobal("FormData") && value instanceof FormData;
+
+export const isBlob = (value) => hasGlobal("Blob") && value instanceof Blob;
+
+export const isURLSearchParams = (value) =>
+  hasGlobal("URLSearchParams") && value instanceof URLSearchParams;
+
+const isArrayBufferLike = (value) =>
+  (hasGlobal("ArrayBuffer") &&
+    (value instanceof ArrayBuffer || ArrayBuffer.isView(value))) ||
+  (hasGlobal("ReadableStream") && value instanceof ReadableStream);
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Check whether a value (or anything nested in it) is a File or Blob
+ * @param {*} value - Value to inspect
+ * @returns {boolean}
+ */
+export function containsFile(value) {
+  if (isBlob(value)) return true;
+  if (Array.isArray(value)) return value.some(containsFile);
+  if (isPlainObject(value)) return Object.values(value).some(containsFile);
+  return false;
+}
+
+const appendFormValue = (formData, key, value) => {
+  if (value === undefined) return;
+
+  if (isBlob(value)) {
+    formData.append(key, value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      // Objects inside arrays need an index to keep their fields together
+      const itemKey =
+        isPlainObject(item) || Array.isArray(item)
+          ? `${key}[${index}]`
+          : `${key}[]`;
+      appendFormValue(formData, itemKey, item);
+    });
+  } else if (value instanceof Date) {
+    formData.append(key, value.toISOString());
+  } else if (isPlainObject(value)) {
+    Object.keys(value).forEach((childKey) => {
+      appendFormValue(formData, `${key}[${childKey}]`, value[childKey]);
+    });
+  } else if (typeof value === "boolean") {
+    // Laravel's boolean rule accepts 1/0 but not "true"/"false"
+    formData.append(key, value ? "1" : "0");
+  } else if (value === null) {
+    // ConvertEmptyStringsToNull turns this back into null on the server
+    formData.append(key, "");
+  } else {
+    formData.append(key, String(value));
+  }
+};
+
+/**
+ * Convert a plain object into FormData using Laravel's bracket notation
+ * @param {Object} data - Plain object, may contain File/Blob values at any depth
+ * @returns {FormData} Multipart body
+ */
+export function toFormData(data) {
+  const formData = new FormData();
+  Object.keys(data || {}).forEach((key) => {
+    appendFormValue(formData, key, data[key]);
+  });
+  return formData;
+}
+
+const removeHeader = (headers, name) => {
+  const lowerName = name.toLowerCase();
+  Object.keys(headers).forEach((key) => {
+    if (key.toLowerCase() === lowerName) {
+      delete headers[key];
+    }
+  });
+};
+
+const hasHeader = (headers, name) => {
+  const lowerName = name.toLowerCase();
+  return Object.keys(headers).some((key) => key.toLowerCase() === lowerName);
+};
+
+const getHeader = (headers, name) => {
+  const lowerName = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === lowerName);
+  return key === undefined ? undefined : headers[key];
+};
+
+const isJsonContentType = (contentType) =>
+  !contentType || /[/+]json\s*(;|$)/i.test(contentType);
+
+// The client's default JSON type is replaced, a type set by the caller is kept
+const setContentType = (headers, contentType) => {
+  const current = getHeader(headers, "Content-Type");
+  if (current && !/^application\/json\s*(;|$)/i.test(current)) return;
+  removeHeader(headers, "Content-Type");
+  headers["Content-Type"] = contentType;
+};
+
+/**
+ * Build the fetch body, headers and method for a request
+ * @param {Object} options - Body options
+ * @param {*} options.data - Request data
+ * @param {Object} options.headers - Merged request headers (copied, not mutated)
+ * @param {string} options.method - HTTP method
+ * @param {boolean|string} [options.multipart=false] - `true` always sends plain objects as multipart, `"auto"` only when they contain files
+ * @param {boolean} [options.methodSpoofing=true] - Send multipart PUT/PATCH as POST with a `_method` field, as Laravel expects
+ * @returns {{ body: *, headers: Object, method: string }}
+ */
+export function prepareRequestBody({
+  data,
+  headers = {},
+  method = "GET",
+  multipart = false,
+  methodSpoofing = true,
+}) {
+  const finalHeaders = { ...headers };
+  let finalMethod = method.toUpperCase();
+
+  if (data === undefined || data === null) {
+    return { body: undefined, headers: finalHeaders, method: finalMethod };
+  }
+
+  let body = data;
+
+  if (
+    isPlainObject(data) &&
+    (multipart === true || (multipart === "auto" && containsFile(data)))
+  ) {
+    body = toFormData(data);
+  }
+
+  if (isFormData(body)) {
+    if (
+      methodSpoofing &&
+      (finalMethod === "PUT" || finalMethod === "PATCH") &&
+      !body.has("_method")
+    ) {
+      // PHP only parses multipart bodies on POST
+      const spoofed = new FormData();
+      body.forEach((value, key) => spoofed.append(key, value));
+      spoofed.append("_method", finalMethod);
+      body = spoofed;
+      finalMethod = "POST";
+    }
+    // Let fetch set multipart/form-data with its boundary
+    removeHeader(finalHeaders, "Content-Type");
+  } else if (isURLSearchParams(body)) {
+    setContentType(
+      finalHeaders,
+      "application/x-www-form-urlencoded;charset=UTF-8"
+    );
+  } else if (isBlob(body)) {
+    setContentType(finalHeaders, body.type || "application/octet-stream");
+  } else if (isArrayBufferLike(body)) {
+    setContentType(finalHeaders, "application/octet-stream");
+  } else if (
+    typeof body !== "string" ||
+    isJsonContentType(getHeader(finalHeaders, "Content-Type"))
+  ) {
+    // Strings are JSON values too, unless the caller sent them as another type
+    body = JSON.stringify(body);
+    if (!hasHeader(finalHeaders, "Content-Type")) {
+      finalHeaders["Content-Type"] = "application/json";
+    }
+  }
+
+  return { body, headers: finalHeaders, method: finalMethod };
+}
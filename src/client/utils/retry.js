@@ -0,0 +1,162 @@
+/**
+ * Client-level retry policy
+ * Exponential backoff with jitter, limited to idempotent methods by default,
+ * and honouring Retry-After on 429/503 responses
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 0, // Retries after the first try, 0 disables retrying
+  baseDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [408, 425, 429, 500, 502, 503, 504],
+  methods: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"],
+  retryOnNetworkError: true,
+  respectRetryAfter: true,
+  maxRetryAfter: 60000,
+  shouldRetry: null,
+  onRetry: null,
+};
+
+// Used when a policy is enabled with `retry: true`
+const DEFAULT_ENABLED_ATTEMPTS = 3;
+
+const normalizeRetryOption = (option) => {
+  if (option === undefined || option === null) return {};
+  if (option === false) return { attempts: 0 };
+  if (option === true) return { attempts: DEFAULT_ENABLED_ATTEMPTS };
+  if (typeof option === "number") return { attempts: option };
+  return option;
+};
+
+/**
+ * Merge the client policy with a per-request override
+ * @param {boolean|number|Object} [clientRetry] - Client `retry` option
+ * @param {boolean|number|Object} [requestRetry] - Request `retry` option
+ * @returns {Object} Resolved policy
+ */
+export function resolveRetryPolicy(clientRetry, requestRetry) {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...normalizeRetryOption(clientRetry),
+    ...normalizeRetryOption(requestRetry),
+  };
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+const getHeader = (headers, name) => {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  const match = Object.keys(headers).find(
+    (key) => key.toLowerCase() === name.toLowerCase()
+  );
+  return match ? headers[match] : null;
+};
+
+/**
+ * Check whether a failed request should be retried
+ * @param {Object} error - VormiaError from the transport
+ * @param {Object} config - Request config
+ * @param {number} attempt - Retry number about to be made (1-based)
+ * @param {Object} policy - Resolved policy
+ * @returns {boolean}
+ */
+export function shouldRetryRequest(error, config, attempt, policy) {
+  if (attempt > policy.attempts) return false;
+
+  // Never retry what the caller cancelled
+  if (error.code === "ABORTED") return false;
+
+  if (typeof policy.shouldRetry === "function") {
+    return !!policy.shouldRetry(error, attempt, config);
+  }
+
+  const method = (config.method || "GET").toUpperCase();
+  if (!policy.methods.includes(method)) return false;
+
+  if (!error.status) {
+    return policy.retryOnNetworkError;
+  }
+
+  return policy.statusCodes.includes(error.status);
+}
+
+/**
+ * Compute the delay before a retry
+ * @param {Object} error - Error that triggered the retry
+ * @param {number} attempt - Retry number (1-based)
+ * @param {Object} policy - Resolved policy
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, policy) {
+  const status = error && error.status;
+
+  if (policy.respectRetryAfter && (status === 429 || status === 503)) {
+    // VormiaError keeps the fetch response under `response.response`
+    const response = error.response || {};
+    const headers =
+      (response.response && response.response.headers) || response.headers;
+    const retryAfter = parseRetryAfter(getHeader(headers, "Retry-After"));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxRetryAfter);
+    }
+  }
+
+  const exponential = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(policy.factor, attempt - 1)
+  );
+
+  // Full jitter spreads retries from many clients over the whole window
+  return policy.jitter ? Math.round(Math.random() * exponential) : exponential;
+}
+
+/**
+ * Wait for a retry delay, rejecting early if the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Promise<void>}
+ */
+export function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      const error = new Error("The operation was aborted.");
+      error.name = "AbortError";
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort);
+    }
+  });
+}
@@ -0,0 +1,81 @@
+import { VormiaError } from "./VormiaError";
+
+/**
+ * Schema validation for request and response bodies
+ * Works with any validator exposing `safeParse` (Zod, or Valibot through
+ * `{ safeParse: (input) => v.safeParse(schema, input) }`) or `parse`.
+ * The parsed value is returned, so schema transforms and defaults apply.
+ */
+
+// Zod paths are keys, Valibot paths are `{ key }` items
+const toPath = (path) =>
+  (Array.isArray(path) ? path : [])
+    .map((segment) =>
+      segment !== null && typeof segment === "object" ? segment.key : segment
+    )
+    .join(".");
+
+const toIssues = (error) => {
+  const issues = error && (error.issues || error.errors);
+  if (Array.isArray(issues) && issues.length) {
+    return issues.map((issue) => ({
+      path: toPath(issue.path),
+      message: issue.message || "Invalid value",
+    }));
+  }
+  return [{ path: "", message: (error && error.message) || "Invalid value" }];
+};
+
+const runSchema = (schema, value) => {
+  if (typeof schema.safeParse === "function") {
+    const result = schema.safeParse(value);
+    if (result.success) {
+      if ("data" in result) return { value: result.data };
+      return { value: "output" in result ? result.output : value };
+    }
+    return { issues: toIssues(result.error || result) };
+  }
+
+  if (typeof schema.parse === "function") {
+    try {
+      return { value: schema.parse(value) };
+    } catch (error) {
+      return { issues: toIssues(error) };
+    }
+  }
+
+  throw new TypeError("A schema needs a safeParse or parse method");
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Validator with `safeParse` or `parse`
+ * @param {*} value - Value to validate
+ * @param {Object} [options] - Error details
+ * @param {string} [options.target="response"] - `"request"` or `"response"`, used in the message
+ * @param {number} [options.status] - Status of the validated response
+ * @returns {*} Parsed value
+ * @throws {VormiaError} `SCHEMA_MISMATCH` with `issues` (`[{ path, message }]`) and `errors` (`{ path: [messages] }`)
+ */
+export function validateSchema(schema, value, options = {}) {
+  const { target = "response", status = 0 } = options;
+  const result = runSchema(schema, value);
+  if (!result.issues) return result.value;
+
+  const paths = [
+    ...new Set(result.issues.map((issue) => issue.path || "(root)")),
+  ];
+  const errors = {};
+  result.issues.forEach(({ path, message }) => {
+    (errors[path] = errors[path] || []).push(message);
+  });
+
+  const error = new VormiaError({
+    message: `The ${target} does not match the schema at ${paths.join(", ")}`,
+    code: "SCHEMA_MISMATCH",
+    status,
+    errors,
+  });
+  error.issues = result.issues;
+  throw error;
+}
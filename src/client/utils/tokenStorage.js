@@ -0,0 +1,232 @@
+import {
+  createEncryptedTokenStorage,
+  isEncryptedTokenStorage,
+} from "../../stores/encryption.js";
+import { VormiaError } from "./VormiaError.js";
+
+/**
+ * Token storage adapters
+ * Every adapter exposes the synchronous Storage subset (getItem, setItem, removeItem)
+ * so it can back the client, the auth hooks and Zustand's createJSONStorage alike
+ */
+
+// Keys sealed by configureEncryption, the client's default token keys
+const TOKEN_KEYS = ["auth_token", "refresh_token", "auth_token_expiry"];
+// Browsers silently drop a cookie whose name and value exceed this many bytes
+const MAX_COOKIE_SIZE = 4096;
+
+/**
+ * In-memory storage, the only option on the server
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    type: "memory",
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+}
+
+// Accessing web storage throws in some sandboxed iframes and private modes
+const getWebStorage = (name) => {
+  try {
+    if (typeof window === "undefined" || !window[name]) return null;
+    return window[name];
+  } catch {
+    return null;
+  }
+};
+
+const createWebStorage = (name, type) => {
+  const storage = getWebStorage(name);
+  if (!storage) {
+    return createMemoryStorage();
+  }
+
+  return {
+    type,
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+};
+
+/**
+ * localStorage adapter, falls back to memory when unavailable
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorage() {
+  return createWebStorage("localStorage", "local");
+}
+
+/**
+ * sessionStorage adapter, falls back to memory when unavailable
+ * @returns {Object} Storage adapter
+ */
+export function createSessionStorage() {
+  return createWebStorage("sessionStorage", "session");
+}
+
+/**
+ * Read a cookie from document.cookie
+ * @param {string} key - Cookie name
+ * @returns {string|null} Decoded value, or null when absent or there is no document
+ */
+export function readCookie(key) {
+  if (typeof document === "undefined" || !document) {
+    return null;
+  }
+
+  const name = `${encodeURIComponent(key)}=`;
+  const match = document.cookie
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(name));
+  return match ? decodeURIComponent(match.slice(name.length)) : null;
+}
+
+/**
+ * Cookie adapter, falls back to memory when there is no document
+ * @param {Object} [options] - Cookie attributes
+ * @param {string} [options.path='/'] - Cookie path
+ * @param {string} [options.domain] - Cookie domain
+ * @param {number} [options.maxAge] - Lifetime in seconds, session cookie when omitted
+ * @param {string} [options.sameSite='Lax'] - SameSite attribute
+ * @param {boolean} [options.secure] - Secure attribute, defaults to true on https pages
+ * @returns {Object} Storage adapter
+ */
+export function createCookieStorage(options = {}) {
+  if (typeof document === "undefined") {
+    return createMemoryStorage();
+  }
+
+  const {
+    path = "/",
+    domain,
+    maxAge,
+    sameSite = "Lax",
+    secure = typeof location !== "undefined" && location.protocol === "https:",
+  } = options;
+
+  const writeCookie = (key, value, expire = false) => {
+    const pair = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+    if (pair.length > MAX_COOKIE_SIZE) {
+      throw new VormiaError({
+        message: `Cookie "${key}" is over the ${MAX_COOKIE_SIZE} byte cookie limit`,
+        code: "COOKIE_TOO_LARGE",
+        status: 0,
+      });
+    }
+
+    let cookie = `${pair}; path=${path}; SameSite=${sameSite}`;
+    if (domain) cookie += `; domain=${domain}`;
+    if (expire) {
+      cookie += "; max-age=0";
+    } else if (maxAge !== undefined) {
+      cookie += `; max-age=${maxAge}`;
+    }
+    if (secure) cookie += "; Secure";
+    document.cookie = cookie;
+  };
+
+  return {
+    type: "cookie",
+    getItem: (key) => readCookie(key),
+    setItem: (key, value) => writeCookie(key, value),
+    removeItem: (key) => writeCookie(key, "", true),
+  };
+}
+
+const STORAGE_FACTORIES = {
+  memory: createMemoryStorage,
+  local: createLocalStorage,
+  localStorage: createLocalStorage,
+  session: createSessionStorage,
+  sessionStorage: createSessionStorage,
+  cookie: createCookieStorage,
+};
+
+/**
+ * Resolve a `tokenStorage` option into an adapter
+ * @param {string|Object} [option='local'] - `memory`, `session`, `local`, `cookie`, or a custom object with getItem/setItem/removeItem
+ * @returns {Object} Storage adapter
+ */
+export function resolveTokenStorage(option = "local") {
+  if (typeof option === "string") {
+    const factory = STORAGE_FACTORIES[option];
+    if (!factory) {
+      throw new Error(`Unknown tokenStorage "${option}"`);
+    }
+    return factory();
+  }
+
+  if (
+    option &&
+    typeof option.getItem === "function" &&
+    typeof option.setItem === "function" &&
+    typeof option.removeItem === "function"
+  ) {
+    return option;
+  }
+
+  throw new Error(
+    "tokenStorage must be a storage name or an object with getItem, setItem and removeItem"
+  );
+}
+
+/**
+ * Resolve a `tokenStorage` option into an adapter whose token keys are
+ * encrypted at rest once configureEncryption runs
+ * @param {string|Object} [option='local'] - See resolveTokenStorage
+ * @param {Array<string>} [keys=TOKEN_KEYS] - Keys to encrypt
+ * @returns {Object} Storage adapter
+ */
+export function resolveEncryptedTokenStorage(
+  option = "local",
+  keys = TOKEN_KEYS
+) {
+  const storage = resolveTokenStorage(option);
+  return isEncryptedTokenStorage(storage)
+    ? storage
+    : createEncryptedTokenStorage(storage, keys);
+}
+
+// Storage shared by the global client, the auth hooks and useAuthStore
+let activeTokenStorage = null;
+
+/**
+ * Set the storage used for tokens and user data
+ * @param {string|Object} option - Storage name or custom adapter
+ * @returns {Object} The resolved adapter
+ */
+export function setTokenStorage(option) {
+  activeTokenStorage = resolveEncryptedTokenStorage(option);
+  return activeTokenStorage;
+}
+
+/**
+ * Get the storage used for tokens and user data (localStorage by default)
+ * @returns {Object} Storage adapter
+ */
+export function getTokenStorage() {
+  if (!activeTokenStorage) {
+    activeTokenStorage = resolveEncryptedTokenStorage("local");
+  }
+  return activeTokenStorage;
+}
+
+/**
+ * Adapter that always forwards to the current token storage, for consumers
+ * created before the storage is configured (e.g. persisted Zustand stores)
+ */
+export const sharedTokenStorage = {
+  getItem: (key) => getTokenStorage().getItem(key),
+  setItem: (key, value) => getTokenStorage().setItem(key, value),
+  removeItem: (key) => getTokenStorage().removeItem(key),
+};
@@ -0,0 +1,193 @@
+/**
+ * Transports used by the HTTP client
+ * fetch is the default, XMLHttpRequest is used when upload progress is requested
+ * because fetch cannot report bytes sent
+ */
+
+const createAbortError = () => {
+  const error = new Error("The operation was aborted.");
+  error.name = "AbortError";
+  return error;
+};
+
+const createProgressEvent = (loaded, total, upload) => ({
+  loaded,
+  total: total || undefined,
+  progress: total ? loaded / total : undefined,
+  lengthComputable: !!total,
+  upload,
+});
+
+const parseXhrHeaders = (rawHeaders) => {
+  const headers = new Headers();
+  (rawHeaders || "")
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const index = line.indexOf(":");
+      if (index > 0) {
+        headers.append(
+          line.slice(0, index).trim(),
+          line.slice(index + 1).trim()
+        );
+      }
+    });
+  return headers;
+};
+
+/**
+ * Pick the transport for a request
+ * @param {Object} config - Request config
+ * @returns {string} `fetch` or `xhr`
+ */
+export function resolveTransport(config) {
+  const transport = config.transport || "auto";
+  const hasXhr = typeof XMLHttpRequest !== "undefined";
+
+  if (transport === "xhr") {
+    return hasXhr ? "xhr" : "fetch";
+  }
+  if (transport === "auto" && config.onUploadProgress && hasXhr) {
+    return "xhr";
+  }
+  return "fetch";
+}
+
+/**
+ * Wrap a fetch Response so that reading the body reports download progress
+ * @param {Response} response - fetch response
+ * @param {Function} onDownloadProgress - Progress callback
+ * @returns {Object} Response-like object
+ */
+const withDownloadProgress = (response, onDownloadProgress) => {
+  if (!response.body || typeof response.body.getReader !== "function") {
+    return response;
+  }
+
+  const total = parseInt(response.headers.get("Content-Length"), 10) || 0;
+
+  const readText = async () => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+    let text = "";
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      loaded += value.byteLength;
+      text += decoder.decode(value, { stream: true });
+      onDownloadProgress(createProgressEvent(loaded, total, false));
+    }
+
+    return text + decoder.decode();
+  };
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    text: readText,
+    json: async () => JSON.parse(await readText()),
+  };
+};
+
+const fetchTransport = async (url, init, config) => {
+  const response = await fetch(url, init);
+
+  if (config.onDownloadProgress) {
+    return withDownloadProgress(response, config.onDownloadProgress);
+  }
+  return response;
+};
+
+const xhrTransport = (url, init, config) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const { signal } = init;
+
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    xhr.open(init.method, url, true);
+    xhr.withCredentials = init.credentials === "include";
+
+    Object.entries(init.headers || {}).forEach(([key, value]) => {
+      xhr.setRequestHeader(key, value);
+    });
+
+    if (config.onUploadProgress && xhr.upload) {
+      xhr.upload.onprogress = (event) => {
+        config.onUploadProgress(
+          createProgressEvent(
+            event.loaded,
+            event.lengthComputable ? event.total : 0,
+            true
+          )
+        );
+      };
+    }
+
+    if (config.onDownloadProgress) {
+      xhr.onprogress = (event) => {
+        config.onDownloadProgress(
+          createProgressEvent(
+            event.loaded,
+            event.lengthComputable ? event.total : 0,
+            false
+          )
+        );
+      };
+    }
+
+    const onAbort = () => xhr.abort();
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+    const cleanup = () => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    xhr.onload = () => {
+      cleanup();
+      const responseText = xhr.responseText;
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+        text: async () => responseText,
+        json: async () => JSON.parse(responseText),
+      });
+    };
+
+    xhr.onerror = () => {
+      cleanup();
+      // Same shape as a fetch network failure so the client maps it to NETWORK_ERROR
+      reject(new TypeError("Failed to fetch"));
+    };
+
+    xhr.onabort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+
+    xhr.send(init.body === undefined ? null : init.body);
+  });
+
+/**
+ * Send a request with the transport the config asks for
+ * @param {string} url - Full request URL
+ * @param {Object} init - fetch-style init (method, headers, body, credentials, signal)
+ * @param {Object} config - Request config (transport, onUploadProgress, onDownloadProgress)
+ * @returns {Promise<Object>} Response-like object with ok, status, statusText, headers and json()
+ */
+export function sendRequest(url, init, config) {
+  if (resolveTransport(config) === "xhr") {
+    return xhrTransport(url, init, config);
+  }
+  return fetchTransport(url, init, config);
+}
@@ -0,0 +1,82 @@
+import { normalizeJsonApi } from "./jsonApi";
+
+/**
+ * Response envelope strategies
+ * A strategy takes the parsed body of a successful response and returns
+ * `{ data, meta, links }`. `data` becomes `response.data`; `meta` and `links`
+ * are kept on the response next to it. Pick a preset by name with the client
+ * or request `unwrap` option, or pass a function with the same signature.
+ */
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const hasKeys = (value) => Object.keys(value).length > 0;
+
+export const UNWRAP_PRESETS = {
+  // { success, message, data, debug }: `data` is unwrapped on success only
+  vormia: (body) => {
+    if (!isPlainObject(body)) return { data: body };
+    return {
+      data: body.success === true && body.data !== undefined ? body.data : body,
+      meta: body.meta,
+      links: body.links,
+    };
+  },
+
+  // API Resources: { data, links, meta }; a raw paginator's page fields
+  // (current_page, last_page, ...) become `meta`, as in a resource collection
+  "laravel-resource": (body) => {
+    if (!isPlainObject(body) || !("data" in body)) return { data: body };
+    const { data, links, meta, ...rest } = body;
+    return {
+      data,
+      links,
+      meta: meta !== undefined ? meta : hasKeys(rest) ? rest : undefined,
+    };
+  },
+
+  // JSON:API documents: { data, included, meta, links }, with `included`
+  // resolved into the relationships of `data`
+  jsonapi: (body) => {
+    if (!isPlainObject(body) || !("data" in body)) return { data: body };
+    return { data: normalizeJsonApi(body), meta: body.meta, links: body.links };
+  },
+
+  // The body as sent by the server
+  none: (body) => ({ data: body }),
+};
+
+export const DEFAULT_UNWRAP = "vormia";
+
+/**
+ * Resolve an `unwrap` option to a strategy function
+ * @param {string|Function} [unwrap] - Preset name or strategy, `vormia` by default
+ * @returns {Function} Strategy `(body) => ({ data, meta, links })`
+ */
+export function resolveUnwrap(unwrap = DEFAULT_UNWRAP) {
+  if (typeof unwrap === "function") return unwrap;
+
+  const preset = UNWRAP_PRESETS[unwrap];
+  if (!preset) {
+    throw new Error(
+      `Unknown unwrap preset "${unwrap}", expected one of: ${Object.keys(
+        UNWRAP_PRESETS
+      ).join(", ")}`
+    );
+  }
+  return preset;
+}
+
+/**
+ * Apply an envelope strategy to a response body
+ * @param {*} body - Parsed response body
+ * @param {string|Function} [unwrap] - Preset name or strategy
+ * @returns {{data: *, meta: *, links: *}} Unwrapped data plus the body's meta and links
+ */
+export function unwrapResponse(body, unwrap) {
+  const result = resolveUnwrap(unwrap)(body) || {};
+  return { data: result.data, meta: result.meta, links: result.links };
+}
@@ -0,0 +1,463 @@
+import { vrmKeys, resolveQueryKeys } from "./queryKeys.js";
+
+/**
+ * Framework-agnostic query cache shared by the Vue, Svelte, Solid and Qwik adapters
+ * Entries are keyed by an array query key, e.g. ["/users", { page: 1 }],
+ * and can be invalidated by any key prefix, e.g. ["/users"]
+ */
+
+export const DEFAULT_QUERY_OPTIONS = {
+  staleTime: 0, // Data is refetched on the next fetch() once older than this
+  cacheTime: 300000, // Unobserved entries are garbage collected after this
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Sort object keys so { a, b } and { b, a } hash the same
+const stableValue = (value) => {
+  if (Array.isArray(value)) return value.map(stableValue);
+  if (isPlainObject(value)) {
+    return Object.keys(value)
+      .sort()
+      .reduce((result, key) => {
+        if (value[key] !== undefined) {
+          result[key] = stableValue(value[key]);
+        }
+        return result;
+      }, {});
+  }
+  return value;
+};
+
+/**
+ * Normalize a query key into an array
+ * @param {Array|string} queryKey - Query key
+ * @returns {Array} Array key
+ */
+export function normalizeQueryKey(queryKey) {
+  return Array.isArray(queryKey) ? queryKey : [queryKey];
+}
+
+/**
+ * Hash a query key into a stable string
+ * @param {Array|string} queryKey - Query key
+ * @returns {string} Hash
+ */
+export function hashQueryKey(queryKey) {
+  return JSON.stringify(stableValue(normalizeQueryKey(queryKey)));
+}
+
+/**
+ * Check whether a query key starts with the given prefix
+ * @param {Array|string} queryKey - Full query key
+ * @param {Array|string} prefix - Key prefix
+ * @returns {boolean}
+ */
+export function matchesQueryKey(queryKey, prefix) {
+  const key = normalizeQueryKey(queryKey);
+  const keyPrefix = normalizeQueryKey(prefix);
+  if (keyPrefix.length > key.length) return false;
+  return keyPrefix.every(
+    (part, index) => hashQueryKey([part]) === hashQueryKey([key[index]])
+  );
+}
+
+// Functions and validators can't be hashed, so each one gets a number
+const referenceIds = new WeakMap();
+let lastReferenceId = 0;
+
+const toKeyPart = (value) => {
+  if (value === null || !["function", "object"].includes(typeof value)) {
+    return value;
+  }
+  if (!referenceIds.has(value)) referenceIds.set(value, ++lastReferenceId);
+  return `ref:${referenceIds.get(value)}`;
+};
+
+/**
+ * Append the segment of the options that change what a query reads
+ * Used by createQueryKey and by the keys of the pagination hooks
+ * @param {Array} key - Query key
+ * @param {Object} [reader] - `{ unwrap, schema }`, undefined ones are left out
+ * @returns {Array} Query key, unchanged when every option is undefined
+ */
+export function withReaderKey(key, reader = {}) {
+  const parts = Object.entries(reader).reduce(
+    (result, [name, value]) =>
+      value === undefined ? result : { ...result, [name]: toKeyPart(value) },
+    {}
+  );
+  return Object.keys(parts).length > 0 ? [...key, parts] : key;
+}
+
+/**
+ * Default query key used by the hooks and adapters when no `queryKey` option is given
+ * GET queries use vrmKeys.list, so `vrmKeys.all("/users")` invalidates them all.
+ * Queries unwrapping or validating the response differently get a last
+ * segment of their own, so they never share an entry. `transform` is left
+ * out: it runs when a query reads the entry, so it never changes what is stored
+ * @param {string} endpoint - Request endpoint
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.params] - Query params
+ * @param {*} [options.data] - Request body
+ * @param {string|Function} [options.unwrap] - Envelope strategy
+ * @param {Object} [options.schema] - Response validator
+ * @returns {Array} Query key
+ */
+export function createQueryKey(
+  endpoint,
+  { method = "GET", params, data, unwrap, schema } = {}
+) {
+  const key =
+    method.toUpperCase() === "GET"
+      ? vrmKeys.list(endpoint, params)
+      : vrmKeys.request(endpoint, { method, params, data });
+
+  return withReaderKey(key, { unwrap, schema });
+}
+
+/**
+ * What the adapters store for a query: the unwrapped parts of a client response
+ * @param {Object} response - Client response
+ * @returns {Object} `{ data, meta, links }`
+ */
+export function toQueryData(response) {
+  return { data: response.data, meta: response.meta, links: response.links };
+}
+
+const createInitialState = () => ({
+  data: undefined,
+  error: null,
+  status: "idle", // idle, loading, success, error
+  isFetching: false,
+  isInvalidated: false,
+  dataUpdatedAt: 0,
+  errorUpdatedAt: 0,
+});
+
+export class QueryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  getEntry(queryKey) {
+    const hash = hashQueryKey(queryKey);
+    let entry = this.entries.get(hash);
+    if (!entry) {
+      entry = {
+        hash,
+        queryKey: normalizeQueryKey(queryKey),
+        state: createInitialState(),
+        listeners: new Set(),
+        fetcher: null,
+        promise: null,
+        cacheTime: DEFAULT_QUERY_OPTIONS.cacheTime,
+        gcTimer: null,
+        generation: 0,
+      };
+      this.entries.set(hash, entry);
+    }
+    return entry;
+  }
+
+  setState(entry, patch) {
+    entry.state = { ...entry.state, ...patch };
+    entry.listeners.forEach((listener) => listener(entry.state));
+  }
+
+  /**
+   * Get the current state of a query
+   * @param {Array|string} queryKey - Query key
+   * @returns {Object|undefined} State, or undefined if the key was never cached
+   */
+  getState(queryKey) {
+    const entry = this.entries.get(hashQueryKey(queryKey));
+    return entry ? entry.state : undefined;
+  }
+
+  /**
+   * Get the cached data of a query
+   * @param {Array|string} queryKey - Query key
+   * @returns {*} Cached data or undefined
+   */
+  getQueryData(queryKey) {
+    const state = this.getState(queryKey);
+    return state ? state.data : undefined;
+  }
+
+  /**
+   * Write data into the cache and notify subscribers, e.g. after a mutation
+   * @param {Array|string} queryKey - Query key
+   * @param {*|Function} updater - New data, or a function of the previous data
+   * @returns {*} The stored data
+   */
+  setQueryData(queryKey, updater) {
+    const entry = this.getEntry(queryKey);
+    const data =
+      typeof updater === "function" ? updater(entry.state.data) : updater;
+    this.setState(entry, {
+      data,
+      error: null,
+      status: "success",
+      isInvalidated: false,
+      dataUpdatedAt: Date.now(),
+    });
+    this.scheduleGc(entry);
+    return data;
+  }
+
+  /**
+   * Check whether a query's data is older than `staleTime`
+   * @param {Array|string} queryKey - Query key
+   * @param {number} [staleTime=0] - Freshness window in milliseconds
+   * @returns {boolean}
+   */
+  isStale(queryKey, staleTime = DEFAULT_QUERY_OPTIONS.staleTime) {
+    const state = this.getState(queryKey);
+    if (!state || state.status !== "success" || state.isInvalidated) {
+      return true;
+    }
+    return Date.now() - state.dataUpdatedAt >= staleTime;
+  }
+
+  /**
+   * Fetch a query through the cache
+   * Returns fresh cached data without calling the fetcher, and shares a fetch
+   * already in flight for the same key
+   * @param {Array|string} queryKey - Query key
+   * @param {Function} fetcher - Async function returning the data
+   * @param {Object} [options] - Fetch options
+   * @param {number} [options.staleTime=0] - Reuse cached data younger than this
+   * @param {number} [options.cacheTime=300000] - Keep unobserved data this long
+   * @param {boolean} [options.force=false] - Ignore fresh cached data
+   * @returns {Promise<*>} Query data
+   */
+  fetch(queryKey, fetcher, options = {}) {
+    const { staleTime, cacheTime, force } = {
+      ...DEFAULT_QUERY_OPTIONS,
+      ...options,
+    };
+    const entry = this.getEntry(queryKey);
+    entry.fetcher = fetcher;
+    entry.cacheTime = cacheTime;
+
+    if (entry.promise) {
+      return entry.promise;
+    }
+
+    if (!force && !this.isStale(queryKey, staleTime)) {
+      return Promise.resolve(entry.state.data);
+    }
+
+    this.setState(entry, {
+      isFetching: true,
+      status: entry.state.status === "success" ? "success" : "loading",
+    });
+
+    // Results of fetches started before a reset() are dropped
+    const { generation } = entry;
+    const isCurrent = () => entry.generation === generation;
+
+    entry.promise = Promise.resolve()
+      .then(fetcher)
+      .then(
+        (data) => {
+          if (!isCurrent()) return data;
+          entry.promise = null;
+          this.setState(entry, {
+            data,
+            error: null,
+            status: "success",
+            isFetching: false,
+            isInvalidated: false,
+            dataUpdatedAt: Date.now(),
+          });
+          this.scheduleGc(entry);
+          return data;
+        },
+        (error) => {
+          if (!isCurrent()) throw error;
+          entry.promise = null;
+          // Keep the last good data so the UI can show it next to the error
+          this.setState(entry, {
+            error,
+            status: "error",
+            isFetching: false,
+            errorUpdatedAt: Date.now(),
+          });
+          this.scheduleGc(entry);
+          throw error;
+        }
+      );
+
+    return entry.promise;
+  }
+
+  /**
+   * Subscribe to state changes of a query
+   * @param {Array|string} queryKey - Query key
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(queryKey, listener) {
+    const entry = this.getEntry(queryKey);
+    entry.listeners.add(listener);
+    this.cancelGc(entry);
+
+    return () => {
+      entry.listeners.delete(listener);
+      this.scheduleGc(entry);
+    };
+  }
+
+  /**
+   * Mark every query under a key prefix as stale
+   * Queries that are currently observed are refetched right away
+   * @param {Array|string} [prefix] - Key prefix, all queries when omitted
+   * @param {Object} [options] - Invalidation options
+   * @param {boolean} [options.refetch=true] - Refetch observed queries
+   * @returns {Promise<void>} Resolves when the refetches have settled
+   */
+  invalidate(prefix, options = {}) {
+    const { refetch = true } = options;
+    const refetches = [];
+
+    this.findEntries(prefix).forEach((entry) => {
+      this.setState(entry, { isInvalidated: true });
+      if (refetch && entry.listeners.size > 0 && entry.fetcher) {
+        refetches.push(
+          this.fetch(entry.queryKey, entry.fetcher, {
+            cacheTime: entry.cacheTime,
+            force: true,
+          }).catch(() => {})
+        );
+      }
+    });
+
+    return Promise.all(refetches).then(() => undefined);
+  }
+
+  /**
+   * Refetch every query under a key prefix now, observed or not
+   * Queries that were never fetched through the cache have no fetcher and are skipped
+   * @param {Array|string} [prefix] - Key prefix, all queries when omitted
+   * @returns {Promise<void>} Resolves when the refetches have settled
+   */
+  refetch(prefix) {
+    const refetches = this.findEntries(prefix)
+      .filter((entry) => entry.fetcher)
+      .map((entry) =>
+        this.fetch(entry.queryKey, entry.fetcher, {
+          cacheTime: entry.cacheTime,
+          force: true,
+        }).catch(() => {})
+      );
+
+    return Promise.all(refetches).then(() => undefined);
+  }
+
+  /**
+   * Remove every query under a key prefix
+   * @param {Array|string} [prefix] - Key prefix, all queries when omitted
+   */
+  remove(prefix) {
+    this.findEntries(prefix).forEach((entry) => {
+      this.cancelGc(entry);
+      this.entries.delete(entry.hash);
+    });
+  }
+
+  /**
+   * Drop cached data, e.g. when the signed-in user changes
+   * Observed queries go back to idle and fetch again on their next fetch(),
+   * the others are removed; fetches in flight are ignored when they land
+   * @param {Array|string} [prefix] - Key prefix, all queries when omitted
+   */
+  reset(prefix) {
+    this.findEntries(prefix).forEach((entry) => {
+      entry.generation += 1;
+      entry.promise = null;
+      if (entry.listeners.size === 0) {
+        this.cancelGc(entry);
+        this.entries.delete(entry.hash);
+        return;
+      }
+      this.setState(entry, { ...createInitialState(), isInvalidated: true });
+    });
+  }
+
+  /**
+   * Remove all queries
+   */
+  clear() {
+    this.remove();
+  }
+
+  findEntries(prefix) {
+    const entries = Array.from(this.entries.values());
+    if (prefix === undefined) return entries;
+    return entries.filter((entry) => matchesQueryKey(entry.queryKey, prefix));
+  }
+
+  scheduleGc(entry) {
+    this.cancelGc(entry);
+    if (entry.listeners.size > 0 || entry.cacheTime === Infinity) return;
+
+    entry.gcTimer = setTimeout(() => {
+      if (entry.listeners.size === 0 && !entry.promise) {
+        this.entries.delete(entry.hash);
+      }
+    }, entry.cacheTime);
+    // Do not keep a Node process (SSR, tests) alive just to collect garbage
+    if (entry.gcTimer && typeof entry.gcTimer.unref === "function") {
+      entry.gcTimer.unref();
+    }
+  }
+
+  cancelGc(entry) {
+    if (entry.gcTimer) {
+      clearTimeout(entry.gcTimer);
+      entry.gcTimer = null;
+    }
+  }
+}
+
+// Shared by every adapter so a change in one component reaches the others
+export const queryCache = new QueryCache();
+
+/**
+ * Get the shared query cache
+ * @returns {QueryCache}
+ */
+export function getQueryCache() {
+  return queryCache;
+}
+
+/**
+ * Invalidate a list of query keys or prefixes in the shared cache
+ * Used by the adapters' `invalidates` mutation option
+ * @param {Array|string} keys - One string key, or an array of keys/prefixes
+ *   (wrap a single array key: `[vrmKeys.list("/users", { page: 1 })]`)
+ * @returns {Promise<void>} Resolves when observed queries have refetched
+ */
+export function invalidateQueries(keys) {
+  return Promise.all(
+    resolveQueryKeys(keys).map((key) => queryCache.invalidate(key))
+  ).then(() => undefined);
+}
+
+/**
+ * Refetch a list of query keys or prefixes in the shared cache, observed or not
+ * Used by the adapters' `refetches` mutation option
+ * @param {Array|string} keys - Same format as invalidateQueries
+ * @returns {Promise<void>} Resolves when the refetches have settled
+ */
+export function refetchQueries(keys) {
+  return Promise.all(
+    resolveQueryKeys(keys).map((key) => queryCache.refetch(key))
+  ).then(() => undefined);
+}
@@ -0,0 +1,167 @@
+/**
+ * Window focus and network status managers shared by the non-React adapters
+ * Each manager attaches its browser listeners on the first subscriber and
+ * removes them after the last one, so nothing is registered during SSR
+ */
+
+const hasWindow = () =>
+  typeof window !== "undefined" && typeof window.addEventListener === "function";
+
+class BrowserEventManager {
+  constructor(events, getInitial) {
+    this.events = events;
+    this.getInitial = getInitial;
+    this.listeners = new Set();
+    this.override = undefined;
+    this.teardown = null;
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with the new value (true when focused/online)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.teardown) {
+      this.setup();
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.teardown) {
+        this.teardown();
+        this.teardown = null;
+      }
+    };
+  }
+
+  setup() {
+    if (!hasWindow()) return;
+
+    const handler = () => this.notify();
+    this.events.forEach(([target, event]) =>
+      target().addEventListener(event, handler, false)
+    );
+    this.teardown = () =>
+      this.events.forEach(([target, event]) =>
+        target().removeEventListener(event, handler)
+      );
+  }
+
+  getValue() {
+    return this.override !== undefined ? this.override : this.getInitial();
+  }
+
+  /**
+   * Force a value, e.g. from a native app lifecycle event
+   * Pass undefined to go back to the browser's value
+   * @param {boolean|undefined} value - Forced value
+   */
+  setValue(value) {
+    const changed = this.override !== value;
+    this.override = value;
+    if (changed) {
+      this.notify();
+    }
+  }
+
+  notify() {
+    const value = this.getValue();
+    this.listeners.forEach((listener) => listener(value));
+  }
+}
+
+class FocusManager extends BrowserEventManager {
+  constructor() {
+    super(
+      [
+        [() => window, "focus"],
+        [() => document, "visibilitychange"],
+      ],
+      () =>
+        typeof document === "undefined" ||
+        document.visibilityState !== "hidden"
+    );
+  }
+
+  isFocused() {
+    return this.getValue();
+  }
+
+  setFocused(focused) {
+    this.setValue(focused);
+  }
+}
+
+class OnlineManager extends BrowserEventManager {
+  constructor() {
+    super(
+      [
+        [() => window, "online"],
+        [() => window, "offline"],
+      ],
+      () => typeof navigator === "undefined" || navigator.onLine !== false
+    );
+  }
+
+  isOnline() {
+    return this.getValue();
+  }
+
+  setOnline(online) {
+    this.setValue(online);
+  }
+}
+
+export const focusManager = new FocusManager();
+export const onlineManager = new OnlineManager();
+
+/**
+ * Wire a query to window focus, reconnect and interval refetching
+ * @param {Object} options - Query options
+ * @param {boolean} [options.refetchOnWindowFocus=true] - Revalidate stale data when the window regains focus
+ * @param {boolean} [options.refetchOnReconnect=true] - Revalidate stale data when the network comes back
+ * @param {number|false} [options.refetchInterval=false] - Refetch every N milliseconds
+ * @param {boolean} [options.refetchIntervalInBackground=false] - Keep the interval running in hidden tabs
+ * @param {Object} handlers - Adapter callbacks
+ * @param {Function} handlers.revalidate - Fetch if stale (respects staleTime)
+ * @param {Function} handlers.refetch - Fetch unconditionally
+ * @returns {Function} Cleanup function
+ */
+export function subscribeRefetchTriggers(options, { revalidate, refetch }) {
+  const {
+    refetchOnWindowFocus = true,
+    refetchOnReconnect = true,
+    refetchInterval = false,
+    refetchIntervalInBackground = false,
+  } = options;
+  const cleanups = [];
+
+  if (refetchOnWindowFocus) {
+    cleanups.push(
+      focusManager.subscribe((focused) => {
+        if (focused && onlineManager.isOnline()) revalidate();
+      })
+    );
+  }
+
+  if (refetchOnReconnect) {
+    cleanups.push(
+      onlineManager.subscribe((online) => {
+        if (online) revalidate();
+      })
+    );
+  }
+
+  if (refetchInterval > 0) {
+    const timer = setInterval(() => {
+      if (!onlineManager.isOnline()) return;
+      if (!refetchIntervalInBackground && !focusManager.isFocused()) return;
+      refetch();
+    }, refetchInterval);
+    cleanups.push(() => clearInterval(timer));
+  }
+
+  return () => cleanups.forEach((cleanup) => cleanup());
+}
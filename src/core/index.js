@@ -2,3 +2,28 @@ export { VormiaClient, createVormiaClient, getGlobalVormiaClient, setGlobalVormi
 
 // Export error types
 export { VormiaError } from './VormiaClient';
+
+// Framework-agnostic query cache shared by the non-React adapters
+export {
+  QueryCache,
+  queryCache,
+  getQueryCache,
+  createQueryKey,
+  withReaderKey,
+  invalidateQueries,
+  refetchQueries,
+  hashQueryKey,
+  matchesQueryKey,
+} from './QueryCache';
+export { vrmKeys } from './queryKeys';
+export {
+  PaginationObserver,
+  detectPaginator,
+  getPageInfo,
+  flattenPages,
+  getPageParams,
+  getPaginatorBody,
+} from './pagination';
+
+// Window focus and network status, used for background refetching
+export { focusManager, onlineManager, subscribeRefetchTriggers } from './focusManager';
@@ -0,0 +1,458 @@
+import { getGlobalVormiaClient } from "../client/createVormiaClient";
+import { VormiaError } from "../client/utils/VormiaError";
+import { getRetryDelay, resolveRetryPolicy } from "../client/utils/retry";
+import { validateSchema } from "../client/utils/schema";
+import { useAuthStore } from "../stores/useAuthStore.js";
+import { useCacheStore } from "../stores/useCacheStore.js";
+import { waitForHydration } from "../stores/persistence.js";
+import { onlineManager } from "./focusManager";
+
+/**
+ * Offline mutation queue
+ * Mutations sent while offline are stored in useCacheStore's persisted
+ * `offlineQueue` and replayed in order once the network is back. Each entry
+ * carries an idempotency key, sent as a header on replay, so the server can
+ * drop duplicates of requests it already applied.
+ */
+
+const DEFAULT_OPTIONS = {
+  idempotencyHeader: "Idempotency-Key",
+  conflictStatuses: [409, 412],
+  maxAttempts: 3,
+  retry: null,
+  onReplay: null,
+  onConflict: null,
+  onFailure: null,
+};
+
+const UNQUEUEABLE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const createIdempotencyKey = () =>
+  globalThis.crypto && typeof globalThis.crypto.randomUUID === "function"
+    ? globalThis.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Files and streams cannot survive a reload in a JSON-persisted queue
+const containsBinary = (value, depth = 0) => {
+  if (!value || typeof value !== "object" || depth > 10) return false;
+  if (
+    (typeof Blob !== "undefined" && value instanceof Blob) ||
+    (typeof FormData !== "undefined" && value instanceof FormData) ||
+    value instanceof ArrayBuffer ||
+    ArrayBuffer.isView(value) ||
+    (typeof ReadableStream !== "undefined" && value instanceof ReadableStream)
+  ) {
+    return true;
+  }
+  return Object.values(value).some((item) => containsBinary(item, depth + 1));
+};
+
+/**
+ * Check whether a request can be stored in the offline queue
+ * Reads, multipart uploads and bodies with files or streams are never queued
+ * @param {Object} config - Request config
+ * @returns {boolean}
+ */
+export function canQueueRequest(config) {
+  const method = (config.method || "GET").toUpperCase();
+  return (
+    !UNQUEUEABLE_METHODS.includes(method) &&
+    config.multipart !== true &&
+    !containsBinary(config.data)
+  );
+}
+
+/**
+ * Check whether an error means the server could not be reached
+ * @param {*} error - Request error
+ * @returns {boolean}
+ */
+export function isConnectivityError(error) {
+  if (!(error instanceof VormiaError)) return false;
+  if (error.code === "NETWORK_ERROR") return true;
+  // Custom transports may fail differently; trust the online flag for those
+  return !error.status && !error.isAborted() && !onlineManager.isOnline();
+}
+
+// Only what can be persisted and replayed; signals, callbacks and schemas are
+// dropped (enqueue keeps the schema in memory for this session)
+const toStoredConfig = (config) => ({
+  method: (config.method || "POST").toUpperCase(),
+  url: config.url,
+  data: config.data,
+  params: config.params,
+  headers: config.headers,
+  // Preset names survive a reload, strategy functions do not
+  unwrap: typeof config.unwrap === "string" ? config.unwrap : undefined,
+});
+
+class OfflineMutationQueue {
+  constructor() {
+    this.options = { ...DEFAULT_OPTIONS };
+    this.listeners = new Set();
+    this.replaying = null;
+    this.lastError = null;
+    this.unsubscribeOnline = null;
+    this.unsubscribeStore = null;
+    this.waiters = new Map();
+    // Schemas cannot be persisted; replays in this session still validate
+    this.schemas = new Map();
+    this.retryTimer = null;
+    this.status = this.computeStatus();
+  }
+
+  /**
+   * Change queue options
+   * @param {Object} options - Queue options
+   * @param {string|false} [options.idempotencyHeader='Idempotency-Key'] - Header carrying the key on replay, false to omit it
+   * @param {Array<number>} [options.conflictStatuses=[409, 412]] - Statuses reported through onConflict
+   * @param {number} [options.maxAttempts=3] - Replays of a request failing with 5xx before it is dropped
+   * @param {Object} [options.retry] - Backoff between those replays, as the client `retry` policy (`baseDelay`, `maxDelay`, `factor`, `jitter`)
+   * @param {Function} [options.onReplay] - `(response, entry)` after a queued request succeeds
+   * @param {Function} [options.onConflict] - `(error, entry)` when the server reports a conflict; the entry is dropped
+   * @param {Function} [options.onFailure] - `(error, entry)` when a queued request is dropped after failing
+   * @returns {OfflineMutationQueue} The queue, for chaining
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this;
+  }
+
+  /**
+   * Start replaying on reconnect and mirror the network state into useAuthStore
+   * Called automatically by enqueue() and the mutation hooks
+   */
+  start() {
+    if (this.unsubscribeOnline) return;
+
+    const sync = (online) => {
+      useAuthStore.getState().setOffline(!online);
+      this.notify();
+      if (online) this.replay();
+    };
+    this.unsubscribeOnline = onlineManager.subscribe(sync);
+    sync(onlineManager.isOnline());
+  }
+
+  /**
+   * Stop listening for reconnects
+   */
+  stop() {
+    this.cancelRetry();
+    if (this.unsubscribeOnline) {
+      this.unsubscribeOnline();
+      this.unsubscribeOnline = null;
+    }
+  }
+
+  /**
+   * Queued requests, oldest first
+   * @returns {Array<Object>}
+   */
+  getEntries() {
+    return useCacheStore.getState().offlineQueue;
+  }
+
+  /**
+   * Current queue status, the same object until something changes
+   * @returns {Object} `{ pendingCount, isReplaying, isOnline, lastError }`
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Subscribe to status changes
+   * @param {Function} listener - Called with the new status
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.unsubscribeStore) {
+      // Entries also change through hydration and clearOfflineQueue()
+      this.unsubscribeStore = useCacheStore.subscribe((state, previous) => {
+        if (state.offlineQueue !== previous.offlineQueue) this.notify();
+      });
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.unsubscribeStore) {
+        this.unsubscribeStore();
+        this.unsubscribeStore = null;
+      }
+    };
+  }
+
+  computeStatus() {
+    return {
+      pendingCount: this.getEntries().length,
+      isReplaying: this.replaying !== null,
+      isOnline: onlineManager.isOnline(),
+      lastError: this.lastError,
+    };
+  }
+
+  notify() {
+    const status = this.computeStatus();
+    const changed = Object.keys(status).some(
+      (key) => status[key] !== this.status[key]
+    );
+    if (!changed) return;
+
+    this.status = status;
+    this.listeners.forEach((listener) => listener(status));
+  }
+
+  /**
+   * Store a request for replay
+   * A request whose idempotency key is already queued is not added twice
+   * @param {Object} config - Request config
+   * @param {Object} [options] - Entry options
+   * @param {string} [options.idempotencyKey] - Key identifying the mutation, generated when omitted
+   * @returns {Object} The queued entry
+   */
+  enqueue(config, options = {}) {
+    if (!canQueueRequest(config)) {
+      throw new VormiaError({
+        message: `${config.method || "GET"} ${config.url} cannot be queued offline`,
+        code: "NOT_QUEUEABLE",
+        status: 0,
+      });
+    }
+
+    const idempotencyKey = options.idempotencyKey || createIdempotencyKey();
+    const existing = this.getEntries().find(
+      (entry) => entry.idempotencyKey === idempotencyKey
+    );
+    if (existing) return existing;
+
+    const entry = useCacheStore.getState().addToOfflineQueue({
+      idempotencyKey,
+      config: toStoredConfig(config),
+      attempts: 0,
+    });
+    if (config.schema) this.schemas.set(entry.id, config.schema);
+
+    this.start();
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Resolve with the response once a queued entry replays in this session
+   * @param {string|number} id - Entry id
+   * @returns {Promise<Object>} Response, rejects when the entry is dropped
+   */
+  whenReplayed(id) {
+    return new Promise((resolve, reject) => {
+      const waiters = this.waiters.get(id) || [];
+      waiters.push({ resolve, reject });
+      this.waiters.set(id, waiters);
+    });
+  }
+
+  settle(id, error, response) {
+    this.schemas.delete(id);
+    const waiters = this.waiters.get(id) || [];
+    this.waiters.delete(id);
+    waiters.forEach(({ resolve, reject }) =>
+      error ? reject(error) : resolve(response)
+    );
+  }
+
+  /**
+   * Send queued requests in order until the queue is empty or the network drops
+   * @returns {Promise<void>}
+   */
+  replay() {
+    if (this.replaying) return this.replaying;
+    if (!onlineManager.isOnline()) return Promise.resolve();
+    this.cancelRetry();
+
+    this.replaying = this.processQueue().finally(() => {
+      this.replaying = null;
+      this.notify();
+    });
+    this.notify();
+    return this.replaying;
+  }
+
+  async processQueue() {
+    // Entries from the previous session only exist after hydration
+    await waitForHydration(useCacheStore);
+
+    const { idempotencyHeader, conflictStatuses, maxAttempts } = this.options;
+    const store = useCacheStore.getState;
+
+    for (;;) {
+      const [entry] = store().offlineQueue;
+      if (!entry || !onlineManager.isOnline()) return;
+
+      const headers = { ...entry.config.headers };
+      if (idempotencyHeader) {
+        headers[idempotencyHeader] = entry.idempotencyKey;
+      }
+
+      try {
+        const response = await getGlobalVormiaClient().request({
+          ...entry.config,
+          headers,
+          schema: this.schemas.get(entry.id),
+        });
+        store().removeFromOfflineQueue(entry.id);
+        this.lastError = null;
+        this.settle(entry.id, null, response);
+        if (this.options.onReplay) this.options.onReplay(response, entry);
+      } catch (error) {
+        this.lastError = error;
+
+        if (isConnectivityError(error)) {
+          // Still unreachable: keep the order and wait for the next reconnect
+          return;
+        }
+
+        const status = error && error.status;
+        const attempts = entry.attempts + 1;
+        if (error instanceof VormiaError && error.isServerError()) {
+          if (attempts < maxAttempts) {
+            store().updateOfflineRequest(entry.id, { attempts });
+            this.scheduleRetry(
+              getRetryDelay(
+                error,
+                attempts,
+                resolveRetryPolicy(null, this.options.retry)
+              )
+            );
+            return;
+          }
+        }
+
+        store().removeFromOfflineQueue(entry.id);
+        this.settle(entry.id, error);
+        if (conflictStatuses.includes(status)) {
+          if (this.options.onConflict) this.options.onConflict(error, entry);
+        } else if (this.options.onFailure) {
+          this.options.onFailure(error, entry);
+        }
+      } finally {
+        this.notify();
+      }
+    }
+  }
+
+  // Replay again after a server error, even if the connection never drops
+  scheduleRetry(delay) {
+    this.cancelRetry();
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.replay();
+    }, delay);
+  }
+
+  cancelRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Drop every queued request
+   */
+  clear() {
+    this.cancelRetry();
+    this.getEntries().forEach((entry) =>
+      this.settle(
+        entry.id,
+        new VormiaError({
+          message: "Offline queue was cleared",
+          code: "QUEUE_CLEARED",
+          status: 0,
+        })
+      )
+    );
+    useCacheStore.getState().clearOfflineQueue();
+    this.schemas.clear();
+    this.lastError = null;
+    this.notify();
+  }
+}
+
+export const offlineQueue = new OfflineMutationQueue();
+
+// Queued writes belong to the session that made them: signing out, or another
+// user signing in, drops them instead of replaying them for the next user
+useAuthStore.subscribe((state, previous) => {
+  const signedOut = previous.token && !state.token;
+  const userChanged =
+    previous.user?.id !== undefined &&
+    state.user?.id !== undefined &&
+    previous.user.id !== state.user.id;
+  if ((signedOut || userChanged) && offlineQueue.getEntries().length > 0) {
+    offlineQueue.clear();
+  }
+});
+
+/**
+ * Configure the shared offline queue
+ * @param {Object} options - See OfflineMutationQueue#configure
+ * @returns {OfflineMutationQueue}
+ */
+export function configureOfflineQueue(options) {
+  return offlineQueue.configure(options);
+}
+
+/**
+ * Send a mutation, or queue it when offline or behind earlier queued mutations
+ * Queued calls resolve right away with `{ queued: true, queueId, idempotencyKey }`
+ * @param {Object} requestConfig - Request config, its `requestSchema` is checked before queueing
+ * @param {Object} [options] - Queue options
+ * @param {boolean} [options.queueOffline=true] - Set false to fail instead of queueing
+ * @param {string} [options.idempotencyKey] - Key identifying the mutation
+ * @returns {Promise<Object>} Response, or the queued placeholder
+ */
+export async function requestOrQueue(requestConfig, options = {}) {
+  const { queueOffline = true, idempotencyKey } = options;
+  const client = getGlobalVormiaClient();
+
+  // Invalid bodies fail now rather than when the queue replays them
+  const { requestSchema, ...config } = requestConfig;
+  if (requestSchema) {
+    config.data = validateSchema(requestSchema, config.data, {
+      target: "request",
+    });
+  }
+
+  if (!queueOffline || !canQueueRequest(config)) {
+    return client.request(config);
+  }
+
+  const toQueued = () => {
+    const entry = offlineQueue.enqueue(config, { idempotencyKey });
+    return {
+      data: null,
+      status: 0,
+      queued: true,
+      queueId: entry.id,
+      idempotencyKey: entry.idempotencyKey,
+      config,
+    };
+  };
+
+  // Later mutations wait behind queued ones so the server sees them in order
+  if (!onlineManager.isOnline() || offlineQueue.getEntries().length > 0) {
+    const queued = toQueued();
+    offlineQueue.replay();
+    return queued;
+  }
+
+  try {
+    return await client.request(config);
+  } catch (error) {
+    if (isConnectivityError(error)) {
+      return toQueued();
+    }
+    throw error;
+  }
+}
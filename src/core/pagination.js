@@ -0,0 +1,392 @@
+import { getGlobalVormiaClient } from "../client/createVormiaClient";
+import { queryCache } from "./QueryCache.js";
+import { vrmKeys } from "./queryKeys.js";
+
+/**
+ * Laravel paginator support
+ * Understands LengthAwarePaginator, Paginator (simplePaginate) and
+ * CursorPaginator bodies, both raw (`current_page`, `next_cursor` at the top)
+ * and wrapped by an API resource collection (`data`, `links`, `meta`).
+ * PaginationObserver drives paginated and infinite queries on the shared
+ * query cache for the Vue and Svelte adapters; the React hooks use the same
+ * helpers with TanStack Query.
+ */
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const toNumber = (value) =>
+  value === undefined || value === null || value === "" ? null : Number(value);
+
+/**
+ * Detect which Laravel paginator produced a response body
+ * @param {*} body - Response body
+ * @returns {string|null} `"length-aware"`, `"simple"`, `"cursor"` or null when the body is not paginated
+ */
+export function detectPaginator(body) {
+  if (!isPlainObject(body) || !Array.isArray(body.data)) return null;
+  const meta = isPlainObject(body.meta) ? body.meta : body;
+
+  if ("next_cursor" in meta || "prev_cursor" in meta) return "cursor";
+  if ("current_page" in meta) {
+    return "last_page" in meta ? "length-aware" : "simple";
+  }
+  return null;
+}
+
+/**
+ * Read a paginator body into one shape
+ * Page paginators use page numbers as page params, cursor paginators use the cursor
+ * @param {*} body - Response body
+ * @returns {Object|null} `{ type, items, currentPage, lastPage, perPage, total, from, to, nextPageParam, previousPageParam, hasNextPage, hasPreviousPage }`
+ */
+export function getPageInfo(body) {
+  const type = detectPaginator(body);
+  if (!type) return null;
+
+  const meta = isPlainObject(body.meta) ? body.meta : body;
+  const links = isPlainObject(body.links) ? body.links : {};
+  const info = {
+    type,
+    items: body.data,
+    currentPage: null,
+    lastPage: null,
+    perPage: toNumber(meta.per_page),
+    total: null,
+    from: null,
+    to: null,
+    nextPageParam: null,
+    previousPageParam: null,
+  };
+
+  if (type === "cursor") {
+    info.nextPageParam = meta.next_cursor ?? null;
+    info.previousPageParam = meta.prev_cursor ?? null;
+  } else {
+    info.currentPage = toNumber(meta.current_page) ?? 1;
+    info.lastPage = toNumber(meta.last_page);
+    info.total = toNumber(meta.total);
+    info.from = toNumber(meta.from);
+    info.to = toNumber(meta.to);
+
+    // simplePaginate has no last page, only a link to the next one
+    const hasNext =
+      info.lastPage !== null
+        ? info.currentPage < info.lastPage
+        : !!(meta.next_page_url ?? links.next);
+    info.nextPageParam = hasNext ? info.currentPage + 1 : null;
+    info.previousPageParam = info.currentPage > 1 ? info.currentPage - 1 : null;
+  }
+
+  info.hasNextPage = info.nextPageParam !== null;
+  info.hasPreviousPage = info.previousPageParam !== null;
+  return info;
+}
+
+/**
+ * Get the paginator body out of a client response
+ * Presets that unwrap `data` (`laravel-resource`, `jsonapi`) leave the page
+ * fields in `response.meta`, so the body is put back together from them
+ * @param {Object} response - Client response
+ * @returns {*} Paginator body, or `response.data` when there is none
+ */
+export function getPaginatorBody(response) {
+  if (!response) return undefined;
+  const { data, meta, links } = response;
+  if (!detectPaginator(data) && Array.isArray(data) && isPlainObject(meta)) {
+    return { data, meta, links };
+  }
+  return data;
+}
+
+/**
+ * Concatenate the items of several paginator bodies
+ * @param {Array} bodies - Response bodies, first page first
+ * @returns {Array} Items
+ */
+export function flattenPages(bodies) {
+  return bodies.reduce((items, body) => {
+    const info = getPageInfo(body);
+    return info ? items.concat(info.items) : items;
+  }, []);
+}
+
+/**
+ * Build the request params for a page
+ * The first page (`pageParam` null or 1) is requested without a page param, so
+ * it shares one cache key however it was reached. Numbers are sent as `page`,
+ * cursors as `cursor`, unless `pageParamName` says otherwise (Laravel's
+ * `paginate($perPage, ['*'], 'users_page')`).
+ * @param {Object} [params] - Query params
+ * @param {number|string|null} pageParam - Page number or cursor
+ * @param {string} [pageParamName] - Custom page param name
+ * @returns {Object|undefined} Params
+ */
+export function getPageParams(params, pageParam, pageParamName) {
+  if (pageParam === null || pageParam === undefined || pageParam === 1) {
+    return params;
+  }
+  const name =
+    pageParamName || (typeof pageParam === "number" ? "page" : "cursor");
+  return { ...params, [name]: pageParam };
+}
+
+const INITIAL_STATE = {
+  data: [],
+  pages: [],
+  pageInfo: null,
+  page: null,
+  pageParam: null,
+  total: null,
+  hasNextPage: false,
+  hasPreviousPage: false,
+  isLoading: false,
+  isFetching: false,
+  isFetchingNextPage: false,
+  isFetchingPreviousPage: false,
+  isPlaceholderData: false,
+  isError: false,
+  isSuccess: false,
+  error: null,
+};
+
+/**
+ * Framework-agnostic paginated or infinite query on the shared query cache
+ * Every page is its own cache entry under `vrmKeys.list(endpoint, pageParams)`,
+ * so mutations invalidating the endpoint refresh the pages on screen.
+ */
+export class PaginationObserver {
+  /**
+   * @param {Object} options - Query options
+   * @param {string} options.endpoint - API endpoint
+   * @param {Object} [options.params] - Query params sent with every page
+   * @param {Object} [options.headers] - Custom headers
+   * @param {string} [options.pageParamName] - Page param name, `page` or `cursor` by default
+   * @param {Function} [options.transform] - Transform the items, `(items) => items`
+   * @param {string|Function} [options.unwrap] - Envelope preset or strategy, the client's by default
+   * @param {Object} [options.schema] - Validator with `safeParse` or `parse` for the response data, fails with `SCHEMA_MISMATCH`
+   * @param {number} [options.staleTime] - Reuse cached pages younger than this
+   * @param {number} [options.cacheTime] - Keep unobserved pages this long
+   * @param {Object} [config] - Observer config
+   * @param {boolean} [config.infinite=false] - Accumulate pages, not replace them
+   */
+  constructor(options, { infinite = false } = {}) {
+    this.options = options;
+    this.infinite = infinite;
+    this.entries = [];
+    this.placeholder = undefined;
+    this.direction = null;
+    this.error = null;
+    this.listeners = new Set();
+    this.state = INITIAL_STATE;
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  createEntry(pageParam) {
+    const key = vrmKeys.list(
+      this.options.endpoint,
+      getPageParams(this.options.params, pageParam, this.options.pageParamName)
+    );
+    const entry = { pageParam, key, cacheState: queryCache.getState(key) };
+    entry.unsubscribe = queryCache.subscribe(key, (cacheState) => {
+      entry.cacheState = cacheState;
+      this.update();
+    });
+    return entry;
+  }
+
+  fetchEntry(entry, force = false) {
+    const {
+      endpoint,
+      params,
+      headers,
+      pageParamName,
+      unwrap,
+      schema,
+      staleTime,
+      cacheTime,
+    } = this.options;
+    const fetcher = async () => {
+      const response = await getGlobalVormiaClient().request({
+        method: "GET",
+        url: endpoint,
+        params: getPageParams(params, entry.pageParam, pageParamName),
+        headers,
+        unwrap,
+        schema,
+      });
+      return getPaginatorBody(response);
+    };
+
+    return queryCache
+      .fetch(entry.key, fetcher, { staleTime, cacheTime, force })
+      .then(
+        () => {
+          this.error = null;
+          this.update();
+        },
+        (error) => {
+          this.error = error;
+          this.update();
+          throw error;
+        }
+      );
+  }
+
+  clearEntries() {
+    this.entries.forEach((entry) => entry.unsubscribe());
+    this.entries = [];
+  }
+
+  /**
+   * Load a page, replacing the current one (paginated) or starting over (infinite)
+   * The previous page stays in `data` with `isPlaceholderData` until the new one arrives
+   * @param {number|string|null} [pageParam=null] - Page number or cursor, null for the first page
+   * @returns {Promise<void>}
+   */
+  setPage(pageParam = null) {
+    const [current] = this.entries;
+    if (current && current.cacheState?.data !== undefined) {
+      this.placeholder = current.cacheState.data;
+    }
+    this.clearEntries();
+    this.entries = [this.createEntry(pageParam)];
+    this.update();
+    return this.fetchEntry(this.entries[0]);
+  }
+
+  /**
+   * Change the query params and go back to the first page
+   * @param {Object} params - Query params
+   * @returns {Promise<void>}
+   */
+  setParams(params) {
+    this.options = { ...this.options, params };
+    return this.setPage(null);
+  }
+
+  /**
+   * Load the page after the current (paginated) or last loaded (infinite) page
+   * @returns {Promise<void>} Resolves right away when there is no next page
+   */
+  fetchNextPage() {
+    return this.fetchAdjacent("next");
+  }
+
+  /**
+   * Load the page before the current (paginated) or first loaded (infinite) page
+   * @returns {Promise<void>} Resolves right away when there is no previous page
+   */
+  fetchPreviousPage() {
+    return this.fetchAdjacent("previous");
+  }
+
+  fetchAdjacent(direction) {
+    const next = direction === "next";
+    const edge = this.entries[next ? this.entries.length - 1 : 0];
+    const info = edge && getPageInfo(edge.cacheState?.data);
+    const pageParam =
+      info && (next ? info.nextPageParam : info.previousPageParam);
+    if (pageParam === null || pageParam === undefined || this.direction) {
+      return Promise.resolve();
+    }
+
+    if (!this.infinite) return this.setPage(pageParam);
+
+    const entry = this.createEntry(pageParam);
+    this.entries = next ? [...this.entries, entry] : [entry, ...this.entries];
+    this.direction = direction;
+    this.update();
+    return this.fetchEntry(entry).finally(() => {
+      this.direction = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Fetch the loaded pages again if they are stale
+   * @returns {Promise<void>}
+   */
+  revalidate() {
+    return this.refetchEntries(false);
+  }
+
+  /**
+   * Fetch every loaded page again, first page first
+   * @returns {Promise<void>}
+   */
+  refetch() {
+    return this.refetchEntries(true);
+  }
+
+  async refetchEntries(force) {
+    // Later cursors come from earlier pages, so go in order
+    for (const entry of [...this.entries]) {
+      await this.fetchEntry(entry, force);
+    }
+  }
+
+  /**
+   * Stop listening to the cache
+   */
+  destroy() {
+    this.clearEntries();
+    this.listeners.clear();
+  }
+
+  update() {
+    const loaded = this.entries.filter(
+      (entry) => entry.cacheState?.data !== undefined
+    );
+    let bodies = loaded.map((entry) => entry.cacheState.data);
+    const isPlaceholderData =
+      bodies.length === 0 && this.placeholder !== undefined;
+    if (isPlaceholderData) bodies = [this.placeholder];
+    if (!isPlaceholderData) this.placeholder = undefined;
+
+    const first = getPageInfo(bodies[0]);
+    const last = getPageInfo(bodies[bodies.length - 1]);
+    const items = flattenPages(bodies);
+    const isFetching = this.entries.some(
+      (entry) => entry.cacheState?.isFetching
+    );
+
+    this.state = {
+      data: this.options.transform ? this.options.transform(items) : items,
+      pages: bodies,
+      pageInfo: last,
+      page: last ? last.currentPage : null,
+      // The requested page, ahead of `page` while placeholder data is shown
+      pageParam: this.entries.length
+        ? this.entries[this.entries.length - 1].pageParam
+        : null,
+      total: last ? last.total : null,
+      hasNextPage: !!last?.hasNextPage,
+      hasPreviousPage: !!first?.hasPreviousPage,
+      isLoading: bodies.length === 0 && isFetching,
+      isFetching,
+      isFetchingNextPage: this.direction === "next",
+      isFetchingPreviousPage: this.direction === "previous",
+      isPlaceholderData,
+      isError: this.error !== null,
+      isSuccess: bodies.length > 0 && !isPlaceholderData,
+      error: this.error,
+    };
+    this.listeners.forEach((listener) => listener(this.state));
+  }
+}
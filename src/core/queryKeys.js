@@ -0,0 +1,102 @@
+/**
+ * Query key factory shared by every hook and adapter
+ * Keys are hierarchical and always start with the endpoint, so a shorter key
+ * invalidates everything below it:
+ *
+ *   vrmKeys.all("/users")              ["/users"]                    every /users query
+ *   vrmKeys.list("/users", { page })   ["/users", { page }]          one page of the list
+ *   vrmKeys.details("/users")          ["/users", "detail"]          every single-user query
+ *   vrmKeys.detail("/users", 5)        ["/users", "detail", "5"]     one user
+ *   vrmKeys.infinite("/users", params) ["/users", params, "infinite"] an infinite list
+ */
+
+const hasValue = (value) =>
+  value !== undefined &&
+  value !== null &&
+  !(
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 0
+  );
+
+export const vrmKeys = {
+  /**
+   * Every query of an endpoint
+   * @param {string} endpoint - API endpoint
+   * @returns {Array} Query key
+   */
+  all: (endpoint) => [endpoint],
+
+  /**
+   * A list query, keyed by its params
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [params] - Query params; empty params share the unfiltered key
+   * @returns {Array} Query key
+   */
+  list: (endpoint, params) =>
+    hasValue(params) ? [endpoint, params] : [endpoint],
+
+  /**
+   * An infinite list, kept apart from list keys because it caches every loaded page
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [params] - Query params without the page param
+   * @returns {Array} Query key
+   */
+  infinite: (endpoint, params) => [
+    ...vrmKeys.list(endpoint, params),
+    "infinite",
+  ],
+
+  /**
+   * Every detail query of an endpoint
+   * @param {string} endpoint - API endpoint
+   * @returns {Array} Query key prefix
+   */
+  details: (endpoint) => [endpoint, "detail"],
+
+  /**
+   * A single item of an endpoint
+   * Ids are stored as strings so `5` and `"5"` (from a route param) share a key
+   * @param {string} endpoint - Collection endpoint, e.g. "/users"
+   * @param {string|number} id - Item id
+   * @returns {Array} Query key
+   */
+  detail: (endpoint, id) => [endpoint, "detail", String(id)],
+
+  /**
+   * A query sent with a method other than GET
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [options] - Request options
+   * @param {string} [options.method='POST'] - HTTP method
+   * @param {Object} [options.params] - Query params
+   * @param {*} [options.data] - Request body
+   * @returns {Array} Query key
+   */
+  request: (endpoint, { method = "POST", params, data } = {}) => [
+    endpoint,
+    { method: method.toUpperCase(), params, data },
+  ],
+};
+
+// `["/users", { page: 1 }]` and `["/users", "detail", "5"]` are one key;
+// `[key, key]` and `["/users", "/teams"]` are lists of keys
+const isSingleKey = (value) =>
+  typeof value[0] === "string" &&
+  value.length > 1 &&
+  !value.some(Array.isArray) &&
+  !value.every((part) => typeof part === "string" && part.startsWith("/"));
+
+/**
+ * Turn an `invalidates`/`refetches` option into a list of keys
+ * Accepts one key (a string or a vrmKeys array), a list of keys/prefixes,
+ * or a function returning either
+ * @param {string|Array|Function} keys - Keys option
+ * @param {...*} args - Arguments for a function option: `(response, variables)` in every adapter
+ * @returns {Array<Array|string>} Keys
+ */
+export function resolveQueryKeys(keys, ...args) {
+  const value = typeof keys === "function" ? keys(...args) : keys;
+  if (value === undefined || value === null || value === false) return [];
+  if (!Array.isArray(value)) return [value];
+  return isSingleKey(value) ? [value] : [...value];
+}
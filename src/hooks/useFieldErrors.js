@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from "react";
+import { FieldErrorManager, getFieldClasses } from "../utils/fieldErrors.js";
+
+/**
+ * Hook for showing field errors in React forms
+ * Keeps a FieldErrorManager in React state, fills it from a mutation's 422
+ * error and clears everything once the mutation succeeds
+ * @param {Object} [options] - Field error options
+ * @param {Object} [options.mutation] - Mutation result (`useVrmMutation`, `useVormiaQueryAuthMutation`) to read `error` and `isSuccess` from
+ * @param {Object} [options.fieldMapping] - Mapping of API field names to form field names
+ * @param {FieldErrorManager} [options.manager] - Manager to share between components, a new one by default
+ * @returns {Object} `{ errors, hasAnyErrors, getFieldError, hasFieldError, clearOnInput, handleError, validateRules, ... }`
+ */
+export const useFieldErrors = (options = {}) => {
+  const { mutation, fieldMapping, manager: sharedManager } = options;
+  const [manager] = useState(() => sharedManager || new FieldErrorManager());
+  const [errors, setErrors] = useState(() => manager.getAllFieldErrors());
+
+  // Read at call time, so an inline mapping does not re-run the effects
+  const fieldMappingRef = useRef(fieldMapping);
+  fieldMappingRef.current = fieldMapping;
+
+  useEffect(() => {
+    const unsubscribe = manager.addListener(() =>
+      setErrors(manager.getAllFieldErrors())
+    );
+    // Catch changes made between the first render and this effect
+    setErrors(manager.getAllFieldErrors());
+    return unsubscribe;
+  }, [manager]);
+
+  const mutationError = mutation?.error;
+  useEffect(() => {
+    manager.processValidationError(mutationError, fieldMappingRef.current);
+  }, [manager, mutationError]);
+
+  const mutationSucceeded = mutation?.isSuccess === true;
+  useEffect(() => {
+    if (mutationSucceeded) {
+      manager.clearAllFieldErrors();
+    }
+  }, [manager, mutationSucceeded]);
+
+  return {
+    errors,
+    hasAnyErrors: Object.keys(errors).length > 0,
+    getFieldError: (fieldName) => errors[fieldName],
+    hasFieldError: (fieldName) => !!errors[fieldName],
+    getFieldClasses: (fieldName, baseClasses, errorClasses) =>
+      getFieldClasses(!!errors[fieldName], baseClasses, errorClasses),
+    setFieldErrors: (fieldErrors) => manager.setFieldErrors(fieldErrors),
+    setFieldError: (fieldName, message) =>
+      manager.setFieldError(fieldName, message),
+    clearFieldError: (fieldName) => manager.clearFieldError(fieldName),
+    clearAllFieldErrors: () => manager.clearAllFieldErrors(),
+    // `onChange={clearOnInput("email")}`, or call it from your own handler
+    clearOnInput: (fieldName) => () => manager.clearFieldError(fieldName),
+    handleError: (error) =>
+      manager.processValidationError(error, fieldMappingRef.current),
+    validateRules: (values, rules, ruleOptions) =>
+      manager.validateRules(values, rules, ruleOptions),
+    manager,
+  };
+};
@@ -1,5 +1,9 @@
 import { useCallback, useRef, useEffect } from "react";
 import { useCacheStore } from "../stores/useCacheStore.js";
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+} from "../client/utils/retry.js";
 
 /**
  * Enhanced caching hook with vormiaqueryjs-style syntax
@@ -163,9 +167,15 @@ export const useVormiaCache = (options = {}) => {
         if (retryCount < itemMaxRetries) {
           retryCounters.current.set(key, retryCount + 1);
 
+          // Exponential backoff with jitter
+          const delay = getRetryDelay(null, retryCount + 1, {
+            ...DEFAULT_RETRY_POLICY,
+            baseDelay: itemRetryDelay,
+          });
+
           setTimeout(() => {
             refresh(key, refreshFunction, options);
-          }, itemRetryDelay * (retryCount + 1)); // Exponential backoff
+          }, delay);
 
           return {
             success: false,
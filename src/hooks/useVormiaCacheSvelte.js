@@ -1,5 +1,9 @@
 import { writable, onDestroy } from "svelte";
 import { useCacheStore } from "../stores/useCacheStore.js";
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+} from "../client/utils/retry.js";
 
 /**
  * Enhanced caching hook for Svelte with vormiaqueryjs-style syntax
@@ -146,9 +150,15 @@ export const useVormiaCacheSvelte = (options = {}) => {
       if (retryCount < itemMaxRetries) {
         retryCounters.set(key, retryCount + 1);
 
+        // Exponential backoff with jitter
+        const delay = getRetryDelay(null, retryCount + 1, {
+          ...DEFAULT_RETRY_POLICY,
+          baseDelay: itemRetryDelay,
+        });
+
         setTimeout(() => {
           refresh(key, refreshFunction, options);
-        }, itemRetryDelay * (retryCount + 1)); // Exponential backoff
+        }, delay);
 
         return {
           success: false,
@@ -1,5 +1,9 @@
 import { ref, computed, onUnmounted } from "vue";
 import { useCacheStore } from "../stores/useCacheStore.js";
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+} from "../client/utils/retry.js";
 
 /**
  * Enhanced caching hook for Vue.js with vormiaqueryjs-style syntax
@@ -146,9 +150,15 @@ export const useVormiaCacheVue = (options = {}) => {
       if (retryCount < itemMaxRetries) {
         retryCounters.value.set(key, retryCount + 1);
 
+        // Exponential backoff with jitter
+        const delay = getRetryDelay(null, retryCount + 1, {
+          ...DEFAULT_RETRY_POLICY,
+          baseDelay: itemRetryDelay,
+        });
+
         setTimeout(() => {
           refresh(key, refreshFunction, options);
-        }, itemRetryDelay * (retryCount + 1)); // Exponential backoff
+        }, delay);
 
         return {
           success: false,
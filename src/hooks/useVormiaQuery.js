@@ -1,5 +1,6 @@
 import { useQuery } from "@tanstack/react-query";
 import { getGlobalVormiaClient } from "../client/createVormiaClient";
+import { createQueryKey } from "../core/QueryCache.js";
 import {
   logErrorForDebug,
   logSuccessForDebug,
@@ -23,6 +24,7 @@ import {
  * @param {Object} [options.params] - Query parameters
  * @param {Object} [options.data] - Request body
  * @param {Object} [options.headers] - Custom headers
+ * @param {Array} [options.queryKey] - Custom key, defaults to `vrmKeys.list(endpoint, params)`
  * @param {boolean} [options.showDebug] - Override debug panel visibility
  * @returns {Object} Query result with enhanced utilities
  */
@@ -39,9 +41,19 @@ export function useVormiaQuery({
 
   const client = getGlobalVormiaClient();
 
-  const { params, data, headers = {}, ...queryOptions } = options;
+  const {
+    params,
+    data,
+    headers = {},
+    unwrap,
+    schema,
+    queryKey: customKey,
+    ...queryOptions
+  } = options;
 
-  const queryKey = [endpoint, method, params, data];
+  const queryKey =
+    customKey ||
+    createQueryKey(endpoint, { method, params, data, unwrap, schema });
 
   const queryFn = async () => {
     try {
@@ -54,6 +66,8 @@ export function useVormiaQuery({
           "Content-Type": "application/json",
           ...headers,
         },
+        unwrap,
+        schema,
       };
 
       const response = await client.request(config);
@@ -1,6 +1,8 @@
 import { useQuery, useMutation } from "@tanstack/react-query";
 import { getGlobalVormiaClient } from "../client/createVormiaClient";
+import { createQueryKey } from "../core/QueryCache.js";
 import { transformFormData } from "../utils/formDataTransformer.js";
+import { assertRules } from "../utils/validationRules.js";
 import {
   logErrorForDebug,
   logSuccessForDebug,
@@ -26,6 +28,7 @@ import {
  * @param {Object} [options.headers] - Custom headers
  * @param {Function} [options.transform] - Transform function for response data
  * @param {boolean} [options.storeToken=true] - Whether to store the auth token
+ * @param {Array} [options.queryKey] - Custom key, defaults to `vrmKeys.list(endpoint, params)`
  * @returns {Object} Query result
  */
 export const useVormiaQueryAuth = (options) => {
@@ -39,12 +42,15 @@ export const useVormiaQueryAuth = (options) => {
     headers = {},
     transform,
     storeToken = true,
+    queryKey: customKey,
     ...queryOptions
   } = options;
 
-  const queryKey = [endpoint, method, params, data];
+  const queryKey =
+    customKey || createQueryKey(endpoint, { method, params, data });
 
-  const queryFn = async () => {
+  // React Query aborts `signal` when the query is cancelled or unmounted
+  const queryFn = async ({ signal }) => {
     try {
       const config = {
         method,
@@ -55,20 +61,14 @@ export const useVormiaQueryAuth = (options) => {
           "Content-Type": "application/json",
           ...headers,
         },
+        signal,
       };
 
       const response = await client.request(config);
 
-      // Store token if present in response
+      // Store token (plus refresh token and expiry) if present in response
       if (storeToken && response.data?.access_token) {
-        client.setAuthToken(response.data.access_token);
-      }
-
-      if (transform && typeof transform === "function") {
-        return {
-          ...response,
-          data: transform(response.data),
-        };
+        client.storeAuthTokens(response.data);
       }
 
       return response;
@@ -86,9 +86,14 @@ export const useVormiaQueryAuth = (options) => {
   return useQuery({
     queryKey,
     queryFn,
+    // The cache holds the raw response, shared with other hooks on this key
+    select:
+      transform && typeof transform === "function"
+        ? (response) => ({ ...response, data: transform(response.data) })
+        : undefined,
     retry: (failureCount, error) => {
-      // Don't retry on 401
-      if (error.status === 401) return false;
+      // Don't retry on 401 or on cancelled requests
+      if (error.status === 401 || error.code === "ABORTED") return false;
       return failureCount < 3; // Retry up to 3 times
     },
     ...queryOptions,
@@ -106,6 +111,10 @@ export const useVormiaQueryAuth = (options) => {
  * @param {Function} [options.onLoginSuccess] - Login success callback
  * @param {Object} [options.formdata] - Form data transformation config
  * @param {boolean} [options.manualTransformation=false] - Skip auto transformation
+ * @param {Object} [options.rules] - Laravel-style rules for the variables; failures reject with a 422 `VALIDATION_ERROR` before the request is sent
+ * @param {Object} [options.ruleMessages] - Custom rule messages, see validateRules
+ * @param {Object} [options.ruleAttributes] - Display names for `:attribute` in rule messages
+ * @param {boolean|string} [options.multipart] - Send variables as multipart (`true`), or only when they contain files (`"auto"`)
  * @param {boolean} [options.showDebug] - Override debug panel visibility
  * @param {Function} [options.onSuccess] - Success callback
  * @param {Function} [options.onError] - Error callback
@@ -123,6 +132,10 @@ export const useVormiaQueryAuthMutation = (options) => {
     onLoginSuccess,
     formdata,
     manualTransformation = false,
+    rules,
+    ruleMessages,
+    ruleAttributes,
+    multipart,
     showDebug = null,
     errorLabel = "Mutation Error", // Allow custom error label
     onSuccess,
@@ -136,6 +149,13 @@ export const useVormiaQueryAuthMutation = (options) => {
 
   const mutation = useMutation({
     mutationFn: async (variables) => {
+      if (rules) {
+        assertRules(variables, rules, {
+          messages: ruleMessages,
+          attributes: ruleAttributes,
+        });
+      }
+
       let requestData = variables;
 
       // Apply form data transformation if configured
@@ -151,13 +171,14 @@ export const useVormiaQueryAuthMutation = (options) => {
           "Content-Type": "application/json",
           ...headers,
         },
+        multipart,
       };
 
       const response = await client.request(config);
 
-      // Store token if present in response
+      // Store token (plus refresh token and expiry) if present in response
       if (storeToken && response.data?.access_token) {
-        client.setAuthToken(response.data.access_token);
+        client.storeAuthTokens(response.data);
       }
 
       if (transform && typeof transform === "function") {
@@ -187,7 +208,7 @@ export const useVormiaQueryAuthMutation = (options) => {
 
       // Handle login success - store user data automatically
       if (data.data?.access_token) {
-        // Store user data in localStorage for useVormiaAuth
+        // Store user data in the token storage for useVormiaAuth
         const userData = {
           ...data.data,
           token: data.data.access_token, // Store access_token as token for compatibility
@@ -198,9 +219,12 @@ export const useVormiaQueryAuthMutation = (options) => {
         // Debug: Log the user data being stored
         console.log("🔐 Storing user data:", userData);
 
-        // Store in localStorage
+        // Store next to the token
         try {
-          localStorage.setItem("vormia_user_data", JSON.stringify(userData));
+          client.tokenStorage.setItem(
+            "vormia_user_data",
+            JSON.stringify(userData)
+          );
         } catch (error) {
           console.warn("Failed to store user data:", error);
         }
@@ -243,9 +267,9 @@ export const useVormiaQueryAuthMutation = (options) => {
     client.removeAuthToken();
     mutation.reset();
 
-    // Clear user data from localStorage
+    // Clear user data from the token storage
     try {
-      localStorage.removeItem("vormia_user_data");
+      client.tokenStorage.removeItem("vormia_user_data");
     } catch (error) {
       console.warn("Failed to clear user data:", error);
     }
@@ -327,8 +351,8 @@ export const useVormiaAuth = () => {
         return null;
       }
 
-      // Try to get user from localStorage
-      const userData = localStorage.getItem("vormia_user_data");
+      // Try to get user from the token storage
+      const userData = client.tokenStorage.getItem("vormia_user_data");
       if (userData) {
         const parsedUser = JSON.parse(userData);
         console.log("🔐 Retrieved user data:", parsedUser);
@@ -348,11 +372,14 @@ export const useVormiaAuth = () => {
   const setUser = (userData) => {
     try {
       console.log("🔐 setUser called with:", userData);
-      localStorage.setItem("vormia_user_data", JSON.stringify(userData));
+      client.tokenStorage.setItem(
+        "vormia_user_data",
+        JSON.stringify(userData)
+      );
       console.log("🔐 User data stored successfully");
 
       // Verify storage
-      const stored = localStorage.getItem("vormia_user_data");
+      const stored = client.tokenStorage.getItem("vormia_user_data");
       console.log(
         "🔐 Verification - stored data:",
         stored ? JSON.parse(stored) : null
@@ -365,7 +392,7 @@ export const useVormiaAuth = () => {
   // Clear user data (call this on logout)
   const clearUser = () => {
     try {
-      localStorage.removeItem("vormia_user_data");
+      client.tokenStorage.removeItem("vormia_user_data");
     } catch (error) {
       console.warn("Failed to clear user data:", error);
     }
@@ -498,8 +525,8 @@ export const useVormiaAuth = () => {
     console.log("🔐 === AUTH DEBUG TEST ===");
     console.log("🔐 Client token:", client.getAuthToken());
     console.log(
-      "🔐 LocalStorage raw:",
-      localStorage.getItem("vormia_user_data")
+      "🔐 Token storage raw:",
+      client.tokenStorage.getItem("vormia_user_data")
     );
     console.log("🔐 getUser() result:", getUser());
     console.log("🔐 isAuthenticated():", !!client.getAuthToken());
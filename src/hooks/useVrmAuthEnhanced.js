@@ -18,6 +18,7 @@ import {
 import { useAuthStore } from "../stores/useAuthStore.js";
 import { useCacheStore } from "../stores/useCacheStore.js";
 import { useStorageStore } from "../stores/useStorageStore.js";
+import { requestOrQueue } from "../core/offlineQueue.js";
 
 /**
  * Enhanced authentication hook with Zustand integration
@@ -235,12 +236,28 @@ export const useVrmAuthEnhanced = () => {
       endpoint = "/profile",
       updateStore = true,
       updateCache = true,
+      queueOffline = false,
       onSuccess,
       onError,
     } = options;
 
     try {
-      const response = await client.put(endpoint, userData);
+      const response = await requestOrQueue(
+        { method: "PUT", url: endpoint, data: userData },
+        { queueOffline }
+      );
+
+      // Offline: apply the change locally, the queue sends it on reconnect
+      if (response.queued) {
+        const updatedUser = { ...user, ...userData };
+        if (updateStore) {
+          setUser(updatedUser);
+        }
+        if (onSuccess) {
+          onSuccess(updatedUser, { queued: true, queueId: response.queueId });
+        }
+        return updatedUser;
+      }
 
       if (response.data?.user) {
         const updatedUser = response.data.user;
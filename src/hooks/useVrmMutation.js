@@ -1,6 +1,22 @@
+import { useEffect, useState } from "react";
 import { useMutation, useQueryClient } from "@tanstack/react-query";
-import { getGlobalVormiaClient } from "../client/createVormiaClient";
 import { transformFormData } from "../utils/formDataTransformer.js";
+import {
+  JSON_API_MEDIA_TYPE,
+  serializeJsonApi,
+} from "../client/utils/jsonApi.js";
+import { validateSchema } from "../client/utils/schema.js";
+import { assertRules } from "../utils/validationRules.js";
+import { offlineQueue, requestOrQueue } from "../core/offlineQueue.js";
+import { normalizeQueryKey } from "../core/QueryCache.js";
+import { vrmKeys, resolveQueryKeys } from "../core/queryKeys.js";
+
+const INITIAL_PROGRESS = { upload: null, download: null };
+
+let optimisticCounter = 0;
+
+// Queued placeholders and the replay each one waits for
+const pendingReplays = new WeakMap();
 
 /**
  * Hook for making API mutations with Vormia
@@ -9,33 +25,150 @@ import { transformFormData } from "../utils/formDataTransformer.js";
  * @param {string} [options.method='POST'] - HTTP method
  * @param {Object} [options.headers] - Custom headers
  * @param {Function} [options.transform] - Transform function for response data
+ * @param {string|Function} [options.unwrap] - Envelope preset or strategy, the client's by default
+ * @param {Object} [options.schema] - Validator with `safeParse` or `parse` for the response data, fails with `SCHEMA_MISMATCH`
+ * @param {Object} [options.requestSchema] - Validator for the variables, checked before formdata/jsonapi and before the request is sent or queued
+ * @param {Object} [options.rules] - Laravel-style rules for the variables, e.g. `{ email: "required|email" }`; failures reject with a 422 `VALIDATION_ERROR` before anything is sent or queued
+ * @param {Object} [options.ruleMessages] - Custom rule messages, see validateRules
+ * @param {Object} [options.ruleAttributes] - Display names for `:attribute` in rule messages
  * @param {Object} [options.formdata] - Form data transformation configuration
+ * @param {string|Object} [options.jsonapi] - Send the variables as a JSON:API document: the resource type, or `{ type, id, relationships }`
+ * @param {boolean|string} [options.multipart] - Send variables as multipart (`true`), or only when they contain files (`"auto"`)
+ * @param {boolean} [options.trackProgress=false] - Track upload/download progress in the `progress` result
+ * @param {Function} [options.onUploadProgress] - Upload progress callback (switches the request to XHR)
+ * @param {Function} [options.onDownloadProgress] - Download progress callback
+ * @param {boolean} [options.queueOffline=false] - Queue the mutation while offline and replay it on reconnect; `onSuccess` and `onError` then run once the replay settles
+ * @param {string|Function} [options.idempotencyKey] - Key for queued replays, or `(variables) => key`
+ * @param {Object} [options.optimistic] - Optimistic cache update, see optimisticInsert/Update/Remove for list helpers
+ * @param {Array|Function} options.optimistic.queryKey - Query key (prefix) to update, or `(variables) => queryKey`
+ * @param {Function} options.optimistic.updater - `(data, variables, { optimisticId }) => newData`, applied before the request
+ * @param {Function} [options.optimistic.reconcile] - `(data, responseData, variables, { optimisticId }) => newData` on success; the queries are refetched when omitted
+ * @param {Array|string|Function} [options.invalidates] - Keys or prefixes to mark stale after success, or `(response, variables) => keys`; defaults to `vrmKeys.all(endpoint)`
+ * @param {Array|string|Function} [options.refetches] - Keys or prefixes to refetch right away after success, even when nothing observes them
  * @param {Function} [options.onSuccess] - Success callback
  * @param {Function} [options.onError] - Error callback
  * @returns {Object} Mutation result and utilities
  */
 export const useVrmMutation = (options) => {
   const queryClient = useQueryClient();
-  const client = getGlobalVormiaClient();
 
   const {
     endpoint,
     method = "POST",
     headers,
     transform,
+    unwrap,
+    schema,
+    requestSchema,
+    rules,
+    ruleMessages,
+    ruleAttributes,
     formdata,
+    jsonapi,
+    multipart,
+    trackProgress = false,
+    onUploadProgress,
+    onDownloadProgress,
+    queueOffline = false,
+    idempotencyKey,
+    optimistic,
+    invalidates,
+    refetches,
+    onMutate,
     onSuccess,
     onError,
+    onSettled,
     ...mutationOptions
   } = options;
 
+  // Replays what earlier sessions queued as soon as a mutation hook mounts
+  useEffect(() => {
+    if (queueOffline) {
+      offlineQueue.start();
+    }
+  }, [queueOffline]);
+
+  const [progress, setProgress] = useState(INITIAL_PROGRESS);
+  const shouldTrackProgress =
+    trackProgress || !!onUploadProgress || !!onDownloadProgress;
+
+  const getOptimisticKey = (variables) =>
+    typeof optimistic.queryKey === "function"
+      ? optimistic.queryKey(variables)
+      : optimistic.queryKey;
+
+  const toResult = (response) =>
+    transform && typeof transform === "function"
+      ? { ...response, data: transform(response.data) }
+      : response;
+
+  const handleSuccess = (data, variables, context) => {
+    if (onSuccess) {
+      onSuccess(data, variables, context);
+    }
+
+    const staleKeys =
+      invalidates === undefined && refetches === undefined && !optimistic
+        ? [vrmKeys.all(endpoint)]
+        : resolveQueryKeys(invalidates, data, variables);
+
+    if (optimistic) {
+      const optimisticKey = getOptimisticKey(variables);
+      if (optimistic.reconcile && context?.optimistic) {
+        queryClient.setQueriesData({ queryKey: optimisticKey }, (current) =>
+          optimistic.reconcile(
+            current,
+            data?.data,
+            variables,
+            context.optimistic.meta
+          )
+        );
+      } else {
+        staleKeys.push(optimisticKey);
+      }
+    }
+
+    staleKeys.forEach((key) =>
+      queryClient.invalidateQueries({ queryKey: normalizeQueryKey(key) })
+    );
+    resolveQueryKeys(refetches, data, variables).forEach((key) =>
+      queryClient.refetchQueries({ queryKey: normalizeQueryKey(key) })
+    );
+  };
+
+  const handleError = (error, variables, context) => {
+    if (context?.optimistic) {
+      context.optimistic.snapshot.forEach(([queryKey, data]) =>
+        queryClient.setQueryData(queryKey, data)
+      );
+    }
+    if (onError) {
+      onError(error, variables, context);
+    }
+  };
+
   const mutation = useMutation({
     mutationFn: async (variables) => {
       try {
+        if (shouldTrackProgress) {
+          setProgress(INITIAL_PROGRESS);
+        }
+
+        // Invalid variables never reach the network or the offline queue
+        if (rules) {
+          assertRules(variables, rules, {
+            messages: ruleMessages,
+            attributes: ruleAttributes,
+          });
+        }
+        const input = requestSchema
+          ? validateSchema(requestSchema, variables, { target: "request" })
+          : variables;
+
         // Transform form data if configuration is provided
         const transformedData = formdata
-          ? transformFormData(variables, formdata)
-          : variables;
+          ? transformFormData(input, formdata)
+          : input;
 
         const config = {
           method,
@@ -45,32 +178,96 @@ export const useVrmMutation = (options) => {
             "Content-Type": "application/json",
             ...headers,
           },
+          multipart,
+          unwrap,
+          schema,
         };
 
-        const response = await client.request(config);
+        // JSON:API bodies, media type and error mapping
+        if (jsonapi) {
+          config.data = serializeJsonApi(
+            transformedData,
+            typeof jsonapi === "string" ? { type: jsonapi } : jsonapi
+          );
+          config.headers = {
+            "Content-Type": JSON_API_MEDIA_TYPE,
+            Accept: JSON_API_MEDIA_TYPE,
+            ...headers,
+          };
+          if (unwrap === undefined) config.unwrap = "jsonapi";
+        }
 
-        if (transform && typeof transform === "function") {
-          return {
-            ...response,
-            data: transform(response.data),
+        if (shouldTrackProgress) {
+          config.onUploadProgress = (event) => {
+            setProgress((current) => ({ ...current, upload: event }));
+            if (onUploadProgress) onUploadProgress(event);
+          };
+          config.onDownloadProgress = (event) => {
+            setProgress((current) => ({ ...current, download: event }));
+            if (onDownloadProgress) onDownloadProgress(event);
           };
         }
 
-        return response;
+        const response = await requestOrQueue(config, {
+          queueOffline,
+          idempotencyKey:
+            typeof idempotencyKey === "function"
+              ? idempotencyKey(variables)
+              : idempotencyKey,
+        });
+
+        // Registered now, before the queue can replay and settle the entry
+        if (response.queued) {
+          pendingReplays.set(
+            response,
+            offlineQueue.whenReplayed(response.queueId).then(toResult)
+          );
+          return response;
+        }
+
+        return toResult(response);
       } catch (error) {
         throw error instanceof Error ? error : new Error("Mutation failed");
       }
     },
+    onMutate: async (variables) => {
+      const userContext = onMutate ? await onMutate(variables) : undefined;
+      if (!optimistic) return userContext;
+
+      const filters = { queryKey: getOptimisticKey(variables) };
+      const meta = { optimisticId: `optimistic-${++optimisticCounter}` };
+
+      // A refetch landing now would overwrite the optimistic data
+      await queryClient.cancelQueries(filters);
+      const snapshot = queryClient.getQueriesData(filters);
+      queryClient.setQueriesData(filters, (data) =>
+        optimistic.updater(data, variables, meta)
+      );
+
+      return { ...userContext, optimistic: { snapshot, meta } };
+    },
     onSuccess: (data, variables, context) => {
-      if (onSuccess) {
-        onSuccess(data, variables, context);
+      // Nothing changed on the server yet; optimistic data stays until replay
+      if (data?.queued) {
+        pendingReplays.get(data).then(
+          (response) => {
+            handleSuccess(response, variables, context);
+            if (onSettled) onSettled(response, null, variables, context);
+          },
+          (error) => {
+            handleError(error, variables, context);
+            if (onSettled) onSettled(undefined, error, variables, context);
+          }
+        );
+        return;
       }
-      // Invalidate related queries
-      queryClient.invalidateQueries({ queryKey: [endpoint] });
+      handleSuccess(data, variables, context);
     },
-    onError: (error, variables, context) => {
-      if (onError) {
-        onError(error, variables, context);
+    onError: handleError,
+    // Queued mutations settle when the queue replays or drops them
+    onSettled: (data, error, variables, context) => {
+      if (onSettled && !data?.queued) {
+        return onSettled(data, error, variables, context);
       }
     },
     ...mutationOptions,
@@ -83,9 +280,17 @@ export const useVrmMutation = (options) => {
     });
   };
 
+  const reset = () => {
+    setProgress(INITIAL_PROGRESS);
+    mutation.reset();
+  };
+
   return {
     ...mutation,
+    reset,
+    progress,
     invalidateQueries,
+    isQueued: mutation.data?.queued === true,
   };
 };
 
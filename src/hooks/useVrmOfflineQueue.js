@@ -0,0 +1,24 @@
+import { useEffect, useState } from "react";
+import { offlineQueue } from "../core/offlineQueue.js";
+
+/**
+ * Hook for showing the offline mutation queue in the UI
+ * @returns {Object} `{ pendingCount, isReplaying, isOnline, lastError, replay, clear }`
+ */
+export const useVrmOfflineQueue = () => {
+  const [status, setStatus] = useState(() => offlineQueue.getStatus());
+
+  useEffect(() => {
+    offlineQueue.start();
+    const unsubscribe = offlineQueue.subscribe(setStatus);
+    // Catch changes made between the first render and this effect
+    setStatus(offlineQueue.getStatus());
+    return unsubscribe;
+  }, []);
+
+  return {
+    ...status,
+    replay: () => offlineQueue.replay(),
+    clear: () => offlineQueue.clear(),
+  };
+};
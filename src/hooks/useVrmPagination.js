@@ -0,0 +1,183 @@
+import { useState } from "react";
+import {
+  useInfiniteQuery,
+  useQuery,
+  keepPreviousData,
+} from "@tanstack/react-query";
+import { getGlobalVormiaClient } from "../client/createVormiaClient";
+import { hashQueryKey, withReaderKey } from "../core/QueryCache.js";
+import { vrmKeys } from "../core/queryKeys.js";
+import {
+  flattenPages,
+  getPageInfo,
+  getPageParams,
+  getPaginatorBody,
+} from "../core/pagination.js";
+
+/**
+ * Hook for "load more" lists over Laravel paginators
+ * Detects LengthAwarePaginator, simplePaginate and CursorPaginator bodies,
+ * raw or wrapped in an API resource, and asks for the next page or cursor
+ * @param {Object} options - Query options
+ * @param {string} options.endpoint - API endpoint
+ * @param {Object} [options.params] - Query parameters sent with every page
+ * @param {Object} [options.headers] - Custom headers
+ * @param {string} [options.pageParamName] - Page param name, `page` or `cursor` by default
+ * @param {Function} [options.transform] - Transform the flattened items, `(items) => items`
+ * @param {string|Function} [options.unwrap] - Envelope preset or strategy, the client's by default
+ * @param {Object} [options.schema] - Validator with `safeParse` or `parse` for the response data, fails with `SCHEMA_MISMATCH`
+ * @param {boolean} [options.enabled=true] - Whether the query should execute
+ * @returns {Object} Infinite query result plus `items`, `pageInfo` and `total`
+ */
+export const useVrmInfiniteQuery = (options) => {
+  const client = getGlobalVormiaClient();
+
+  const {
+    endpoint,
+    params,
+    headers,
+    pageParamName,
+    transform,
+    unwrap,
+    schema,
+    enabled = true,
+    ...queryOptions
+  } = options;
+
+  const query = useInfiniteQuery({
+    queryKey: withReaderKey(vrmKeys.infinite(endpoint, params), {
+      unwrap,
+      schema,
+    }),
+    queryFn: async ({ pageParam, signal }) => {
+      try {
+        return await client.request({
+          method: "GET",
+          url: endpoint,
+          params: getPageParams(params, pageParam, pageParamName),
+          headers,
+          unwrap,
+          schema,
+          signal,
+        });
+      } catch (error) {
+        throw error instanceof Error ? error : new Error("Page query failed");
+      }
+    },
+    // null asks for the first page without a page param
+    initialPageParam: null,
+    getNextPageParam: (lastPage) =>
+      getPageInfo(getPaginatorBody(lastPage))?.nextPageParam ?? undefined,
+    getPreviousPageParam: (firstPage) =>
+      getPageInfo(getPaginatorBody(firstPage))?.previousPageParam ?? undefined,
+    enabled,
+    ...queryOptions,
+  });
+
+  const bodies = query.data ? query.data.pages.map(getPaginatorBody) : [];
+  const items = flattenPages(bodies);
+  const pageInfo = getPageInfo(bodies[bodies.length - 1]);
+
+  return {
+    ...query,
+    items: transform ? transform(items) : items,
+    pageInfo,
+    total: pageInfo ? pageInfo.total : null,
+  };
+};
+
+/**
+ * Hook for numbered (or cursor) page navigation over Laravel paginators
+ * The previous page stays in `items` with `isPlaceholderData` while the next
+ * one loads, and changing `params` goes back to `initialPage`
+ * @param {Object} options - Query options
+ * @param {string} options.endpoint - API endpoint
+ * @param {Object} [options.params] - Query parameters sent with every page
+ * @param {Object} [options.headers] - Custom headers
+ * @param {number|string} [options.initialPage] - First page or cursor to show, the server's first page by default
+ * @param {string} [options.pageParamName] - Page param name, `page` or `cursor` by default
+ * @param {Function} [options.transform] - Transform the page items, `(items) => items`
+ * @param {string|Function} [options.unwrap] - Envelope preset or strategy, the client's by default
+ * @param {Object} [options.schema] - Validator with `safeParse` or `parse` for the response data, fails with `SCHEMA_MISMATCH`
+ * @param {boolean} [options.enabled=true] - Whether the query should execute
+ * @returns {Object} Query result plus `items`, `pageInfo`, `page`, `setPage`, `nextPage` and `previousPage`
+ */
+export const useVrmPaginatedQuery = (options) => {
+  const client = getGlobalVormiaClient();
+
+  const {
+    endpoint,
+    params,
+    headers,
+    initialPage = null,
+    pageParamName,
+    transform,
+    unwrap,
+    schema,
+    enabled = true,
+    ...queryOptions
+  } = options;
+
+  const paramsHash = hashQueryKey([params ?? null]);
+  const [selection, setSelection] = useState({
+    paramsHash,
+    pageParam: initialPage,
+  });
+  // New filters start from the first page again
+  const pageParam =
+    selection.paramsHash === paramsHash ? selection.pageParam : initialPage;
+  const requestParams = getPageParams(params, pageParam, pageParamName);
+
+  const query = useQuery({
+    queryKey: withReaderKey(vrmKeys.list(endpoint, requestParams), {
+      unwrap,
+      schema,
+    }),
+    queryFn: async ({ signal }) => {
+      try {
+        return await client.request({
+          method: "GET",
+          url: endpoint,
+          params: requestParams,
+          headers,
+          unwrap,
+          schema,
+          signal,
+        });
+      } catch (error) {
+        throw error instanceof Error ? error : new Error("Page query failed");
+      }
+    },
+    placeholderData: keepPreviousData,
+    enabled,
+    ...queryOptions,
+  });
+
+  const pageInfo = getPageInfo(getPaginatorBody(query.data));
+  const items = pageInfo ? pageInfo.items : [];
+
+  const setPage = (nextPageParam) =>
+    setSelection({ paramsHash, pageParam: nextPageParam });
+
+  return {
+    ...query,
+    items: transform ? transform(items) : items,
+    pageInfo,
+    page: pageInfo ? pageInfo.currentPage : null,
+    pageParam,
+    total: pageInfo ? pageInfo.total : null,
+    hasNextPage: !!pageInfo?.hasNextPage,
+    hasPreviousPage: !!pageInfo?.hasPreviousPage,
+    setPage,
+    nextPage: () => {
+      if (pageInfo?.hasNextPage && !query.isPlaceholderData) {
+        setPage(pageInfo.nextPageParam);
+      }
+    },
+    previousPage: () => {
+      if (pageInfo?.hasPreviousPage && !query.isPlaceholderData) {
+        setPage(pageInfo.previousPageParam);
+      }
+    },
+  };
+};
@@ -1,5 +1,14 @@
 import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { getGlobalVormiaClient } from "../client/createVormiaClient";
+import { createQueryKey } from "../core/QueryCache.js";
+import { vrmKeys } from "../core/queryKeys.js";
+
+// Every hook caches the full client response under the same key, so the
+// transform runs in `select` and never changes what other hooks read
+const selectTransformed = (transform) =>
+  transform && typeof transform === "function"
+    ? (response) => ({ ...response, data: transform(response.data) })
+    : undefined;
 
 /**
  * Hook for making API queries with Vormia
@@ -10,6 +19,9 @@ import { getGlobalVormiaClient } from "../client/createVormiaClient";
  * @param {Object} [options.data] - Request body
  * @param {Object} [options.headers] - Custom headers
  * @param {Function} [options.transform] - Transform function for response data
+ * @param {string|Function} [options.unwrap] - Envelope preset or strategy, the client's by default
+ * @param {Object} [options.schema] - Validator with `safeParse` or `parse` for the response data, fails with `SCHEMA_MISMATCH`
+ * @param {Array} [options.queryKey] - Custom key, e.g. `vrmKeys.detail("/users", id)`; defaults to `vrmKeys.list(endpoint, params)`
  * @param {boolean} [options.enabled=true] - Whether the query should execute
  * @returns {Object} Query result
  */
@@ -23,13 +35,19 @@ export const useVrmQuery = (options) => {
     data,
     headers,
     transform,
+    unwrap,
+    schema,
+    queryKey: customKey,
     enabled = true,
     ...queryOptions
   } = options;
 
-  const queryKey = [endpoint, method, params, data];
+  const queryKey =
+    customKey ||
+    createQueryKey(endpoint, { method, params, data, unwrap, schema });
 
-  const queryFn = async () => {
+  // React Query aborts `signal` when the query is cancelled or unmounted
+  const queryFn = async ({ signal }) => {
     try {
       const config = {
         method,
@@ -37,18 +55,12 @@ export const useVrmQuery = (options) => {
         params: method === "GET" ? params : undefined,
         data: method !== "GET" ? data : undefined,
         headers,
+        unwrap,
+        schema,
+        signal,
       };
 
-      const response = await client.request(config);
-
-      if (transform && typeof transform === "function") {
-        return {
-          ...response,
-          data: transform(response.data),
-        };
-      }
-
-      return response;
+      return await client.request(config);
     } catch (error) {
       // Re-throw with VormiaError for consistent error handling
       throw error instanceof Error
@@ -61,21 +73,28 @@ export const useVrmQuery = (options) => {
     queryKey,
     queryFn,
     enabled,
+    select: selectTransformed(transform),
     ...queryOptions,
   });
 };
 
 /**
  * Hook for manually invalidating queries
- * @returns {Function} Function to invalidate queries
+ * Called with an endpoint it invalidates every query of that endpoint, with
+ * params only that list, or with any vrmKeys key as a prefix
+ * @returns {Function} `(endpointOrKey, params?) => Promise`
  */
 export const useInvalidateVrmQuery = () => {
   const queryClient = useQueryClient();
 
-  return (endpoint, params) => {
-    return queryClient.invalidateQueries({
-      queryKey: [endpoint, params],
-    });
+  return (endpointOrKey, params) => {
+    let queryKey = endpointOrKey;
+    if (!Array.isArray(endpointOrKey)) {
+      queryKey = params
+        ? vrmKeys.list(endpointOrKey, params)
+        : vrmKeys.all(endpointOrKey);
+    }
+    return queryClient.invalidateQueries({ queryKey });
   };
 };
 
@@ -94,15 +113,19 @@ export const usePrefetchVrmQuery = () => {
       params,
       data,
       headers,
-      transform,
+      unwrap,
+      schema,
+      queryKey: customKey,
       ...queryOptions
     } = options;
 
-    const queryKey = [endpoint, method, params, data];
+    const queryKey =
+      customKey ||
+      createQueryKey(endpoint, { method, params, data, unwrap, schema });
 
     await queryClient.prefetchQuery({
       queryKey,
-      queryFn: async () => {
+      queryFn: async ({ signal }) => {
         try {
           const config = {
             method,
@@ -110,15 +133,13 @@ export const usePrefetchVrmQuery = () => {
             params: method === "GET" ? params : undefined,
             data: method !== "GET" ? data : undefined,
             headers,
+            unwrap,
+            schema,
+            signal,
           };
 
-          const response = await client.request(config);
-
-          if (transform && typeof transform === "function") {
-            return transform(response.data);
-          }
-
-          return response.data;
+          // Stored like useVrmQuery stores it, which applies its own transform
+          return await client.request(config);
         } catch (error) {
           throw error instanceof Error ? error : new Error("Prefetch failed");
         }
@@ -14,6 +14,54 @@ export const HttpMethod = {
 
 // Export types as plain objects for documentation purposes
 export { VormiaError } from "./client/utils/VormiaError.js";
+export { serializeParams } from "./client/utils/queryString.js";
+export { UNWRAP_PRESETS, unwrapResponse } from "./client/utils/unwrap.js";
+export { validateSchema } from "./client/utils/schema.js";
+export {
+  JSON_API_MEDIA_TYPE,
+  normalizeJsonApi,
+  serializeJsonApi,
+  jsonApiErrorsToFieldErrors,
+} from "./client/utils/jsonApi.js";
+export {
+  FieldErrorManager,
+  createFieldErrorManager,
+  processApiFieldErrors,
+  fieldErrorUtils,
+} from "./utils/fieldErrors.js";
+export {
+  VALIDATION_MESSAGES,
+  parseRules,
+  validateRules,
+  assertRules,
+} from "./utils/validationRules.js";
+export {
+  createMemoryStorage,
+  createLocalStorage,
+  createSessionStorage,
+  createCookieStorage,
+  setTokenStorage,
+  getTokenStorage,
+} from "./client/utils/tokenStorage.js";
+export {
+  QueryCache,
+  queryCache,
+  getQueryCache,
+  createQueryKey,
+  withReaderKey,
+  invalidateQueries,
+  refetchQueries,
+} from "./core/QueryCache.js";
+export { vrmKeys } from "./core/queryKeys.js";
+export {
+  PaginationObserver,
+  detectPaginator,
+  getPageInfo,
+  flattenPages,
+  getPageParams,
+  getPaginatorBody,
+} from "./core/pagination.js";
+export { focusManager, onlineManager } from "./core/focusManager.js";
 export const VormiaConfig = {};
 export const VormiaQueryOptions = {};
 export const VormiaAuthOptions = {};
@@ -0,0 +1,253 @@
+import {
+  base64ToBytes,
+  bytesToBase64,
+  createTransformStorage,
+} from "./transformStorage.js";
+
+/**
+ * Compression of persisted store values
+ * Gzip through CompressionStream where available (`vormia-gz:`), otherwise a
+ * pure-JS LZW fallback (`vormia-lzw:`) for Node and jsdom. Sizes are counted in
+ * characters, the unit web storage quotas are measured in.
+ */
+
+const GZIP_PREFIX = "vormia-gz:";
+const LZW_PREFIX = "vormia-lzw:";
+export const DEFAULT_COMPRESSION_THRESHOLD = 1024;
+
+// LZW codes are written one per UTF-16 unit and kept below the surrogate range
+const LZW_MAX_CODE = 0xd7ff;
+
+// Persist name -> { threshold }
+const compressedStores = new Map();
+// Persist name -> { rawSize, storedSize, compressed }
+const compressionStats = new Map();
+// Persist name -> listeners of its stats, see subscribeCompressionStats
+const statsListeners = new Map();
+
+const hasCompressionStreams = () =>
+  typeof CompressionStream !== "undefined" &&
+  typeof DecompressionStream !== "undefined";
+
+const pipeBytes = async (bytes, transformStream) => {
+  const reader = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    },
+  })
+    .pipeThrough(transformStream)
+    .getReader();
+
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+const lzwCompress = (bytes) => {
+  const dictionary = new Map();
+  for (let i = 0; i < 256; i += 1) {
+    dictionary.set(String.fromCharCode(i), i);
+  }
+
+  let nextCode = 256;
+  let phrase = "";
+  const codes = [];
+  for (const byte of bytes) {
+    const char = String.fromCharCode(byte);
+    const extended = phrase + char;
+    if (dictionary.has(extended)) {
+      phrase = extended;
+    } else {
+      codes.push(dictionary.get(phrase));
+      if (nextCode <= LZW_MAX_CODE) {
+        dictionary.set(extended, nextCode);
+        nextCode += 1;
+      }
+      phrase = char;
+    }
+  }
+  if (phrase) codes.push(dictionary.get(phrase));
+
+  let output = "";
+  for (let i = 0; i < codes.length; i += 0x8000) {
+    output += String.fromCharCode(...codes.slice(i, i + 0x8000));
+  }
+  return output;
+};
+
+const lzwDecompress = (value) => {
+  if (!value) return new Uint8Array(0);
+
+  const dictionary = [];
+  for (let i = 0; i < 256; i += 1) {
+    dictionary.push(String.fromCharCode(i));
+  }
+
+  let phrase = dictionary[value.charCodeAt(0)];
+  let output = phrase;
+  for (let i = 1; i < value.length; i += 1) {
+    const code = value.charCodeAt(i);
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+    } else if (code === dictionary.length) {
+      entry = phrase + phrase[0];
+    } else {
+      throw new Error("Corrupt LZW data");
+    }
+    output += entry;
+    if (dictionary.length <= LZW_MAX_CODE) {
+      dictionary.push(phrase + entry[0]);
+    }
+    phrase = entry;
+  }
+
+  return Uint8Array.from(output, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Compress a string for storage
+ * @param {string} value - Value to compress
+ * @returns {Promise<string>} Compressed value with its format prefix
+ */
+export async function compressValue(value) {
+  const bytes = new TextEncoder().encode(value);
+  if (hasCompressionStreams()) {
+    const gzipped = await pipeBytes(bytes, new CompressionStream("gzip"));
+    return GZIP_PREFIX + bytesToBase64(gzipped);
+  }
+  return LZW_PREFIX + lzwCompress(bytes);
+}
+
+/**
+ * Decompress a value written by compressValue
+ * @param {string} value - Compressed value
+ * @returns {Promise<string>} Original string
+ */
+export async function decompressValue(value) {
+  let bytes;
+  if (value.startsWith(GZIP_PREFIX)) {
+    if (!hasCompressionStreams()) {
+      throw new Error("Gzip data needs DecompressionStream to be read");
+    }
+    bytes = await pipeBytes(
+      base64ToBytes(value.slice(GZIP_PREFIX.length)),
+      new DecompressionStream("gzip")
+    );
+  } else {
+    bytes = lzwDecompress(value.slice(LZW_PREFIX.length));
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Check whether a persisted value was written by compressValue
+ * @param {*} value - Raw persisted value
+ * @returns {boolean}
+ */
+export function isCompressedValue(value) {
+  return (
+    typeof value === "string" &&
+    (value.startsWith(GZIP_PREFIX) || value.startsWith(LZW_PREFIX))
+  );
+}
+
+/**
+ * Turn compression of a persisted store's writes on or off
+ * @param {string} name - Persist name of the store
+ * @param {boolean} enabled - Compress its writes
+ * @param {Object} [options] - Compression options
+ * @param {number} [options.threshold=1024] - Only values at least this many characters long are compressed
+ */
+export function setStoreCompression(name, enabled, options = {}) {
+  const { threshold = DEFAULT_COMPRESSION_THRESHOLD } = options;
+  if (enabled) {
+    compressedStores.set(name, { threshold });
+  } else {
+    compressedStores.delete(name);
+  }
+}
+
+/**
+ * Raw and stored size of a store's last persisted value
+ * @param {string} name - Persist name of the store
+ * @returns {Object} `{ rawSize, storedSize, compressed, ratio }`, sizes in characters
+ */
+export function getCompressionStats(name) {
+  const stats = compressionStats.get(name) || {
+    rawSize: 0,
+    storedSize: 0,
+    compressed: false,
+  };
+  return {
+    ...stats,
+    ratio: stats.rawSize > 0 ? stats.storedSize / stats.rawSize : 1,
+  };
+}
+
+/**
+ * Follow the stats of a store's persisted value
+ * Called after each write that changes the raw or stored size, so a store can
+ * keep the stats in its own state
+ * @param {string} name - Persist name of the store
+ * @param {Function} listener - Called with the new stats, see getCompressionStats
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeCompressionStats(name, listener) {
+  const listeners = statsListeners.get(name) || new Set();
+  listeners.add(listener);
+  statsListeners.set(name, listeners);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Wrap a string storage so values of compressed stores above their threshold
+ * are compressed on write, and compressed values are expanded on read
+ * @param {Object} storage - Sync or async getItem/setItem/removeItem storage
+ * @returns {Object} Storage with the same interface
+ */
+export function createCompressedStorage(storage) {
+  return createTransformStorage(storage, {
+    label: "decompress",
+    shouldEncode: (name, value) => {
+      const options = compressedStores.get(name);
+      return Boolean(options) && value.length >= options.threshold;
+    },
+    encode: (name, value) => compressValue(value),
+    isEncoded: isCompressedValue,
+    decode: (name, raw) => decompressValue(raw),
+    afterWrite: (name, value, stored) => {
+      const previous = compressionStats.get(name);
+      const stats = {
+        rawSize: value.length,
+        storedSize: stored.length,
+        compressed: stored !== value,
+      };
+      compressionStats.set(name, stats);
+
+      const changed =
+        !previous ||
+        Object.keys(stats).some((key) => stats[key] !== previous[key]);
+      if (changed) {
+        const current = getCompressionStats(name);
+        (statsListeners.get(name) || []).forEach((listener) =>
+          listener(current)
+        );
+      }
+    },
+  });
+}
@@ -0,0 +1,375 @@
+import { VormiaError } from "../client/utils/VormiaError.js";
+import {
+  base64ToBytes,
+  bytesToBase64,
+  createTransformStorage,
+} from "./transformStorage.js";
+
+/**
+ * At-rest encryption for persisted stores
+ * Values are sealed with WebCrypto AES-GCM as `vormia-enc:v1:<keyId>:<iv>:<ciphertext>`.
+ * Older keys stay in a keyring so data written before a rotation still decrypts.
+ */
+
+const PREFIX = "vormia-enc:v1:";
+const SALT_KEY = "vormia-encryption-salt";
+const DEFAULT_ITERATIONS = 310000;
+
+let activeKeyId = null;
+const keyring = new Map();
+// Persist names of the stores whose writes must be encrypted
+const encryptedStores = new Set();
+// Persist names of the stores that hydrated empty because no key was configured
+const lockedStores = new Set();
+// Whether the client's token keys are encrypted, see createEncryptedTokenStorage
+let tokensEncrypted = false;
+const tokenStorages = new Set();
+// Salt for installs without localStorage, kept for the page's lifetime
+let memorySalt = null;
+
+const missingKeyError = (message) =>
+  new VormiaError({ message, code: "ENCRYPTION_KEY_MISSING", status: 0 });
+
+const getSubtle = () => {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) {
+    throw new Error("Store encryption requires WebCrypto (crypto.subtle)");
+  }
+  return subtle;
+};
+
+const getSaltStorage = () => {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    // Accessing localStorage throws in some sandboxed iframes
+    return null;
+  }
+};
+
+/**
+ * Random PBKDF2 salt of this install
+ * Created on first use and kept in localStorage next to the persisted stores,
+ * so the same passphrase derives the same key after a reload
+ * @returns {string} Base64 salt
+ */
+export function getInstallSalt() {
+  const storage = getSaltStorage();
+  const stored = storage ? storage.getItem(SALT_KEY) : memorySalt;
+  if (stored) return stored;
+
+  const salt = bytesToBase64(
+    globalThis.crypto.getRandomValues(new Uint8Array(16))
+  );
+  if (storage) {
+    storage.setItem(SALT_KEY, salt);
+  } else {
+    memorySalt = salt;
+  }
+  return salt;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-SHA-256
+ * @param {string} passphrase - Secret to derive from
+ * @param {Object} [options] - Derivation options
+ * @param {string} [options.salt] - Salt, the install's random salt by default (see getInstallSalt)
+ * @param {number} [options.iterations=310000] - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export async function deriveEncryptionKey(passphrase, options = {}) {
+  const { salt = getInstallSalt(), iterations = DEFAULT_ITERATIONS } = options;
+  const subtle = getSubtle();
+  const encoder = new TextEncoder();
+
+  const material = await subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return subtle.deriveKey(
+    { name: "PBKDF2", salt: encoder.encode(salt), iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Turn `{ key }` or `{ passphrase, salt, iterations }` into a CryptoKey
+ * @param {Object} options - Key options
+ * @returns {Promise<CryptoKey>}
+ */
+export function resolveEncryptionKey(options = {}) {
+  const { key, passphrase, salt, iterations } = options;
+  if (key) {
+    return Promise.resolve(key);
+  }
+  if (typeof passphrase === "string" && passphrase) {
+    return deriveEncryptionKey(passphrase, { salt, iterations });
+  }
+  return Promise.reject(
+    new Error("Store encryption needs a CryptoKey (key) or a passphrase")
+  );
+}
+
+/**
+ * Check whether a persisted value was written by encryptValue
+ * @param {*} value - Raw persisted value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a string with the active key
+ * @param {string} plaintext - Value to seal
+ * @returns {Promise<string>} Sealed value
+ */
+export async function encryptValue(plaintext) {
+  const key = keyring.get(activeKeyId);
+  if (!key) {
+    throw missingKeyError("No store encryption key is configured");
+  }
+
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await getSubtle().encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+  return `${PREFIX}${activeKeyId}:${bytesToBase64(iv)}:${bytesToBase64(
+    new Uint8Array(ciphertext)
+  )}`;
+}
+
+/**
+ * Decrypt a value sealed by encryptValue with whichever keyring key sealed it
+ * @param {string} value - Sealed value
+ * @returns {Promise<string>} Plaintext
+ */
+export async function decryptValue(value) {
+  const [keyId, iv, ciphertext] = value.slice(PREFIX.length).split(":");
+  const key = keyring.get(keyId);
+  if (!key) {
+    throw missingKeyError(`No store encryption key with id "${keyId}"`);
+  }
+
+  const plaintext = await getSubtle().decrypt(
+    { name: "AES-GCM", iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Add a key to the keyring, optionally making it the one new writes use
+ * @param {string} keyId - Identifier stored next to every value it seals
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} [options] - Keyring options
+ * @param {boolean} [options.active=true] - Use this key for new writes
+ */
+export function addEncryptionKey(keyId, key, options = {}) {
+  const { active = true } = options;
+  if (!keyId || keyId.includes(":")) {
+    throw new Error("Encryption key ids must be non-empty and contain no ':'");
+  }
+
+  keyring.set(keyId, key);
+  if (active) {
+    activeKeyId = keyId;
+  }
+}
+
+/**
+ * Id of the key used for new writes
+ * @returns {string|null}
+ */
+export function getActiveEncryptionKeyId() {
+  return activeKeyId;
+}
+
+/**
+ * Forget every key; sealed values hydrate empty and encrypted stores stop
+ * persisting until a new key is added
+ */
+export function clearEncryptionKeys() {
+  keyring.clear();
+  activeKeyId = null;
+}
+
+/**
+ * Turn encryption of a persisted store's writes on or off
+ * @param {string} name - Persist name of the store
+ * @param {boolean} enabled - Encrypt its writes
+ */
+export function setStoreEncrypted(name, enabled) {
+  if (enabled) {
+    encryptedStores.add(name);
+  } else {
+    encryptedStores.delete(name);
+  }
+}
+
+/**
+ * Check whether a persisted store's writes are encrypted
+ * @param {string} name - Persist name of the store
+ * @returns {boolean}
+ */
+export function isStoreEncrypted(name) {
+  return encryptedStores.has(name);
+}
+
+/**
+ * Check whether a store hydrated empty because its data was sealed and no key
+ * was configured yet
+ * @param {string} name - Persist name of the store
+ * @returns {boolean}
+ */
+export function isStoreLocked(name) {
+  return lockedStores.has(name);
+}
+
+/**
+ * Wrap a string storage so encrypted stores are sealed on write and every
+ * sealed value is opened on read. Plaintext values still load, which lets
+ * existing data migrate on its next write.
+ * Without a key, sealed values hydrate empty and encrypted stores skip their
+ * writes; configureEncryption loads and writes them once the key is added.
+ * @param {Object} storage - Sync or async getItem/setItem/removeItem storage
+ * @param {Object} [options] - Encryption options
+ * @param {Function} [options.shouldEncrypt] - `(name) => boolean`, encrypted stores by default
+ * @returns {Object} Storage with the same interface
+ */
+export function createEncryptedStorage(storage, options = {}) {
+  const { shouldEncrypt = (name) => encryptedStores.has(name) } = options;
+  const encrypted = createTransformStorage(storage, {
+    label: "decrypt",
+    shouldEncode: shouldEncrypt,
+    encode: (name, value) => encryptValue(value),
+    isEncoded: isEncryptedValue,
+    decode: (name, raw) => {
+      // Data that was written encrypted keeps being written encrypted
+      encryptedStores.add(name);
+      if (keyring.size === 0) {
+        lockedStores.add(name);
+        return null;
+      }
+      lockedStores.delete(name);
+      return decryptValue(raw);
+    },
+  });
+
+  return {
+    ...encrypted,
+    setItem: (name, value) => {
+      // Never fall back to plaintext, and never overwrite data still sealed
+      if (activeKeyId === null && shouldEncrypt(name, value)) {
+        return undefined;
+      }
+      return encrypted.setItem(name, value);
+    },
+  };
+}
+
+/**
+ * Turn encryption of the client's token keys on or off
+ * @param {boolean} enabled - Encrypt token writes
+ */
+export function setTokensEncrypted(enabled) {
+  tokensEncrypted = enabled;
+}
+
+/**
+ * Check whether the client's token keys are encrypted
+ * @returns {boolean}
+ */
+export function isTokensEncrypted() {
+  return tokensEncrypted;
+}
+
+/**
+ * Wrap a token storage so the given keys are encrypted at rest like the stores
+ * The client reads tokens synchronously, so values are served from memory and
+ * sealed in the background. Sealed values on disk read as null until
+ * openEncryptedTokens() decrypts them with the configured key.
+ * @param {Object} storage - Sync getItem/setItem/removeItem token storage
+ * @param {Array<string>} keys - Keys to encrypt, e.g. the client's token keys
+ * @returns {Object} Storage with the same interface
+ */
+export function createEncryptedTokenStorage(storage, keys) {
+  const sealedKeys = new Set(keys);
+  const values = new Map();
+  const isSealed = (key) => tokensEncrypted && sealedKeys.has(key);
+  const encrypted = createEncryptedStorage(storage, {
+    shouldEncrypt: isSealed,
+  });
+
+  const tokenStorage = {
+    type: storage.type,
+    getItem: (key) => {
+      if (values.has(key)) return values.get(key);
+      const raw = storage.getItem(key);
+      // Other keys, like persisted stores, are opened by their own layer
+      return sealedKeys.has(key) && isEncryptedValue(raw) ? null : raw;
+    },
+    setItem: (key, value) => {
+      if (!isSealed(key)) {
+        values.delete(key);
+        return storage.setItem(key, value);
+      }
+      values.set(key, String(value));
+      return encrypted.setItem(key, String(value));
+    },
+    removeItem: (key) => {
+      values.delete(key);
+      return encrypted.removeItem(key);
+    },
+    // Decrypt sealed keys into memory and seal the ones still in plaintext
+    open: async () => {
+      for (const key of sealedKeys) {
+        const raw = storage.getItem(key);
+        if (isEncryptedValue(raw) && !values.has(key)) {
+          try {
+            values.set(key, await decryptValue(raw));
+          } catch (error) {
+            // Like a store sealed with an unknown key, the token reads as empty
+            console.error(`Failed to decrypt token "${key}":`, error);
+            continue;
+          }
+        }
+        const value = tokenStorage.getItem(key);
+        if (value !== null && value !== undefined) {
+          await tokenStorage.setItem(key, value);
+        }
+      }
+    },
+  };
+
+  tokenStorages.add(tokenStorage);
+  return tokenStorage;
+}
+
+/**
+ * Check whether a token storage was wrapped by createEncryptedTokenStorage
+ * @param {Object} storage - Token storage
+ * @returns {boolean}
+ */
+export function isEncryptedTokenStorage(storage) {
+  return tokenStorages.has(storage);
+}
+
+/**
+ * Open and re-seal the token keys of every encrypted token storage
+ * @returns {Promise<void>} Resolves once every token is sealed with the active key
+ */
+export function openEncryptedTokens() {
+  return Promise.all(
+    Array.from(tokenStorages, (tokenStorage) => tokenStorage.open())
+  ).then(() => undefined);
+}
@@ -0,0 +1,43 @@
+import { useAuthStore } from "./useAuthStore.js";
+import { useCacheStore } from "./useCacheStore.js";
+import { useStorageStore } from "./useStorageStore.js";
+import { useSettingsStore } from "./useSettingsStore.js";
+import { waitForHydration } from "./persistence.js";
+
+const stores = {
+  auth: useAuthStore,
+  cache: useCacheStore,
+  storage: useStorageStore,
+  settings: useSettingsStore,
+};
+
+/**
+ * Which persisted stores have finished loading
+ * @returns {Object} `{ auth, cache, storage, settings }` booleans
+ */
+export function getHydrationStatus() {
+  return Object.fromEntries(
+    Object.entries(stores).map(([name, store]) => [
+      name,
+      store.persist.hasHydrated(),
+    ])
+  );
+}
+
+/**
+ * Resolve once every persisted store has loaded its state
+ * @param {Object} [options] - Hydration options
+ * @param {Function} [options.onStoreHydrated] - Called with `(name, state)` as each store finishes
+ * @returns {Promise<Object>} Hydration status, all `true`
+ */
+export function whenStoresHydrated(options = {}) {
+  const { onStoreHydrated } = options;
+
+  return Promise.all(
+    Object.entries(stores).map(([name, store]) =>
+      waitForHydration(store).then((state) => {
+        if (onStoreHydrated) onStoreHydrated(name, state);
+      })
+    )
+  ).then(getHydrationStatus);
+}
@@ -1,6 +1,10 @@
 // Export all Zustand stores
 export { useAuthStore } from "./useAuthStore.js";
-export { useCacheStore } from "./useCacheStore.js";
+export {
+  useCacheStore,
+  configureCachePersistence,
+  CACHE_STORE_VERSION,
+} from "./useCacheStore.js";
 export { useStorageStore } from "./useStorageStore.js";
 export { useSettingsStore } from "./useSettingsStore.js";
 
@@ -9,3 +13,33 @@ export { create } from "zustand";
 
 // Export store utilities
 export { persist, createJSONStorage } from "zustand/middleware";
+export {
+  STORAGE_STRATEGIES,
+  createPersistStorage,
+  createIndexedDBStorage,
+  isIndexedDBAvailable,
+  resolveStorageDriver,
+  waitForHydration,
+} from "./persistence.js";
+export { getHydrationStatus, whenStoresHydrated } from "./hydration.js";
+export { configureEncryption, rotateEncryptionKey } from "./storeEncryption.js";
+export {
+  deriveEncryptionKey,
+  getInstallSalt,
+  clearEncryptionKeys,
+  isStoreEncrypted,
+} from "./encryption.js";
+export {
+  compressValue,
+  decompressValue,
+  getCompressionStats,
+  subscribeCompressionStats,
+  DEFAULT_COMPRESSION_THRESHOLD,
+} from "./compression.js";
+
+// Offline mutation queue, persisted in useCacheStore
+export {
+  offlineQueue,
+  configureOfflineQueue,
+  requestOrQueue,
+} from "../core/offlineQueue.js";
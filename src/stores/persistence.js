@@ -0,0 +1,276 @@
+import { createJSONStorage } from "zustand/middleware";
+import {
+  createMemoryStorage,
+  createLocalStorage,
+  createSessionStorage,
+} from "../client/utils/tokenStorage.js";
+import { createEncryptedStorage } from "./encryption.js";
+import { createCompressedStorage } from "./compression.js";
+
+/**
+ * Persistence helpers for the Zustand stores
+ * JSON with Map/Set support, storage drivers selectable by name, and an
+ * IndexedDB key-value storage for payloads too large for the ~5 MB localStorage quota
+ */
+
+export const STORAGE_STRATEGIES = [
+  "localStorage",
+  "sessionStorage",
+  "indexedDB",
+  "memory",
+];
+
+/**
+ * JSON.stringify replacer that keeps Maps and Sets
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Serializable value
+ */
+export function mapReplacer(key, value) {
+  if (value instanceof Map) {
+    return { __type: "Map", entries: Array.from(value.entries()) };
+  }
+  if (value instanceof Set) {
+    return { __type: "Set", values: Array.from(value.values()) };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver for values written with mapReplacer
+ * @param {string} key - Property name
+ * @param {*} value - Parsed value
+ * @returns {*} Revived value
+ */
+export function mapReviver(key, value) {
+  if (value && typeof value === "object") {
+    if (value.__type === "Map" && Array.isArray(value.entries)) {
+      return new Map(value.entries);
+    }
+    if (value.__type === "Set" && Array.isArray(value.values)) {
+      return new Set(value.values);
+    }
+  }
+  return value;
+}
+
+/**
+ * Zustand persist storage that round-trips Maps and Sets, then compresses and
+ * encrypts stores that have those turned on (see setStoreCompression and configureEncryption)
+ * @param {Function} getStorage - Returns a sync or async getItem/setItem/removeItem storage
+ * @returns {Object|undefined} Persist storage, undefined when the storage is unavailable
+ */
+export function createPersistStorage(getStorage) {
+  // Compress before encrypting: ciphertext does not compress
+  const getLayeredStorage = () =>
+    createCompressedStorage(createEncryptedStorage(getStorage()));
+
+  return createJSONStorage(getLayeredStorage, {
+    replacer: mapReplacer,
+    reviver: mapReviver,
+  });
+}
+
+/**
+ * Check whether IndexedDB can be used
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Async key-value storage on top of IndexedDB
+ * @param {Object} [options] - Database options
+ * @param {string} [options.dbName='vormia'] - Database name
+ * @param {string} [options.storeName='keyval'] - Object store name
+ * @returns {Object} Storage with async getItem, setItem and removeItem
+ */
+export function createIndexedDBStorage(options = {}) {
+  const { dbName = "vormia", storeName = "keyval" } = options;
+  let dbPromise = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      dbPromise = promisifyRequest(request).catch((error) => {
+        // Allow a later call to try again, e.g. after a blocked upgrade
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await getDb();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisifyRequest(callback(store));
+  };
+
+  return {
+    getItem: async (name) => {
+      const value = await withStore("readonly", (store) => store.get(name));
+      return value === undefined ? null : value;
+    },
+    setItem: (name, value) =>
+      withStore("readwrite", (store) => store.put(value, name)).then(
+        () => undefined
+      ),
+    removeItem: (name) =>
+      withStore("readwrite", (store) => store.delete(name)).then(
+        () => undefined
+      ),
+  };
+}
+
+// Try the primary storage and use the fallback when it rejects, e.g. IndexedDB
+// blocked in a private window or out of quota. Keeps persist from hydrating
+// into an error. Each value lives in one of the two: reads that miss the
+// primary check the fallback, and a write clears the copy in the other one so
+// stale data never shadows it.
+const withFallback = (primary, fallback) => {
+  const attempt = (run) => Promise.resolve().then(run);
+  const ignoreErrors = (run) => attempt(run).catch(() => undefined);
+
+  return {
+    type: primary.type,
+    getItem: (name) =>
+      attempt(() => primary.getItem(name))
+        .catch(() => null)
+        .then((value) => value ?? fallback.getItem(name)),
+    setItem: (name, value) =>
+      attempt(() => primary.setItem(name, value)).then(
+        () => ignoreErrors(() => fallback.removeItem(name)),
+        () => {
+          ignoreErrors(() => primary.removeItem(name));
+          return fallback.setItem(name, value);
+        }
+      ),
+    removeItem: (name) =>
+      Promise.all([
+        ignoreErrors(() => primary.removeItem(name)),
+        attempt(() => fallback.removeItem(name)),
+      ]).then(() => undefined),
+  };
+};
+
+// Drivers that hold state or a connection are shared by every store
+const sharedDrivers = {};
+
+/**
+ * Resolve a storage strategy to a getItem/setItem/removeItem driver
+ * Web storages fall back to memory when unavailable, IndexedDB falls back to localStorage
+ * @param {string|Object} [strategy='localStorage'] - Strategy name, or a custom storage object
+ * @returns {Object} Storage driver
+ */
+export function resolveStorageDriver(strategy = "localStorage") {
+  if (strategy && typeof strategy === "object") {
+    const { getItem, setItem, removeItem } = strategy;
+    if (
+      typeof getItem !== "function" ||
+      typeof setItem !== "function" ||
+      typeof removeItem !== "function"
+    ) {
+      throw new Error(
+        "Storage strategy objects must implement getItem, setItem and removeItem"
+      );
+    }
+    return strategy;
+  }
+
+  switch (strategy) {
+    case "localStorage":
+      return createLocalStorage();
+    case "sessionStorage":
+      return createSessionStorage();
+    case "memory":
+      if (!sharedDrivers.memory) {
+        sharedDrivers.memory = createMemoryStorage();
+      }
+      return sharedDrivers.memory;
+    case "indexedDB":
+      if (!isIndexedDBAvailable()) {
+        return createLocalStorage();
+      }
+      if (!sharedDrivers.indexedDB) {
+        sharedDrivers.indexedDB = {
+          ...withFallback(createIndexedDBStorage(), createLocalStorage()),
+          type: "indexedDB",
+        };
+      }
+      return sharedDrivers.indexedDB;
+    default:
+      throw new Error(
+        `Unknown storage strategy "${strategy}". Use ${STORAGE_STRATEGIES.join(
+          ", "
+        )} or a storage object.`
+      );
+  }
+}
+
+// The strategy has to be known before the store can read anything, so it is
+// remembered next to the store in localStorage rather than inside its state
+const strategyKey = (name) => `${name}:strategy`;
+
+/**
+ * Read the strategy a store was last switched to
+ * @param {string} name - Persist name of the store
+ * @param {string} [fallback='localStorage'] - Strategy when none was recorded
+ * @returns {string} Strategy name
+ */
+export function getStoredStrategy(name, fallback = "localStorage") {
+  const stored = createLocalStorage().getItem(strategyKey(name));
+  return STORAGE_STRATEGIES.includes(stored) ? stored : fallback;
+}
+
+/**
+ * Point a persisted store at another storage strategy
+ * The old storage is cleared; the caller's next set() writes the current state to the new one
+ * @param {Object} api - Zustand store API with the persist middleware
+ * @param {string|Object} strategy - Strategy name, or a custom storage object
+ * @returns {string} Strategy name to keep in state (`custom` for storage objects)
+ */
+export function applyStorageStrategy(api, strategy) {
+  const driver = resolveStorageDriver(strategy);
+  const { name } = api.persist.getOptions();
+
+  api.persist.clearStorage();
+  api.persist.setOptions({ storage: createPersistStorage(() => driver) });
+
+  if (typeof strategy === "string") {
+    createLocalStorage().setItem(strategyKey(name), strategy);
+    return strategy;
+  }
+  return "custom";
+}
+
+/**
+ * Resolve once a persisted store has loaded its state
+ * Stores on async drivers such as IndexedDB hydrate after the first render
+ * @param {Object} store - Zustand store with the persist middleware
+ * @returns {Promise<Object>} Store state after hydration
+ */
+export function waitForHydration(store) {
+  if (!store.persist || store.persist.hasHydrated()) {
+    return Promise.resolve(store.getState());
+  }
+
+  return new Promise((resolve) => {
+    const unsubscribe = store.persist.onFinishHydration(() => {
+      unsubscribe();
+      resolve(store.getState());
+    });
+  });
+}
@@ -0,0 +1,130 @@
+import { useAuthStore } from "./useAuthStore.js";
+import { useCacheStore } from "./useCacheStore.js";
+import { useStorageStore } from "./useStorageStore.js";
+import { waitForHydration } from "./persistence.js";
+import {
+  addEncryptionKey,
+  getActiveEncryptionKeyId,
+  isStoreEncrypted,
+  isStoreLocked,
+  isTokensEncrypted,
+  openEncryptedTokens,
+  resolveEncryptionKey,
+  setStoreEncrypted,
+  setTokensEncrypted,
+} from "./encryption.js";
+
+const encryptableStores = {
+  auth: useAuthStore,
+  cache: useCacheStore,
+  storage: useStorageStore,
+};
+
+const selectStores = (names) =>
+  names.map((name) => {
+    const store = encryptableStores[name];
+    if (!store) {
+      throw new Error(
+        `Cannot encrypt store "${name}". Use ${Object.keys(
+          encryptableStores
+        ).join(", ")}.`
+      );
+    }
+    return store;
+  });
+
+// Write the current state through persist's storage so it is sealed with the active key
+const rewriteStore = async (store) => {
+  await waitForHydration(store);
+  const { name, storage, partialize, version } = store.persist.getOptions();
+  if (!storage) return;
+  await storage.setItem(name, {
+    state: partialize ? partialize({ ...store.getState() }) : store.getState(),
+    version,
+  });
+};
+
+// Stores hydrated before the key existed came up empty; load them again with it
+const reloadStore = async (store) => {
+  await waitForHydration(store);
+  if (isStoreLocked(store.persist.getOptions().name)) {
+    await store.persist.rehydrate();
+  }
+  await rewriteStore(store);
+};
+
+/**
+ * Encrypt the persisted auth, cache and storage stores at rest with AES-GCM
+ * Values already on disk are decrypted on hydrate and re-written encrypted.
+ * Sealed stores that hydrated before the key was configured are loaded again.
+ * @param {Object} options - Encryption options
+ * @param {CryptoKey} [options.key] - AES-GCM key, takes precedence over passphrase
+ * @param {string} [options.passphrase] - Secret to derive the key from with PBKDF2
+ * @param {string} [options.salt] - PBKDF2 salt, the install's random salt by default
+ * @param {number} [options.iterations] - PBKDF2 iterations
+ * @param {string} [options.keyId='default'] - Id written next to every encrypted value
+ * @param {Array<Object>} [options.previousKeys] - `{ keyId, key | passphrase }` still able to decrypt older data
+ * @param {Array<string>} [options.stores=['auth','cache','storage']] - Stores to encrypt
+ * @param {boolean} [options.tokens=true] - Also encrypt the client's token keys (see tokenStorage)
+ * @returns {Promise<void>} Resolves once the selected stores and tokens are re-written encrypted
+ */
+export async function configureEncryption(options = {}) {
+  const {
+    keyId = "default",
+    previousKeys = [],
+    stores = Object.keys(encryptableStores),
+    tokens = true,
+  } = options;
+  const selected = selectStores(stores);
+
+  for (const previous of previousKeys) {
+    addEncryptionKey(previous.keyId, await resolveEncryptionKey(previous), {
+      active: false,
+    });
+  }
+  addEncryptionKey(keyId, await resolveEncryptionKey(options));
+
+  selected.forEach((store) =>
+    setStoreEncrypted(store.persist.getOptions().name, true)
+  );
+  if (tokens) {
+    setTokensEncrypted(true);
+  }
+
+  // Every sealed store, including ones turned on with setEncryption(true)
+  await Promise.all(
+    Object.values(encryptableStores)
+      .filter((store) => isStoreEncrypted(store.persist.getOptions().name))
+      .map(reloadStore)
+  );
+  if (stores.includes("storage")) {
+    useStorageStore.setState({ encryptionEnabled: true });
+  }
+  if (isTokensEncrypted()) {
+    await openEncryptedTokens();
+  }
+}
+
+/**
+ * Switch to a new encryption key and re-encrypt every encrypted store with it
+ * The previous key stays in the keyring for values not yet re-written
+ * @param {Object} options - `{ keyId, key | passphrase, salt, iterations }` of the new key
+ * @returns {Promise<void>} Resolves once the stores are re-written with the new key
+ */
+export async function rotateEncryptionKey(options = {}) {
+  const { keyId } = options;
+  if (!keyId || keyId === getActiveEncryptionKeyId()) {
+    throw new Error("Key rotation needs a keyId different from the active key");
+  }
+
+  addEncryptionKey(keyId, await resolveEncryptionKey(options));
+
+  await Promise.all(
+    Object.values(encryptableStores)
+      .filter((store) => isStoreEncrypted(store.persist.getOptions().name))
+      .map(rewriteStore)
+  );
+  if (isTokensEncrypted()) {
+    await openEncryptedTokens();
+  }
+}
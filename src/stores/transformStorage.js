@@ -0,0 +1,109 @@
+/**
+ * Async encode/decode layers over string storages
+ * Encryption and compression both turn the persisted JSON into another string
+ * and need their writes kept in order while the encoding runs.
+ */
+
+/**
+ * Encode bytes as base64 so they fit string-only storages
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = "";
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 written by bytesToBase64
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Wrap a string storage with an encode step on write and a decode step on read
+ * Writes that need encoding are coalesced to the latest value per key and
+ * flushed one at a time, so an older state never lands after a newer one.
+ * @param {Object} storage - Sync or async getItem/setItem/removeItem storage
+ * @param {Object} transform - Encoding hooks
+ * @param {string} transform.label - Verb used in decode errors, e.g. `decrypt`
+ * @param {Function} transform.shouldEncode - `(name, value) => boolean`, checked per write
+ * @param {Function} transform.encode - `async (name, value) => string`
+ * @param {Function} transform.isEncoded - `(raw) => boolean`, checked per read
+ * @param {Function} transform.decode - `async (name, raw) => string`
+ * @param {Function} [transform.afterWrite] - `(name, value, stored)` after each write
+ * @returns {Object} Storage with the same interface
+ */
+export function createTransformStorage(storage, transform) {
+  const { label, shouldEncode, encode, isEncoded, decode, afterWrite } =
+    transform;
+  const latest = new Map();
+  const flushing = new Map();
+
+  const write = (name, value, stored) => {
+    const result = storage.setItem(name, stored);
+    if (afterWrite) afterWrite(name, value, stored);
+    return result;
+  };
+
+  const flush = async (name) => {
+    try {
+      while (latest.has(name)) {
+        const value = latest.get(name);
+        latest.delete(name);
+        const stored = shouldEncode(name, value)
+          ? await encode(name, value)
+          : value;
+        await write(name, value, stored);
+      }
+    } finally {
+      flushing.delete(name);
+    }
+  };
+
+  return {
+    type: storage.type,
+    getItem: (name) => {
+      const open = (raw) => {
+        if (!isEncoded(raw)) return raw;
+        // Unreadable data hydrates as empty instead of leaving the store pending
+        return Promise.resolve()
+          .then(() => decode(name, raw))
+          .catch((error) => {
+            console.error(`Failed to ${label} persisted "${name}":`, error);
+            return null;
+          });
+      };
+      const value = storage.getItem(name);
+      return value && typeof value.then === "function"
+        ? value.then(open)
+        : open(value);
+    },
+    setItem: (name, value) => {
+      if (!flushing.has(name) && !shouldEncode(name, value)) {
+        return write(name, value, value);
+      }
+      latest.set(name, value);
+      if (!flushing.has(name)) {
+        flushing.set(name, flush(name));
+      }
+      return flushing.get(name);
+    },
+    removeItem: (name) => {
+      latest.delete(name);
+      if (!flushing.has(name)) return storage.removeItem(name);
+      // The removal wins over the pending write, even if that write fails
+      return flushing
+        .get(name)
+        .catch(() => {})
+        .then(() => storage.removeItem(name));
+    },
+  };
+}
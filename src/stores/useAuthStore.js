@@ -1,5 +1,60 @@
 import { create } from "zustand";
-import { persist, createJSONStorage } from "zustand/middleware";
+import { persist } from "zustand/middleware";
+import {
+  createLocalStorage,
+  getTokenStorage,
+  sharedTokenStorage,
+} from "../client/utils/tokenStorage.js";
+import { queryCache } from "../core/QueryCache.js";
+import { createPersistStorage } from "./persistence.js";
+
+// Tokens live under the client's keys in the token storage (see setTokenStorage),
+// so the client and the store never disagree; the store mirrors them
+const TOKEN_KEYS = {
+  token: "auth_token",
+  refreshToken: "refresh_token",
+  tokenExpiry: "auth_token_expiry",
+};
+
+/**
+ * Read the tokens from the shared token storage
+ * @returns {Object} `{ token, refreshToken, tokenExpiry }`
+ */
+function readStoredTokens() {
+  const expiry = parseInt(
+    sharedTokenStorage.getItem(TOKEN_KEYS.tokenExpiry),
+    10
+  );
+  return {
+    token: sharedTokenStorage.getItem(TOKEN_KEYS.token) || null,
+    refreshToken: sharedTokenStorage.getItem(TOKEN_KEYS.refreshToken) || null,
+    tokenExpiry: Number.isNaN(expiry) ? null : expiry,
+  };
+}
+
+const writeStoredTokens = (tokens) => {
+  Object.entries(TOKEN_KEYS).forEach(([field, key]) => {
+    const value = tokens[field];
+    if (value === null || value === undefined) {
+      sharedTokenStorage.removeItem(key);
+    } else {
+      sharedTokenStorage.setItem(key, String(value));
+    }
+  });
+};
+
+// The user, roles and permissions can outgrow a cookie's ~4KB, so with cookie
+// token storage only the tokens go to cookies and the rest to localStorage
+const getAuthStateStorage = () =>
+  getTokenStorage().type === "cookie"
+    ? createLocalStorage()
+    : sharedTokenStorage;
+
+const authStateStorage = {
+  getItem: (key) => getAuthStateStorage().getItem(key),
+  setItem: (key, value) => getAuthStateStorage().setItem(key, value),
+  removeItem: (key) => getAuthStateStorage().removeItem(key),
+};
 
 /**
  * Authentication store using Zustand
@@ -25,6 +80,7 @@ export const useAuthStore = create(
 
       // Auth methods
       setToken: (token, refreshToken = null, expiry = null) => {
+        writeStoredTokens({ token, refreshToken, tokenExpiry: expiry });
         set({
           token,
           refreshToken,
@@ -42,6 +98,7 @@ export const useAuthStore = create(
       },
 
       login: (token, user, refreshToken = null, expiry = null) => {
+        writeStoredTokens({ token, refreshToken, tokenExpiry: expiry });
         set({
           token,
           refreshToken,
@@ -55,6 +112,9 @@ export const useAuthStore = create(
       },
 
       logout: () => {
+        // Queries cached for this user must not show for the next one
+        queryCache.reset();
+        writeStoredTokens({});
         set({
           token: null,
           refreshToken: null,
@@ -67,6 +127,25 @@ export const useAuthStore = create(
         });
       },
 
+      // Pick up tokens the client wrote, e.g. after a refresh or a 401
+      syncTokens: () => {
+        const tokens = readStoredTokens();
+        const current = get();
+        const changed = Object.keys(TOKEN_KEYS).some(
+          (field) => tokens[field] !== current[field]
+        );
+        if (!changed) return;
+
+        // A removed token signs out; Sanctum sessions without one are left alone
+        let { isAuthenticated } = current;
+        if (tokens.token) {
+          isAuthenticated = true;
+        } else if (current.token) {
+          isAuthenticated = false;
+        }
+        set({ ...tokens, isAuthenticated });
+      },
+
       setLoading: (loading) => {
         set({ isLoading: loading });
       },
@@ -212,16 +291,25 @@ export const useAuthStore = create(
     }),
     {
       name: "vormia-auth-store",
-      storage: createJSONStorage(() => localStorage),
+      // Same storage as the client's tokens (see setTokenStorage), except cookies
+      storage: createPersistStorage(() => authStateStorage),
+      // Tokens are read from the token storage instead, see readStoredTokens
       partialize: (state) => ({
-        token: state.token,
-        refreshToken: state.refreshToken,
-        tokenExpiry: state.tokenExpiry,
         user: state.user,
         permissions: state.permissions,
         roles: state.roles,
         isAuthenticated: state.isAuthenticated,
       }),
+      merge: (persistedState, currentState) => {
+        const persisted = persistedState || {};
+        const stored = readStoredTokens();
+        // Older versions kept the tokens in the persisted state; move them over
+        if (!stored.token && persisted.token) {
+          writeStoredTokens(persisted);
+          return { ...currentState, ...persisted };
+        }
+        return { ...currentState, ...persisted, ...stored };
+      },
     }
   )
 );
@@ -1,5 +1,110 @@
 import { create } from "zustand";
-import { persist, createJSONStorage } from "zustand/middleware";
+import { persist } from "zustand/middleware";
+import {
+  applyStorageStrategy,
+  createPersistStorage,
+  getStoredStrategy,
+  resolveStorageDriver,
+} from "./persistence.js";
+import {
+  DEFAULT_COMPRESSION_THRESHOLD,
+  getCompressionStats,
+  setStoreCompression,
+  subscribeCompressionStats,
+} from "./compression.js";
+
+const STORE_NAME = "vormia-cache-store";
+const initialStrategy = getStoredStrategy(STORE_NAME);
+
+// Bump when the persisted shape changes and teach migrateCacheState the old one
+export const CACHE_STORE_VERSION = 1;
+
+// Optional app-level migration, see configureCachePersistence()
+let customMigrate = null;
+
+const toCacheMap = (cache) => {
+  if (cache instanceof Map) return new Map(cache);
+  // v0 persisted the Map as an array of [key, entry] pairs
+  if (Array.isArray(cache)) {
+    return new Map(
+      cache.filter((item) => Array.isArray(item) && item.length === 2)
+    );
+  }
+  return new Map();
+};
+
+const isExpired = (entry, now) =>
+  !entry ||
+  typeof entry.timestamp !== "number" ||
+  now - entry.timestamp > entry.ttl;
+
+/**
+ * Migrate a persisted cache state to the current version
+ * Unknown shapes are reset rather than loaded half-broken
+ * @param {Object} persistedState - State read from storage
+ * @param {number} version - Version it was written with
+ * @returns {Object} State in the current shape
+ */
+export function migrateCacheState(persistedState, version) {
+  let state =
+    persistedState && typeof persistedState === "object"
+      ? { ...persistedState }
+      : {};
+
+  if (version === 0 || version === undefined) {
+    state.cache = toCacheMap(state.cache);
+  } else if (version > CACHE_STORE_VERSION) {
+    // Written by a newer library version, we cannot read it safely
+    state = {};
+  }
+
+  if (customMigrate) {
+    state = customMigrate(state, version) || state;
+  }
+
+  return state;
+}
+
+/**
+ * Merge rehydrated state into the store, dropping entries whose TTL ran out
+ * while the app was closed and recomputing the stats
+ * @param {Object} persistedState - Migrated persisted state
+ * @param {Object} currentState - Current store state
+ * @returns {Object} Merged state
+ */
+export function mergeCacheState(persistedState, currentState) {
+  const persisted = persistedState || {};
+  const now = Date.now();
+  const cache = toCacheMap(persisted.cache);
+  let totalSize = 0;
+
+  for (const [key, entry] of cache.entries()) {
+    if (isExpired(entry, now)) {
+      cache.delete(key);
+    } else {
+      totalSize += entry.size || 0;
+    }
+  }
+
+  const merged = { ...currentState, ...persisted };
+  return {
+    ...merged,
+    cache,
+    offlineQueue: Array.isArray(persisted.offlineQueue)
+      ? persisted.offlineQueue
+      : currentState.offlineQueue,
+    cacheStats: {
+      ...currentState.cacheStats,
+      ...persisted.cacheStats,
+      totalSize,
+      totalItems: cache.size,
+      compression: {
+        ...currentState.cacheStats.compression,
+        enabled: merged.compressionEnabled,
+      },
+    },
+  };
+}
 
 /**
  * Cache store using Zustand
@@ -7,13 +112,15 @@ import { persist, createJSONStorage } from "zustand/middleware";
  */
 export const useCacheStore = create(
   persist(
-    (set, get) => ({
+    (set, get, api) => ({
       // Cache storage
       cache: new Map(),
       cacheStats: {
         totalSize: 0,
         totalItems: 0,
         lastCleanup: Date.now(),
+        // Size of the persisted cache before and after compression
+        compression: { enabled: false, ...getCompressionStats(STORE_NAME) },
       },
 
       // Offline queue
@@ -24,6 +131,9 @@ export const useCacheStore = create(
       maxCacheSize: 100 * 1024 * 1024, // 100MB default
       maxCacheAge: 3600000, // 1 hour default
       maxCacheItems: 1000, // Max number of cache entries
+      storageStrategy: initialStrategy, // localStorage, sessionStorage, indexedDB, memory
+      compressionEnabled: false,
+      compressionThreshold: DEFAULT_COMPRESSION_THRESHOLD,
 
       // Cache methods
       setCache: (key, data, options = {}) => {
@@ -170,6 +280,7 @@ export const useCacheStore = create(
             totalSize: 0,
             totalItems: 0,
             lastCleanup: Date.now(),
+            compression: get().cacheStats.compression,
           },
         });
       },
@@ -225,14 +336,20 @@ export const useCacheStore = create(
       // Offline queue management
       addToOfflineQueue: (request) => {
         const { offlineQueue } = get();
-        const newQueue = [
-          ...offlineQueue,
-          {
-            ...request,
-            timestamp: Date.now(),
-            id: Date.now() + Math.random(),
-          },
-        ];
+        const entry = {
+          ...request,
+          timestamp: Date.now(),
+          id: Date.now() + Math.random(),
+        };
+        set({ offlineQueue: [...offlineQueue, entry] });
+        return entry;
+      },
+
+      updateOfflineRequest: (requestId, changes) => {
+        const { offlineQueue } = get();
+        const newQueue = offlineQueue.map((req) =>
+          req.id === requestId ? { ...req, ...changes } : req
+        );
         set({ offlineQueue: newQueue });
       },
 
@@ -288,24 +405,90 @@ export const useCacheStore = create(
         set({ maxCacheItems: items });
         get().cleanupCache();
       },
+
+      // options.threshold: only values at least this many characters long are compressed
+      setCompression: (enabled, options = {}) => {
+        const { threshold = DEFAULT_COMPRESSION_THRESHOLD } = options;
+        setStoreCompression(STORE_NAME, enabled, { threshold });
+        set((state) => ({
+          compressionEnabled: enabled,
+          compressionThreshold: threshold,
+          cacheStats: {
+            ...state.cacheStats,
+            compression: { ...state.cacheStats.compression, enabled },
+          },
+        }));
+      },
+
+      // Moves the persisted cache to the new driver
+      setStorageStrategy: (strategy) => {
+        set({ storageStrategy: applyStorageStrategy(api, strategy) });
+      },
     }),
     {
-      name: "vormia-cache-store",
-      storage: createJSONStorage(() => localStorage),
+      name: STORE_NAME,
+      version: CACHE_STORE_VERSION,
+      // Maps are written as { __type: "Map", entries } instead of collapsing to {}
+      storage: createPersistStorage(() =>
+        resolveStorageDriver(initialStrategy)
+      ),
       partialize: (state) => ({
-        cache: Array.from(state.cache.entries()),
-        cacheStats: state.cacheStats,
+        cache: state.cache,
+        // Compression stats describe the persisted value itself
+        cacheStats: { ...state.cacheStats, compression: undefined },
         offlineQueue: state.offlineQueue,
         maxCacheSize: state.maxCacheSize,
         maxCacheAge: state.maxCacheAge,
         maxCacheItems: state.maxCacheItems,
+        storageStrategy: state.storageStrategy,
+        compressionEnabled: state.compressionEnabled,
+        compressionThreshold: state.compressionThreshold,
       }),
+      migrate: migrateCacheState,
+      merge: mergeCacheState,
       onRehydrateStorage: () => (state) => {
-        // Convert cache array back to Map
-        if (state && Array.isArray(state.cache)) {
-          state.cache = new Map(state.cache);
+        if (state) {
+          setStoreCompression(STORE_NAME, state.compressionEnabled, {
+            threshold: state.compressionThreshold,
+          });
         }
       },
     }
   )
 );
+
+// Keep cacheStats.compression in step with each persisted write
+subscribeCompressionStats(STORE_NAME, (stats) =>
+  useCacheStore.setState((state) => ({
+    cacheStats: {
+      ...state.cacheStats,
+      compression: { ...stats, enabled: state.compressionEnabled },
+    },
+  }))
+);
+
+/**
+ * Choose where the cache store persists, and reload it from there
+ * Unlike setStorageStrategy(), nothing is carried over from the previous storage
+ * @param {Object} [options] - Persistence options
+ * @param {string|Object} [options.storage='localStorage'] - A strategy name (`localStorage`, `sessionStorage`, `indexedDB`, `memory`) or any sync/async getItem/setItem/removeItem storage
+ * @param {Function} [options.migrate] - `(state, fromVersion) => state`, runs after the built-in migration when the stored version differs
+ * @returns {Promise<void>} Resolves when the store has rehydrated
+ */
+export function configureCachePersistence(options = {}) {
+  const { storage = "localStorage", migrate } = options;
+
+  if (migrate !== undefined) {
+    customMigrate = migrate;
+  }
+
+  const driver = resolveStorageDriver(storage);
+  useCacheStore.persist.setOptions({
+    storage: createPersistStorage(() => driver),
+  });
+  return useCacheStore.persist.rehydrate().then(() => {
+    useCacheStore.setState({
+      storageStrategy: typeof storage === "string" ? storage : "custom",
+    });
+  });
+}
@@ -257,6 +257,16 @@ export const useSettingsStore = create(
         set({ network: { ...network, retryAttempts: attempts } });
       },
 
+      // Client retry policy built from the network settings; a client
+      // created with `retry: "settings"` reads it on every request
+      getRetryPolicy: () => {
+        const { network } = get();
+        return {
+          attempts: network.retryAttempts,
+          baseDelay: network.retryDelay,
+        };
+      },
+
       // Bulk update methods
       updateSettings: (category, settings) => {
         const currentSettings = get()[category];
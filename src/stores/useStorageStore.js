@@ -1,5 +1,21 @@
 import { create } from "zustand";
-import { persist, createJSONStorage } from "zustand/middleware";
+import { persist } from "zustand/middleware";
+import {
+  applyStorageStrategy,
+  createPersistStorage,
+  getStoredStrategy,
+  resolveStorageDriver,
+} from "./persistence.js";
+import { setStoreEncrypted } from "./encryption.js";
+import {
+  DEFAULT_COMPRESSION_THRESHOLD,
+  getCompressionStats,
+  setStoreCompression,
+  subscribeCompressionStats,
+} from "./compression.js";
+
+const STORE_NAME = "vormia-storage-store";
+const initialStrategy = getStoredStrategy(STORE_NAME);
 
 /**
  * Storage store using Zustand
@@ -7,7 +23,7 @@ import { persist, createJSONStorage } from "zustand/middleware";
  */
 export const useStorageStore = create(
   persist(
-    (set, get) => ({
+    (set, get, api) => ({
       // Storage data
       userPreferences: {},
       appSettings: {},
@@ -16,9 +32,12 @@ export const useStorageStore = create(
       recentItems: [],
 
       // Storage configuration
-      storageStrategy: "localStorage", // localStorage, sessionStorage, memory
+      storageStrategy: initialStrategy, // localStorage, sessionStorage, indexedDB, memory
       encryptionEnabled: false,
       compressionEnabled: false,
+      compressionThreshold: DEFAULT_COMPRESSION_THRESHOLD,
+      // Size of the persisted value before and after compression
+      compressionStats: { enabled: false, ...getCompressionStats(STORE_NAME) },
       maxStorageSize: 50 * 1024 * 1024, // 50MB default
 
       // Storage methods
@@ -250,16 +269,26 @@ export const useStorageStore = create(
       },
 
       // Storage configuration
+      // Moves the persisted data to the new driver
       setStorageStrategy: (strategy) => {
-        set({ storageStrategy: strategy });
+        set({ storageStrategy: applyStorageStrategy(api, strategy) });
       },
 
+      // Values are sealed once a key is set with configureEncryption()
       setEncryption: (enabled) => {
+        setStoreEncrypted(STORE_NAME, enabled);
         set({ encryptionEnabled: enabled });
       },
 
-      setCompression: (enabled) => {
-        set({ compressionEnabled: enabled });
+      // options.threshold: only values at least this many characters long are compressed
+      setCompression: (enabled, options = {}) => {
+        const { threshold = DEFAULT_COMPRESSION_THRESHOLD } = options;
+        setStoreCompression(STORE_NAME, enabled, { threshold });
+        set((state) => ({
+          compressionEnabled: enabled,
+          compressionThreshold: threshold,
+          compressionStats: { ...state.compressionStats, enabled },
+        }));
       },
 
       setMaxStorageSize: (size) => {
@@ -285,7 +314,7 @@ export const useStorageStore = create(
           }
         };
 
-        return {
+        const sections = {
           userPreferences: {
             count: Object.keys(userPreferences).length,
             size: calculateSize(userPreferences),
@@ -310,8 +339,16 @@ export const useStorageStore = create(
             count: Object.keys(customData).length,
             size: calculateSize(customData),
           },
-          totalSize: 0, // Will be calculated
+        };
+
+        return {
+          ...sections,
+          totalSize: Object.values(sections).reduce(
+            (total, section) => total + section.size,
+            0
+          ),
           maxSize: get().maxStorageSize,
+          compression: get().compressionStats,
         };
       },
 
@@ -414,8 +451,10 @@ export const useStorageStore = create(
       },
     }),
     {
-      name: "vormia-storage-store",
-      storage: createJSONStorage(() => localStorage),
+      name: STORE_NAME,
+      storage: createPersistStorage(() =>
+        resolveStorageDriver(initialStrategy)
+      ),
       partialize: (state) => ({
         userPreferences: state.userPreferences,
         appSettings: state.appSettings,
@@ -426,8 +465,38 @@ export const useStorageStore = create(
         storageStrategy: state.storageStrategy,
         encryptionEnabled: state.encryptionEnabled,
         compressionEnabled: state.compressionEnabled,
+        compressionThreshold: state.compressionThreshold,
         maxStorageSize: state.maxStorageSize,
       }),
+      merge: (persistedState, currentState) => {
+        const merged = { ...currentState, ...persistedState };
+        return {
+          ...merged,
+          compressionStats: {
+            ...currentState.compressionStats,
+            enabled: merged.compressionEnabled,
+          },
+        };
+      },
+      onRehydrateStorage: () => (state) => {
+        if (state) {
+          setStoreCompression(STORE_NAME, state.compressionEnabled, {
+            threshold: state.compressionThreshold,
+          });
+          // Only ever turned on here: sealed data that hydrated empty for
+          // want of a key must not be overwritten with plaintext
+          if (state.encryptionEnabled) {
+            setStoreEncrypted(STORE_NAME, true);
+          }
+        }
+      },
     }
   )
 );
+
+// Keep compressionStats in step with each persisted write
+subscribeCompressionStats(STORE_NAME, (stats) =>
+  useStorageStore.setState((state) => ({
+    compressionStats: { ...stats, enabled: state.compressionEnabled },
+  }))
+);
@@ -1,12 +1,146 @@
 declare module 'vormiaqueryjs' {
   // ===== Core Types =====
   
+  export interface VormiaParamsSerializerOptions {
+    arrayFormat?: 'brackets' | 'indices' | 'repeat' | 'comma';
+    nulls?: 'skip' | 'empty';
+    booleans?: 'numeric' | 'string';
+    encode?: boolean;
+  }
+
+  export type VormiaParamsSerializer =
+    | VormiaParamsSerializerOptions
+    | ((params: Record<string, any>) => string);
+
+  export interface VormiaRetryPolicy {
+    attempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    factor?: number;
+    jitter?: boolean;
+    statusCodes?: number[];
+    methods?: HttpMethod[];
+    retryOnNetworkError?: boolean;
+    respectRetryAfter?: boolean;
+    maxRetryAfter?: number;
+    shouldRetry?: (error: VormiaError, attempt: number, config: any) => boolean;
+    onRetry?: (error: VormiaError, attempt: number, delay: number) => void;
+  }
+
+  /** `'settings'` follows useSettingsStore's `network.retryAttempts` and `network.retryDelay` */
+  export type VormiaRetryOption = boolean | number | VormiaRetryPolicy | 'settings';
+
+  export type VormiaUnwrapPreset = 'vormia' | 'laravel-resource' | 'jsonapi' | 'none';
+
+  /** Reads a successful response body; `data` becomes `response.data` */
+  export type VormiaUnwrapStrategy = (body: any) => { data: any; meta?: any; links?: any };
+
+  export type VormiaUnwrapOption = VormiaUnwrapPreset | VormiaUnwrapStrategy;
+
+  /** Zod schemas fit as they are; wrap Valibot's as `{ safeParse: (input) => v.safeParse(schema, input) }` */
+  export interface VormiaSchema<T = any> {
+    safeParse?: (input: unknown) => { success: boolean; data?: T; output?: T; error?: any; issues?: any[] };
+    parse?: (input: unknown) => T;
+  }
+
+  export interface VormiaSchemaIssue {
+    /** Dotted path, empty for the root */
+    path: string;
+    message: string;
+  }
+
+  /** A rule string (`required|email|min:8`) or a list of rules; function rules return a message when invalid */
+  export type VormiaRule =
+    | string
+    | Array<string | ((value: any, context: { field: string; values: Record<string, any> }) => string | null | undefined | false | void)>;
+
+  /** Rules by field; `items.*.name` checks every item */
+  export type VormiaRules = Record<string, VormiaRule>;
+
+  export interface VormiaRuleOptions {
+    /** Custom messages by rule (`min`) or field and rule (`email.required`); sized rules take `{ numeric, file, string, array }` */
+    messages?: Record<string, string | Record<string, string>>;
+    /** Display names used for `:attribute` */
+    attributes?: Record<string, string>;
+  }
+
+  export interface VormiaJsonApiOptions {
+    /** Resource type, e.g. `articles` */
+    type?: string;
+    /** Resource id, `values.id` by default */
+    id?: string | number;
+    /** Fields that are always relationships, so `[]` and null can clear them */
+    relationships?: string[];
+  }
+
   export interface VormiaConfig {
     baseURL: string;
     headers?: Record<string, string>;
     withCredentials?: boolean;
     timeout?: number;
     debug?: boolean;
+    paramsSerializer?: VormiaParamsSerializer;
+    multipart?: boolean | 'auto';
+    methodSpoofing?: boolean;
+    retry?: VormiaRetryOption;
+    /** Response envelope handling, `vormia` by default */
+    unwrap?: VormiaUnwrapOption;
+    tokenStorage?: VormiaTokenStorageOption;
+    dedupe?: boolean;
+    authTokenKey?: string;
+    refreshTokenKey?: string;
+    tokenExpiryKey?: string;
+    refreshEndpoint?: string;
+    refreshToken?: (context: {
+      refreshToken: string | null;
+      client: VormiaClient;
+    }) => Promise<VormiaTokenPayload | string> | VormiaTokenPayload | string;
+    onTokenRefreshed?: (tokens: VormiaAuthTokens) => void;
+    proactiveRefresh?: boolean;
+    refreshThreshold?: number;
+    onUnauthenticated?: () => void;
+    authMode?: 'bearer' | 'sanctum';
+    csrfCookieEndpoint?: string;
+    xsrfCookieName?: string;
+    xsrfHeaderName?: string;
+  }
+
+  export interface VormiaTokenStorage {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+  }
+
+  export type VormiaTokenStorageOption =
+    | 'memory'
+    | 'local'
+    | 'localStorage'
+    | 'session'
+    | 'sessionStorage'
+    | 'cookie'
+    | VormiaTokenStorage;
+
+  export interface VormiaCookieStorageOptions {
+    path?: string;
+    domain?: string;
+    maxAge?: number;
+    sameSite?: 'Strict' | 'Lax' | 'None';
+    secure?: boolean;
+  }
+
+  export interface VormiaTokenPayload {
+    access_token?: string;
+    token?: string;
+    refresh_token?: string;
+    refreshToken?: string;
+    expires_in?: number;
+    expiresIn?: number;
+  }
+
+  export interface VormiaAuthTokens {
+    token: string;
+    refreshToken?: string;
+    expiresIn?: number;
   }
 
   export interface VormiaQueryOptions {
@@ -22,6 +156,189 @@ declare module 'vormiaqueryjs' {
     retryDelay?: number;
     staleTime?: number;
     gcTime?: number;
+    /** Cache key, e.g. `vrmKeys.detail('/users', id)`; defaults to `vrmKeys.list(endpoint, params)` */
+    queryKey?: VormiaQueryKey;
+    /** How long unobserved data stays in the shared cache (non-React adapters) */
+    cacheTime?: number;
+    refetchOnReconnect?: boolean;
+    refetchInterval?: number | false;
+    refetchIntervalInBackground?: boolean;
+    /** Envelope preset or strategy for this query, the client's by default */
+    unwrap?: VormiaUnwrapOption;
+    /** Validate the response data, fails with a `SCHEMA_MISMATCH` VormiaError */
+    schema?: VormiaSchema;
+  }
+
+  export interface VormiaFocusManager {
+    subscribe(listener: (focused: boolean) => void): () => void;
+    isFocused(): boolean;
+    setFocused(focused: boolean | undefined): void;
+  }
+
+  export interface VormiaOnlineManager {
+    subscribe(listener: (online: boolean) => void): () => void;
+    isOnline(): boolean;
+    setOnline(online: boolean | undefined): void;
+  }
+
+  export const focusManager: VormiaFocusManager;
+  export const onlineManager: VormiaOnlineManager;
+
+  export type VormiaQueryKey = string | readonly unknown[];
+
+  export interface VormiaQueryState<T = any> {
+    data: T | undefined;
+    error: VormiaError | null;
+    status: 'idle' | 'loading' | 'success' | 'error';
+    isFetching: boolean;
+    isInvalidated: boolean;
+    dataUpdatedAt: number;
+    errorUpdatedAt: number;
+  }
+
+  export class QueryCache {
+    getState<T = any>(queryKey: VormiaQueryKey): VormiaQueryState<T> | undefined;
+    getQueryData<T = any>(queryKey: VormiaQueryKey): T | undefined;
+    setQueryData<T = any>(queryKey: VormiaQueryKey, updater: T | ((previous: T | undefined) => T)): T;
+    isStale(queryKey: VormiaQueryKey, staleTime?: number): boolean;
+    fetch<T = any>(
+      queryKey: VormiaQueryKey,
+      fetcher: () => Promise<T>,
+      options?: { staleTime?: number; cacheTime?: number; force?: boolean }
+    ): Promise<T>;
+    subscribe<T = any>(queryKey: VormiaQueryKey, listener: (state: VormiaQueryState<T>) => void): () => void;
+    invalidate(prefix?: VormiaQueryKey, options?: { refetch?: boolean }): Promise<void>;
+    refetch(prefix?: VormiaQueryKey): Promise<void>;
+    remove(prefix?: VormiaQueryKey): void;
+    /** Drop cached data: observed queries go back to idle, the others are removed */
+    reset(prefix?: VormiaQueryKey): void;
+    clear(): void;
+  }
+
+  export const queryCache: QueryCache;
+  export function getQueryCache(): QueryCache;
+  export function createQueryKey(
+    endpoint: string,
+    options?: { method?: HttpMethod; params?: Record<string, any>; data?: any; unwrap?: VormiaUnwrapOption; schema?: any }
+  ): unknown[];
+  /** Append the `{ unwrap, schema }` segment createQueryKey adds, e.g. to a vrmKeys key */
+  export function withReaderKey(
+    key: unknown[],
+    reader?: { unwrap?: VormiaUnwrapOption; schema?: any }
+  ): unknown[];
+  /** What the Vue, Svelte, Solid and Qwik adapters store under a query key */
+  export interface VormiaCachedResponse<T = any> {
+    data: T;
+    meta?: any;
+    links?: any;
+  }
+  export function invalidateQueries(keys: VormiaQueryKey | VormiaQueryKey[]): Promise<void>;
+  export function refetchQueries(keys: VormiaQueryKey | VormiaQueryKey[]): Promise<void>;
+
+  /** Hierarchical query keys; a shorter key invalidates every key below it */
+  export const vrmKeys: {
+    all(endpoint: string): [string];
+    list(endpoint: string, params?: Record<string, any>): [string] | [string, Record<string, any>];
+    details(endpoint: string): [string, 'detail'];
+    detail(endpoint: string, id: string | number): [string, 'detail', string];
+    request(
+      endpoint: string,
+      options?: { method?: HttpMethod; params?: Record<string, any>; data?: any }
+    ): [string, { method: string; params?: Record<string, any>; data?: any }];
+    infinite(endpoint: string, params?: Record<string, any>): unknown[];
+  };
+
+  export type VormiaQueryKeysOption =
+    | VormiaQueryKey
+    | VormiaQueryKey[]
+    | ((response: any, variables: any) => VormiaQueryKey | VormiaQueryKey[]);
+
+  export interface VormiaOfflineQueueEntry {
+    id: number;
+    idempotencyKey: string;
+    config: { method: HttpMethod; url: string; data?: any; params?: Record<string, any>; headers?: Record<string, string> };
+    attempts: number;
+    timestamp: number;
+  }
+
+  export interface VormiaOfflineQueueStatus {
+    pendingCount: number;
+    isReplaying: boolean;
+    isOnline: boolean;
+    lastError: VormiaError | null;
+  }
+
+  export interface VormiaOfflineQueueOptions {
+    idempotencyHeader?: string | false;
+    conflictStatuses?: number[];
+    maxAttempts?: number;
+    retry?: Pick<VormiaRetryPolicy, 'baseDelay' | 'maxDelay' | 'factor' | 'jitter' | 'respectRetryAfter' | 'maxRetryAfter'>;
+    onReplay?: (response: any, entry: VormiaOfflineQueueEntry) => void;
+    onConflict?: (error: VormiaError, entry: VormiaOfflineQueueEntry) => void;
+    onFailure?: (error: VormiaError, entry: VormiaOfflineQueueEntry) => void;
+  }
+
+  export interface VormiaOfflineQueue {
+    configure(options: VormiaOfflineQueueOptions): VormiaOfflineQueue;
+    start(): void;
+    stop(): void;
+    getEntries(): VormiaOfflineQueueEntry[];
+    getStatus(): VormiaOfflineQueueStatus;
+    subscribe(listener: (status: VormiaOfflineQueueStatus) => void): () => void;
+    enqueue(config: Record<string, any>, options?: { idempotencyKey?: string }): VormiaOfflineQueueEntry;
+    whenReplayed(id: number): Promise<any>;
+    replay(): Promise<void>;
+    clear(): void;
+  }
+
+  export interface VormiaQueuedResponse {
+    data: null;
+    status: 0;
+    queued: true;
+    queueId: number;
+    idempotencyKey: string;
+  }
+
+  /** Exported from vormiaqueryjs/react and vormiaqueryjs/stores */
+  export const offlineQueue: VormiaOfflineQueue;
+  export function configureOfflineQueue(options: VormiaOfflineQueueOptions): VormiaOfflineQueue;
+  export function requestOrQueue(
+    config: Record<string, any>,
+    options?: { queueOffline?: boolean; idempotencyKey?: string }
+  ): Promise<any>;
+  export function useVrmOfflineQueue(): VormiaOfflineQueueStatus & {
+    replay: () => Promise<void>;
+    clear: () => void;
+  };
+
+  export interface VormiaProgressEvent {
+    loaded: number;
+    total?: number;
+    progress?: number;
+    lengthComputable: boolean;
+    upload: boolean;
+  }
+
+  export interface VormiaProgressState {
+    upload: VormiaProgressEvent | null;
+    download: VormiaProgressEvent | null;
+  }
+
+  export interface VormiaOptimisticMeta {
+    /** Temporary id for items created before the server assigns one */
+    optimisticId: string;
+  }
+
+  export interface VormiaOptimisticConfig<TData = any, TVariables = any> {
+    queryKey: readonly unknown[] | ((variables: TVariables) => readonly unknown[]);
+    updater: (data: TData | undefined, variables: TVariables, meta: VormiaOptimisticMeta) => TData | undefined;
+    /** Merge the server response into the cache; the queries are refetched when omitted */
+    reconcile?: (data: TData | undefined, responseData: any, variables: TVariables, meta: VormiaOptimisticMeta) => TData | undefined;
+  }
+
+  export interface VormiaOptimisticListOptions {
+    idKey?: string;
+    toItem?: (variables: any) => Record<string, any>;
   }
 
   export interface VormiaMutationOptions {
@@ -29,6 +346,32 @@ declare module 'vormiaqueryjs' {
     method?: HttpMethod;
     data?: any;
     headers?: Record<string, string>;
+    multipart?: boolean | 'auto';
+    /** Envelope preset or strategy for this mutation, the client's by default */
+    unwrap?: VormiaUnwrapOption;
+    /** Validate the response data, fails with a `SCHEMA_MISMATCH` VormiaError */
+    schema?: VormiaSchema;
+    /** Validate the variables before the request is sent or queued */
+    requestSchema?: VormiaSchema;
+    /** Laravel-style rules for the variables; failures reject with a 422 `VALIDATION_ERROR` before anything is sent or queued */
+    rules?: VormiaRules;
+    ruleMessages?: VormiaRuleOptions['messages'];
+    ruleAttributes?: VormiaRuleOptions['attributes'];
+    /** Send the variables as a JSON:API document of this type (useVrmMutation) */
+    jsonapi?: string | VormiaJsonApiOptions;
+    trackProgress?: boolean;
+    onUploadProgress?: (event: VormiaProgressEvent) => void;
+    onDownloadProgress?: (event: VormiaProgressEvent) => void;
+    /** Keys or prefixes to mark stale after success; useVrmMutation defaults to `vrmKeys.all(endpoint)` */
+    invalidates?: VormiaQueryKeysOption;
+    /** Keys or prefixes to refetch right away after success, even when nothing observes them */
+    refetches?: VormiaQueryKeysOption;
+    /** Queue the mutation while offline and replay it on reconnect (useVrmMutation, default false) */
+    queueOffline?: boolean;
+    /** Key sent as the Idempotency-Key header when a queued mutation replays */
+    idempotencyKey?: string | ((variables: any) => string);
+    /** Update cached queries before the request, roll back on error (useVrmMutation) */
+    optimistic?: VormiaOptimisticConfig;
     showDebug?: boolean;
     onSuccess?: (data: any) => void;
     onError?: (error: VormiaError) => void;
@@ -43,10 +386,19 @@ declare module 'vormiaqueryjs' {
     remember?: boolean;
     headers?: Record<string, string>;
     showDebug?: boolean;
+    /** Laravel-style rules for the variables (useVormiaQueryAuthMutation) */
+    rules?: VormiaRules;
+    ruleMessages?: VormiaRuleOptions['messages'];
+    ruleAttributes?: VormiaRuleOptions['attributes'];
   }
 
   export interface VormiaResponse<T = any> {
     data: T;
+    /** The body's `meta`, or a raw paginator's page fields with `laravel-resource` */
+    meta?: any;
+    links?: any;
+    message?: string;
+    debug?: any;
     status: number;
     statusText: string;
     headers: Headers;
@@ -71,12 +423,18 @@ declare module 'vormiaqueryjs' {
     code?: string;
     data?: any;
     debug?: any;
+    /** Field errors: a 422's, JSON:API errors or schema issues by path */
+    errors?: Record<string, string[]>;
+    /** Set on `SCHEMA_MISMATCH` errors */
+    issues?: VormiaSchemaIssue[];
     timestamp: string;
 
     constructor(message: string | any, status?: number, response?: any, code?: string);
     
     getUserMessage(): string;
     isNetworkError(): boolean;
+    isTimeout(): boolean;
+    isAborted(): boolean;
     isServerError(): boolean;
     isClientError(): boolean;
     isDatabaseError(): boolean;
@@ -91,7 +449,28 @@ declare module 'vormiaqueryjs' {
 
   // ===== Client Types =====
   
+  export interface VormiaInterceptorOptions {
+    order?: number;
+    runWhen?: (config: any) => boolean;
+  }
+
+  export interface VormiaInterceptorManager<T> {
+    use(
+      fulfilled?: ((value: T) => T | Promise<T>) | null,
+      rejected?: ((error: any) => any) | null,
+      options?: VormiaInterceptorOptions
+    ): number;
+    eject(id: number): void;
+    clear(): void;
+  }
+
   export interface VormiaClient {
+    tokenStorage: VormiaTokenStorage;
+    interceptors: {
+      request: VormiaInterceptorManager<any>;
+      response: VormiaInterceptorManager<VormiaResponse>;
+    };
+
     request(config: {
       method?: string;
       url: string;
@@ -99,6 +478,22 @@ declare module 'vormiaqueryjs' {
       data?: any;
       headers?: Record<string, string>;
       withCredentials?: boolean;
+      timeout?: number;
+      signal?: AbortSignal;
+      paramsSerializer?: VormiaParamsSerializer;
+      multipart?: boolean | 'auto';
+      methodSpoofing?: boolean;
+      transport?: 'auto' | 'fetch' | 'xhr';
+      retry?: VormiaRetryOption;
+      skipAuthRefresh?: boolean;
+      dedupe?: boolean;
+      unwrap?: VormiaUnwrapOption;
+      /** Validate `response.data` */
+      schema?: VormiaSchema;
+      /** Validate `data` before sending */
+      requestSchema?: VormiaSchema;
+      onUploadProgress?: (event: VormiaProgressEvent) => void;
+      onDownloadProgress?: (event: VormiaProgressEvent) => void;
     }): Promise<VormiaResponse>;
     
     get(url: string, config?: any): Promise<VormiaResponse>;
@@ -106,10 +501,56 @@ declare module 'vormiaqueryjs' {
     put(url: string, data?: any, config?: any): Promise<VormiaResponse>;
     patch(url: string, data?: any, config?: any): Promise<VormiaResponse>;
     delete(url: string, config?: any): Promise<VormiaResponse>;
+
+    getAuthToken(): string | null;
+    setAuthToken(token: string): void;
+    removeAuthToken(): void;
+    getRefreshToken(): string | null;
+    setRefreshToken(token: string): void;
+    getTokenExpiry(): number | null;
+    setTokenExpiry(expiry: number): void;
+    storeAuthTokens(payload: VormiaTokenPayload | string): VormiaAuthTokens | null;
+    refreshAccessToken(): Promise<string>;
+    fetchCsrfCookie(): Promise<void>;
   }
 
   export function createVormiaClient(config: VormiaConfig): VormiaClient;
 
+  export const UNWRAP_PRESETS: Record<VormiaUnwrapPreset, VormiaUnwrapStrategy>;
+  export function unwrapResponse(body: any, unwrap?: VormiaUnwrapOption): { data: any; meta: any; links: any };
+
+  export const JSON_API_MEDIA_TYPE: 'application/vnd.api+json';
+  /** Primary data with attributes spread and `included` resolved into relationships */
+  export function normalizeJsonApi<T = any>(document: any): T;
+  export function serializeJsonApi(
+    values: Record<string, any>,
+    options?: VormiaJsonApiOptions
+  ): { data: Record<string, any> };
+  /** `errors[].source.pointer` mapped to `{ field: [messages] }` */
+  export function jsonApiErrorsToFieldErrors(errors: any[]): Record<string, string[]>;
+
+  export function validateSchema<T = any>(
+    schema: VormiaSchema<T>,
+    value: unknown,
+    options?: { target?: 'request' | 'response'; status?: number }
+  ): T;
+
+  export function serializeParams(
+    params: Record<string, any> | URLSearchParams,
+    options?: VormiaParamsSerializerOptions
+  ): string;
+
+  export function createMemoryStorage(): VormiaTokenStorage;
+  export function createLocalStorage(): VormiaTokenStorage;
+  export function createSessionStorage(): VormiaTokenStorage;
+  export function createCookieStorage(
+    options?: VormiaCookieStorageOptions
+  ): VormiaTokenStorage;
+  export function setTokenStorage(
+    storage: VormiaTokenStorageOption
+  ): VormiaTokenStorage;
+  export function getTokenStorage(): VormiaTokenStorage;
+
   // ===== Hook Types =====
   
   export interface VormiaQueryResult<T = any> extends VormiaResponse<T> {
@@ -130,6 +571,9 @@ declare module 'vormiaqueryjs' {
   export function useVormiaQuerySimple<T = any>(options: VormiaQueryOptions): VormiaQueryResult<T>;
   
   export function useVrmQuery<T = any>(options: VormiaQueryOptions): VormiaQueryResult<T>;
+  /** `(endpoint)` invalidates every query of the endpoint, `(endpoint, params)` one list, `(key)` any prefix */
+  export function useInvalidateVrmQuery(): (endpointOrKey: string | readonly unknown[], params?: Record<string, any>) => Promise<void>;
+  export function usePrefetchVrmQuery(): (options: VormiaQueryOptions) => Promise<void>;
   
   export function useVrmMutation(options: VormiaMutationOptions): {
     mutate: (data?: any) => void;
@@ -140,7 +584,14 @@ declare module 'vormiaqueryjs' {
     error: VormiaError | null;
     data: any;
     reset: () => void;
+    progress: VormiaProgressState;
+    /** The last call was queued offline; `data` is a VormiaQueuedResponse */
+    isQueued: boolean;
   };
+  export function useVrmCreate(endpoint: string, options?: Omit<VormiaMutationOptions, 'endpoint' | 'method'>): ReturnType<typeof useVrmMutation>;
+  export function useVrmUpdate(endpoint: string, options?: Omit<VormiaMutationOptions, 'endpoint' | 'method'>): ReturnType<typeof useVrmMutation>;
+  export function useVrmPatch(endpoint: string, options?: Omit<VormiaMutationOptions, 'endpoint' | 'method'>): ReturnType<typeof useVrmMutation>;
+  export function useVrmDelete(endpoint: string, options?: Omit<VormiaMutationOptions, 'endpoint' | 'method'>): ReturnType<typeof useVrmMutation>;
   
   export function useVormiaQueryAuth(options: VormiaAuthOptions): {
     login: () => Promise<VormiaAuthResponse>;
@@ -211,6 +662,261 @@ declare module 'vormiaqueryjs' {
   export function transformFormData(formData: FormData): Record<string, any>;
   export function transformToFormData(data: Record<string, any>): FormData;
 
+  // ===== Form Validation =====
+
+  export const VALIDATION_MESSAGES: Record<string, string | Record<string, string>>;
+  export function parseRules(rules: VormiaRule): Array<{ name: string; params: string[] } | Function>;
+  /** Failed fields as `{ field: [messages] }`, empty when valid */
+  export function validateRules(
+    values: Record<string, any>,
+    rules: VormiaRules,
+    options?: VormiaRuleOptions
+  ): Record<string, string[]>;
+  /** Throws a 422 `VALIDATION_ERROR` VormiaError with `errors` when a rule fails */
+  export function assertRules<T extends Record<string, any>>(
+    values: T,
+    rules: VormiaRules,
+    options?: VormiaRuleOptions
+  ): T;
+
+  export class FieldErrorManager {
+    constructor(initialFields?: Record<string, string>);
+    fieldErrors: Record<string, string>;
+    setFieldErrors(errors: Record<string, string>): void;
+    setFieldError(fieldName: string, errorMessage: string): void;
+    clearFieldError(fieldName: string): void;
+    clearAllFieldErrors(): void;
+    getFieldError(fieldName: string): string | undefined;
+    getAllFieldErrors(): Record<string, string>;
+    hasFieldError(fieldName: string): boolean;
+    hasAnyErrors(): boolean;
+    getErrorCount(): number;
+    addListener(listener: (errors: Record<string, string>) => void): () => void;
+    /** Reads `{ field: [messages] }` from a 422 error, messages joined with "; " */
+    processApiErrors(error: VormiaError, fieldMapping?: Record<string, string>): Record<string, string>;
+    /** processApiErrors for 422 errors only; true if the error was one */
+    processValidationError(error: any, fieldMapping?: Record<string, string>): boolean;
+    validateField(fieldName: string, value: any, validator: (value: any) => string | null): boolean;
+    /** Sets the field errors from validateRules; true when all rules pass */
+    validateRules(values: Record<string, any>, rules: VormiaRules, options?: VormiaRuleOptions): boolean;
+    getFieldClasses(fieldName: string, baseClasses?: string, errorClasses?: string): string;
+    resetFields(fieldNames: string[]): void;
+  }
+  export function createFieldErrorManager(initialFields?: Record<string, string>): FieldErrorManager;
+  export function processApiFieldErrors(error: VormiaError, fieldMapping?: Record<string, string>): Record<string, string>;
+  export const fieldErrorUtils: {
+    clearOnInput(errorManager: FieldErrorManager, fieldName: string): void;
+    clearOnReset(errorManager: FieldErrorManager): void;
+    validateRequired(formData: Record<string, any>, requiredFields: string[], errorManager: FieldErrorManager): boolean;
+    validateEmail(email: string): string | null;
+    validatePassword(password: string): string | null;
+    validatePasswordConfirmation(password: string, confirmPassword: string): string | null;
+  };
+
+  export interface VormiaFieldErrorsOptions {
+    /** Mutation to fill the errors from on 422 and clear them on success */
+    mutation?: { error?: any; isSuccess?: any } | { subscribe: (run: (state: any) => void) => () => void };
+    /** Mapping of API field names to form field names */
+    fieldMapping?: Record<string, string>;
+    /** Manager to share between components, a new one by default */
+    manager?: FieldErrorManager;
+  }
+
+  export interface VormiaFieldErrorsActions {
+    setFieldErrors(errors: Record<string, string>): void;
+    setFieldError(fieldName: string, message: string): void;
+    clearFieldError(fieldName: string): void;
+    clearAllFieldErrors(): void;
+    /** Sets the field errors when the error is a 422; true if it was */
+    handleError(error: any): boolean;
+    validateRules(values: Record<string, any>, rules: VormiaRules, options?: VormiaRuleOptions): boolean;
+    manager: FieldErrorManager;
+  }
+
+  /** React */
+  export function useFieldErrors(options?: VormiaFieldErrorsOptions): VormiaFieldErrorsActions & {
+    errors: Record<string, string>;
+    hasAnyErrors: boolean;
+    getFieldError(fieldName: string): string | undefined;
+    hasFieldError(fieldName: string): boolean;
+    getFieldClasses(fieldName: string, baseClasses?: string, errorClasses?: string): string;
+    /** An input handler that clears the field's error */
+    clearOnInput(fieldName: string): () => void;
+  };
+
+  /** Vue: `errors` and `hasAnyErrors` are refs */
+  export function useVormiaFieldErrors(options?: VormiaFieldErrorsOptions): VormiaFieldErrorsActions & {
+    errors: { value: Record<string, string> };
+    hasAnyErrors: { readonly value: boolean };
+    getFieldError(fieldName: string): string | undefined;
+    hasFieldError(fieldName: string): boolean;
+    getFieldClasses(fieldName: string, baseClasses?: string, errorClasses?: string): string;
+  };
+
+  /** Svelte: a readable store of `{ field: message }` */
+  export function createVormiaFieldErrorsStore(options?: VormiaFieldErrorsOptions): VormiaFieldErrorsActions & {
+    subscribe: (run: (errors: Record<string, string>) => void) => () => void;
+    clearOnInput(fieldName: string): () => void;
+  };
+
+  // ===== Optimistic Updates =====
+
+  export function mapListData<T = any>(data: T, fn: (list: any[]) => any[]): T;
+  export function optimisticInsert(
+    queryKey: VormiaOptimisticConfig['queryKey'],
+    options?: VormiaOptimisticListOptions & { position?: 'start' | 'end' }
+  ): VormiaOptimisticConfig;
+  export function optimisticUpdate(queryKey: VormiaOptimisticConfig['queryKey'], options?: VormiaOptimisticListOptions): VormiaOptimisticConfig;
+  export function optimisticRemove(queryKey: VormiaOptimisticConfig['queryKey'], options?: { idKey?: string }): VormiaOptimisticConfig;
+
+  // ===== Pagination =====
+
+  export type VormiaPaginatorType = 'length-aware' | 'simple' | 'cursor';
+  export type VormiaPageParam = number | string | null;
+
+  export interface VormiaPageInfo<T = any> {
+    type: VormiaPaginatorType;
+    items: T[];
+    currentPage: number | null;
+    lastPage: number | null;
+    perPage: number | null;
+    total: number | null;
+    from: number | null;
+    to: number | null;
+    nextPageParam: VormiaPageParam;
+    previousPageParam: VormiaPageParam;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+  }
+
+  export interface VormiaPaginationOptions extends Omit<VormiaQueryOptions, 'method' | 'data' | 'queryKey'> {
+    /** Page param name, `page` or `cursor` by default */
+    pageParamName?: string;
+    /** Transform the items of the page (or of every loaded page) */
+    transform?: (items: any[]) => any;
+    /** First page or cursor to show (paginated queries) */
+    initialPage?: VormiaPageParam;
+    /** Load the first page right away (Vue and Svelte), default true */
+    immediate?: boolean;
+  }
+
+  export interface VormiaPaginationState<T = any> {
+    data: T[];
+    pages: any[];
+    pageInfo: VormiaPageInfo<T> | null;
+    page: number | null;
+    pageParam: VormiaPageParam;
+    total: number | null;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+    isLoading: boolean;
+    isFetching: boolean;
+    isFetchingNextPage: boolean;
+    isFetchingPreviousPage: boolean;
+    isPlaceholderData: boolean;
+    isError: boolean;
+    isSuccess: boolean;
+    error: VormiaError | null;
+  }
+
+  export function detectPaginator(body: any): VormiaPaginatorType | null;
+  export function getPageInfo<T = any>(body: any): VormiaPageInfo<T> | null;
+  export function flattenPages<T = any>(bodies: any[]): T[];
+  export function getPageParams(
+    params: Record<string, any> | undefined,
+    pageParam: VormiaPageParam | undefined,
+    pageParamName?: string
+  ): Record<string, any> | undefined;
+  /** The paginator body of a response, put back together from `meta` and `links` when `data` was unwrapped */
+  export function getPaginatorBody(response: VormiaResponse): any;
+
+  export class PaginationObserver<T = any> {
+    constructor(options: VormiaPaginationOptions, config?: { infinite?: boolean });
+    subscribe(listener: (state: VormiaPaginationState<T>) => void): () => void;
+    getState(): VormiaPaginationState<T>;
+    setPage(pageParam?: VormiaPageParam): Promise<void>;
+    setParams(params: Record<string, any>): Promise<void>;
+    fetchNextPage(): Promise<void>;
+    fetchPreviousPage(): Promise<void>;
+    revalidate(): Promise<void>;
+    refetch(): Promise<void>;
+    destroy(): void;
+  }
+
+  export function useVrmInfiniteQuery<T = any>(options: VormiaPaginationOptions): {
+    items: T[];
+    pageInfo: VormiaPageInfo<T> | null;
+    total: number | null;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+    isFetchingNextPage: boolean;
+    isFetchingPreviousPage: boolean;
+    fetchNextPage: () => Promise<any>;
+    fetchPreviousPage: () => Promise<any>;
+    isLoading: boolean;
+    isFetching: boolean;
+    isError: boolean;
+    isSuccess: boolean;
+    error: VormiaError | null;
+    refetch: () => Promise<any>;
+  };
+
+  export function useVrmPaginatedQuery<T = any>(options: VormiaPaginationOptions): {
+    items: T[];
+    pageInfo: VormiaPageInfo<T> | null;
+    page: number | null;
+    pageParam: VormiaPageParam;
+    total: number | null;
+    hasNextPage: boolean;
+    hasPreviousPage: boolean;
+    isPlaceholderData: boolean;
+    setPage: (pageParam: VormiaPageParam) => void;
+    nextPage: () => void;
+    previousPage: () => void;
+    isLoading: boolean;
+    isFetching: boolean;
+    isError: boolean;
+    isSuccess: boolean;
+    error: VormiaError | null;
+    refetch: () => Promise<any>;
+  };
+
+  /** Vue: every state field is a ref */
+  export function useVormiaPaginatedQuery<T = any>(options: VormiaPaginationOptions): {
+    [K in keyof VormiaPaginationState<T>]: { value: VormiaPaginationState<T>[K] };
+  } & {
+    setPage: (pageParam: VormiaPageParam) => Promise<void>;
+    nextPage: () => Promise<void>;
+    previousPage: () => Promise<void>;
+    setParams: (params: Record<string, any>) => Promise<void>;
+    refetch: () => Promise<void>;
+  };
+  export function useVormiaInfiniteQuery<T = any>(options: VormiaPaginationOptions): {
+    [K in keyof VormiaPaginationState<T>]: { value: VormiaPaginationState<T>[K] };
+  } & {
+    fetchNextPage: () => Promise<void>;
+    fetchPreviousPage: () => Promise<void>;
+    setParams: (params: Record<string, any>) => Promise<void>;
+    refetch: () => Promise<void>;
+  };
+
+  /** Svelte: a readable store of the pagination state */
+  export interface VormiaPaginationStore<T = any> {
+    subscribe: (run: (state: VormiaPaginationState<T>) => void) => () => void;
+    setParams: (params: Record<string, any>) => Promise<void>;
+    refetch: () => Promise<void>;
+    destroy: () => void;
+  }
+  export function createVormiaPaginatedStore<T = any>(options: VormiaPaginationOptions): VormiaPaginationStore<T> & {
+    setPage: (pageParam: VormiaPageParam) => Promise<void>;
+    nextPage: () => Promise<void>;
+    previousPage: () => Promise<void>;
+  };
+  export function createVormiaInfiniteStore<T = any>(options: VormiaPaginationOptions): VormiaPaginationStore<T> & {
+    fetchNextPage: () => Promise<void>;
+    fetchPreviousPage: () => Promise<void>;
+  };
+
   // ===== Error Handling =====
   
   export function handleVormiaError(error: VormiaError, options?: {
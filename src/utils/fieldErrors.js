@@ -1,3 +1,5 @@
+import { validateRules } from "./validationRules.js";
+
 /**
  * Field Errors Utility for VormiaQueryJS
  * Provides field-level error handling for forms
@@ -167,6 +169,19 @@ export class FieldErrorManager {
     return mappedErrors;
   }
 
+  /**
+   * Set the field errors from a 422 validation error
+   * Other errors leave the current field errors as they are
+   * @param {Object} error - VormiaQueryJS error object
+   * @param {Object} fieldMapping - Optional mapping of API field names to form field names
+   * @returns {boolean} True if the error was a validation error
+   */
+  processValidationError(error, fieldMapping = {}) {
+    if (!error || error.status !== 422) return false;
+    this.processApiErrors(error, fieldMapping);
+    return true;
+  }
+
   /**
    * Validate a field value and set error if invalid
    * @param {string} fieldName - Name of the field
@@ -183,6 +198,25 @@ export class FieldErrorManager {
     return !error;
   }
 
+  /**
+   * Validate form values against Laravel-style rules and set the field errors
+   * Errors are joined like processApiErrors does with server errors
+   * @param {Object} values - Form values
+   * @param {Object} rules - Rules by field, e.g. `{ email: "required|email" }`
+   * @param {Object} [options] - `messages` and `attributes`, see validateRules
+   * @returns {boolean} True if all rules pass
+   */
+  validateRules(values, rules, options) {
+    const errors = validateRules(values, rules, options);
+    const fieldErrors = {};
+    Object.keys(errors).forEach((fieldName) => {
+      fieldErrors[fieldName] = errors[fieldName].join("; ");
+    });
+
+    this.setFieldErrors(fieldErrors);
+    return Object.keys(fieldErrors).length === 0;
+  }
+
   /**
    * Get CSS classes for a field based on error state
    * @param {string} fieldName - Name of the field
@@ -17,6 +17,10 @@ export function transformFormData(formData, config = {}) {
     return formData;
   }
 
+  if (typeof FormData !== "undefined" && formData instanceof FormData) {
+    return transformMultipartData(formData, config);
+  }
+
   let transformedData = { ...formData };
 
   // Handle field renaming
@@ -45,6 +49,37 @@ export function transformFormData(formData, config = {}) {
   return transformedData;
 }
 
+/**
+ * Apply the same rename/add/remove configuration to a FormData body
+ * @param {FormData} formData - Original multipart body
+ * @param {Object} config - Transformation configuration
+ * @returns {FormData} New FormData with the transformation applied
+ */
+function transformMultipartData(formData, config = {}) {
+  const rename = config.rename || {};
+  const remove = Array.isArray(config.remove) ? config.remove : [];
+  const transformed = new FormData();
+
+  formData.forEach((value, key) => {
+    const name = rename[key] || key;
+    if (!remove.includes(name)) {
+      transformed.append(name, value);
+    }
+  });
+
+  if (config.add && typeof config.add === "object") {
+    Object.keys(config.add).forEach((name) => {
+      const value = config.add[name];
+      transformed.set(
+        name,
+        typeof value === "boolean" ? (value ? "1" : "0") : value
+      );
+    });
+  }
+
+  return transformed;
+}
+
 /**
  * Get default form data configuration
  * @returns {Object} Default transformation configuration
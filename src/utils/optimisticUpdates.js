@@ -0,0 +1,155 @@
+/**
+ * Optimistic Update Helpers for VormiaQueryJS
+ * Ready-made `optimistic` configs for useVrmMutation that insert, update or
+ * remove one item of a cached list by id, then swap in the server's copy
+ */
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const isPlainObject = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Apply a function to the list inside cached query data
+ * Finds the array itself or one nested under `data` (a VormiaClient response,
+ * a Laravel resource collection or a paginator), leaving the wrapper intact.
+ * Infinite query data applies the function to every loaded page.
+ * @param {*} data - Cached query data
+ * @param {Function} fn - `(list) => newList`
+ * @returns {*} Data with the new list, or the same data when no list is found
+ */
+export function mapListData(data, fn) {
+  if (Array.isArray(data)) return fn(data);
+  if (data && Array.isArray(data.pages) && Array.isArray(data.pageParams)) {
+    const pages = data.pages.map((page) => mapListData(page, fn));
+    return pages.every((page, index) => page === data.pages[index])
+      ? data
+      : { ...data, pages };
+  }
+  if (data && typeof data === "object" && "data" in data) {
+    const inner = mapListData(data.data, fn);
+    return inner === data.data ? data : { ...data, data: inner };
+  }
+  return data;
+}
+
+// Servers answer with the item itself or wrap it as `{ data: item }`
+const getServerItem = (responseData, idKey) => {
+  if (!isPlainObject(responseData)) return null;
+  if (!(idKey in responseData) && isPlainObject(responseData.data)) {
+    return responseData.data;
+  }
+  return responseData;
+};
+
+// `keepId` stops a form's string id from replacing the cached numeric one
+const replaceListItem = (data, id, changes, idKey, keepId = false) =>
+  mapListData(data, (list) => {
+    const index = list.findIndex((item) => item && sameId(item[idKey], id));
+    if (index === -1) return list;
+    const next = [...list];
+    next[index] = { ...list[index], ...changes };
+    if (keepId) next[index][idKey] = list[index][idKey];
+    return next;
+  });
+
+const getVariableId = (variables, idKey) =>
+  isPlainObject(variables) ? variables[idKey] : variables;
+
+/**
+ * Optimistically add the mutation variables to a cached list
+ * The item gets a temporary id until the server responds with the saved item
+ * @param {Array|Function} queryKey - Query key (prefix) of the list, or `(variables) => queryKey`
+ * @param {Object} [options] - Insert options
+ * @param {string} [options.idKey='id'] - Item id field
+ * @param {string} [options.position='end'] - Add the item at the `"start"` or `"end"` of the list
+ * @param {Function} [options.toItem] - Build the item from the variables, `(variables) => item`
+ * @returns {Object} Config for the `optimistic` option of useVrmMutation
+ */
+export function optimisticInsert(queryKey, options = {}) {
+  const { idKey = "id", position = "end", toItem } = options;
+
+  const tempId = (variables, optimisticId) =>
+    isPlainObject(variables) && variables[idKey] != null
+      ? variables[idKey]
+      : optimisticId;
+
+  return {
+    queryKey,
+    updater: (data, variables, { optimisticId }) => {
+      const fields = toItem ? toItem(variables) : variables;
+      if (!isPlainObject(fields)) return data;
+      const item = { [idKey]: tempId(variables, optimisticId), ...fields };
+      return mapListData(data, (list) =>
+        position === "start" ? [item, ...list] : [...list, item]
+      );
+    },
+    reconcile: (data, responseData, variables, { optimisticId }) => {
+      const saved = getServerItem(responseData, idKey);
+      if (!saved) return data;
+      return replaceListItem(
+        data,
+        tempId(variables, optimisticId),
+        saved,
+        idKey
+      );
+    },
+  };
+}
+
+/**
+ * Optimistically merge the mutation variables into the cached item with the same id
+ * @param {Array|Function} queryKey - Query key (prefix) of the list, or `(variables) => queryKey`
+ * @param {Object} [options] - Update options
+ * @param {string} [options.idKey='id'] - Item id field, read from the variables
+ * @param {Function} [options.toItem] - Build the changes from the variables, `(variables) => changes`
+ * @returns {Object} Config for the `optimistic` option of useVrmMutation
+ */
+export function optimisticUpdate(queryKey, options = {}) {
+  const { idKey = "id", toItem } = options;
+
+  return {
+    queryKey,
+    updater: (data, variables) => {
+      const changes = toItem ? toItem(variables) : variables;
+      const id = getVariableId(variables, idKey);
+      if (!isPlainObject(changes) || id == null) return data;
+      return replaceListItem(data, id, changes, idKey, true);
+    },
+    reconcile: (data, responseData, variables) => {
+      const saved = getServerItem(responseData, idKey);
+      if (!saved) return data;
+      return replaceListItem(
+        data,
+        getVariableId(variables, idKey),
+        saved,
+        idKey
+      );
+    },
+  };
+}
+
+/**
+ * Optimistically drop the cached item whose id is the variables (or `variables[idKey]`)
+ * @param {Array|Function} queryKey - Query key (prefix) of the list, or `(variables) => queryKey`
+ * @param {Object} [options] - Remove options
+ * @param {string} [options.idKey='id'] - Item id field
+ * @returns {Object} Config for the `optimistic` option of useVrmMutation
+ */
+export function optimisticRemove(queryKey, options = {}) {
+  const { idKey = "id" } = options;
+
+  return {
+    queryKey,
+    updater: (data, variables) => {
+      const id = getVariableId(variables, idKey);
+      return mapListData(data, (list) =>
+        list.filter((item) => !(item && sameId(item[idKey], id)))
+      );
+    },
+    // Nothing to swap in, and a refetch would only confirm the removal
+    reconcile: (data) => data,
+  };
+}
@@ -0,0 +1,443 @@
+import { VormiaError } from "../client/utils/VormiaError.js";
+
+/**
+ * Validation rules for VormiaQueryJS
+ * Checks form values against Laravel-style rule strings
+ * (`required|email|min:8|confirmed`) and reports failures in the
+ * `{ field: [messages] }` shape of a Laravel 422 response, so client-side
+ * and server-side errors are handled the same way.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Rules that run when the field is missing or an empty string
+const IMPLICIT_RULES = [
+  "required",
+  "required_if",
+  "required_unless",
+  "required_with",
+  "required_without",
+  "accepted",
+];
+
+// Rules whose parameter is one value rather than a comma-separated list
+const SINGLE_PARAM_RULES = ["regex", "not_regex"];
+
+const NUMERIC_RULES = ["numeric", "integer"];
+
+/**
+ * Default messages, as in Laravel's `lang/en/validation.php`
+ * Sized rules have one message per kind of value
+ */
+export const VALIDATION_MESSAGES = {
+  accepted: "The :attribute field must be accepted.",
+  alpha: "The :attribute field must only contain letters.",
+  alpha_dash:
+    "The :attribute field must only contain letters, numbers, dashes, and underscores.",
+  alpha_num: "The :attribute field must only contain letters and numbers.",
+  array: "The :attribute field must be an array.",
+  between: {
+    numeric: "The :attribute field must be between :min and :max.",
+    file: "The :attribute field must be between :min and :max kilobytes.",
+    string: "The :attribute field must be between :min and :max characters.",
+    array: "The :attribute field must have between :min and :max items.",
+  },
+  boolean: "The :attribute field must be true or false.",
+  confirmed: "The :attribute field confirmation does not match.",
+  date: "The :attribute field must be a valid date.",
+  different: "The :attribute field and :other must be different.",
+  digits: "The :attribute field must be :digits digits.",
+  digits_between: "The :attribute field must be between :min and :max digits.",
+  email: "The :attribute field must be a valid email address.",
+  ends_with:
+    "The :attribute field must end with one of the following: :values.",
+  in: "The selected :attribute is invalid.",
+  integer: "The :attribute field must be an integer.",
+  max: {
+    numeric: "The :attribute field must not be greater than :max.",
+    file: "The :attribute field must not be greater than :max kilobytes.",
+    string: "The :attribute field must not be greater than :max characters.",
+    array: "The :attribute field must not have more than :max items.",
+  },
+  min: {
+    numeric: "The :attribute field must be at least :min.",
+    file: "The :attribute field must be at least :min kilobytes.",
+    string: "The :attribute field must be at least :min characters.",
+    array: "The :attribute field must have at least :min items.",
+  },
+  not_in: "The selected :attribute is invalid.",
+  not_regex: "The :attribute field format is invalid.",
+  numeric: "The :attribute field must be a number.",
+  regex: "The :attribute field format is invalid.",
+  required: "The :attribute field is required.",
+  required_if: "The :attribute field is required when :other is :value.",
+  required_unless:
+    "The :attribute field is required unless :other is in :values.",
+  required_with: "The :attribute field is required when :values is present.",
+  required_without:
+    "The :attribute field is required when :values is not present.",
+  same: "The :attribute field must match :other.",
+  size: {
+    numeric: "The :attribute field must be :size.",
+    file: "The :attribute field must be :size kilobytes.",
+    string: "The :attribute field must be :size characters.",
+    array: "The :attribute field must contain :size items.",
+  },
+  starts_with:
+    "The :attribute field must start with one of the following: :values.",
+  string: "The :attribute field must be a string.",
+  url: "The :attribute field must be a valid URL.",
+  uuid: "The :attribute field must be a valid UUID.",
+};
+
+const isFile = (value) => typeof Blob !== "undefined" && value instanceof Blob;
+
+const isNumeric = (value) =>
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (typeof value === "string" &&
+    value.trim() !== "" &&
+    Number.isFinite(Number(value)));
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+const getValue = (values, path) =>
+  path
+    .split(".")
+    .reduce(
+      (current, key) =>
+        current !== null && typeof current === "object"
+          ? current[key]
+          : undefined,
+      values
+    );
+
+// Laravel compares request values as strings: `in:1,2` accepts 1 and "1"
+const toComparable = (value) =>
+  typeof value === "boolean" ? (value ? "1" : "0") : String(value);
+
+// Which message and size a sized rule (min, max, between, size) uses
+const getSizeType = (value, ruleNames) => {
+  if (
+    (typeof value === "number" ||
+      ruleNames.some((name) => NUMERIC_RULES.includes(name))) &&
+    isNumeric(value)
+  ) {
+    return "numeric";
+  }
+  if (Array.isArray(value)) return "array";
+  if (isFile(value)) return "file";
+  return "string";
+};
+
+const getSize = (value, type) => {
+  if (type === "numeric") return Number(value);
+  if (type === "array") return value.length;
+  if (type === "file") return value.size / 1024;
+  return [...String(value)].length;
+};
+
+const toPattern = (source) => {
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(source);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(source);
+};
+
+/**
+ * Rule checks: `(value, params, context) => boolean`
+ * `context` has `values`, `field`, `size` and `sizeType`
+ */
+const RULES = {
+  accepted: (value) => ["yes", "on", "1", "true"].includes(toComparable(value)),
+  alpha: (value) => /^[\p{L}\p{M}]+$/u.test(String(value)),
+  alpha_dash: (value) => /^[\p{L}\p{M}\p{N}_-]+$/u.test(String(value)),
+  alpha_num: (value) => /^[\p{L}\p{M}\p{N}]+$/u.test(String(value)),
+  array: (value) =>
+    Array.isArray(value) || (value !== null && typeof value === "object"),
+  between: (value, [min, max], { size }) =>
+    size >= Number(min) && size <= Number(max),
+  boolean: (value) =>
+    [true, false, 0, 1, "0", "1"].includes(value) ||
+    ["true", "false"].includes(value),
+  confirmed: (value, [other], { values, field }) =>
+    getValue(values, other || `${field}_confirmation`) === value,
+  date: (value) =>
+    (typeof value === "string" ||
+      typeof value === "number" ||
+      value instanceof Date) &&
+    !Number.isNaN(new Date(value).getTime()),
+  different: (value, [other], { values }) => getValue(values, other) !== value,
+  digits: (value, [digits]) =>
+    /^\d+$/.test(String(value)) && String(value).length === Number(digits),
+  digits_between: (value, [min, max]) =>
+    /^\d+$/.test(String(value)) &&
+    String(value).length >= Number(min) &&
+    String(value).length <= Number(max),
+  email: (value) => EMAIL_PATTERN.test(String(value)),
+  ends_with: (value, params) =>
+    params.some((suffix) => String(value).endsWith(suffix)),
+  in: (value, params) =>
+    (Array.isArray(value) ? value : [value]).every((item) =>
+      params.includes(toComparable(item))
+    ),
+  integer: (value) =>
+    typeof value === "number"
+      ? Number.isInteger(value)
+      : /^[+-]?\d+$/.test(String(value).trim()),
+  max: (value, [max], { size }) => size <= Number(max),
+  min: (value, [min], { size }) => size >= Number(min),
+  not_in: (value, params) =>
+    (Array.isArray(value) ? value : [value]).every(
+      (item) => !params.includes(toComparable(item))
+    ),
+  not_regex: (value, [pattern]) => !toPattern(pattern).test(String(value)),
+  numeric: (value) => isNumeric(value),
+  regex: (value, [pattern]) => toPattern(pattern).test(String(value)),
+  required: (value) => !isEmpty(value),
+  required_if: (value, [other, ...accepted], { values }) =>
+    !accepted.includes(toComparable(getValue(values, other))) ||
+    !isEmpty(value),
+  required_unless: (value, [other, ...accepted], { values }) =>
+    accepted.includes(toComparable(getValue(values, other))) || !isEmpty(value),
+  required_with: (value, others, { values }) =>
+    others.every((other) => isEmpty(getValue(values, other))) ||
+    !isEmpty(value),
+  required_without: (value, others, { values }) =>
+    others.every((other) => !isEmpty(getValue(values, other))) ||
+    !isEmpty(value),
+  same: (value, [other], { values }) => getValue(values, other) === value,
+  size: (value, [size], context) => context.size === Number(size),
+  starts_with: (value, params) =>
+    params.some((prefix) => String(value).startsWith(prefix)),
+  string: (value) => typeof value === "string",
+  url: (value) => {
+    try {
+      return /^[a-z][a-z\d+.-]*:/i.test(String(value)) && !!new URL(value);
+    } catch {
+      return false;
+    }
+  },
+  uuid: (value) => UUID_PATTERN.test(String(value)),
+};
+
+/**
+ * Split a field's rules into `{ name, params }` entries
+ * Function rules are kept as they are
+ * @param {string|Array} rules - `"required|min:8"` or `["required", "min:8", fn]`
+ * @returns {Array} Parsed rules
+ */
+export function parseRules(rules) {
+  const list = Array.isArray(rules) ? rules : String(rules || "").split("|");
+
+  return list
+    .filter((rule) => rule !== "" && rule !== null && rule !== undefined)
+    .map((rule) => {
+      if (typeof rule === "function") return rule;
+
+      const text = String(rule).trim();
+      const separator = text.indexOf(":");
+      if (separator === -1) return { name: text, params: [] };
+
+      const name = text.slice(0, separator);
+      const param = text.slice(separator + 1);
+      return {
+        name,
+        params: SINGLE_PARAM_RULES.includes(name) ? [param] : param.split(","),
+      };
+    });
+}
+
+// `items.*.name` becomes `items.0.name`, `items.1.name`, ... for each item
+const expandField = (field, values) => {
+  let paths = [""];
+  field.split(".").forEach((segment) => {
+    paths = paths.flatMap((path) => {
+      if (segment !== "*") return [path ? `${path}.${segment}` : segment];
+      const parent = path ? getValue(values, path) : values;
+      if (parent === null || typeof parent !== "object") return [];
+      return Object.keys(parent).map((key) => (path ? `${path}.${key}` : key));
+    });
+  });
+  return paths;
+};
+
+// Laravel shows `first_name` as "first name"
+const getAttribute = (field, pattern, attributes) =>
+  attributes[field] || attributes[pattern] || field.replace(/_/g, " ");
+
+const getMessage = (rule, sizeType, pattern, field, messages) => {
+  const custom =
+    messages[`${field}.${rule}`] ||
+    messages[`${pattern}.${rule}`] ||
+    messages[rule];
+  const message = custom || VALIDATION_MESSAGES[rule];
+  if (message && typeof message === "object") return message[sizeType];
+  return message || "The :attribute field is invalid.";
+};
+
+const getReplacements = (name, params, attribute, toAttribute) => {
+  const replacements = { attribute };
+  switch (name) {
+    case "min":
+      replacements.min = params[0];
+      break;
+    case "max":
+      replacements.max = params[0];
+      break;
+    case "size":
+      replacements.size = params[0];
+      break;
+    case "digits":
+      replacements.digits = params[0];
+      break;
+    case "between":
+    case "digits_between":
+      replacements.min = params[0];
+      replacements.max = params[1];
+      break;
+    case "same":
+    case "different":
+      replacements.other = toAttribute(params[0]);
+      break;
+    case "required_if":
+      replacements.other = toAttribute(params[0]);
+      replacements.value = params.slice(1).join(", ");
+      break;
+    case "required_unless":
+      replacements.other = toAttribute(params[0]);
+      replacements.values = params.slice(1).join(", ");
+      break;
+    case "required_with":
+    case "required_without":
+      replacements.values = params.map(toAttribute).join(" / ");
+      break;
+    case "starts_with":
+    case "ends_with":
+      replacements.values = params.join(", ");
+      break;
+    default:
+      break;
+  }
+  return replacements;
+};
+
+// Longest placeholders first, so `:values` is not read as `:value` + "s"
+const formatMessage = (message, replacements) =>
+  Object.keys(replacements)
+    .sort((a, b) => b.length - a.length)
+    .reduce(
+      (text, key) => text.split(`:${key}`).join(replacements[key]),
+      message
+    );
+
+/**
+ * Validate values against Laravel-style rules
+ * Missing and empty fields only fail `required*` and `accepted`, `nullable`
+ * fields skip their rules when null, and `bail` stops at the first failure.
+ * Function rules get `(value, { field, values })` and return a message when
+ * the value is invalid.
+ * @param {Object} values - Form values
+ * @param {Object} rules - `{ field: "required|email" }`; `items.*.name` checks every item
+ * @param {Object} [options] - Message options
+ * @param {Object} [options.messages] - Custom messages by rule (`min`) or field and rule (`email.required`)
+ * @param {Object} [options.attributes] - Display names used for `:attribute`
+ * @returns {Object} Failed fields as `{ field: [messages] }`, empty when valid
+ */
+export function validateRules(values, rules, options = {}) {
+  const { messages = {}, attributes = {} } = options;
+  const source = values || {};
+  const errors = {};
+
+  Object.keys(rules || {}).forEach((pattern) => {
+    const parsed = parseRules(rules[pattern]);
+    const ruleNames = parsed.map((rule) => rule.name).filter(Boolean);
+
+    expandField(pattern, source).forEach((field) => {
+      const value = getValue(source, field);
+      const missing =
+        value === undefined ||
+        (typeof value === "string" && value.trim() === "");
+
+      if (ruleNames.includes("sometimes") && value === undefined) return;
+      if (ruleNames.includes("nullable") && value === null) return;
+
+      const toAttribute = (other) => getAttribute(other, other, attributes);
+      const attribute = getAttribute(field, pattern, attributes);
+      const sizeType = getSizeType(value, ruleNames);
+      const context = {
+        values: source,
+        field,
+        sizeType,
+        size: missing || value === null ? 0 : getSize(value, sizeType),
+      };
+      const fieldErrors = [];
+
+      for (const rule of parsed) {
+        if (fieldErrors.length && ruleNames.includes("bail")) break;
+
+        if (typeof rule === "function") {
+          if (missing) continue;
+          const message = rule(value, { field, values: source });
+          if (typeof message === "string" && message) {
+            fieldErrors.push(formatMessage(message, { attribute }));
+          }
+          continue;
+        }
+
+        const { name, params } = rule;
+        if (["bail", "nullable", "sometimes"].includes(name)) continue;
+        if (missing && !IMPLICIT_RULES.includes(name)) continue;
+
+        const check = RULES[name];
+        if (!check) {
+          throw new Error(`Unknown validation rule "${name}" for "${pattern}"`);
+        }
+        if (!check(value, params, context)) {
+          fieldErrors.push(
+            formatMessage(
+              getMessage(name, sizeType, pattern, field, messages),
+              getReplacements(name, params, attribute, toAttribute)
+            )
+          );
+        }
+      }
+
+      if (fieldErrors.length) errors[field] = fieldErrors;
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate values and throw when any rule fails
+ * The error looks like a Laravel 422 response, so `getValidationErrors()`
+ * and `FieldErrorManager.processApiErrors()` read it like a server error
+ * @param {Object} values - Form values
+ * @param {Object} rules - Rules by field
+ * @param {Object} [options] - Same as validateRules
+ * @returns {Object} The values, when they pass
+ * @throws {VormiaError} Status 422 with code `VALIDATION_ERROR` and `errors`
+ */
+export function assertRules(values, rules, options) {
+  const errors = validateRules(values, rules, options);
+  const messages = Object.values(errors).flat();
+  if (!messages.length) return values;
+
+  // Laravel's ValidationException summary
+  const more = messages.length - 1;
+  const message = more
+    ? `${messages[0]} (and ${more} more error${more > 1 ? "s" : ""})`
+    : messages[0];
+
+  throw new VormiaError({
+    message,
+    status: 422,
+    code: "VALIDATION_ERROR",
+    errors,
+  });
+}
@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  useCacheStore,
+  configureCachePersistence,
+  CACHE_STORE_VERSION,
+} from "../src/stores/useCacheStore.js";
+import {
+  createIndexedDBStorage,
+  createPersistStorage,
+} from "../src/stores/persistence.js";
+
+const createMemoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+const entry = (data, ageMs, ttl = 60000) => ({
+  data,
+  timestamp: Date.now() - ageMs,
+  ttl,
+  size: 10,
+  priority: "normal",
+  tags: [],
+  accessCount: 0,
+  lastAccessed: Date.now(),
+});
+
+// Minimal IndexedDB stand-in: one database, one object store, async requests
+const createFakeIndexedDB = () => {
+  const data = new Map();
+  const request = (getResult) => {
+    const req = {};
+    setTimeout(() => {
+      req.result = getResult();
+      req.onsuccess && req.onsuccess();
+    }, 0);
+    return req;
+  };
+  const store = {
+    get: (key) => request(() => data.get(key)),
+    put: (value, key) => request(() => data.set(key, value)),
+    delete: (key) => request(() => data.delete(key)),
+  };
+  const db = {
+    objectStoreNames: { contains: () => false },
+    createObjectStore: vi.fn(),
+    transaction: () => ({ objectStore: () => store }),
+  };
+  return {
+    data,
+    open: () => {
+      const req = {};
+      setTimeout(() => {
+        req.result = db;
+        req.onupgradeneeded && req.onupgradeneeded();
+        req.onsuccess && req.onsuccess();
+      }, 0);
+      return req;
+    },
+  };
+};
+
+describe("Cache store persistence", () => {
+  afterEach(async () => {
+    await configureCachePersistence({ storage: createMemoryStorage() });
+    useCacheStore.getState().clearCache();
+  });
+
+  it("should round-trip Maps through JSON storage", () => {
+    const memory = createMemoryStorage();
+    const storage = createPersistStorage(() => memory);
+
+    storage.setItem("state", { state: { cache: new Map([["a", 1]]) } });
+
+    expect(memory.getItem("state")).toContain('"__type":"Map"');
+    expect(storage.getItem("state").state.cache).toEqual(new Map([["a", 1]]));
+  });
+
+  it("should persist setCache writes and read them back as a Map", async () => {
+    const memory = createMemoryStorage();
+    await configureCachePersistence({ storage: memory });
+
+    useCacheStore.getState().setCache("/users", [{ id: 1 }], { size: 20 });
+    const persisted = memory.getItem("vormia-cache-store");
+    useCacheStore.getState().clearCache();
+    memory.setItem("vormia-cache-store", persisted);
+    await useCacheStore.persist.rehydrate();
+
+    const { cache, cacheStats } = useCacheStore.getState();
+    expect(cache).toBeInstanceOf(Map);
+    expect(useCacheStore.getState().getCache("/users")).toEqual([{ id: 1 }]);
+    expect(cacheStats).toMatchObject({ totalItems: 1, totalSize: 20 });
+    expect(JSON.parse(memory.getItem("vormia-cache-store")).version).toBe(
+      CACHE_STORE_VERSION
+    );
+  });
+
+  it("should migrate the old array format and drop expired entries", async () => {
+    const memory = createMemoryStorage({
+      "vormia-cache-store": JSON.stringify({
+        version: 0,
+        state: {
+          cache: [
+            ["fresh", entry("kept", 1000)],
+            ["stale", entry("dropped", 120000)],
+          ],
+          cacheStats: { totalSize: 20, totalItems: 2, lastCleanup: 0 },
+        },
+      }),
+    });
+
+    await configureCachePersistence({ storage: memory });
+
+    const { cache, cacheStats } = useCacheStore.getState();
+    expect(Array.from(cache.keys())).toEqual(["fresh"]);
+    expect(cacheStats).toMatchObject({ totalItems: 1, totalSize: 10 });
+  });
+
+  it("should reset state written by a newer version and run the migrate hook", async () => {
+    const migrate = vi.fn((state) => state);
+    const memory = createMemoryStorage({
+      "vormia-cache-store": JSON.stringify({
+        version: CACHE_STORE_VERSION + 1,
+        state: { cache: "unknown shape" },
+      }),
+    });
+
+    await configureCachePersistence({ storage: memory, migrate });
+
+    expect(migrate).toHaveBeenCalledWith({}, CACHE_STORE_VERSION + 1);
+    expect(useCacheStore.getState().cache.size).toBe(0);
+    await configureCachePersistence({ migrate: null, storage: memory });
+  });
+
+  it("should store the cache in IndexedDB when asked", async () => {
+    const fakeIndexedDB = createFakeIndexedDB();
+    vi.stubGlobal("indexedDB", fakeIndexedDB);
+    try {
+      await configureCachePersistence({ storage: "indexedDB" });
+      useCacheStore.getState().setCache("/catalogue", { items: 500 });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      const persisted = fakeIndexedDB.data.get("vormia-cache-store");
+      expect(JSON.parse(persisted).state.cache.__type).toBe("Map");
+
+      useCacheStore.getState().clearCache();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      fakeIndexedDB.data.set("vormia-cache-store", persisted);
+      await useCacheStore.persist.rehydrate();
+      expect(useCacheStore.getState().getCache("/catalogue")).toEqual({
+        items: 500,
+      });
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it("should expose an async IndexedDB key-value storage", async () => {
+    vi.stubGlobal("indexedDB", createFakeIndexedDB());
+    try {
+      const storage = createIndexedDBStorage();
+
+      expect(await storage.getItem("missing")).toBeNull();
+      await storage.setItem("key", "value");
+      expect(await storage.getItem("key")).toBe("value");
+      await storage.removeItem("key");
+      expect(await storage.getItem("key")).toBeNull();
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
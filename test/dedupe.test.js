@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+
+const deferredResponse = () => {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = (body) =>
+      res({
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        headers: new Headers(),
+        json: vi.fn().mockResolvedValue(body),
+      });
+  });
+  return { promise, resolve };
+};
+
+describe("In-flight request deduplication", () => {
+  let pending;
+
+  beforeEach(() => {
+    pending = [];
+    global.fetch = vi.fn(() => {
+      const deferred = deferredResponse();
+      pending.push(deferred);
+      return deferred.promise;
+    });
+  });
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  it("should share one fetch between identical concurrent GETs", async () => {
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+
+    const requests = [1, 2, 3].map(() =>
+      client.get("/users", { params: { page: 1 } })
+    );
+    await flush();
+    pending.forEach((deferred) => deferred.resolve({ users: [] }));
+    const results = await Promise.all(requests);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(results.every((result) => result.data.users)).toBe(true);
+
+    // Settled requests are not cached
+    client.get("/users", { params: { page: 1 } });
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not share requests with different params, methods or auth", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      tokenStorage: "memory",
+    });
+
+    client.get("/users", { params: { page: 1 } });
+    client.get("/users", { params: { page: 2 } });
+    client.setAuthToken("token-b");
+    client.get("/users", { params: { page: 1 } });
+    client.post("/users", { name: "A" });
+    client.post("/users", { name: "A" });
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+
+  it("should let a request opt out", async () => {
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+
+    client.get("/users");
+    client.get("/users", { dedupe: false });
+    client.get("/users", { signal: new AbortController().signal });
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("should be disabled client-wide with dedupe: false", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      dedupe: false,
+    });
+
+    client.get("/users");
+    client.get("/users");
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,176 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import { effectScope, nextTick } from "vue";
+import { writable, get } from "svelte/store";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { VormiaError } from "../src/client/utils/VormiaError.js";
+import { FieldErrorManager } from "../src/utils/fieldErrors.js";
+import { useVrmMutation } from "../src/hooks/useVrmMutation.js";
+import { useFieldErrors } from "../src/hooks/useFieldErrors.js";
+import { useVormiaMutation } from "../src/adapters/vue/useVormia.js";
+import { useVormiaFieldErrors } from "../src/adapters/vue/useVormiaFieldErrors.js";
+import { createVormiaFieldErrorsStore } from "../src/adapters/svelte/vormiaFieldErrorsStore.js";
+
+const json = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  statusText: status < 400 ? "OK" : "Unprocessable Content",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const UNPROCESSABLE = {
+  success: false,
+  message: "The email has already been taken.",
+  errors: {
+    email: ["The email has already been taken."],
+    password: ["The password field is required.", "Too short."],
+  },
+};
+
+const validationError = (errors) =>
+  new VormiaError({ message: "Invalid", status: 422, errors });
+
+describe("Field error bindings", () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+  });
+
+  it("should fill React field errors from a 422 and clear them per field", async () => {
+    const queryClient = new QueryClient({
+      defaultOptions: { mutations: { retry: false } },
+    });
+    const wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+    const { result } = renderHook(
+      () => {
+        const mutation = useVrmMutation({
+          endpoint: "/register",
+          queueOffline: false,
+        });
+        return {
+          mutation,
+          fieldErrors: useFieldErrors({
+            mutation,
+            fieldMapping: { password: "secret" },
+          }),
+        };
+      },
+      { wrapper }
+    );
+
+    global.fetch.mockResolvedValueOnce(json(UNPROCESSABLE, 422));
+    act(() => result.current.mutation.mutate({ email: "ada@example.com" }));
+    await waitFor(() =>
+      expect(result.current.fieldErrors.hasAnyErrors).toBe(true)
+    );
+
+    expect(result.current.fieldErrors.errors).toEqual({
+      email: "The email has already been taken.",
+      secret: "The password field is required.; Too short.",
+    });
+    expect(result.current.fieldErrors.getFieldClasses("email", "input")).toBe(
+      "input border-red-500"
+    );
+
+    act(() => result.current.fieldErrors.clearOnInput("email")());
+    expect(result.current.fieldErrors.errors).toEqual({
+      secret: "The password field is required.; Too short.",
+    });
+    expect(result.current.fieldErrors.hasFieldError("email")).toBe(false);
+
+    global.fetch.mockResolvedValueOnce(json({ success: true, data: {} }));
+    act(() => result.current.mutation.mutate({ email: "grace@example.com" }));
+    await waitFor(() =>
+      expect(result.current.fieldErrors.hasAnyErrors).toBe(false)
+    );
+  });
+
+  it("should leave React field errors alone on other errors", () => {
+    const manager = new FieldErrorManager({ email: "Taken" });
+    const { result } = renderHook(() => useFieldErrors({ manager }));
+
+    expect(result.current.errors).toEqual({ email: "Taken" });
+    let handled;
+    act(() => {
+      handled = result.current.handleError(
+        new VormiaError("Server Error", 500)
+      );
+    });
+    expect(handled).toBe(false);
+    expect(result.current.errors).toEqual({ email: "Taken" });
+
+    act(() => {
+      result.current.validateRules({ name: "" }, { name: "required" });
+    });
+    expect(result.current.errors).toEqual({
+      name: "The name field is required.",
+    });
+  });
+
+  it("should keep the Vue errors ref in sync with the mutation", async () => {
+    const scope = effectScope();
+    const { mutation, fieldErrors } = scope.run(() => {
+      const mutation = useVormiaMutation();
+      return { mutation, fieldErrors: useVormiaFieldErrors({ mutation }) };
+    });
+
+    global.fetch.mockResolvedValueOnce(json(UNPROCESSABLE, 422));
+    await mutation
+      .mutate("/register", { email: "ada@example.com" })
+      .catch(() => {});
+    await nextTick();
+
+    expect(fieldErrors.errors.value.email).toBe(
+      "The email has already been taken."
+    );
+    expect(fieldErrors.hasAnyErrors.value).toBe(true);
+
+    fieldErrors.clearFieldError("email");
+    expect(fieldErrors.getFieldError("email")).toBeUndefined();
+    fieldErrors.clearFieldError("password");
+    expect(fieldErrors.hasAnyErrors.value).toBe(false);
+
+    scope.stop();
+    fieldErrors.manager.setFieldError("email", "Ignored");
+    expect(fieldErrors.errors.value).toEqual({});
+  });
+
+  it("should fill the Svelte store from new mutation errors only", () => {
+    const mutation = writable({ error: null, isSuccess: false });
+    const fieldErrors = createVormiaFieldErrorsStore({ mutation });
+    const seen = [];
+    const unsubscribe = fieldErrors.subscribe((errors) => seen.push(errors));
+
+    const error = validationError({ email: ["Taken"] });
+    mutation.set({ error, isSuccess: false });
+    expect(get(fieldErrors)).toEqual({ email: "Taken" });
+
+    fieldErrors.clearOnInput("email")();
+    // Same error, new state: the cleared field stays cleared
+    mutation.set({ error, isSuccess: false, isLoading: true });
+    expect(get(fieldErrors)).toEqual({});
+
+    mutation.set({ error: validationError({ name: ["Required"] }) });
+    expect(get(fieldErrors)).toEqual({ name: "Required" });
+    mutation.set({ error: null, isSuccess: true });
+    expect(get(fieldErrors)).toEqual({});
+
+    unsubscribe();
+    mutation.set({ error: validationError({ name: ["Required"] }) });
+    expect(fieldErrors.manager.hasAnyErrors()).toBe(false);
+    expect(seen[0]).toEqual({});
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+import { VormiaError } from "../src/client/utils/VormiaError.js";
+
+global.fetch = vi.fn();
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? "OK" : "Error",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+describe("Client interceptors", () => {
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = createVormiaClient({ baseURL: "https://api.example.com" });
+  });
+
+  it("should run async request interceptors in order and apply their config", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ ok: true }));
+    const calls = [];
+
+    client.interceptors.request.use(async (config) => {
+      calls.push("first");
+      return { ...config, headers: { ...config.headers, "X-Tenant": "acme" } };
+    });
+    client.interceptors.request.use((config) => {
+      calls.push("second");
+      return config;
+    });
+    client.interceptors.request.use(
+      (config) => {
+        calls.push("early");
+        return config;
+      },
+      null,
+      { order: -1 }
+    );
+
+    await client.get("/users");
+
+    expect(calls).toEqual(["early", "first", "second"]);
+    const [, init] = global.fetch.mock.calls[0];
+    expect(init.headers["X-Tenant"]).toBe("acme");
+  });
+
+  it("should see the bearer token before user interceptors run", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ ok: true }));
+    localStorage.getItem.mockImplementation((key) =>
+      key === "auth_token" ? "secret" : null
+    );
+    let seen;
+
+    client.interceptors.request.use((config) => {
+      seen = config.headers.Authorization;
+      return config;
+    });
+
+    await client.get("/me");
+    localStorage.getItem.mockReset();
+
+    expect(seen).toBe("Bearer secret");
+  });
+
+  it("should not run ejected interceptors", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ ok: true }));
+    const handler = vi.fn((config) => config);
+
+    const id = client.interceptors.request.use(handler);
+    client.interceptors.request.eject(id);
+
+    await client.get("/users");
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should skip interceptors whose runWhen returns false", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ ok: true }));
+    const handler = vi.fn((config) => config);
+
+    client.interceptors.request.use(handler, null, {
+      runWhen: (config) => config.method !== "GET",
+    });
+
+    await client.get("/users");
+    expect(handler).not.toHaveBeenCalled();
+
+    await client.post("/users", { name: "Jane" });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("should normalize responses through response interceptors", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ items: [1, 2] }));
+
+    client.interceptors.response.use(async (response) => ({
+      ...response,
+      data: response.data.items,
+    }));
+
+    const result = await client.get("/numbers");
+
+    expect(result.data).toEqual([1, 2]);
+  });
+
+  it("should let a response error handler recover from a failed request", async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ message: "Gone" }, 410));
+
+    client.interceptors.response.use(null, (error) => {
+      if (error.status === 410) {
+        return { data: [], status: 200 };
+      }
+      throw error;
+    });
+
+    const result = await client.get("/archived");
+
+    expect(result.data).toEqual([]);
+  });
+
+  it("should route a throwing request interceptor to the next error handler", async () => {
+    const recovered = vi.fn((error) => {
+      throw new VormiaError({ message: error.message, code: "SIGNING_FAILED" });
+    });
+
+    client.interceptors.request.use(() => {
+      throw new Error("Missing signing key");
+    });
+    client.interceptors.request.use(null, recovered);
+
+    await expect(client.get("/signed")).rejects.toMatchObject({
+      code: "SIGNING_FAILED",
+    });
+    expect(recovered).toHaveBeenCalledTimes(1);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should not log out when a response interceptor recovers from a 401", async () => {
+    const onUnauthenticated = vi.fn();
+    client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      onUnauthenticated,
+    });
+    global.fetch.mockResolvedValue(jsonResponse({ message: "Nope" }, 401));
+
+    client.interceptors.response.use(null, () => ({ data: null, status: 200 }));
+
+    await client.get("/me");
+
+    expect(onUnauthenticated).not.toHaveBeenCalled();
+  });
+});
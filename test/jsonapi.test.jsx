@@ -0,0 +1,245 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import {
+  normalizeJsonApi,
+  serializeJsonApi,
+  jsonApiErrorsToFieldErrors,
+} from "../src/client/utils/jsonApi.js";
+import { FieldErrorManager } from "../src/utils/fieldErrors.js";
+import { useVrmMutation } from "../src/hooks/useVrmMutation.js";
+
+const ARTICLE = {
+  data: {
+    type: "articles",
+    id: "1",
+    attributes: { title: "JSON:API paints my bikeshed!" },
+    relationships: {
+      author: { data: { type: "people", id: "9" } },
+      comments: {
+        data: [
+          { type: "comments", id: "5" },
+          { type: "comments", id: "12" },
+        ],
+      },
+      tags: { links: { related: "/articles/1/tags" } },
+    },
+  },
+  included: [
+    {
+      type: "people",
+      id: "9",
+      attributes: { name: "Dan" },
+      relationships: { articles: { data: [{ type: "articles", id: "1" }] } },
+    },
+    {
+      type: "comments",
+      id: "5",
+      attributes: { body: "First!" },
+      relationships: { author: { data: { type: "people", id: "9" } } },
+    },
+  ],
+  meta: { version: 2 },
+};
+
+const json = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  statusText: status < 400 ? "OK" : "Unprocessable Entity",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+describe("JSON:API documents", () => {
+  it("should resolve included resources into nested objects", () => {
+    const article = normalizeJsonApi(ARTICLE);
+
+    expect(article).toEqual({
+      id: "1",
+      type: "articles",
+      title: "JSON:API paints my bikeshed!",
+      author: {
+        id: "9",
+        type: "people",
+        name: "Dan",
+        // Back to the article being resolved: an identifier, not a cycle
+        articles: [{ id: "1", type: "articles" }],
+      },
+      comments: [
+        {
+          id: "5",
+          type: "comments",
+          body: "First!",
+          author: {
+            id: "9",
+            type: "people",
+            name: "Dan",
+            articles: [{ id: "1", type: "articles" }],
+          },
+        },
+        // Not included
+        { id: "12", type: "comments" },
+      ],
+    });
+    expect(() => JSON.stringify(article)).not.toThrow();
+  });
+
+  it("should map error pointers to field errors", () => {
+    const errors = jsonApiErrorsToFieldErrors([
+      {
+        status: "422",
+        source: { pointer: "/data/attributes/email" },
+        detail: "The email has already been taken.",
+      },
+      { source: { pointer: "/data/attributes/email" }, title: "Invalid" },
+      {
+        source: { pointer: "/data/attributes/address/city" },
+        detail: "Required",
+      },
+      {
+        source: { pointer: "/data/relationships/author/data/id" },
+        detail: "Unknown author",
+      },
+      { source: { parameter: "include" }, detail: "Not allowed" },
+      { detail: "Something went wrong" },
+    ]);
+
+    expect(errors).toEqual({
+      email: ["The email has already been taken.", "Invalid"],
+      "address.city": ["Required"],
+      author: ["Unknown author"],
+      include: ["Not allowed"],
+    });
+  });
+
+  it("should serialize plain objects and round-trip normalized ones", () => {
+    expect(
+      serializeJsonApi(
+        {
+          id: 1,
+          title: "Hello",
+          tags: ["a", "b"],
+          author: { id: "9", type: "people", name: "Dan" },
+          comments: [],
+        },
+        { type: "articles", relationships: ["comments"] }
+      )
+    ).toEqual({
+      data: {
+        type: "articles",
+        id: "1",
+        attributes: { title: "Hello", tags: ["a", "b"] },
+        relationships: {
+          author: { data: { type: "people", id: "9" } },
+          comments: { data: [] },
+        },
+      },
+    });
+
+    const document = { data: { type: "articles", attributes: {} } };
+    expect(serializeJsonApi(document, { type: "articles" })).toBe(document);
+  });
+});
+
+describe("JSON:API client mode", () => {
+  let wrapper;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        unwrap: "jsonapi",
+      })
+    );
+    const queryClient = new QueryClient({
+      defaultOptions: {
+        queries: { retry: false },
+        mutations: { retry: false },
+      },
+    });
+    wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+  });
+
+  it("should send JSON:API documents and read the normalized response", async () => {
+    global.fetch.mockResolvedValueOnce(json(ARTICLE, 201));
+    const { result } = renderHook(
+      () =>
+        useVrmMutation({
+          endpoint: "/articles",
+          jsonapi: "articles",
+          queueOffline: false,
+        }),
+      { wrapper }
+    );
+
+    let response;
+    await act(async () => {
+      response = await result.current.mutateAsync({
+        title: "Hello",
+        author: { id: 9, type: "people" },
+      });
+    });
+
+    const [, init] = global.fetch.mock.calls[0];
+    expect(init.headers["Content-Type"]).toBe("application/vnd.api+json");
+    expect(init.headers.Accept).toBe("application/vnd.api+json");
+    expect(JSON.parse(init.body)).toEqual({
+      data: {
+        type: "articles",
+        attributes: { title: "Hello" },
+        relationships: { author: { data: { type: "people", id: "9" } } },
+      },
+    });
+    expect(response.data.author.name).toBe("Dan");
+    expect(response.meta).toEqual({ version: 2 });
+  });
+
+  it("should feed JSON:API validation errors to FieldErrorManager", async () => {
+    global.fetch.mockResolvedValueOnce(
+      json(
+        {
+          errors: [
+            {
+              status: "422",
+              title: "Unprocessable Entity",
+              detail: "The title field is required.",
+              source: { pointer: "/data/attributes/title" },
+            },
+          ],
+        },
+        422
+      )
+    );
+    const { result } = renderHook(
+      () =>
+        useVrmMutation({
+          endpoint: "/articles",
+          jsonapi: "articles",
+          queueOffline: false,
+        }),
+      { wrapper }
+    );
+
+    act(() => result.current.mutate({ title: "" }));
+    await waitFor(() => expect(result.current.isError).toBe(true));
+
+    const { error } = result.current;
+    expect(error.message).toBe("The title field is required.");
+    expect(error.getValidationErrors()).toEqual({
+      title: ["The title field is required."],
+    });
+
+    const manager = new FieldErrorManager();
+    expect(manager.processApiErrors(error)).toEqual({
+      title: "The title field is required.",
+    });
+  });
+});
@@ -0,0 +1,280 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { onlineManager } from "../src/core/focusManager.js";
+import {
+  offlineQueue,
+  requestOrQueue,
+  canQueueRequest,
+} from "../src/core/offlineQueue.js";
+import { resolveStorageDriver } from "../src/stores/persistence.js";
+import { useAuthStore } from "../src/stores/useAuthStore.js";
+import { useCacheStore } from "../src/stores/useCacheStore.js";
+
+const response = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const post = (url, data) => ({ method: "POST", url, data });
+
+describe("Offline mutation queue", () => {
+  beforeEach(() => {
+    global.fetch = vi.fn(async () => response(200, { saved: true }));
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+    useCacheStore.getState().setStorageStrategy("memory");
+    onlineManager.setOnline(false);
+  });
+
+  afterEach(() => {
+    offlineQueue.clear();
+    offlineQueue.stop();
+    offlineQueue.configure({
+      onReplay: null,
+      onConflict: null,
+      onFailure: null,
+      maxAttempts: 3,
+    });
+    onlineManager.setOnline(undefined);
+  });
+
+  it("should queue mutations while offline and persist them", async () => {
+    const result = await requestOrQueue(post("/notes", { text: "offline" }));
+
+    expect(result).toMatchObject({ queued: true, data: null });
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(offlineQueue.getStatus()).toMatchObject({
+      pendingCount: 1,
+      isOnline: false,
+    });
+    expect(useAuthStore.getState().isOffline).toBe(true);
+
+    const persisted = JSON.parse(
+      resolveStorageDriver("memory").getItem("vormia-cache-store")
+    );
+    expect(persisted.state.offlineQueue[0]).toMatchObject({
+      idempotencyKey: result.idempotencyKey,
+      config: { method: "POST", url: "/notes", data: { text: "offline" } },
+    });
+  });
+
+  it("should replay in order with idempotency keys on reconnect", async () => {
+    const first = await requestOrQueue(post("/notes", { n: 1 }), {
+      idempotencyKey: "note-1",
+    });
+    await requestOrQueue(post("/notes", { n: 2 }));
+    const replayed = offlineQueue.whenReplayed(first.queueId);
+
+    onlineManager.setOnline(true);
+    await vi.waitFor(() =>
+      expect(offlineQueue.getStatus().pendingCount).toBe(0)
+    );
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    const bodies = global.fetch.mock.calls.map(([, init]) =>
+      JSON.parse(init.body)
+    );
+    expect(bodies).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(global.fetch.mock.calls[0][1].headers["Idempotency-Key"]).toBe(
+      "note-1"
+    );
+    expect((await replayed).data).toEqual({ saved: true });
+    expect(useAuthStore.getState().isOffline).toBe(false);
+  });
+
+  it("should not queue the same idempotency key twice", async () => {
+    await requestOrQueue(post("/orders", {}), { idempotencyKey: "order-7" });
+    await requestOrQueue(post("/orders", {}), { idempotencyKey: "order-7" });
+
+    expect(offlineQueue.getEntries()).toHaveLength(1);
+  });
+
+  it("should validate replayed responses against the request schema", async () => {
+    const schema = {
+      safeParse: (value) =>
+        typeof value.id === "number"
+          ? { success: true, data: value }
+          : { success: false, error: { issues: [{ path: ["id"] }] } },
+    };
+    const valid = await requestOrQueue({ ...post("/notes", {}), schema });
+    const invalid = await requestOrQueue({ ...post("/notes", {}), schema });
+    const replayed = offlineQueue.whenReplayed(valid.queueId);
+    const failed = offlineQueue.whenReplayed(invalid.queueId).catch((e) => e);
+
+    global.fetch
+      .mockResolvedValueOnce(response(201, { id: 1 }))
+      .mockResolvedValueOnce(response(201, { saved: true }));
+    onlineManager.setOnline(true);
+
+    expect((await replayed).data).toEqual({ id: 1 });
+    expect(await failed).toMatchObject({ code: "SCHEMA_MISMATCH" });
+  });
+
+  it("should drop queued requests when the user signs out", async () => {
+    useAuthStore.getState().setToken("user-1-token");
+    const queued = await requestOrQueue(post("/notes", {}));
+    const dropped = offlineQueue.whenReplayed(queued.queueId).catch((e) => e);
+
+    useAuthStore.getState().logout();
+
+    expect(offlineQueue.getEntries()).toHaveLength(0);
+    expect(await dropped).toMatchObject({ code: "QUEUE_CLEARED" });
+
+    onlineManager.setOnline(true);
+    await offlineQueue.replay();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should drop queued requests when another user signs in", async () => {
+    useAuthStore.getState().login("user-1-token", { id: 1 });
+    await requestOrQueue(post("/notes", {}));
+
+    useAuthStore.getState().login("user-2-token", { id: 2 });
+
+    expect(offlineQueue.getEntries()).toHaveLength(0);
+    useAuthStore.getState().logout();
+  });
+
+  it("should keep queued requests when the token is refreshed", async () => {
+    useAuthStore.getState().login("old-token", { id: 1 }, "refresh");
+    await requestOrQueue(post("/notes", {}));
+
+    useAuthStore.getState().setToken("new-token", "refresh");
+
+    expect(offlineQueue.getEntries()).toHaveLength(1);
+    offlineQueue.clear();
+    useAuthStore.getState().logout();
+  });
+
+  it("should queue a request that fails with a network error", async () => {
+    onlineManager.setOnline(true);
+    global.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+
+    const result = await requestOrQueue(post("/notes", {}));
+
+    expect(result.queued).toBe(true);
+    expect(offlineQueue.getEntries()).toHaveLength(1);
+  });
+
+  it("should queue fetch failures worded by other browsers", async () => {
+    onlineManager.setOnline(true);
+    global.fetch
+      .mockRejectedValueOnce(
+        new TypeError("NetworkError when attempting to fetch resource.")
+      )
+      .mockRejectedValueOnce(new TypeError("Load failed"));
+
+    expect((await requestOrQueue(post("/a", {}))).queued).toBe(true);
+    onlineManager.setOnline(false);
+    expect((await requestOrQueue(post("/b", {}))).queued).toBe(true);
+    expect(offlineQueue.getEntries()).toHaveLength(2);
+  });
+
+  it("should report conflicts and failures and keep going", async () => {
+    const onConflict = vi.fn();
+    const onFailure = vi.fn();
+    offlineQueue.configure({ onConflict, onFailure });
+    await requestOrQueue(post("/a", {}));
+    await requestOrQueue(post("/b", {}));
+    await requestOrQueue(post("/c", {}));
+    global.fetch
+      .mockResolvedValueOnce(response(409, { message: "Changed on server" }))
+      .mockResolvedValueOnce(response(422, { message: "Invalid" }))
+      .mockResolvedValueOnce(response(200));
+
+    onlineManager.setOnline(true);
+    await offlineQueue.replay();
+
+    expect(onConflict).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 409 }),
+      expect.objectContaining({
+        config: expect.objectContaining({ url: "/a" }),
+      })
+    );
+    expect(onFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 422 }),
+      expect.objectContaining({
+        config: expect.objectContaining({ url: "/b" }),
+      })
+    );
+    expect(offlineQueue.getStatus()).toMatchObject({
+      pendingCount: 0,
+      lastError: null,
+    });
+  });
+
+  it("should keep server errors queued until maxAttempts", async () => {
+    const onFailure = vi.fn();
+    offlineQueue.configure({ onFailure, maxAttempts: 2 });
+    await requestOrQueue(post("/a", {}));
+    global.fetch.mockResolvedValue(response(503));
+
+    onlineManager.setOnline(true);
+    await offlineQueue.replay();
+    expect(offlineQueue.getEntries()[0].attempts).toBe(1);
+    expect(offlineQueue.getStatus().lastError).toMatchObject({ status: 503 });
+
+    await offlineQueue.replay();
+    expect(offlineQueue.getEntries()).toHaveLength(0);
+    expect(onFailure).toHaveBeenCalledTimes(1);
+  });
+
+  it("should replay again after a backoff when the server fails", async () => {
+    vi.useFakeTimers();
+    try {
+      offlineQueue.configure({ retry: { baseDelay: 500, jitter: false } });
+      await requestOrQueue(post("/a", {}));
+      global.fetch
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce(response(200));
+
+      onlineManager.setOnline(true);
+      await offlineQueue.replay();
+      expect(offlineQueue.getEntries()).toHaveLength(1);
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      await vi.waitFor(() => expect(offlineQueue.getEntries()).toHaveLength(0));
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    } finally {
+      offlineQueue.configure({ retry: null });
+      vi.useRealTimers();
+    }
+  });
+
+  it("should notify subscribers of status changes", async () => {
+    const listener = vi.fn();
+    const unsubscribe = offlineQueue.subscribe(listener);
+
+    await requestOrQueue(post("/notes", {}));
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ pendingCount: 1 })
+    );
+  });
+
+  it("should never queue reads or file uploads", async () => {
+    expect(canQueueRequest({ method: "GET", url: "/notes" })).toBe(false);
+    expect(canQueueRequest(post("/upload", { avatar: new Blob(["x"]) }))).toBe(
+      false
+    );
+    expect(canQueueRequest({ ...post("/upload", {}), multipart: true })).toBe(
+      false
+    );
+    expect(() => offlineQueue.enqueue({ method: "GET", url: "/" })).toThrow(
+      /cannot be queued offline/
+    );
+  });
+});
@@ -0,0 +1,306 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { onlineManager } from "../src/core/focusManager.js";
+import { offlineQueue } from "../src/core/offlineQueue.js";
+import { vrmKeys } from "../src/core/queryKeys.js";
+import {
+  useVrmCreate,
+  useVrmDelete,
+  useVrmUpdate,
+} from "../src/hooks/useVrmMutation.js";
+import {
+  mapListData,
+  optimisticInsert,
+  optimisticRemove,
+  optimisticUpdate,
+} from "../src/utils/optimisticUpdates.js";
+
+const LIST_KEY = vrmKeys.list("/todos");
+
+const response = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const deferredFetch = () => {
+  let resolve;
+  global.fetch.mockImplementationOnce(
+    () => new Promise((done) => (resolve = done))
+  );
+  return (status, body) => resolve(response(status, body));
+};
+
+describe("List helpers", () => {
+  it("should find lists nested in responses and paginators", () => {
+    const page = { data: { data: [{ id: 1 }], meta: { total: 1 } } };
+    const next = mapListData(page, (list) => [...list, { id: 2 }]);
+
+    expect(next.data.data).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(next.data.meta).toBe(page.data.meta);
+    expect(mapListData({ data: { id: 1 } }, () => [])).toEqual({
+      data: { id: 1 },
+    });
+  });
+
+  it("should insert, update and remove items by id", () => {
+    const meta = { optimisticId: "optimistic-1" };
+    const list = [{ id: 1, title: "Write" }];
+
+    const inserted = optimisticInsert(["/todos"], { position: "start" });
+    const withItem = inserted.updater(list, { title: "Ship" }, meta);
+    expect(withItem[0]).toEqual({ id: "optimistic-1", title: "Ship" });
+    expect(
+      inserted.reconcile(
+        withItem,
+        { data: { id: 9, title: "Ship" } },
+        { title: "Ship" },
+        meta
+      )[0]
+    ).toEqual({ id: 9, title: "Ship" });
+
+    const updated = optimisticUpdate(["/todos"]);
+    expect(updated.updater(list, { id: "1", done: true }, meta)).toEqual([
+      { id: 1, title: "Write", done: true },
+    ]);
+
+    const removed = optimisticRemove(["/todos"]);
+    expect(removed.updater(list, 1, meta)).toEqual([]);
+    expect(removed.updater(list, { id: 1 }, meta)).toEqual([]);
+  });
+});
+
+describe("useVrmMutation optimistic updates", () => {
+  let queryClient;
+  let wrapper;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+    queryClient = new QueryClient({
+      defaultOptions: { mutations: { retry: false } },
+    });
+    queryClient.setQueryData(LIST_KEY, {
+      data: [
+        { id: 1, title: "Write" },
+        { id: 2, title: "Test" },
+      ],
+      status: 200,
+    });
+    wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+  });
+
+  afterEach(() => {
+    offlineQueue.clear();
+    offlineQueue.stop();
+    onlineManager.setOnline(undefined);
+    queryClient.clear();
+  });
+
+  const titles = () =>
+    queryClient.getQueryData(LIST_KEY).data.map((todo) => todo.title);
+
+  it("should show the item before the server answers and swap in the saved one", async () => {
+    const respond = deferredFetch();
+    const { result } = renderHook(
+      () =>
+        useVrmCreate("/todos", {
+          optimistic: optimisticInsert(["/todos"]),
+          queueOffline: false,
+        }),
+      { wrapper }
+    );
+
+    act(() => {
+      result.current.mutate({ title: "Ship" });
+    });
+
+    await waitFor(() => expect(titles()).toEqual(["Write", "Test", "Ship"]));
+    expect(queryClient.getQueryData(LIST_KEY).data[2].id).toMatch(
+      /^optimistic-/
+    );
+
+    respond(201, { data: { id: 3, title: "Ship" } });
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+
+    expect(queryClient.getQueryData(LIST_KEY).data[2]).toEqual({
+      id: 3,
+      title: "Ship",
+    });
+    expect(queryClient.getQueryState(LIST_KEY).isInvalidated).toBe(false);
+  });
+
+  it("should roll back when the server rejects the change", async () => {
+    const respond = deferredFetch();
+    const onError = vi.fn();
+    const { result } = renderHook(
+      () =>
+        useVrmDelete("/todos/1", {
+          optimistic: optimisticRemove(["/todos"]),
+          queueOffline: false,
+          onError,
+        }),
+      { wrapper }
+    );
+
+    act(() => {
+      result.current.mutate(1);
+    });
+    await waitFor(() => expect(titles()).toEqual(["Test"]));
+
+    respond(403, { message: "Forbidden" });
+    await waitFor(() => expect(result.current.isError).toBe(true));
+
+    expect(titles()).toEqual(["Write", "Test"]);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it("should refetch when no reconcile is given", async () => {
+    global.fetch.mockResolvedValueOnce(response(200, { ok: true }));
+    const { result } = renderHook(
+      () =>
+        useVrmUpdate("/todos/2", {
+          optimistic: {
+            queryKey: ["/todos"],
+            updater: (data) =>
+              mapListData(data, (list) =>
+                list.map((todo) => ({
+                  ...todo,
+                  title: todo.title.toUpperCase(),
+                }))
+              ),
+          },
+          queueOffline: false,
+        }),
+      { wrapper }
+    );
+
+    await act(() => result.current.mutateAsync({ id: 2 }));
+
+    expect(titles()).toEqual(["WRITE", "TEST"]);
+    expect(queryClient.getQueryState(LIST_KEY).isInvalidated).toBe(true);
+  });
+
+  it("should keep the optimistic data while the mutation waits offline", async () => {
+    onlineManager.setOnline(false);
+    const { result } = renderHook(
+      () =>
+        useVrmUpdate("/todos/2", {
+          optimistic: optimisticUpdate(["/todos"]),
+          queueOffline: true,
+        }),
+      { wrapper }
+    );
+
+    await act(() => result.current.mutateAsync({ id: 2, title: "Test more" }));
+
+    expect(result.current.isQueued).toBe(true);
+    expect(titles()).toEqual(["Write", "Test more"]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should call onSuccess once a queued mutation replays", async () => {
+    onlineManager.setOnline(false);
+    const onSuccess = vi.fn();
+    const { result } = renderHook(
+      () =>
+        useVrmCreate("/todos", {
+          queueOffline: true,
+          transform: (todo) => todo.title,
+          onSuccess,
+        }),
+      { wrapper }
+    );
+
+    await act(() => result.current.mutateAsync({ title: "Ship" }));
+    expect(onSuccess).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValueOnce(response(201, { id: 3, title: "Ship" }));
+    onlineManager.setOnline(true);
+
+    await waitFor(() => expect(onSuccess).toHaveBeenCalledTimes(1));
+    expect(onSuccess.mock.calls[0][0]).toMatchObject({
+      status: 201,
+      data: "Ship",
+    });
+    expect(queryClient.getQueryState(LIST_KEY).isInvalidated).toBe(true);
+  });
+
+  it("should call onSettled once a queued mutation replays", async () => {
+    onlineManager.setOnline(false);
+    const onSettled = vi.fn();
+    const { result } = renderHook(
+      () => useVrmCreate("/todos", { queueOffline: true, onSettled }),
+      { wrapper }
+    );
+
+    await act(() => result.current.mutateAsync({ title: "Ship" }));
+    expect(onSettled).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValueOnce(response(201, { id: 3, title: "Ship" }));
+    onlineManager.setOnline(true);
+
+    await waitFor(() => expect(onSettled).toHaveBeenCalledTimes(1));
+    expect(onSettled.mock.calls[0][0]).toMatchObject({ status: 201 });
+    expect(onSettled.mock.calls[0][1]).toBeNull();
+  });
+
+  it("should roll back and call onError when the queue drops the mutation", async () => {
+    onlineManager.setOnline(false);
+    const onSuccess = vi.fn();
+    const onError = vi.fn();
+    const { result } = renderHook(
+      () =>
+        useVrmUpdate("/todos/2", {
+          optimistic: optimisticUpdate(["/todos"]),
+          queueOffline: true,
+          onSuccess,
+          onError,
+        }),
+      { wrapper }
+    );
+
+    await act(() => result.current.mutateAsync({ id: 2, title: "Test more" }));
+    expect(titles()).toEqual(["Write", "Test more"]);
+
+    global.fetch.mockResolvedValueOnce(
+      response(409, { message: "Changed on server" })
+    );
+    onlineManager.setOnline(true);
+
+    await waitFor(() => expect(onError).toHaveBeenCalledTimes(1));
+    expect(onError.mock.calls[0][0]).toMatchObject({ status: 409 });
+    expect(onSuccess).not.toHaveBeenCalled();
+    expect(titles()).toEqual(["Write", "Test"]);
+  });
+
+  it("should fail instead of queueing unless queueOffline is set", async () => {
+    global.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    const { result } = renderHook(() => useVrmCreate("/todos"), { wrapper });
+
+    let error;
+    await act(async () => {
+      error = await result.current
+        .mutateAsync({ title: "Ship" })
+        .catch((reason) => reason);
+    });
+
+    expect(error).toMatchObject({ code: "NETWORK_ERROR" });
+    expect(offlineQueue.getEntries()).toHaveLength(0);
+  });
+});
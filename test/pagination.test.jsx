@@ -0,0 +1,270 @@
+import React, { useState } from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import { get } from "svelte/store";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { queryCache } from "../src/core/QueryCache.js";
+import { detectPaginator, getPageInfo } from "../src/core/pagination.js";
+import {
+  useVrmInfiniteQuery,
+  useVrmPaginatedQuery,
+} from "../src/hooks/useVrmPagination.js";
+import { useVormiaInfiniteQuery } from "../src/adapters/vue/useVormiaPagination.js";
+import { createVormiaPaginatedStore } from "../src/adapters/svelte/vormiaPaginationStore.js";
+
+const USERS = ["Ada", "Grace", "Linus", "Barbara", "Ken"].map((name, i) => ({
+  id: i + 1,
+  name,
+}));
+
+// LengthAwarePaginator wrapped in an API resource collection, 2 per page
+const resourcePage = (page, users = USERS) => ({
+  data: users.slice((page - 1) * 2, page * 2),
+  links: { first: "?page=1", last: "?page=3", prev: null, next: null },
+  meta: {
+    current_page: page,
+    last_page: Math.ceil(users.length / 2),
+    per_page: 2,
+    total: users.length,
+  },
+});
+
+// Raw CursorPaginator, where the cursor is the id to start after
+const cursorPage = (cursor) => {
+  const start = cursor ? Number(atob(cursor)) : 0;
+  const data = USERS.slice(start, start + 2);
+  const end = start + data.length;
+  return {
+    data,
+    path: "/users",
+    per_page: 2,
+    next_cursor: end < USERS.length ? btoa(String(end)) : null,
+    prev_cursor: start > 0 ? btoa(String(Math.max(start - 2, 0))) : null,
+  };
+};
+
+const json = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const serve = (url) => {
+  const { searchParams } = new URL(url);
+  if (url.includes("/feed"))
+    return json(cursorPage(searchParams.get("cursor")));
+  const users = searchParams.get("role")
+    ? USERS.filter((user) => user.id % 2)
+    : USERS;
+  return json(resourcePage(Number(searchParams.get("page") || 1), users));
+};
+
+const names = (items) => items.map((user) => user.name);
+
+describe("Paginator detection", () => {
+  it("should read length-aware, simple and cursor paginators", () => {
+    const raw = {
+      current_page: 2,
+      data: [{ id: 3 }],
+      last_page: 2,
+      per_page: 1,
+      total: 2,
+      next_page_url: null,
+    };
+    expect(detectPaginator(raw)).toBe("length-aware");
+    expect(getPageInfo(raw)).toMatchObject({
+      currentPage: 2,
+      nextPageParam: null,
+      previousPageParam: 1,
+      hasNextPage: false,
+      total: 2,
+    });
+
+    expect(getPageInfo(resourcePage(1))).toMatchObject({
+      type: "length-aware",
+      nextPageParam: 2,
+      hasPreviousPage: false,
+    });
+
+    const simple = { current_page: 1, data: [], next_page_url: "?page=2" };
+    expect(getPageInfo(simple)).toMatchObject({
+      type: "simple",
+      nextPageParam: 2,
+      total: null,
+    });
+
+    const cursor = {
+      data: [],
+      links: { next: "?cursor=abc" },
+      meta: { per_page: 15, next_cursor: "abc", prev_cursor: null },
+    };
+    expect(getPageInfo(cursor)).toMatchObject({
+      type: "cursor",
+      nextPageParam: "abc",
+      hasPreviousPage: false,
+    });
+
+    expect(detectPaginator({ data: [] })).toBe(null);
+    expect(detectPaginator([1, 2])).toBe(null);
+  });
+});
+
+describe("React pagination hooks", () => {
+  let queryClient;
+  let wrapper;
+
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url) => serve(url));
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+    queryClient = new QueryClient({
+      defaultOptions: { queries: { retry: false } },
+    });
+    wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+  });
+
+  afterEach(() => {
+    queryClient.clear();
+  });
+
+  it("should load cursor pages and flatten them", async () => {
+    const { result } = renderHook(
+      () => useVrmInfiniteQuery({ endpoint: "/feed" }),
+      { wrapper }
+    );
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    expect(names(result.current.items)).toEqual(["Ada", "Grace"]);
+
+    await act(() => result.current.fetchNextPage());
+    await act(() => result.current.fetchNextPage());
+
+    expect(names(result.current.items)).toEqual(names(USERS));
+    expect(result.current.hasNextPage).toBe(false);
+    expect(global.fetch.mock.calls[1][0]).toContain(
+      `cursor=${encodeURIComponent(btoa("2"))}`
+    );
+  });
+
+  it("should keep the previous page visible while the next one loads", async () => {
+    const { result } = renderHook(
+      () => useVrmPaginatedQuery({ endpoint: "/users" }),
+      { wrapper }
+    );
+    await waitFor(() => expect(result.current.page).toBe(1));
+    expect(result.current.total).toBe(5);
+
+    let release;
+    global.fetch.mockImplementationOnce(
+      (url) => new Promise((resolve) => (release = () => resolve(serve(url))))
+    );
+    act(() => result.current.nextPage());
+
+    await waitFor(() => expect(result.current.pageParam).toBe(2));
+    expect(result.current.isPlaceholderData).toBe(true);
+    expect(names(result.current.items)).toEqual(["Ada", "Grace"]);
+
+    release();
+    await waitFor(() => expect(result.current.page).toBe(2));
+    expect(names(result.current.items)).toEqual(["Linus", "Barbara"]);
+    expect(result.current.hasPreviousPage).toBe(true);
+  });
+
+  it("should go back to the first page when the params change", async () => {
+    const { result } = renderHook(
+      () => {
+        const [params, setParams] = useState({});
+        return {
+          setParams,
+          ...useVrmPaginatedQuery({ endpoint: "/users", params }),
+        };
+      },
+      { wrapper }
+    );
+    await waitFor(() => expect(result.current.page).toBe(1));
+    act(() => result.current.setPage(3));
+    await waitFor(() => expect(result.current.page).toBe(3));
+
+    act(() => result.current.setParams({ role: "admin" }));
+
+    await waitFor(() => expect(result.current.total).toBe(3));
+    expect(result.current.page).toBe(1);
+    expect(names(result.current.items)).toEqual(["Ada", "Linus"]);
+  });
+});
+
+describe("Vue and Svelte pagination", () => {
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url) => serve(url));
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+  });
+
+  afterEach(() => {
+    queryCache.clear();
+  });
+
+  it("should accumulate pages in a Vue infinite query", async () => {
+    const users = useVormiaInfiniteQuery({ endpoint: "/users" });
+    await vi.waitFor(() => expect(users.isSuccess.value).toBe(true));
+
+    await users.fetchNextPage();
+
+    expect(names(users.data.value)).toEqual([
+      "Ada",
+      "Grace",
+      "Linus",
+      "Barbara",
+    ]);
+    expect(users.pages.value).toHaveLength(2);
+    expect(users.hasNextPage.value).toBe(true);
+    expect(users.isFetchingNextPage.value).toBe(false);
+  });
+
+  it("should page a Svelte store and share pages through the cache", async () => {
+    const store = createVormiaPaginatedStore({
+      endpoint: "/users",
+      staleTime: 60000,
+    });
+    const stop = store.subscribe(() => {});
+    await vi.waitFor(() => expect(get(store).page).toBe(1));
+
+    const loading = store.nextPage();
+    expect(get(store)).toMatchObject({ pageParam: 2, isPlaceholderData: true });
+    expect(names(get(store).data)).toEqual(["Ada", "Grace"]);
+    await loading;
+    expect(names(get(store).data)).toEqual(["Linus", "Barbara"]);
+
+    await store.previousPage();
+    expect(get(store).page).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    stop();
+    store.destroy();
+  });
+
+  it("should keep page errors in state instead of rejecting", async () => {
+    const users = useVormiaInfiniteQuery({ endpoint: "/users" });
+    await vi.waitFor(() => expect(users.isSuccess.value).toBe(true));
+
+    global.fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    await expect(users.fetchNextPage()).resolves.toBeUndefined();
+    expect(users.isError.value).toBe(true);
+    expect(users.error.value.code).toBe("NETWORK_ERROR");
+  });
+});
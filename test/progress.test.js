@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+import { resolveTransport } from "../src/client/utils/transport.js";
+
+// Minimal XMLHttpRequest stand-in that replays upload progress before loading
+class FakeXHR {
+  static instances = [];
+
+  constructor() {
+    this.upload = {};
+    this.headers = {};
+    this.status = 0;
+    FakeXHR.instances.push(this);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(key, value) {
+    this.headers[key] = value;
+  }
+
+  getAllResponseHeaders() {
+    return "content-type: application/json\r\n";
+  }
+
+  abort() {
+    this.onabort();
+  }
+
+  send(body) {
+    this.body = body;
+    setTimeout(() => {
+      this.upload.onprogress({ loaded: 50, total: 100, lengthComputable: true });
+      this.upload.onprogress({ loaded: 100, total: 100, lengthComputable: true });
+      this.status = 201;
+      this.statusText = "Created";
+      this.responseText = JSON.stringify({ success: true, data: { id: 9 } });
+      this.onload();
+    }, 0);
+  }
+}
+
+describe("Progress reporting", () => {
+  const originalXHR = global.XMLHttpRequest;
+
+  beforeEach(() => {
+    FakeXHR.instances = [];
+    global.XMLHttpRequest = FakeXHR;
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    global.XMLHttpRequest = originalXHR;
+  });
+
+  it("should pick XHR only when upload progress is requested", () => {
+    expect(resolveTransport({})).toBe("fetch");
+    expect(resolveTransport({ onDownloadProgress: () => {} })).toBe("fetch");
+    expect(resolveTransport({ onUploadProgress: () => {} })).toBe("xhr");
+    expect(
+      resolveTransport({ onUploadProgress: () => {}, transport: "fetch" })
+    ).toBe("fetch");
+  });
+
+  it("should report upload progress through the XHR transport", async () => {
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+    const events = [];
+
+    const response = await client.post(
+      "/uploads",
+      { name: "report" },
+      { onUploadProgress: (event) => events.push(event) }
+    );
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(FakeXHR.instances[0].method).toBe("POST");
+    expect(FakeXHR.instances[0].url).toBe("https://api.example.com/uploads");
+    expect(events.map((event) => event.progress)).toEqual([0.5, 1]);
+    expect(events[0]).toMatchObject({ loaded: 50, total: 100, upload: true });
+    expect(response.status).toBe(201);
+    expect(response.data).toEqual({ id: 9 });
+    expect(response.headers.get("content-type")).toBe("application/json");
+  });
+
+  it("should report download progress while streaming a fetch response", async () => {
+    const encoder = new TextEncoder();
+    const chunks = [encoder.encode('{"items":'), encoder.encode("[1,2,3]}")];
+    const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    let index = 0;
+
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      headers: new Headers({ "Content-Length": String(total) }),
+      body: {
+        getReader: () => ({
+          read: async () =>
+            index < chunks.length
+              ? { done: false, value: chunks[index++] }
+              : { done: true },
+        }),
+      },
+    });
+
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+    const events = [];
+
+    const response = await client.get("/export", {
+      onDownloadProgress: (event) => events.push(event),
+    });
+
+    expect(response.data).toEqual({ items: [1, 2, 3] });
+    expect(events).toHaveLength(2);
+    expect(events[1]).toMatchObject({ loaded: total, total, progress: 1 });
+  });
+});
@@ -0,0 +1,339 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { get } from "svelte/store";
+import {
+  QueryCache,
+  queryCache,
+  matchesQueryKey,
+  hashQueryKey,
+} from "../src/core/QueryCache.js";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import {
+  createVormiaStore,
+  createVormiaMutationStore,
+} from "../src/adapters/svelte/vormiaStore.js";
+import { useAuthStore } from "../src/stores/useAuthStore.js";
+import {
+  useVormiaQuery,
+  useVormiaMutation,
+} from "../src/adapters/vue/useVormia.js";
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("QueryCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new QueryCache();
+  });
+
+  it("should hash keys independently of object key order", () => {
+    expect(hashQueryKey(["/users", { a: 1, b: 2 }])).toBe(
+      hashQueryKey(["/users", { b: 2, a: 1 }])
+    );
+    expect(matchesQueryKey(["/users", { page: 1 }], ["/users"])).toBe(true);
+    expect(matchesQueryKey(["/users", { page: 1 }], "/users")).toBe(true);
+    expect(matchesQueryKey(["/posts"], ["/users"])).toBe(false);
+  });
+
+  it("should reuse fresh data and share in-flight fetches", async () => {
+    const fetcher = vi.fn().mockResolvedValue([1, 2]);
+
+    const [first, second] = await Promise.all([
+      cache.fetch(["/users"], fetcher, { staleTime: 1000 }),
+      cache.fetch(["/users"], fetcher, { staleTime: 1000 }),
+    ]);
+    await cache.fetch(["/users"], fetcher, { staleTime: 1000 });
+
+    expect(first).toEqual([1, 2]);
+    expect(second).toBe(first);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    await cache.fetch(["/users"], fetcher, { force: true });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("should refetch stale data", async () => {
+    const fetcher = vi.fn().mockResolvedValue("data");
+
+    await cache.fetch(["/users"], fetcher);
+    await cache.fetch(["/users"], fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("should notify subscribers and refetch observed queries on invalidate", async () => {
+    const fetcher = vi
+      .fn()
+      .mockResolvedValueOnce("v1")
+      .mockResolvedValueOnce("v2");
+    const unobserved = vi.fn().mockResolvedValue("other");
+    const listener = vi.fn();
+
+    cache.subscribe(["/users", { page: 1 }], listener);
+    await cache.fetch(["/users", { page: 1 }], fetcher, { staleTime: 60000 });
+    await cache.fetch(["/users", { page: 2 }], unobserved, {
+      staleTime: 60000,
+    });
+    await cache.invalidate(["/users"]);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(unobserved).toHaveBeenCalledTimes(1);
+    expect(cache.isStale(["/users", { page: 2 }], 60000)).toBe(true);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ data: "v2", status: "success" })
+    );
+  });
+
+  it("should keep the last data when a refetch fails", async () => {
+    const error = new Error("boom");
+    const fetcher = vi
+      .fn()
+      .mockResolvedValueOnce("ok")
+      .mockRejectedValueOnce(error);
+
+    await cache.fetch(["/users"], fetcher);
+    await expect(cache.fetch(["/users"], fetcher)).rejects.toBe(error);
+
+    expect(cache.getState(["/users"])).toMatchObject({
+      data: "ok",
+      error,
+      status: "error",
+    });
+  });
+
+  it("should garbage collect unobserved entries after cacheTime", async () => {
+    vi.useFakeTimers();
+    try {
+      const unsubscribe = cache.subscribe(["/users"], () => {});
+      await cache.fetch(["/users"], async () => "data", { cacheTime: 1000 });
+
+      vi.advanceTimersByTime(5000);
+      expect(cache.getQueryData(["/users"])).toBe("data");
+
+      unsubscribe();
+      vi.advanceTimersByTime(999);
+      expect(cache.getQueryData(["/users"])).toBe("data");
+      vi.advanceTimersByTime(1);
+      expect(cache.getState(["/users"])).toBeUndefined();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("should empty observed entries on reset and ignore fetches in flight", async () => {
+    let respond;
+    const states = [];
+    cache.subscribe(["/me"], (state) => states.push(state.status));
+    await cache.fetch(["/me"], async () => "ada");
+    await cache.fetch(["/teams"], async () => ["core"]);
+    const pending = cache.fetch(
+      ["/me"],
+      () => new Promise((resolve) => (respond = resolve)),
+      { force: true }
+    );
+    await Promise.resolve();
+
+    cache.reset();
+    respond("ada again");
+    await pending;
+
+    expect(cache.getState(["/me"])).toMatchObject({
+      data: undefined,
+      status: "idle",
+    });
+    expect(states.at(-1)).toBe("idle");
+    expect(cache.getState(["/teams"])).toBeUndefined();
+    expect(cache.isStale(["/me"], Infinity)).toBe(true);
+  });
+});
+
+describe("Adapters sharing the query cache", () => {
+  let users;
+
+  beforeEach(() => {
+    queryCache.clear();
+    users = [{ id: 1 }];
+    global.fetch = vi.fn(async (url, init) => ({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      headers: new Headers(),
+      json: async () =>
+        init.method === "POST" ? { created: true } : [...users],
+    }));
+    setGlobalVormiaClient(
+      createVormiaClient({ baseURL: "https://api.example.com" })
+    );
+  });
+
+  afterEach(() => {
+    queryCache.clear();
+  });
+
+  it("should serve a Vue query and a Svelte store from one fetch", async () => {
+    const vueQuery = useVormiaQuery({ endpoint: "/users", staleTime: 60000 });
+    const store = createVormiaStore({ endpoint: "/users", staleTime: 60000 });
+    const stop = store.subscribe(() => {});
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(vueQuery.data.value).toEqual([{ id: 1 }]);
+    expect(get(store).data).toEqual([{ id: 1 }]);
+    stop();
+  });
+
+  it("should update other components after a mutation invalidates their key", async () => {
+    const vueQuery = useVormiaQuery({ endpoint: "/users" });
+    const store = createVormiaStore({
+      endpoint: "/users",
+      transform: (list) => list.length,
+    });
+    const stop = store.subscribe(() => {});
+    await flush();
+
+    const mutation = useVormiaMutation({ invalidates: ["/users"] });
+    users.push({ id: 2 });
+    await mutation.mutate("/users", { name: "B" });
+    await flush();
+
+    expect(vueQuery.data.value).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(get(store).data).toBe(2);
+    stop();
+  });
+
+  it("should push setQueryData writes to subscribed stores", async () => {
+    const store = createVormiaStore({ endpoint: "/users" });
+    const stop = store.subscribe(() => {});
+    await flush();
+
+    queryCache.setQueryData(["/users"], (cached) => ({
+      ...cached,
+      data: [...cached.data, { id: 3 }],
+    }));
+
+    expect(get(store).data).toEqual([{ id: 1 }, { id: 3 }]);
+    stop();
+  });
+
+  it("should forget the previous user's queries on logout or a new login", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      tokenStorage: "memory",
+    });
+    setGlobalVormiaClient(client);
+    client.setAuthToken("ada");
+    const vueQuery = useVormiaQuery({ endpoint: "/users", staleTime: 60000 });
+    await flush();
+    expect(vueQuery.data.value).toEqual([{ id: 1 }]);
+
+    client.setAuthToken("grace");
+    expect(vueQuery.data.value).toBeNull();
+    await vueQuery.fetch();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    useAuthStore.getState().logout();
+    expect(vueQuery.isSuccess.value).toBe(false);
+
+    // A refresh keeps the same user, and the cache
+    await vueQuery.fetch();
+    client.refreshPromise = Promise.resolve();
+    client.setAuthToken("grace-refreshed");
+    client.refreshPromise = null;
+    expect(vueQuery.data.value).toEqual([{ id: 1 }]);
+  });
+
+  it("should keep queries with their own schema apart", async () => {
+    const schema = {
+      parse: (value) => value.map((user) => ({ ...user, checked: true })),
+    };
+    const plain = useVormiaQuery({ endpoint: "/users", staleTime: 60000 });
+    const validated = useVormiaQuery({
+      endpoint: "/users",
+      schema,
+      staleTime: 60000,
+    });
+    await flush();
+
+    expect(plain.data.value).toEqual([{ id: 1 }]);
+    expect(validated.data.value).toEqual([{ id: 1, checked: true }]);
+  });
+
+  it("should share one entry between queries with their own inline transform", async () => {
+    const count = useVormiaQuery({
+      endpoint: "/users",
+      transform: (list) => list.length,
+      staleTime: 60000,
+    });
+    await flush();
+    const ids = createVormiaStore({
+      endpoint: "/users",
+      transform: (list) => list.map((user) => user.id),
+      staleTime: 60000,
+    });
+    const stop = ids.subscribe(() => {});
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(count.data.value).toBe(1);
+    expect(get(ids).data).toEqual([1]);
+    stop();
+  });
+
+  it("should invalidate the endpoint's queries after a mutation by default", async () => {
+    const vueQuery = useVormiaQuery({ endpoint: "/users" });
+    const store = createVormiaStore({ endpoint: "/users" });
+    const stop = store.subscribe(() => {});
+    await flush();
+
+    users.push({ id: 2 });
+    await useVormiaMutation().mutate("/users", { name: "B" });
+    await flush();
+    expect(vueQuery.data.value).toHaveLength(2);
+
+    users.push({ id: 3 });
+    const mutation = createVormiaMutationStore();
+    await mutation.mutate("/users", { name: "C" });
+    await flush();
+    expect(get(store).data).toHaveLength(3);
+    expect(get(mutation)).toMatchObject({ isSuccess: true });
+    stop();
+  });
+
+  it("should keep meta and links next to the data, per unwrap strategy", async () => {
+    global.fetch.mockImplementation(async () => ({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      headers: new Headers(),
+      json: async () => ({
+        data: [{ id: 1 }],
+        meta: { total: 1 },
+        links: { next: null },
+      }),
+    }));
+    const vueQuery = useVormiaQuery({
+      endpoint: "/users",
+      unwrap: "laravel-resource",
+      staleTime: 60000,
+    });
+    const store = createVormiaStore({ endpoint: "/users" });
+    const stop = store.subscribe(() => {});
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(vueQuery.data.value).toEqual([{ id: 1 }]);
+    expect(vueQuery.meta.value).toEqual({ total: 1 });
+    expect(vueQuery.links.value).toEqual({ next: null });
+    expect(get(store).data.data).toEqual([{ id: 1 }]);
+    expect(get(store).meta).toEqual({ total: 1 });
+
+    // A cache hit still carries them
+    const again = await vueQuery.fetch();
+    expect(again.meta).toEqual({ total: 1 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    stop();
+  });
+});
@@ -0,0 +1,236 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import {
+  createQueryKey,
+  matchesQueryKey,
+  queryCache,
+  withReaderKey,
+} from "../src/core/QueryCache.js";
+import { vrmKeys, resolveQueryKeys } from "../src/core/queryKeys.js";
+import {
+  useVrmQuery,
+  useInvalidateVrmQuery,
+  usePrefetchVrmQuery,
+} from "../src/hooks/useVrmQuery.js";
+import { useVrmUpdate } from "../src/hooks/useVrmMutation.js";
+import { useVrmPaginatedQuery } from "../src/hooks/useVrmPagination.js";
+import { useVormiaMutation } from "../src/adapters/vue/useVormia.js";
+
+const response = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+describe("vrmKeys", () => {
+  it("should read a bare key as one key and arrays of keys as lists", () => {
+    const page = vrmKeys.list("/users", { page: 1 });
+    expect(resolveQueryKeys(page)).toEqual([page]);
+    expect(resolveQueryKeys(vrmKeys.detail("/users", 5))).toEqual([
+      ["/users", "detail", "5"],
+    ]);
+    expect(resolveQueryKeys(vrmKeys.all("/users"))).toEqual(["/users"]);
+    expect(resolveQueryKeys([page, "/teams"])).toEqual([page, "/teams"]);
+    expect(resolveQueryKeys(["/users", "/teams"])).toEqual([
+      "/users",
+      "/teams",
+    ]);
+    expect(resolveQueryKeys((response) => response.key, { key: page })).toEqual(
+      [page]
+    );
+  });
+
+  it("should build hierarchical keys that start with the endpoint", () => {
+    expect(vrmKeys.all("/users")).toEqual(["/users"]);
+    expect(vrmKeys.list("/users")).toEqual(["/users"]);
+    expect(vrmKeys.list("/users", {})).toEqual(["/users"]);
+    expect(vrmKeys.list("/users", { page: 2 })).toEqual([
+      "/users",
+      { page: 2 },
+    ]);
+    expect(vrmKeys.detail("/users", 5)).toEqual(vrmKeys.detail("/users", "5"));
+    expect(vrmKeys.detail("/users", 5).slice(0, 2)).toEqual(
+      vrmKeys.details("/users")
+    );
+  });
+
+  it("should be what createQueryKey uses", () => {
+    expect(createQueryKey("/users", { params: { page: 2 } })).toEqual(
+      vrmKeys.list("/users", { page: 2 })
+    );
+    expect(
+      createQueryKey("/search", { method: "post", data: { q: "a" } })
+    ).toEqual(vrmKeys.request("/search", { method: "POST", data: { q: "a" } }));
+  });
+
+  it("should keep queries with another unwrap strategy apart, under the same prefix", () => {
+    const strategy = (body) => ({ data: body.result });
+    const key = createQueryKey("/users", { unwrap: "none" });
+
+    expect(key).toEqual(["/users", { unwrap: "none" }]);
+    expect(matchesQueryKey(key, vrmKeys.all("/users"))).toBe(true);
+    expect(createQueryKey("/users", { unwrap: strategy })).toEqual(
+      createQueryKey("/users", { unwrap: strategy })
+    );
+    expect(createQueryKey("/users", { unwrap: strategy })).not.toEqual(
+      createQueryKey("/users", { unwrap: (body) => body })
+    );
+  });
+});
+
+describe("React hooks share the key scheme", () => {
+  let queryClient;
+  let wrapper;
+
+  beforeEach(() => {
+    global.fetch = vi.fn(async (url) =>
+      response({ url: String(url), items: [1, 2, 3] })
+    );
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+    queryClient = new QueryClient({
+      defaultOptions: { queries: { retry: false, staleTime: Infinity } },
+    });
+    wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+  });
+
+  afterEach(() => {
+    queryClient.clear();
+    queryCache.clear();
+  });
+
+  const isStale = (key) => queryClient.getQueryState(key).isInvalidated;
+
+  it("should invalidate one list by params, or everything under the endpoint", async () => {
+    const { result } = renderHook(
+      () => ({
+        page1: useVrmQuery({ endpoint: "/users", params: { page: 1 } }),
+        page2: useVrmQuery({ endpoint: "/users", params: { page: 2 } }),
+        user: useVrmQuery({
+          endpoint: "/users/5",
+          queryKey: vrmKeys.detail("/users", 5),
+        }),
+        invalidate: useInvalidateVrmQuery(),
+      }),
+      { wrapper }
+    );
+    await waitFor(() => expect(result.current.user.isSuccess).toBe(true));
+
+    await act(() => result.current.invalidate("/users", { page: 1 }));
+    expect(isStale(vrmKeys.list("/users", { page: 1 }))).toBe(false); // refetched
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+
+    await act(() => result.current.invalidate(vrmKeys.details("/users")));
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+    expect(global.fetch.mock.calls[4][0]).toContain("/users/5");
+
+    await act(() => result.current.invalidate("/users"));
+    expect(global.fetch).toHaveBeenCalledTimes(8);
+  });
+
+  it("should let a prefetch feed a transformed query", async () => {
+    const { result: prefetch } = renderHook(() => usePrefetchVrmQuery(), {
+      wrapper,
+    });
+    await act(() => prefetch.current({ endpoint: "/users" }));
+
+    const { result } = renderHook(
+      () =>
+        useVrmQuery({
+          endpoint: "/users",
+          transform: (body) => body.items.length,
+        }),
+      { wrapper }
+    );
+
+    await waitFor(() => expect(result.current.data?.data).toBe(3));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(queryClient.getQueryData(vrmKeys.list("/users")).data.items).toEqual(
+      [1, 2, 3]
+    );
+  });
+
+  it("should not share an entry between queries with another schema or unwrap", async () => {
+    const schema = {
+      safeParse: (data) => ({
+        success: true,
+        data: { ...data, checked: true },
+      }),
+    };
+    const { result } = renderHook(
+      () => ({
+        plain: useVrmQuery({ endpoint: "/users" }),
+        checked: useVrmQuery({ endpoint: "/users", schema }),
+        raw: useVrmQuery({ endpoint: "/users", unwrap: "none" }),
+        pages: useVrmPaginatedQuery({ endpoint: "/users", schema }),
+      }),
+      { wrapper }
+    );
+    await waitFor(() => expect(result.current.pages.isSuccess).toBe(true));
+    await waitFor(() => expect(result.current.raw.isSuccess).toBe(true));
+
+    expect(result.current.plain.data.data.checked).toBeUndefined();
+    expect(result.current.checked.data.data.checked).toBe(true);
+    expect(result.current.pages.data.data.checked).toBe(true);
+    expect(queryClient.getQueryData(vrmKeys.list("/users")).data.checked).toBe(
+      undefined
+    );
+    expect(
+      queryClient.getQueryData(
+        withReaderKey(vrmKeys.list("/users"), { unwrap: "none" })
+      )
+    ).toBeDefined();
+    expect(
+      queryClient.getQueryCache().findAll({ queryKey: vrmKeys.all("/users") })
+    ).toHaveLength(3);
+  });
+
+  it("should invalidate and refetch the keys a mutation lists", async () => {
+    queryClient.setQueryData(vrmKeys.list("/users"), { data: [] });
+    queryClient.setQueryData(vrmKeys.list("/users/5"), { data: {} });
+    queryClient.setQueryData(vrmKeys.list("/teams"), { data: [] });
+    const refetchQueries = vi.spyOn(queryClient, "refetchQueries");
+
+    const { result } = renderHook(
+      () =>
+        useVrmUpdate("/users/5", {
+          queueOffline: false,
+          invalidates: (response, user) => [
+            vrmKeys.all("/users"),
+            vrmKeys.detail("/users", user.id),
+          ],
+          refetches: [vrmKeys.all("/teams")],
+        }),
+      { wrapper }
+    );
+    await act(() => result.current.mutateAsync({ id: 5, name: "Ada" }));
+
+    expect(isStale(vrmKeys.list("/users"))).toBe(true);
+    // The mutation endpoint is not invalidated once `invalidates` is given
+    expect(isStale(vrmKeys.list("/users/5"))).toBe(false);
+    expect(refetchQueries).toHaveBeenCalledWith({ queryKey: ["/teams"] });
+  });
+
+  it("should refetch unobserved shared-cache queries from the adapters", async () => {
+    const fetcher = vi.fn().mockResolvedValue(["team"]);
+    await queryCache.fetch(vrmKeys.list("/teams", { page: 1 }), fetcher);
+
+    const mutation = useVormiaMutation({ refetches: ["/teams"] });
+    await mutation.mutate("/teams", { name: "Core" });
+    await vi.waitFor(() => expect(fetcher).toHaveBeenCalledTimes(2));
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+import { serializeParams } from "../src/client/utils/queryString.js";
+
+global.fetch = vi.fn();
+
+const okResponse = () => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue({}),
+});
+
+describe("Query params serialization", () => {
+  describe("serializeParams", () => {
+    it("should serialize nested objects and arrays in Laravel style", () => {
+      const query = serializeParams({
+        filter: { status: ["active", "pending"], team: { id: 4 } },
+        page: 2,
+      });
+
+      expect(query).toBe(
+        "filter[status][]=active&filter[status][]=pending&filter[team][id]=4&page=2"
+      );
+    });
+
+    it("should skip null and undefined values by default", () => {
+      expect(serializeParams({ a: null, b: undefined, c: "x" })).toBe("c=x");
+    });
+
+    it("should send null values as empty strings when configured", () => {
+      expect(serializeParams({ a: null }, { nulls: "empty" })).toBe("a=");
+    });
+
+    it("should format dates as ISO strings and booleans as 1/0", () => {
+      const date = new Date(Date.UTC(2024, 0, 15, 10, 30));
+
+      expect(serializeParams({ since: date, active: true, archived: false }))
+        .toBe("since=2024-01-15T10%3A30%3A00.000Z&active=1&archived=0");
+    });
+
+    it("should support the other array formats", () => {
+      const params = { ids: [1, 2] };
+
+      expect(serializeParams(params, { arrayFormat: "indices" })).toBe(
+        "ids[0]=1&ids[1]=2"
+      );
+      expect(serializeParams(params, { arrayFormat: "repeat" })).toBe(
+        "ids=1&ids=2"
+      );
+      expect(serializeParams(params, { arrayFormat: "comma" })).toBe(
+        "ids=1%2C2"
+      );
+    });
+
+    it("should index objects inside arrays", () => {
+      expect(serializeParams({ sort: [{ field: "name", dir: "asc" }] })).toBe(
+        "sort[0][field]=name&sort[0][dir]=asc"
+      );
+    });
+
+    it("should encode values", () => {
+      expect(serializeParams({ q: "a&b c" })).toBe("q=a%26b%20c");
+    });
+  });
+
+  describe("client integration", () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      global.fetch.mockResolvedValue(okResponse());
+    });
+
+    it("should append params to the request URL", async () => {
+      const client = createVormiaClient({ baseURL: "https://api.example.com" });
+
+      await client.get("/users", { params: { filter: { role: ["admin"] } } });
+
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        "https://api.example.com/users?filter[role][]=admin"
+      );
+    });
+
+    it("should keep an existing query string on the endpoint", async () => {
+      const client = createVormiaClient({ baseURL: "https://api.example.com" });
+
+      await client.get("/users?sort=name", { params: { page: 3 } });
+
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        "https://api.example.com/users?sort=name&page=3"
+      );
+    });
+
+    it("should use the client paramsSerializer options", async () => {
+      const client = createVormiaClient({
+        baseURL: "https://api.example.com",
+        paramsSerializer: { arrayFormat: "indices" },
+      });
+
+      await client.get("/users", { params: { ids: [7, 8] } });
+
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        "https://api.example.com/users?ids[0]=7&ids[1]=8"
+      );
+    });
+
+    it("should let a per-request serializer function take precedence", async () => {
+      const client = createVormiaClient({
+        baseURL: "https://api.example.com",
+        paramsSerializer: { arrayFormat: "indices" },
+      });
+
+      await client.get("/users", {
+        params: { ids: [7, 8] },
+        paramsSerializer: (params) => `ids=${params.ids.join("|")}`,
+      });
+
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        "https://api.example.com/users?ids=7|8"
+      );
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { get } from "svelte/store";
+import { effectScope } from "vue";
+import { queryCache } from "../src/core/QueryCache.js";
+import {
+  focusManager,
+  onlineManager,
+  subscribeRefetchTriggers,
+} from "../src/core/focusManager.js";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { createVormiaStore } from "../src/adapters/svelte/vormiaStore.js";
+import { useVormiaQuery } from "../src/adapters/vue/useVormia.js";
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Focus and online managers", () => {
+  afterEach(() => {
+    focusManager.setFocused(undefined);
+    onlineManager.setOnline(undefined);
+  });
+
+  it("should notify on window focus and network changes", () => {
+    const onFocus = vi.fn();
+    const onOnline = vi.fn();
+    const stopFocus = focusManager.subscribe(onFocus);
+    const stopOnline = onlineManager.subscribe(onOnline);
+
+    window.dispatchEvent(new Event("focus"));
+    window.dispatchEvent(new Event("online"));
+    stopFocus();
+    stopOnline();
+    window.dispatchEvent(new Event("focus"));
+
+    expect(onFocus).toHaveBeenCalledTimes(1);
+    expect(onFocus).toHaveBeenCalledWith(true);
+    expect(onOnline).toHaveBeenCalledWith(true);
+  });
+
+  it("should only run interval refetches while focused and online", () => {
+    vi.useFakeTimers();
+    try {
+      const refetch = vi.fn();
+      const stop = subscribeRefetchTriggers(
+        { refetchInterval: 1000, refetchOnWindowFocus: false },
+        { revalidate: vi.fn(), refetch }
+      );
+
+      vi.advanceTimersByTime(1000);
+      focusManager.setFocused(false);
+      vi.advanceTimersByTime(1000);
+      focusManager.setFocused(true);
+      onlineManager.setOnline(false);
+      vi.advanceTimersByTime(1000);
+      onlineManager.setOnline(true);
+      vi.advanceTimersByTime(1000);
+      stop();
+      vi.advanceTimersByTime(5000);
+
+      expect(refetch).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe("Stale-while-revalidate in adapters", () => {
+  let version;
+
+  beforeEach(() => {
+    queryCache.clear();
+    version = 1;
+    global.fetch = vi.fn(async () => ({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      headers: new Headers(),
+      json: async () => ({ version: version }),
+    }));
+    setGlobalVormiaClient(
+      createVormiaClient({ baseURL: "https://api.example.com" })
+    );
+  });
+
+  afterEach(() => {
+    queryCache.clear();
+  });
+
+  it("should revalidate a Svelte store on focus while keeping its data", async () => {
+    const store = createVormiaStore({ endpoint: "/dashboard" });
+    const states = [];
+    const stop = store.subscribe((state) => states.push(state));
+    await flush();
+
+    version = 2;
+    window.dispatchEvent(new Event("focus"));
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(get(store).data).toEqual({ version: 2 });
+    // Old data stayed visible during the background refetch
+    const refetching = states.find(
+      (state) => state.isFetching && state.data?.version === 1
+    );
+    expect(refetching).toMatchObject({ isLoading: false, isSuccess: true });
+
+    stop();
+    window.dispatchEvent(new Event("focus"));
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should skip focus revalidation while data is fresh", async () => {
+    const store = createVormiaStore({
+      endpoint: "/dashboard",
+      staleTime: 60000,
+    });
+    const stop = store.subscribe(() => {});
+    await flush();
+
+    window.dispatchEvent(new Event("focus"));
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    stop();
+  });
+
+  it("should revalidate a Vue query on reconnect and stop with its scope", async () => {
+    const scope = effectScope();
+    const query = scope.run(() =>
+      useVormiaQuery({ endpoint: "/dashboard", refetchOnWindowFocus: false })
+    );
+    await flush();
+
+    version = 2;
+    window.dispatchEvent(new Event("focus"));
+    window.dispatchEvent(new Event("online"));
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(query.data.value).toEqual({ version: 2 });
+
+    scope.stop();
+    window.dispatchEvent(new Event("online"));
+    await flush();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
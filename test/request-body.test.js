@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+import {
+  prepareRequestBody,
+  toFormData,
+} from "../src/client/utils/requestBody.js";
+
+global.fetch = vi.fn();
+
+const okResponse = () => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue({}),
+});
+
+const lastInit = () => global.fetch.mock.calls[0][1];
+
+describe("Request bodies", () => {
+  let client;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    global.fetch.mockResolvedValue(okResponse());
+    client = createVormiaClient({ baseURL: "https://api.example.com" });
+  });
+
+  it("should keep JSON encoding for plain objects", async () => {
+    await client.post("/users", { name: "Jane" });
+
+    expect(lastInit().body).toBe('{"name":"Jane"}');
+    expect(lastInit().headers["Content-Type"]).toBe("application/json");
+  });
+
+  it("should JSON-encode strings unless the caller set another content type", async () => {
+    await client.post("/notes", "hello");
+    expect(lastInit().body).toBe('"hello"');
+    expect(lastInit().headers["Content-Type"]).toBe("application/json");
+
+    const jsonApi = prepareRequestBody({
+      data: "hello",
+      method: "POST",
+      headers: { "Content-Type": "application/vnd.api+json" },
+    });
+    expect(jsonApi.body).toBe('"hello"');
+
+    const text = prepareRequestBody({
+      data: "hello",
+      method: "POST",
+      headers: { "content-type": "text/plain" },
+    });
+    expect(text.body).toBe("hello");
+    expect(text.headers).toEqual({ "content-type": "text/plain" });
+  });
+
+  it("should send FormData untouched and let fetch set the boundary", async () => {
+    const formData = new FormData();
+    formData.append("avatar", new Blob(["img"], { type: "image/png" }));
+
+    await client.post("/avatar", formData, {
+      headers: { "Content-Type": "application/json" },
+    });
+
+    expect(lastInit().body).toBe(formData);
+    expect(lastInit().headers["Content-Type"]).toBeUndefined();
+  });
+
+  it("should set the content type for URLSearchParams and binary bodies", () => {
+    const form = prepareRequestBody({
+      data: new URLSearchParams({ a: "1" }),
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+    });
+    expect(form.headers["Content-Type"]).toBe(
+      "application/x-www-form-urlencoded;charset=UTF-8"
+    );
+
+    const blob = prepareRequestBody({
+      data: new Blob(["csv"], { type: "text/csv" }),
+      method: "POST",
+    });
+    expect(blob.headers["Content-Type"]).toBe("text/csv");
+
+    const buffer = prepareRequestBody({
+      data: new Uint8Array([1, 2]).buffer,
+      method: "POST",
+    });
+    expect(buffer.headers["Content-Type"]).toBe("application/octet-stream");
+  });
+
+  it("should keep a content type set by the caller for binary bodies", async () => {
+    const pdf = new Blob(["%PDF"]);
+    await client.put("/reports/1", pdf, {
+      headers: { "Content-Type": "application/pdf" },
+    });
+    expect(lastInit().headers["Content-Type"]).toBe("application/pdf");
+
+    const buffer = prepareRequestBody({
+      data: new Uint8Array([1, 2]).buffer,
+      method: "POST",
+      headers: { "content-type": "image/png" },
+    });
+    expect(buffer.headers).toEqual({ "content-type": "image/png" });
+
+    // The client's JSON default is replaced by the blob's own type
+    await client.post("/uploads", new Blob(["a,b"], { type: "text/csv" }));
+    expect(global.fetch.mock.calls[1][1].headers["Content-Type"]).toBe(
+      "text/csv"
+    );
+  });
+
+  it("should convert objects containing files to multipart in auto mode", async () => {
+    const file = new File(["pdf"], "cv.pdf", { type: "application/pdf" });
+
+    await client.post(
+      "/applications",
+      { name: "Jane", cv: file, tags: ["a", "b"], meta: { remote: true } },
+      { multipart: "auto" }
+    );
+
+    const body = lastInit().body;
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get("name")).toBe("Jane");
+    expect(body.get("cv")).toBeInstanceOf(File);
+    expect(body.getAll("tags[]")).toEqual(["a", "b"]);
+    expect(body.get("meta[remote]")).toBe("1");
+  });
+
+  it("should leave file-less objects as JSON in auto mode", async () => {
+    await client.post("/notes", { text: "hi" }, { multipart: "auto" });
+
+    expect(lastInit().body).toBe('{"text":"hi"}');
+  });
+
+  it("should spoof PUT and PATCH uploads as POST with _method", async () => {
+    const file = new File(["img"], "photo.jpg");
+    client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      multipart: "auto",
+    });
+
+    await client.put("/users/1", { photo: file });
+
+    expect(lastInit().method).toBe("POST");
+    expect(lastInit().body.get("_method")).toBe("PUT");
+  });
+
+  it("should not spoof when methodSpoofing is disabled", async () => {
+    const formData = new FormData();
+    formData.append("a", "1");
+
+    await client.patch("/users/1", formData, { methodSpoofing: false });
+
+    expect(lastInit().method).toBe("PATCH");
+    expect(lastInit().body.has("_method")).toBe(false);
+  });
+
+  it("should index objects nested in arrays", () => {
+    const formData = toFormData({
+      items: [{ name: "A", qty: 2 }],
+      note: null,
+    });
+
+    expect(formData.get("items[0][name]")).toBe("A");
+    expect(formData.get("items[0][qty]")).toBe("2");
+    expect(formData.get("note")).toBe("");
+  });
+});
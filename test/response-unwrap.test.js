@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { get } from "svelte/store";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { UNWRAP_PRESETS } from "../src/client/utils/unwrap.js";
+import { queryCache } from "../src/core/QueryCache.js";
+import { useVormiaQuery } from "../src/adapters/vue/useVormia.js";
+import { createVormiaPaginatedStore } from "../src/adapters/svelte/vormiaPaginationStore.js";
+
+const json = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const collection = {
+  data: [{ id: 1 }, { id: 2 }],
+  links: { first: "?page=1", next: "?page=2" },
+  meta: { current_page: 1, last_page: 2, per_page: 2, total: 4 },
+};
+
+describe("Response envelope unwrapping", () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    queryCache.clear();
+  });
+
+  it("should keep the vormia envelope behaviour by default", async () => {
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+
+    global.fetch.mockResolvedValueOnce(
+      json({ success: true, message: "Found", data: { id: 1 } })
+    );
+    const enveloped = await client.get("/users/1");
+    expect(enveloped.data).toEqual({ id: 1 });
+    expect(enveloped.message).toBe("Found");
+
+    // Resource collections have no success flag and stay whole
+    global.fetch.mockResolvedValueOnce(json(collection));
+    const resource = await client.get("/users");
+    expect(resource.data).toEqual(collection);
+    expect(resource.meta).toEqual(collection.meta);
+
+    global.fetch.mockResolvedValueOnce(
+      json({ success: false, errors: { name: ["Taken"] } })
+    );
+    expect((await client.post("/users", {})).data.errors).toEqual({
+      name: ["Taken"],
+    });
+  });
+
+  it("should unwrap API resources and keep meta and links", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      unwrap: "laravel-resource",
+    });
+
+    global.fetch.mockResolvedValueOnce(json(collection));
+    const response = await client.get("/users");
+    expect(response.data).toEqual(collection.data);
+    expect(response.meta).toEqual(collection.meta);
+    expect(response.links).toEqual(collection.links);
+
+    global.fetch.mockResolvedValueOnce(json({ data: { id: 1 } }));
+    expect((await client.get("/users/1")).data).toEqual({ id: 1 });
+  });
+
+  it("should move a raw paginator's page fields to meta", () => {
+    const { data, meta } = UNWRAP_PRESETS["laravel-resource"]({
+      current_page: 1,
+      data: [{ id: 1 }],
+      last_page: 3,
+      links: [{ url: null, label: "&laquo; Previous", active: false }],
+      per_page: 1,
+      total: 3,
+    });
+
+    expect(data).toEqual([{ id: 1 }]);
+    expect(meta).toEqual({
+      current_page: 1,
+      last_page: 3,
+      per_page: 1,
+      total: 3,
+    });
+  });
+
+  it("should let a request override the client strategy", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      unwrap: "laravel-resource",
+    });
+
+    global.fetch.mockResolvedValueOnce(json(collection));
+    expect((await client.get("/users", { unwrap: "none" })).data).toEqual(
+      collection
+    );
+
+    global.fetch.mockResolvedValueOnce(
+      json({ result: { id: 1 }, paging: { page: 1 } })
+    );
+    const custom = await client.get("/legacy", {
+      unwrap: (body) => ({ data: body.result, meta: body.paging }),
+    });
+    expect(custom.data).toEqual({ id: 1 });
+    expect(custom.meta).toEqual({ page: 1 });
+  });
+
+  it("should reject unknown presets", async () => {
+    expect(() =>
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        unwrap: "odata",
+      })
+    ).toThrow(/Unknown unwrap preset "odata"/);
+
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+    global.fetch.mockResolvedValueOnce(json(collection));
+    await expect(client.get("/users", { unwrap: "odata" })).rejects.toThrow(
+      /Unknown unwrap preset/
+    );
+  });
+
+  it("should apply the strategy in the adapters", async () => {
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        unwrap: "laravel-resource",
+      })
+    );
+
+    global.fetch.mockResolvedValueOnce(json({ data: { id: 7 } }));
+    const user = useVormiaQuery({ endpoint: "/users/7" });
+    await vi.waitFor(() => expect(user.isSuccess.value).toBe(true));
+    expect(user.data.value).toEqual({ id: 7 });
+
+    // Pagination reads the page fields back from meta
+    global.fetch.mockResolvedValueOnce(json(collection));
+    const pages = createVormiaPaginatedStore({ endpoint: "/users" });
+    await vi.waitFor(() => expect(get(pages).isSuccess).toBe(true));
+    expect(get(pages)).toMatchObject({
+      data: collection.data,
+      page: 1,
+      total: 4,
+      hasNextPage: true,
+    });
+    pages.destroy();
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+import { useSettingsStore } from "../src/stores/useSettingsStore.js";
+import {
+  getRetryDelay,
+  parseRetryAfter,
+  resolveRetryPolicy,
+} from "../src/client/utils/retry.js";
+
+const response = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: new Headers(headers),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+describe("Retry policy", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should not retry unless a policy is configured", async () => {
+    global.fetch.mockResolvedValue(response(503));
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+
+    await expect(client.get("/flaky")).rejects.toMatchObject({ status: 503 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should retry retryable statuses with exponential backoff", async () => {
+    global.fetch
+      .mockResolvedValueOnce(response(502))
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(200, { id: 1 }));
+    const onRetry = vi.fn();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: { attempts: 3, baseDelay: 100, jitter: false, onRetry },
+    });
+
+    const request = client.get("/flaky");
+    await vi.advanceTimersByTimeAsync(100);
+    await vi.advanceTimersByTimeAsync(200);
+    const result = await request;
+
+    expect(result.data).toEqual({ id: 1 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(
+      onRetry.mock.calls.map(([, attempt, delay]) => [attempt, delay])
+    ).toEqual([
+      [1, 100],
+      [2, 200],
+    ]);
+  });
+
+  it("should follow the settings store with retry: settings", async () => {
+    global.fetch.mockResolvedValue(response(503));
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: "settings",
+    });
+
+    try {
+      useSettingsStore.getState().setRetryAttempts(1);
+      const request = client.get("/flaky");
+      const failed = expect(request).rejects.toMatchObject({ status: 503 });
+      await vi.advanceTimersByTimeAsync(1000);
+      await failed;
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      useSettingsStore.getState().setRetryAttempts(0);
+      await expect(client.get("/flaky")).rejects.toMatchObject({
+        status: 503,
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    } finally {
+      useSettingsStore.getState().setRetryAttempts(3);
+    }
+  });
+
+  it("should only retry idempotent methods by default", async () => {
+    global.fetch.mockResolvedValue(response(503));
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: { attempts: 2, baseDelay: 10 },
+    });
+
+    await expect(client.post("/orders", { qty: 1 })).rejects.toMatchObject({
+      status: 503,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should not retry client errors", async () => {
+    global.fetch.mockResolvedValue(response(422));
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: 2,
+    });
+
+    await expect(client.get("/users")).rejects.toMatchObject({ status: 422 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should wait for Retry-After on 429 responses", async () => {
+    global.fetch
+      .mockResolvedValueOnce(response(429, {}, { "Retry-After": "2" }))
+      .mockResolvedValueOnce(response(200, { ok: true }));
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: { attempts: 1, baseDelay: 10 },
+    });
+
+    const request = client.get("/limited");
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    await request;
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should let a request disable the client policy", async () => {
+    global.fetch.mockResolvedValue(response(503));
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: 3,
+    });
+
+    await expect(client.get("/flaky", { retry: false })).rejects.toMatchObject({
+      status: 503,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should stop waiting when the request is aborted", async () => {
+    global.fetch.mockResolvedValue(response(503));
+    const controller = new AbortController();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      retry: { attempts: 3, baseDelay: 1000 },
+    });
+
+    const request = client.get("/flaky", { signal: controller.signal });
+    const assertion = expect(request).rejects.toMatchObject({
+      code: "ABORTED",
+    });
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+
+    await assertion;
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  describe("helpers", () => {
+    it("should parse Retry-After seconds and HTTP dates", () => {
+      expect(parseRetryAfter("3")).toBe(3000);
+      expect(parseRetryAfter(null)).toBe(null);
+      vi.setSystemTime(new Date("2024-01-01T00:00:00Z"));
+      expect(parseRetryAfter("Mon, 01 Jan 2024 00:00:05 GMT")).toBe(5000);
+    });
+
+    it("should cap delays at maxDelay and apply jitter within the window", () => {
+      const policy = resolveRetryPolicy({
+        attempts: 10,
+        baseDelay: 1000,
+        maxDelay: 5000,
+      });
+
+      for (let attempt = 1; attempt <= 10; attempt++) {
+        const delay = getRetryDelay({ status: 500 }, attempt, policy);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(5000);
+      }
+      expect(
+        getRetryDelay({ status: 500 }, 10, { ...policy, jitter: false })
+      ).toBe(5000);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+
+const response = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const setXsrfCookie = (value) => {
+  document.cookie = `XSRF-TOKEN=${encodeURIComponent(value)}; path=/`;
+};
+
+describe("Sanctum auth mode", () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    document.cookie = "XSRF-TOKEN=; path=/; max-age=0";
+  });
+
+  it("should fetch the CSRF cookie once before the first mutating request", async () => {
+    global.fetch.mockImplementation(async (url) => {
+      if (url.endsWith("/sanctum/csrf-cookie")) {
+        setXsrfCookie("token=1");
+        return response(204);
+      }
+      return response(200, { ok: true });
+    });
+    const client = createVormiaClient({
+      baseURL: "https://app.example.com/api",
+      authMode: "sanctum",
+    });
+
+    await Promise.all([
+      client.post("/login", { email: "a@b.c" }),
+      client.post("/profile", { name: "A" }),
+    ]);
+
+    const urls = global.fetch.mock.calls.map(([url]) => url);
+    expect(urls.filter((url) => url.includes("csrf-cookie"))).toEqual([
+      "https://app.example.com/sanctum/csrf-cookie",
+    ]);
+    const login = global.fetch.mock.calls.find(([url]) =>
+      url.endsWith("/api/login")
+    );
+    expect(login[1].headers["X-XSRF-TOKEN"]).toBe("token=1");
+    expect(login[1].credentials).toBe("include");
+  });
+
+  it("should not fetch the CSRF cookie for reads", async () => {
+    global.fetch.mockResolvedValue(response(200, { ok: true }));
+    const client = createVormiaClient({
+      baseURL: "https://app.example.com/api",
+      authMode: "sanctum",
+    });
+
+    await client.get("/user");
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][1].headers["X-XSRF-TOKEN"]).toBe(
+      undefined
+    );
+    expect(global.fetch.mock.calls[0][1].credentials).toBe("include");
+  });
+
+  it("should refresh the CSRF cookie and retry once on 419", async () => {
+    setXsrfCookie("stale");
+    global.fetch
+      .mockResolvedValueOnce(response(419, { message: "CSRF token mismatch." }))
+      .mockImplementationOnce(async () => {
+        setXsrfCookie("fresh");
+        return response(204);
+      })
+      .mockResolvedValueOnce(response(200, { saved: true }));
+    const client = createVormiaClient({
+      baseURL: "https://app.example.com/api",
+      authMode: "sanctum",
+    });
+
+    const result = await client.put("/profile", { name: "A" });
+
+    expect(result.data).toEqual({ saved: true });
+    const calls = global.fetch.mock.calls;
+    expect(calls[0][1].headers["X-XSRF-TOKEN"]).toBe("stale");
+    expect(calls[1][0]).toBe("https://app.example.com/sanctum/csrf-cookie");
+    expect(calls[2][1].headers["X-XSRF-TOKEN"]).toBe("fresh");
+  });
+
+  it("should give up after a second 419", async () => {
+    setXsrfCookie("stale");
+    global.fetch.mockImplementation(async (url) =>
+      url.endsWith("/sanctum/csrf-cookie") ? response(204) : response(419)
+    );
+    const client = createVormiaClient({
+      baseURL: "https://app.example.com/api",
+      authMode: "sanctum",
+    });
+
+    await expect(client.delete("/session")).rejects.toMatchObject({
+      status: 419,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,208 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import { validateSchema } from "../src/client/utils/schema.js";
+import { queryCache } from "../src/core/QueryCache.js";
+import { onlineManager } from "../src/core/focusManager.js";
+import { offlineQueue } from "../src/core/offlineQueue.js";
+import { useVrmQuery } from "../src/hooks/useVrmQuery.js";
+import { useVrmMutation } from "../src/hooks/useVrmMutation.js";
+import { useVormiaQuery } from "../src/adapters/vue/useVormia.js";
+import { useVormiaQuery as useVormiaReactQuery } from "../src/adapters/react/useVormiaQuery.js";
+
+// Stand-ins with the result shapes of Zod and Valibot
+const zodLike = (check) => ({
+  safeParse: (input) => {
+    const issues = check(input);
+    return issues.length
+      ? { success: false, error: { issues } }
+      : { success: true, data: input };
+  },
+});
+
+const valibotLike = (check) => ({
+  safeParse: (input) => {
+    const issues = check(input).map((issue) => ({
+      ...issue,
+      path: issue.path.map((key) => ({ type: "object", key })),
+    }));
+    return issues.length
+      ? { success: false, output: input, issues }
+      : { success: true, output: input };
+  },
+});
+
+const userSchema = zodLike((user) => {
+  const issues = [];
+  if (typeof user?.id !== "number") {
+    issues.push({ path: ["id"], message: "Expected number" });
+  }
+  if (!String(user?.email || "").includes("@")) {
+    issues.push({ path: ["email"], message: "Invalid email" });
+  }
+  return issues;
+});
+
+const json = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+describe("validateSchema", () => {
+  it("should return parsed values and list failing paths", () => {
+    const trimmed = { parse: (input) => input.trim() };
+    expect(validateSchema(trimmed, "  hi ")).toBe("hi");
+
+    const list = valibotLike((items) =>
+      items.flatMap((item, index) =>
+        item.name ? [] : [{ path: [index, "name"], message: "Required" }]
+      )
+    );
+    let error;
+    try {
+      validateSchema(list, [{ name: "a" }, {}, {}], { status: 200 });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.code).toBe("SCHEMA_MISMATCH");
+    expect(error.status).toBe(200);
+    expect(error.message).toBe(
+      "The response does not match the schema at 1.name, 2.name"
+    );
+    expect(error.issues).toEqual([
+      { path: "1.name", message: "Required" },
+      { path: "2.name", message: "Required" },
+    ]);
+    expect(error.errors).toEqual({
+      "1.name": ["Required"],
+      "2.name": ["Required"],
+    });
+  });
+
+  it("should report errors thrown by parse-only validators at the root", () => {
+    const strict = {
+      parse: () => {
+        throw new Error("Expected an object");
+      },
+    };
+    expect(() => validateSchema(strict, null, { target: "request" })).toThrow(
+      "The request does not match the schema at (root)"
+    );
+  });
+});
+
+describe("Schema option", () => {
+  let wrapper;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+    const queryClient = new QueryClient({
+      defaultOptions: {
+        queries: { retry: false },
+        mutations: { retry: false },
+      },
+    });
+    wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+  });
+
+  afterEach(() => {
+    queryCache.clear();
+    onlineManager.setOnline(true);
+  });
+
+  it("should reject malformed query responses", async () => {
+    global.fetch.mockResolvedValueOnce(
+      json({ success: true, data: { id: "7", email: "ada" } })
+    );
+    const { result } = renderHook(
+      () => useVrmQuery({ endpoint: "/users/7", schema: userSchema }),
+      { wrapper }
+    );
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+    expect(result.current.error.code).toBe("SCHEMA_MISMATCH");
+    expect(result.current.error.message).toContain("id, email");
+    expect(result.current.error.isNetworkError()).toBe(false);
+  });
+
+  it("should keep the schema error in the React adapter", async () => {
+    global.fetch.mockResolvedValueOnce(
+      json({ success: true, data: { id: 7, email: "ada" } })
+    );
+    const { result } = renderHook(
+      () =>
+        useVormiaReactQuery({
+          endpoint: "/users/7",
+          schema: userSchema,
+          retry: false,
+        }),
+      { wrapper }
+    );
+
+    await waitFor(() => expect(result.current.isError).toBe(true));
+    expect(result.current.error.code).toBe("SCHEMA_MISMATCH");
+    expect(result.current.error.errors).toEqual({ email: ["Invalid email"] });
+  });
+
+  it("should reject malformed adapter responses", async () => {
+    global.fetch.mockResolvedValueOnce(json({ id: 7, email: "ada" }));
+    const user = useVormiaQuery({ endpoint: "/users/7", schema: userSchema });
+
+    await vi.waitFor(() => expect(user.isError.value).toBe(true));
+    expect(user.error.value.code).toBe("SCHEMA_MISMATCH");
+    expect(user.error.value.errors).toEqual({ email: ["Invalid email"] });
+  });
+
+  it("should validate mutation variables before sending or queueing", async () => {
+    const { result } = renderHook(
+      () =>
+        useVrmMutation({
+          endpoint: "/users",
+          requestSchema: userSchema,
+          schema: userSchema,
+        }),
+      { wrapper }
+    );
+
+    onlineManager.setOnline(false);
+    act(() => result.current.mutate({ id: 1, email: "nope" }));
+    await waitFor(() => expect(result.current.isError).toBe(true));
+
+    expect(result.current.error.code).toBe("SCHEMA_MISMATCH");
+    expect(result.current.error.message).toBe(
+      "The request does not match the schema at email"
+    );
+    expect(offlineQueue.getEntries()).toHaveLength(0);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    onlineManager.setOnline(true);
+    global.fetch.mockResolvedValueOnce(
+      json({ id: 1, email: "ada@example.com" })
+    );
+    let response;
+    await act(async () => {
+      response = await result.current.mutateAsync({
+        id: 1,
+        email: "ada@example.com",
+      });
+    });
+    expect(response.data.email).toBe("ada@example.com");
+  });
+});
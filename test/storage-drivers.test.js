@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  resolveStorageDriver,
+  getStoredStrategy,
+  waitForHydration,
+} from "../src/stores/persistence.js";
+import { useStorageStore } from "../src/stores/useStorageStore.js";
+import {
+  getHydrationStatus,
+  whenStoresHydrated,
+} from "../src/stores/hydration.js";
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+// Minimal async IndexedDB stand-in; `failOpen` simulates a blocked database
+// and `failWrites` one that is out of quota
+const createFakeIndexedDB = ({ failOpen = false, failWrites = false } = {}) => {
+  const data = new Map();
+  const request = (getResult, fail = false) => {
+    const req = {};
+    setTimeout(() => {
+      if (fail) {
+        req.error = new Error("QuotaExceededError");
+        req.onerror && req.onerror();
+        return;
+      }
+      req.result = getResult();
+      req.onsuccess && req.onsuccess();
+    }, 0);
+    return req;
+  };
+  const store = {
+    get: (key) => request(() => data.get(key)),
+    put: (value, key) => request(() => data.set(key, value), failWrites),
+    delete: (key) => request(() => data.delete(key)),
+  };
+  const db = {
+    objectStoreNames: { contains: () => true },
+    transaction: () => ({ objectStore: () => store }),
+  };
+  return {
+    data,
+    open: () => {
+      const req = {};
+      setTimeout(() => {
+        if (failOpen) {
+          req.error = new Error("blocked");
+          req.onerror && req.onerror();
+          return;
+        }
+        req.result = db;
+        req.onsuccess && req.onsuccess();
+      }, 0);
+      return req;
+    },
+  };
+};
+
+describe("Storage drivers", () => {
+  let local;
+
+  beforeEach(() => {
+    local = {};
+    localStorage.getItem.mockImplementation((key) =>
+      key in local ? local[key] : null
+    );
+    localStorage.setItem.mockImplementation((key, value) => {
+      local[key] = String(value);
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete local[key];
+    });
+  });
+
+  afterEach(() => {
+    useStorageStore.getState().setStorageStrategy("localStorage");
+    sessionStorage.clear();
+    localStorage.getItem.mockReset();
+    localStorage.setItem.mockReset();
+    localStorage.removeItem.mockReset();
+    vi.unstubAllGlobals();
+  });
+
+  it("should resolve every named strategy", () => {
+    expect(resolveStorageDriver("localStorage").type).toBe("local");
+    expect(resolveStorageDriver("sessionStorage").type).toBe("session");
+    expect(resolveStorageDriver("memory")).toBe(resolveStorageDriver("memory"));
+    expect(() => resolveStorageDriver("floppy")).toThrow(
+      /Unknown storage strategy "floppy"/
+    );
+    expect(() => resolveStorageDriver({ getItem() {} })).toThrow(
+      /getItem, setItem and removeItem/
+    );
+  });
+
+  it("should fall back to localStorage without IndexedDB", () => {
+    vi.stubGlobal("indexedDB", undefined);
+    expect(resolveStorageDriver("indexedDB").type).toBe("local");
+  });
+
+  it("should move persisted data when the strategy changes", () => {
+    const store = useStorageStore.getState();
+    store.setUserPreference("language", "sw");
+
+    store.setStorageStrategy("sessionStorage");
+
+    expect(useStorageStore.getState().storageStrategy).toBe("sessionStorage");
+    expect(local["vormia-storage-store"]).toBeUndefined();
+    expect(
+      JSON.parse(sessionStorage.getItem("vormia-storage-store")).state
+        .userPreferences
+    ).toEqual({ language: "sw" });
+    expect(getStoredStrategy("vormia-storage-store")).toBe("sessionStorage");
+  });
+
+  it("should report hydration of stores on async drivers", async () => {
+    const fakeIndexedDB = createFakeIndexedDB();
+    vi.stubGlobal("indexedDB", fakeIndexedDB);
+
+    useStorageStore.getState().setAppSetting("catalogue", "v2");
+    useStorageStore.getState().setStorageStrategy("indexedDB");
+    await flush();
+    expect(fakeIndexedDB.data.has("vormia-storage-store")).toBe(true);
+
+    useStorageStore.getState().clearAppSettings();
+    await flush();
+    fakeIndexedDB.data.set(
+      "vormia-storage-store",
+      JSON.stringify({
+        state: { appSettings: { catalogue: "v2" } },
+        version: 0,
+      })
+    );
+    useStorageStore.persist.rehydrate();
+    expect(getHydrationStatus().storage).toBe(false);
+
+    const onStoreHydrated = vi.fn();
+    const status = await whenStoresHydrated({ onStoreHydrated });
+
+    expect(status).toEqual({
+      auth: true,
+      cache: true,
+      storage: true,
+      settings: true,
+    });
+    expect(onStoreHydrated).toHaveBeenCalledWith(
+      "storage",
+      expect.objectContaining({ appSettings: { catalogue: "v2" } })
+    );
+    expect(useStorageStore.getState().getAppSetting("catalogue")).toBe("v2");
+  });
+
+  it("should keep working on localStorage when IndexedDB is blocked", async () => {
+    vi.stubGlobal("indexedDB", createFakeIndexedDB({ failOpen: true }));
+    vi.resetModules();
+    const persistence = await import("../src/stores/persistence.js");
+    const driver = persistence.resolveStorageDriver("indexedDB");
+
+    await driver.setItem("key", "value");
+
+    expect(local.key).toBe("value");
+    expect(await driver.getItem("key")).toBe("value");
+  });
+
+  it("should read back values that fell back to localStorage", async () => {
+    const indexedDB = createFakeIndexedDB({ failWrites: true });
+    indexedDB.data.set("stale", "old");
+    vi.stubGlobal("indexedDB", indexedDB);
+    vi.resetModules();
+    const persistence = await import("../src/stores/persistence.js");
+    const driver = persistence.resolveStorageDriver("indexedDB");
+
+    // Written by an earlier session whose IndexedDB writes failed
+    local.earlier = "kept";
+    expect(await driver.getItem("earlier")).toBe("kept");
+
+    await driver.setItem("stale", "new");
+    expect(local.stale).toBe("new");
+    await flush();
+    expect(await driver.getItem("stale")).toBe("new");
+
+    await driver.removeItem("stale");
+    expect(await driver.getItem("stale")).toBeNull();
+  });
+
+  it("should resolve immediately for stores that already hydrated", async () => {
+    const state = await waitForHydration(useStorageStore);
+    expect(state).toBe(useStorageStore.getState());
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  compressValue,
+  decompressValue,
+  isCompressedValue,
+  setStoreCompression,
+} from "../src/stores/compression.js";
+import {
+  addEncryptionKey,
+  clearEncryptionKeys,
+  decryptValue,
+  isEncryptedValue,
+  setStoreEncrypted,
+} from "../src/stores/encryption.js";
+import { resolveStorageDriver } from "../src/stores/persistence.js";
+import { useCacheStore } from "../src/stores/useCacheStore.js";
+import { useStorageStore } from "../src/stores/useStorageStore.js";
+
+const catalogue = Array.from({ length: 500 }, (_, i) => ({
+  id: i,
+  name: `Product ${i}`,
+  description: "Locally sourced, ☕ roasted in Nairobi",
+  price: (i * 37) % 1000,
+}));
+
+describe("Compression codecs", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("should gzip with CompressionStream and restore the exact string", async () => {
+    const json = JSON.stringify(catalogue);
+
+    const compressed = await compressValue(json);
+
+    expect(compressed.startsWith("vormia-gz:")).toBe(true);
+    expect(compressed.length).toBeLessThan(json.length / 4);
+    expect(await decompressValue(compressed)).toBe(json);
+  });
+
+  it("should fall back to pure-JS LZW without CompressionStream", async () => {
+    vi.stubGlobal("CompressionStream", undefined);
+    // Long and varied enough to fill the LZW dictionary
+    const json = JSON.stringify(
+      Array.from({ length: 4000 }, (_, i) => ({
+        id: i,
+        hash: (i * 7919) % 104729,
+      }))
+    );
+
+    const compressed = await compressValue(json);
+
+    expect(compressed.startsWith("vormia-lzw:")).toBe(true);
+    expect(compressed.length).toBeLessThan(json.length);
+    expect(await decompressValue(compressed)).toBe(json);
+    expect(await decompressValue(await compressValue("ñ 🎉"))).toBe("ñ 🎉");
+    expect(await decompressValue(await compressValue(""))).toBe("");
+  });
+});
+
+describe("Compressed persisted stores", () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = resolveStorageDriver("memory");
+    useCacheStore.getState().setStorageStrategy("memory");
+    useStorageStore.getState().setStorageStrategy("memory");
+  });
+
+  afterEach(() => {
+    setStoreEncrypted("vormia-storage-store", false);
+    clearEncryptionKeys();
+    useCacheStore.getState().setCompression(false);
+    useCacheStore.getState().clearCache();
+    useStorageStore.getState().setCompression(false);
+    useStorageStore.getState().clearAppSettings();
+  });
+
+  it("should compress cache entries above the threshold and report sizes", async () => {
+    const cache = useCacheStore.getState();
+    cache.setCompression(true, { threshold: 2000 });
+
+    cache.setCache("/products", catalogue);
+    await vi.waitFor(() =>
+      expect(isCompressedValue(memory.getItem("vormia-cache-store"))).toBe(true)
+    );
+
+    const { compression } = useCacheStore.getState().cacheStats;
+    expect(useCacheStore.getState().getCacheStats().compression).toBe(
+      compression
+    );
+    expect(compression.enabled).toBe(true);
+    expect(compression.compressed).toBe(true);
+    expect(compression.storedSize).toBeLessThan(compression.rawSize);
+    expect(compression.ratio).toBeLessThan(0.25);
+
+    const persisted = memory.getItem("vormia-cache-store");
+    useCacheStore.getState().clearCache();
+    await vi.waitFor(() =>
+      expect(isCompressedValue(memory.getItem("vormia-cache-store"))).toBe(
+        false
+      )
+    );
+    memory.setItem("vormia-cache-store", persisted);
+    await useCacheStore.persist.rehydrate();
+
+    expect(useCacheStore.getState().getCache("/products")).toHaveLength(500);
+  });
+
+  it("should persist the threshold and apply it again on rehydrate", async () => {
+    useStorageStore.getState().setCompression(true, { threshold: 100 });
+    useStorageStore.getState().setAppSetting("locale", "sw-KE".repeat(30));
+    await vi.waitFor(() =>
+      expect(isCompressedValue(memory.getItem("vormia-storage-store"))).toBe(
+        true
+      )
+    );
+    const persisted = memory.getItem("vormia-storage-store");
+    expect(
+      JSON.parse(await decompressValue(persisted)).state.compressionThreshold
+    ).toBe(100);
+
+    // A fresh start registers the store with the default threshold
+    setStoreCompression("vormia-storage-store", true);
+    memory.setItem("vormia-storage-store", persisted);
+    await useStorageStore.persist.rehydrate();
+
+    expect(useStorageStore.getState().compressionThreshold).toBe(100);
+    memory.removeItem("vormia-storage-store");
+    useStorageStore.getState().setAppSetting("theme", "dark");
+    await vi.waitFor(() =>
+      expect(isCompressedValue(memory.getItem("vormia-storage-store"))).toBe(
+        true
+      )
+    );
+    expect(useStorageStore.getState().compressionStats).toMatchObject({
+      enabled: true,
+      compressed: true,
+    });
+  });
+
+  it("should leave values below the threshold uncompressed", () => {
+    useStorageStore.getState().setCompression(true);
+    useStorageStore.getState().setUserPreference("theme", "dark");
+
+    const stored = memory.getItem("vormia-storage-store");
+    expect(JSON.parse(stored).state.userPreferences).toEqual({ theme: "dark" });
+
+    const stats = useStorageStore.getState().getStorageStats();
+    expect(stats.compression).toMatchObject({
+      enabled: true,
+      compressed: false,
+      ratio: 1,
+    });
+    expect(stats.totalSize).toBeGreaterThan(0);
+  });
+
+  it("should compress before encrypting", async () => {
+    addEncryptionKey(
+      "default",
+      await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [
+        "encrypt",
+        "decrypt",
+      ])
+    );
+    setStoreEncrypted("vormia-storage-store", true);
+    setStoreCompression("vormia-storage-store", true, { threshold: 100 });
+
+    useStorageStore.getState().setAppSetting("catalogue", catalogue);
+
+    await vi.waitFor(async () => {
+      const stored = memory.getItem("vormia-storage-store");
+      expect(isEncryptedValue(stored)).toBe(true);
+      expect(isCompressedValue(await decryptValue(stored))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,315 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  encryptValue,
+  decryptValue,
+  addEncryptionKey,
+  clearEncryptionKeys,
+  createEncryptedStorage,
+  deriveEncryptionKey,
+  getInstallSalt,
+  isEncryptedValue,
+  isStoreEncrypted,
+  openEncryptedTokens,
+  setStoreEncrypted,
+  setTokensEncrypted,
+} from "../src/stores/encryption.js";
+import {
+  configureEncryption,
+  rotateEncryptionKey,
+} from "../src/stores/storeEncryption.js";
+import { resolveStorageDriver } from "../src/stores/persistence.js";
+import {
+  resolveTokenStorage,
+  setTokenStorage,
+} from "../src/client/utils/tokenStorage.js";
+import { useAuthStore } from "../src/stores/useAuthStore.js";
+import { useStorageStore } from "../src/stores/useStorageStore.js";
+import { useCacheStore } from "../src/stores/useCacheStore.js";
+
+// Keep PBKDF2 cheap in tests
+const passphrase = (secret) => ({ passphrase: secret, iterations: 1000 });
+
+const generateKey = () =>
+  crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+
+// Back the setup's localStorage mock with real storage
+const backLocalStorage = () => {
+  const items = new Map();
+  localStorage.getItem.mockImplementation((key) =>
+    items.has(key) ? items.get(key) : null
+  );
+  localStorage.setItem.mockImplementation((key, value) =>
+    items.set(key, String(value))
+  );
+  localStorage.removeItem.mockImplementation((key) => items.delete(key));
+  return items;
+};
+
+describe("Store encryption", () => {
+  let memory;
+  let tokens;
+
+  beforeEach(() => {
+    clearEncryptionKeys();
+    memory = resolveStorageDriver("memory");
+    tokens = setTokenStorage("memory");
+    useStorageStore.getState().setStorageStrategy("memory");
+    useCacheStore.getState().setStorageStrategy("memory");
+  });
+
+  afterEach(() => {
+    ["vormia-auth-store", "vormia-cache-store", "vormia-storage-store"].forEach(
+      (name) => setStoreEncrypted(name, false)
+    );
+    useStorageStore.setState({ encryptionEnabled: false, userPreferences: {} });
+    setTokensEncrypted(false);
+    setTokenStorage("local");
+    ["getItem", "setItem", "removeItem"].forEach((method) =>
+      localStorage[method].mockReset()
+    );
+  });
+
+  it("should seal values with AES-GCM and a fresh IV per write", async () => {
+    addEncryptionKey("k1", await generateKey());
+
+    const first = await encryptValue('{"token":"secret"}');
+    const second = await encryptValue('{"token":"secret"}');
+
+    expect(first).toMatch(/^vormia-enc:v1:k1:/);
+    expect(first).not.toContain("secret");
+    expect(first).not.toBe(second);
+    expect(await decryptValue(first)).toBe('{"token":"secret"}');
+  });
+
+  it("should encrypt the auth, cache and storage stores at rest", async () => {
+    useAuthStore.getState().setToken("plain-token");
+    useStorageStore.getState().setUserPreference("language", "sw");
+
+    await configureEncryption(passphrase("correct horse"));
+    useCacheStore.getState().setCache("/catalogue", { items: 3 });
+
+    await vi.waitFor(() =>
+      expect(isEncryptedValue(memory.getItem("vormia-cache-store"))).toBe(true)
+    );
+    const sealedAuth = tokens.getItem("vormia-auth-store");
+    const sealedStorage = memory.getItem("vormia-storage-store");
+    expect(isEncryptedValue(sealedAuth)).toBe(true);
+    expect(sealedAuth).not.toContain("plain-token");
+    expect(isEncryptedValue(sealedStorage)).toBe(true);
+    expect(useStorageStore.getState().encryptionEnabled).toBe(true);
+
+    // Transparent decrypt on hydrate
+    useStorageStore.setState({ userPreferences: {} });
+    await vi.waitFor(() =>
+      expect(memory.getItem("vormia-storage-store")).not.toBe(sealedStorage)
+    );
+    memory.setItem("vormia-storage-store", sealedStorage);
+    await useStorageStore.persist.rehydrate();
+    expect(useStorageStore.getState().getUserPreference("language")).toBe("sw");
+  });
+
+  it("should hydrate sealed data empty until a key is configured", async () => {
+    const key = await generateKey();
+    addEncryptionKey("default", key);
+    const sealed = await encryptValue(
+      JSON.stringify({ state: { userPreferences: { theme: "dark" } } })
+    );
+    memory.setItem("vormia-storage-store", sealed);
+    clearEncryptionKeys();
+
+    await useStorageStore.persist.rehydrate();
+    expect(useStorageStore.persist.hasHydrated()).toBe(true);
+    expect(useStorageStore.getState().getUserPreference("theme")).toBeNull();
+
+    // Writes are skipped rather than stored in plaintext over the sealed data
+    useStorageStore.getState().setUserPreference("language", "sw");
+    expect(memory.getItem("vormia-storage-store")).toBe(sealed);
+
+    await configureEncryption({ key, stores: ["storage"] });
+
+    expect(useStorageStore.getState().getUserPreference("theme")).toBe("dark");
+    expect(isEncryptedValue(memory.getItem("vormia-storage-store"))).toBe(true);
+  });
+
+  it("should not hang writes when encryption is turned on without a key", async () => {
+    memory.removeItem("vormia-storage-store");
+    useStorageStore.getState().setEncryption(true);
+    useStorageStore.getState().setUserPreference("language", "sw");
+
+    expect(memory.getItem("vormia-storage-store")).toBeNull();
+    await expect(encryptValue("x")).rejects.toMatchObject({
+      name: "VormiaError",
+      code: "ENCRYPTION_KEY_MISSING",
+    });
+
+    await configureEncryption({ key: await generateKey(), stores: [] });
+    expect(isEncryptedValue(memory.getItem("vormia-storage-store"))).toBe(true);
+  });
+
+  it("should remove a value even when its pending write fails", async () => {
+    addEncryptionKey("k1", await generateKey());
+    const storage = {
+      getItem: () => null,
+      setItem: () => Promise.reject(new Error("QuotaExceededError")),
+      removeItem: vi.fn(),
+    };
+    const encrypted = createEncryptedStorage(storage, {
+      shouldEncrypt: () => true,
+    });
+
+    const write = encrypted.setItem("vormia-auth-store", "{}");
+    await encrypted.removeItem("vormia-auth-store");
+
+    expect(storage.removeItem).toHaveBeenCalledWith("vormia-auth-store");
+    await expect(write).rejects.toThrow("QuotaExceededError");
+  });
+
+  it("should encrypt the client's tokens at rest", async () => {
+    backLocalStorage();
+    const local = setTokenStorage("local");
+    local.setItem("auth_token", "plain-token");
+    local.setItem("refresh_token", "plain-refresh");
+
+    await configureEncryption({ key: await generateKey(), stores: [] });
+
+    expect(isEncryptedValue(localStorage.getItem("auth_token"))).toBe(true);
+    expect(isEncryptedValue(localStorage.getItem("refresh_token"))).toBe(true);
+    expect(local.getItem("auth_token")).toBe("plain-token");
+
+    local.setItem("auth_token", "next-token");
+    await vi.waitFor(async () =>
+      expect(await decryptValue(localStorage.getItem("auth_token"))).toBe(
+        "next-token"
+      )
+    );
+    expect(localStorage.getItem("auth_token")).not.toContain("next-token");
+    expect(local.getItem("auth_token")).toBe("next-token");
+
+    // After a reload the token opens once the key is configured again
+    const reloaded = setTokenStorage(resolveTokenStorage("local"));
+    expect(reloaded.getItem("auth_token")).toBeNull();
+    await openEncryptedTokens();
+    expect(reloaded.getItem("auth_token")).toBe("next-token");
+  });
+
+  it("should derive keys with a random salt kept per install", async () => {
+    const items = backLocalStorage();
+
+    const salt = getInstallSalt();
+    expect(items.get("vormia-encryption-salt")).toBe(salt);
+    expect(getInstallSalt()).toBe(salt);
+
+    // The same passphrase opens data after a reload of the same install
+    addEncryptionKey(
+      "default",
+      await deriveEncryptionKey("s3cret", { iterations: 1000 })
+    );
+    const sealed = await encryptValue("hello");
+    addEncryptionKey(
+      "default",
+      await deriveEncryptionKey("s3cret", { iterations: 1000 })
+    );
+    expect(await decryptValue(sealed)).toBe("hello");
+
+    // Another install gets its own salt, and so another key
+    items.clear();
+    expect(getInstallSalt()).not.toBe(salt);
+    addEncryptionKey(
+      "default",
+      await deriveEncryptionKey("s3cret", { iterations: 1000 })
+    );
+    await expect(decryptValue(sealed)).rejects.toThrow();
+  });
+
+  it("should hydrate empty when the sealing key is unknown", async () => {
+    const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+    addEncryptionKey("lost", await generateKey());
+    memory.setItem(
+      "vormia-storage-store",
+      await encryptValue(
+        JSON.stringify({ state: { userPreferences: { theme: "dark" } } })
+      )
+    );
+    clearEncryptionKeys();
+    addEncryptionKey("current", await generateKey());
+
+    await useStorageStore.persist.rehydrate();
+
+    expect(useStorageStore.persist.hasHydrated()).toBe(true);
+    expect(useStorageStore.getState().getUserPreference("theme")).toBeNull();
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it("should decrypt with the previous key and re-encrypt on rotation", async () => {
+    const oldKey = await generateKey();
+    await configureEncryption({
+      key: oldKey,
+      keyId: "2025",
+      stores: ["storage"],
+    });
+    useStorageStore.getState().setUserPreference("currency", "KES");
+    await vi.waitFor(async () =>
+      expect(
+        await decryptValue(memory.getItem("vormia-storage-store"))
+      ).toContain("KES")
+    );
+    const sealedWithOldKey = memory.getItem("vormia-storage-store");
+    expect(sealedWithOldKey).toMatch(/^vormia-enc:v1:2025:/);
+
+    await rotateEncryptionKey({ keyId: "2026", ...passphrase("new secret") });
+
+    expect(memory.getItem("vormia-storage-store")).toMatch(
+      /^vormia-enc:v1:2026:/
+    );
+    await expect(
+      rotateEncryptionKey({ keyId: "2026", key: oldKey })
+    ).rejects.toThrow(/different from the active key/);
+
+    // Data written before the rotation still loads
+    memory.setItem("vormia-storage-store", sealedWithOldKey);
+    await useStorageStore.persist.rehydrate();
+    expect(useStorageStore.getState().getUserPreference("currency")).toBe(
+      "KES"
+    );
+  });
+
+  it("should write plaintext again once storage encryption is turned off", async () => {
+    await configureEncryption({
+      key: await generateKey(),
+      stores: ["storage"],
+    });
+
+    useStorageStore.getState().setEncryption(false);
+
+    await vi.waitFor(() =>
+      expect(
+        JSON.parse(memory.getItem("vormia-storage-store")).state
+          .encryptionEnabled
+      ).toBe(false)
+    );
+  });
+
+  it("should turn storage encryption back on when it hydrates enabled", async () => {
+    memory.setItem(
+      "vormia-storage-store",
+      JSON.stringify({ state: { encryptionEnabled: true }, version: 0 })
+    );
+
+    await useStorageStore.persist.rehydrate();
+
+    expect(isStoreEncrypted("vormia-storage-store")).toBe(true);
+  });
+
+  it("should reject unknown stores and missing keys", async () => {
+    await expect(
+      configureEncryption({ passphrase: "x", stores: ["nope"] })
+    ).rejects.toThrow(/Cannot encrypt store "nope"/);
+    await expect(configureEncryption({})).rejects.toThrow(
+      /CryptoKey \(key\) or a passphrase/
+    );
+  });
+});
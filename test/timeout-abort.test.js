@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+import { VormiaError } from "../src/client/utils/VormiaError.js";
+
+// fetch that never settles on its own, only when its signal aborts
+const hangingFetch = (url, init) =>
+  new Promise((resolve, reject) => {
+    const rejectAborted = () => {
+      const error = new Error("The operation was aborted.");
+      error.name = "AbortError";
+      reject(error);
+    };
+    if (init.signal.aborted) {
+      rejectAborted();
+      return;
+    }
+    init.signal.addEventListener("abort", rejectAborted);
+  });
+
+describe("Request timeout and cancellation", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    global.fetch = vi.fn(hangingFetch);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should reject with a TIMEOUT VormiaError when the client timeout elapses", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      timeout: 1000,
+    });
+
+    const request = client.get("/slow");
+    const assertion = expect(request).rejects.toMatchObject({
+      code: "TIMEOUT",
+      status: 0,
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await assertion;
+  });
+
+  it("should let a per-request timeout override the client timeout", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      timeout: 30000,
+    });
+
+    const request = client.get("/slow", { timeout: 50 });
+    const assertion = expect(request).rejects.toMatchObject({
+      code: "TIMEOUT",
+    });
+
+    await vi.advanceTimersByTimeAsync(50);
+    await assertion;
+  });
+
+  it("should reject with an ABORTED VormiaError when the caller aborts", async () => {
+    const client = createVormiaClient({ baseURL: "https://api.example.com" });
+    const controller = new AbortController();
+
+    const request = client.get("/slow", { signal: controller.signal });
+    controller.abort();
+
+    const error = await request.catch((err) => err);
+    expect(error).toBeInstanceOf(VormiaError);
+    expect(error.code).toBe("ABORTED");
+    expect(error.isAborted()).toBe(true);
+    expect(error.isTimeout()).toBe(false);
+  });
+
+  it("should not start a timer when timeout is 0", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      timeout: 0,
+    });
+    const controller = new AbortController();
+
+    const request = client.get("/slow", { signal: controller.signal });
+    await vi.advanceTimersByTimeAsync(60000);
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ code: "ABORTED" });
+  });
+
+  it("should clear the timer once the response has been read", async () => {
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      headers: new Headers(),
+      json: vi.fn().mockResolvedValue({ id: 1 }),
+    });
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      timeout: 1000,
+    });
+
+    const result = await client.get("/fast");
+
+    expect(result.data).toEqual({ id: 1 });
+    expect(vi.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createVormiaClient } from "../src/client/createVormiaClient.js";
+
+const response = (status, body = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const authHeader = (call) => call[1].headers.Authorization;
+
+describe("Token refresh", () => {
+  let store;
+
+  beforeEach(() => {
+    store = { auth_token: "old-token", refresh_token: "refresh-1" };
+    localStorage.getItem.mockImplementation((key) =>
+      key in store ? store[key] : null
+    );
+    localStorage.setItem.mockImplementation((key, value) => {
+      store[key] = value;
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete store[key];
+    });
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    localStorage.getItem.mockReset();
+    localStorage.setItem.mockReset();
+    localStorage.removeItem.mockReset();
+  });
+
+  it("should refresh once and replay concurrent requests after a 401", async () => {
+    global.fetch.mockImplementation(async (url, init) => {
+      if (url.endsWith("/auth/refresh")) {
+        return response(200, {
+          access_token: "new-token",
+          refresh_token: "refresh-2",
+        });
+      }
+      return init.headers.Authorization === "Bearer new-token"
+        ? response(200, { url })
+        : response(401, { message: "Unauthenticated" });
+    });
+    const onTokenRefreshed = vi.fn();
+    const onUnauthenticated = vi.fn();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshEndpoint: "/auth/refresh",
+      onTokenRefreshed,
+      onUnauthenticated,
+    });
+
+    const results = await Promise.all([
+      client.get("/users"),
+      client.get("/posts"),
+      client.get("/tags"),
+    ]);
+
+    expect(results.map((result) => result.data.url)).toEqual([
+      "https://api.example.com/users",
+      "https://api.example.com/posts",
+      "https://api.example.com/tags",
+    ]);
+    const refreshCalls = global.fetch.mock.calls.filter(([url]) =>
+      url.endsWith("/auth/refresh")
+    );
+    expect(refreshCalls).toHaveLength(1);
+    expect(JSON.parse(refreshCalls[0][1].body)).toEqual({
+      refresh_token: "refresh-1",
+    });
+    expect(store.auth_token).toBe("new-token");
+    expect(store.refresh_token).toBe("refresh-2");
+    expect(onTokenRefreshed).toHaveBeenCalledTimes(1);
+    expect(onUnauthenticated).not.toHaveBeenCalled();
+  });
+
+  it("should use a custom refreshToken function", async () => {
+    global.fetch
+      .mockResolvedValueOnce(response(401))
+      .mockResolvedValueOnce(response(200, { ok: true }));
+    const refreshToken = vi.fn().mockResolvedValue("custom-token");
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshToken,
+    });
+
+    const result = await client.get("/me");
+
+    expect(result.data).toEqual({ ok: true });
+    expect(refreshToken).toHaveBeenCalledWith({
+      refreshToken: "refresh-1",
+      client: expect.any(Object),
+    });
+    expect(Object.getPrototypeOf(refreshToken.mock.calls[0][0].client)).toBe(
+      client
+    );
+    expect(authHeader(global.fetch.mock.calls[1])).toBe("Bearer custom-token");
+  });
+
+  it("should not deadlock when a custom refreshToken makes requests", async () => {
+    store.auth_token_expiry = String(Date.now() - 1000);
+    global.fetch.mockImplementation(async (url) =>
+      url.endsWith("/auth/refresh")
+        ? response(200, { access_token: "fresh-token" })
+        : response(200, { url })
+    );
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshToken: async ({ client: refreshClient }) => {
+        const result = await refreshClient.post("/auth/refresh", {});
+        return result.data;
+      },
+    });
+
+    const result = await client.get("/me");
+
+    expect(result.data.url).toBe("https://api.example.com/me");
+    expect(authHeader(global.fetch.mock.calls[1])).toBe("Bearer fresh-token");
+  });
+
+  it("should fall back to onUnauthenticated when the refresh fails", async () => {
+    global.fetch.mockImplementation(async (url) =>
+      response(url.endsWith("/auth/refresh") ? 400 : 401)
+    );
+    const onUnauthenticated = vi.fn();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshEndpoint: "/auth/refresh",
+      onUnauthenticated,
+    });
+
+    await expect(client.get("/me")).rejects.toMatchObject({ status: 401 });
+    expect(onUnauthenticated).toHaveBeenCalledTimes(1);
+    expect(store.auth_token).toBeUndefined();
+    expect(store.refresh_token).toBeUndefined();
+  });
+
+  it("should sign out once when a custom refresh fails for many requests", async () => {
+    global.fetch.mockResolvedValue(response(401));
+    const onUnauthenticated = vi.fn();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshToken: async ({ client: refreshClient }) => {
+        const result = await refreshClient.post("/auth/refresh", {});
+        return result.data;
+      },
+      onUnauthenticated,
+    });
+
+    const results = await Promise.allSettled([
+      client.get("/me"),
+      client.get("/posts"),
+      client.get("/teams"),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      "rejected",
+      "rejected",
+      "rejected",
+    ]);
+    expect(onUnauthenticated).toHaveBeenCalledTimes(1);
+    expect(store.auth_token).toBeUndefined();
+  });
+
+  it("should not loop when the replayed request is still unauthorized", async () => {
+    global.fetch.mockImplementation(async (url) =>
+      url.endsWith("/auth/refresh")
+        ? response(200, { access_token: "new-token" })
+        : response(401)
+    );
+    const onUnauthenticated = vi.fn();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshEndpoint: "/auth/refresh",
+      onUnauthenticated,
+    });
+
+    await expect(client.get("/me")).rejects.toMatchObject({ status: 401 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(onUnauthenticated).toHaveBeenCalledTimes(1);
+  });
+
+  it("should skip the refresh when skipAuthRefresh is set", async () => {
+    global.fetch.mockResolvedValue(response(401));
+    const refreshToken = vi.fn();
+    const onUnauthenticated = vi.fn();
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshToken,
+      onUnauthenticated,
+    });
+
+    await expect(
+      client.get("/me", { skipAuthRefresh: true })
+    ).rejects.toMatchObject({ status: 401 });
+    expect(refreshToken).not.toHaveBeenCalled();
+    // The 401 is left to the caller
+    expect(onUnauthenticated).not.toHaveBeenCalled();
+    expect(store.auth_token).toBe("old-token");
+  });
+
+  it("should refresh proactively before the token expires", async () => {
+    store.auth_token_expiry = String(Date.now() + 60000);
+    global.fetch.mockResolvedValue(response(200, { ok: true }));
+    const refreshToken = vi
+      .fn()
+      .mockResolvedValue({ access_token: "fresh-token", expires_in: 3600 });
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      refreshToken,
+    });
+
+    await client.get("/me");
+
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(authHeader(global.fetch.mock.calls[0])).toBe("Bearer fresh-token");
+    expect(Number(store.auth_token_expiry)).toBeGreaterThan(
+      Date.now() + 3500000
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import {
+  createCookieStorage,
+  createMemoryStorage,
+  getTokenStorage,
+  resolveTokenStorage,
+  setTokenStorage,
+} from "../src/client/utils/tokenStorage.js";
+import { useAuthStore } from "../src/stores/useAuthStore.js";
+
+describe("Token storage", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    setTokenStorage("local");
+    localStorage.setItem.mockReset();
+  });
+
+  it("should keep tokens in memory", () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      tokenStorage: "memory",
+    });
+
+    client.storeAuthTokens({
+      access_token: "abc",
+      refresh_token: "def",
+      expires_in: 60,
+    });
+
+    expect(client.getAuthToken()).toBe("abc");
+    expect(client.getRefreshToken()).toBe("def");
+    expect(client.getTokenExpiry()).toBeGreaterThan(Date.now());
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+
+    client.removeAuthToken();
+    expect(client.getAuthToken()).toBeNull();
+    expect(client.getRefreshToken()).toBeNull();
+    expect(client.getTokenExpiry()).toBeNull();
+  });
+
+  it("should read and remove cookies", () => {
+    const storage = createCookieStorage({ sameSite: "Strict" });
+
+    storage.setItem("auth_token", "a b;c");
+    expect(storage.getItem("auth_token")).toBe("a b;c");
+    expect(document.cookie).toContain("auth_token=a%20b%3Bc");
+
+    storage.removeItem("auth_token");
+    expect(storage.getItem("auth_token")).toBeNull();
+  });
+
+  it("should keep only the tokens in cookies", () => {
+    const items = new Map();
+    localStorage.setItem.mockImplementation((key, value) =>
+      items.set(key, value)
+    );
+    setTokenStorage("cookie");
+
+    useAuthStore.getState().login("cookie-token", {
+      id: 1,
+      permissions: Array.from({ length: 400 }, (_, i) => `permission.${i}`),
+    });
+
+    expect(document.cookie).toContain("auth_token=cookie-token");
+    expect(document.cookie).not.toContain("vormia-auth-store");
+    expect(JSON.parse(items.get("vormia-auth-store")).state.user.id).toBe(1);
+    expect(() =>
+      createCookieStorage().setItem("too_big", "x".repeat(5000))
+    ).toThrow(/4096 byte cookie limit/);
+
+    useAuthStore.getState().logout();
+    expect(document.cookie).not.toContain("auth_token=");
+  });
+
+  it("should accept a custom adapter", () => {
+    const custom = createMemoryStorage();
+    const getItem = vi.spyOn(custom, "getItem");
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      tokenStorage: custom,
+    });
+
+    client.setAuthToken("xyz");
+
+    expect(client.getAuthToken()).toBe("xyz");
+    expect(getItem).toHaveBeenCalledWith("auth_token");
+    expect(() => resolveTokenStorage({ getItem() {} })).toThrow(
+      /getItem, setItem and removeItem/
+    );
+    expect(() => resolveTokenStorage("redis")).toThrow(/Unknown tokenStorage/);
+  });
+
+  it("should fall back to memory when there is no window or document", () => {
+    vi.stubGlobal("window", undefined);
+    vi.stubGlobal("document", undefined);
+
+    const local = resolveTokenStorage("local");
+    const cookie = resolveTokenStorage("cookie");
+    local.setItem("auth_token", "ssr");
+
+    expect(local.type).toBe("memory");
+    expect(cookie.type).toBe("memory");
+    expect(local.getItem("auth_token")).toBe("ssr");
+  });
+
+  it("should share the global client's storage with the auth store", async () => {
+    const client = createVormiaClient({
+      baseURL: "https://api.example.com",
+      tokenStorage: "memory",
+    });
+    setGlobalVormiaClient(client);
+
+    useAuthStore.getState().login("store-token", { id: 1 });
+
+    expect(getTokenStorage()).toBe(client.tokenStorage);
+    const persisted = JSON.parse(
+      client.tokenStorage.getItem("vormia-auth-store")
+    );
+    expect(persisted.state.user).toEqual({ id: 1 });
+    // One token for both: the store writes the client's key and vice versa
+    expect(persisted.state.token).toBeUndefined();
+    expect(client.getAuthToken()).toBe("store-token");
+    client.setAuthToken("client-token");
+    expect(useAuthStore.getState().token).toBe("client-token");
+    client.removeAuthToken();
+    expect(useAuthStore.getState()).toMatchObject({
+      token: null,
+      isAuthenticated: false,
+    });
+
+    // Clients without their own storage follow the shared one
+    const other = createVormiaClient({ baseURL: "https://api.example.com" });
+    other.setAuthToken("shared");
+    expect(client.getAuthToken()).toBe("shared");
+  });
+});
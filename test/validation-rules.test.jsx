@@ -0,0 +1,253 @@
+import React from "react";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
+import {
+  createVormiaClient,
+  setGlobalVormiaClient,
+} from "../src/client/createVormiaClient.js";
+import {
+  validateRules,
+  assertRules,
+  parseRules,
+} from "../src/utils/validationRules.js";
+import { FieldErrorManager } from "../src/utils/fieldErrors.js";
+import { onlineManager } from "../src/core/focusManager.js";
+import { offlineQueue } from "../src/core/offlineQueue.js";
+import { useVrmMutation } from "../src/hooks/useVrmMutation.js";
+import { useVormiaQueryAuthMutation } from "../src/hooks/useVrmAuth.js";
+
+const REGISTER_RULES = {
+  name: "required|string|max:255",
+  email: "required|email|max:255",
+  password: "required|min:8|confirmed",
+  role: "required|in:admin,editor",
+};
+
+const json = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  headers: new Headers(),
+  json: vi.fn().mockResolvedValue(body),
+});
+
+describe("validateRules", () => {
+  it("should report failures with Laravel's messages", () => {
+    expect(
+      validateRules(
+        {
+          name: "",
+          email: "ada",
+          password: "secret",
+          password_confirmation: "other",
+          role: "owner",
+        },
+        REGISTER_RULES
+      )
+    ).toEqual({
+      name: ["The name field is required."],
+      email: ["The email field must be a valid email address."],
+      password: [
+        "The password field must be at least 8 characters.",
+        "The password field confirmation does not match.",
+      ],
+      role: ["The selected role is invalid."],
+    });
+
+    expect(
+      validateRules(
+        {
+          name: "Ada",
+          email: "ada@example.com",
+          password: "correct horse",
+          password_confirmation: "correct horse",
+          role: "admin",
+        },
+        REGISTER_RULES
+      )
+    ).toEqual({});
+  });
+
+  it("should size values by type and skip empty optional fields", () => {
+    const rules = {
+      age: "integer|min:18",
+      tags: "array|max:2",
+      first_name: "min:2",
+      website: "nullable|url",
+      nickname: "alpha_dash",
+      "items.*.qty": "required|numeric|between:1,10",
+    };
+
+    expect(
+      validateRules(
+        {
+          age: "17",
+          tags: ["a", "b", "c"],
+          first_name: "A",
+          website: null,
+          nickname: "",
+          items: [{ qty: 3 }, { qty: 0 }, {}],
+        },
+        rules
+      )
+    ).toEqual({
+      age: ["The age field must be at least 18."],
+      tags: ["The tags field must not have more than 2 items."],
+      first_name: ["The first name field must be at least 2 characters."],
+      "items.1.qty": ["The items.1.qty field must be between 1 and 10."],
+      "items.2.qty": ["The items.2.qty field is required."],
+    });
+  });
+
+  it("should support custom messages, attributes, bail and function rules", () => {
+    const errors = validateRules(
+      { email: "", code: "12a", nickname: "admin", country: "KE", zip: "" },
+      {
+        email: "required|email",
+        code: ["bail", "digits:4", "regex:/^\\d+$/"],
+        nickname: [(value) => value === "admin" && "That :attribute is taken."],
+        zip: "required_if:country,KE,UG",
+      },
+      {
+        messages: { "email.required": "We need your email." },
+        attributes: { country: "country code", zip: "postal code" },
+      }
+    );
+
+    expect(errors).toEqual({
+      email: ["We need your email."],
+      code: ["The code field must be 4 digits."],
+      nickname: ["That nickname is taken."],
+      zip: ["The postal code field is required when country code is KE, UG."],
+    });
+    expect(parseRules("regex:/^a|b$/")).toEqual([
+      { name: "regex", params: ["/^a"] },
+      { name: "b$/", params: [] },
+    ]);
+    expect(parseRules(["regex:/^a|b$/"])).toEqual([
+      { name: "regex", params: ["/^a|b$/"] },
+    ]);
+    expect(() => validateRules({ a: 1 }, { a: "unknown_rule" })).toThrow(
+      'Unknown validation rule "unknown_rule" for "a"'
+    );
+  });
+
+  it("should throw a 422 that FieldErrorManager reads like a server error", () => {
+    let error;
+    try {
+      assertRules(
+        { email: "ada" },
+        { email: "required|email", name: "required" }
+      );
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.status).toBe(422);
+    expect(error.code).toBe("VALIDATION_ERROR");
+    expect(error.message).toBe(
+      "The email field must be a valid email address. (and 1 more error)"
+    );
+    expect(error.isValidationError()).toBe(true);
+    expect(error.isNetworkError()).toBe(false);
+
+    const manager = new FieldErrorManager();
+    expect(manager.processApiErrors(error)).toEqual({
+      email: "The email field must be a valid email address.",
+      name: "The name field is required.",
+    });
+
+    const listener = vi.fn();
+    manager.addListener(listener);
+    expect(
+      manager.validateRules({ email: "ada@example.com" }, { email: "email" })
+    ).toBe(true);
+    expect(manager.hasAnyErrors()).toBe(false);
+    expect(listener).toHaveBeenCalledWith({});
+  });
+});
+
+describe("Rules option", () => {
+  let wrapper;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    setGlobalVormiaClient(
+      createVormiaClient({
+        baseURL: "https://api.example.com",
+        tokenStorage: "memory",
+      })
+    );
+    const queryClient = new QueryClient({
+      defaultOptions: {
+        queries: { retry: false },
+        mutations: { retry: false },
+      },
+    });
+    wrapper = ({ children }) => (
+      <QueryClientProvider client={queryClient}>{children}</QueryClientProvider>
+    );
+  });
+
+  afterEach(() => {
+    onlineManager.setOnline(true);
+  });
+
+  it("should block mutations until the rules pass", async () => {
+    const { result } = renderHook(
+      () => useVrmMutation({ endpoint: "/register", rules: REGISTER_RULES }),
+      { wrapper }
+    );
+
+    onlineManager.setOnline(false);
+    act(() => result.current.mutate({ name: "Ada", role: "admin" }));
+    await waitFor(() => expect(result.current.isError).toBe(true));
+
+    expect(result.current.error.code).toBe("VALIDATION_ERROR");
+    expect(result.current.error.getValidationErrors()).toEqual({
+      email: ["The email field is required."],
+      password: ["The password field is required."],
+    });
+    expect(offlineQueue.getEntries()).toHaveLength(0);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    onlineManager.setOnline(true);
+    global.fetch.mockResolvedValueOnce(
+      json({ success: true, data: { id: 1 } })
+    );
+    let response;
+    await act(async () => {
+      response = await result.current.mutateAsync({
+        name: "Ada",
+        email: "ada@example.com",
+        password: "correct horse",
+        password_confirmation: "correct horse",
+        role: "admin",
+      });
+    });
+    expect(response.data).toEqual({ id: 1 });
+  });
+
+  it("should block auth mutations with the configured messages", async () => {
+    const { result } = renderHook(
+      () =>
+        useVormiaQueryAuthMutation({
+          endpoint: "/login",
+          rules: { email: "required|email", password: "required" },
+          ruleAttributes: { email: "email address" },
+          showDebug: false,
+        }),
+      { wrapper }
+    );
+
+    act(() => result.current.mutate({ email: "ada", password: "" }));
+    await waitFor(() => expect(result.current.isError).toBe(true));
+
+    expect(result.current.error.errors).toEqual({
+      email: ["The email address field must be a valid email address."],
+      password: ["The password field is required."],
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});